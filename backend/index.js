@@ -17,6 +17,22 @@
  * - Internationalization (i18n)
  * - Enhanced Storage View
  * - NonRAID / SnapRAID dual backend
+ * - Multi-user accounts with roles
+ * - TOTP two-factor authentication
+ * - Session management (list, revoke)
+ * - Persistent audit log
+ * - Brute-force lockout per account and IP
+ * - Samba share management
+ * - NFS export management
+ * - Password change and local account recovery
+ * - SnapRAID sync/scrub scheduler with run history
+ * - Managed /etc/fstab block with findmnt verification and rollback
+ * - Cache tier with scheduled mover
+ * - SMART health monitoring with attribute history
+ * - Scheduled SMART self-tests
+ * - HDD standby timeouts and power state
+ * - Metrics history with downsampling
+ * - Prometheus /metrics exporter
  */
 
 const express = require('express');
@@ -29,6 +45,16 @@ const helmet = require('helmet');
 
 // Import utilities
 const { initSessionDb, startSessionCleanup } = require('./utils/session');
+const { initAuditDb, startAuditCleanup } = require('./utils/audit');
+const { initLockoutDb, startLockoutCleanup } = require('./utils/lockout');
+const { initJobHistoryDb } = require('./utils/job-history');
+const { startSnapraidScheduler } = require('./utils/snapraid-scheduler');
+const { startCacheMoverScheduler } = require('./utils/cache-mover');
+const { startSmartMonitor } = require('./utils/smart');
+const { startSelfTestScheduler } = require('./utils/smart-selftest');
+const { startDiskPowerManager } = require('./utils/disk-power');
+const { startMetricsSampler } = require('./utils/metrics');
+const { repairLegacyFstab } = require('./utils/fstab');
 
 // Import middleware
 const { generalLimiter } = require('./middleware/rateLimit');
@@ -43,6 +69,16 @@ const powerRoutes = require('./routes/power');
 const updateRoutes = require('./routes/update');
 const terminalRoutes = require('./routes/terminal');
 const shortcutsRoutes = require('./routes/shortcuts');
+const usersRoutes = require('./routes/users');
+const twoFactorRoutes = require('./routes/twofactor');
+const sessionsRoutes = require('./routes/sessions');
+const auditRoutes = require('./routes/audit');
+const lockoutsRoutes = require('./routes/lockouts');
+const sharesRoutes = require('./routes/shares');
+const nfsRoutes = require('./routes/nfs');
+const accountRoutes = require('./routes/account');
+const metricsRoutes = require('./routes/metrics');
+const prometheusRoutes = require('./routes/prometheus');
 
 // Import terminal WebSocket handler
 let setupTerminalWebSocket;
@@ -67,6 +103,32 @@ const app = express();
 initSessionDb();
 startSessionCleanup();
 
+// Initialize audit log database
+initAuditDb();
+startAuditCleanup();
+
+// Initialize failed-login lockout database
+initLockoutDb();
+startLockoutCleanup();
+
+// Initialize maintenance job history, the SnapRAID scheduler and the cache mover
+initJobHistoryDb();
+startSnapraidScheduler();
+startCacheMoverScheduler();
+startSmartMonitor();
+startSelfTestScheduler();
+startDiskPowerManager();
+startMetricsSampler();
+
+// Resolve the unexpanded blkid entries written to /etc/fstab by earlier versions
+try {
+    if (repairLegacyFstab()) {
+        console.log('Repaired the HomePiNAS block in /etc/fstab');
+    }
+} catch (e) {
+    console.error('Could not repair /etc/fstab:', e.message);
+}
+
 // Ensure config directory exists
 const configDir = path.join(__dirname, 'config');
 if (!fs.existsSync(configDir)) {
@@ -141,7 +203,7 @@ app.use('/frontend', express.static(path.join(__dirname, '../frontend')));
 app.use('/frontend/i18n', express.static(path.join(__dirname, '../frontend/i18n')));
 
 // SPA routes - serve index.html for frontend views
-const spaRoutes = ['/', '/dashboard', '/docker', '/storage', '/network', '/system', '/terminal', '/shortcuts'];
+const spaRoutes = ['/', '/dashboard', '/docker', '/storage', '/network', '/system', '/terminal', '/shortcuts', '/audit', '/shares'];
 spaRoutes.forEach(route => {
     app.get(route, (req, res) => {
         res.sendFile(path.join(__dirname, '../index.html'));
@@ -179,6 +241,36 @@ app.use('/api/terminal', terminalRoutes);
 // Shortcuts routes (configurable program shortcuts)
 app.use('/api/shortcuts', shortcutsRoutes);
 
+// User management routes (accounts and roles)
+app.use('/api/users', usersRoutes);
+
+// Two-factor authentication routes
+app.use('/api/2fa', twoFactorRoutes);
+
+// Session management routes (list, revoke)
+app.use('/api/sessions', sessionsRoutes);
+
+// Audit log routes
+app.use('/api/audit', auditRoutes);
+
+// Login lockout routes (list, clear)
+app.use('/api/lockouts', lockoutsRoutes);
+
+// Samba share routes (list, create, update, delete)
+app.use('/api/shares', sharesRoutes);
+
+// NFS export routes (exports CRUD, active list)
+app.use('/api/nfs', nfsRoutes);
+
+// Account routes (change password, recovery)
+app.use('/api/account', accountRoutes);
+
+// Metrics history routes (query, series)
+app.use('/api/metrics', metricsRoutes);
+
+// Prometheus exporter (token-protected, disabled by default)
+app.use('/metrics', prometheusRoutes);
+
 // =============================================================================
 // SERVER STARTUP
 // =============================================================================
@@ -227,6 +319,16 @@ httpServer.listen(HTTP_PORT, '0.0.0.0', () => {
     console.log('        - routes/update.js    (OTA updates)');
     console.log('        - routes/terminal.js  (web terminal)');
     console.log('        - routes/shortcuts.js (custom shortcuts)');
+    console.log('        - routes/users.js     (accounts, roles)');
+    console.log('        - routes/twofactor.js (TOTP 2FA)');
+    console.log('        - routes/sessions.js  (active sessions)');
+    console.log('        - routes/audit.js     (audit log)');
+    console.log('        - routes/lockouts.js  (login lockouts)');
+    console.log('        - routes/shares.js    (SMB shares)');
+    console.log('        - routes/nfs.js       (NFS exports)');
+    console.log('        - routes/account.js   (password, recovery)');
+    console.log('        - routes/metrics.js   (metrics history, exporter settings)');
+    console.log('        - routes/prometheus.js (Prometheus /metrics)');
     console.log('');
     
     // Setup Terminal WebSocket on HTTP server
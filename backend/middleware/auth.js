@@ -1,10 +1,12 @@
 /**
  * HomePiNAS - Authentication Middleware
  * v1.5.6 - Modular Architecture
+ * v3.2.0 - Role-based access control
  */
 
-const { validateSession } = require('../utils/session');
-const { logSecurityEvent } = require('../utils/security');
+const { validateSession, destroySession } = require('../utils/session');
+const { logSecurityEvent, logAnonymousSecurityEvent } = require('../utils/security');
+const { findUser, hasRole } = require('../utils/users');
 
 /**
  * Require authentication middleware
@@ -14,14 +16,51 @@ function requireAuth(req, res, next) {
     const session = validateSession(sessionId);
 
     if (!session) {
-        logSecurityEvent('UNAUTHORIZED_ACCESS', { path: req.path }, req.ip);
+        logAnonymousSecurityEvent('UNAUTHORIZED_ACCESS', { path: req.path }, req.ip);
         return res.status(401).json({ error: 'Authentication required' });
     }
 
-    req.user = session;
+    // The account may have been deleted or disabled after the session was issued
+    const user = findUser(session.username);
+    if (!user || user.disabled) {
+        destroySession(sessionId);
+        logSecurityEvent('UNAUTHORIZED_ACCESS', { path: req.path, user: session.username }, req.ip);
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    req.user = {
+        username: user.username,
+        role: user.role,
+        expiresAt: session.expiresAt
+    };
+    req.sessionId = sessionId;
     next();
 }
 
+/**
+ * Require an authenticated user with at least the given role
+ */
+function requireRole(minRole) {
+    return (req, res, next) => {
+        requireAuth(req, res, () => {
+            if (!hasRole(req.user.role, minRole)) {
+                logSecurityEvent('FORBIDDEN_ACCESS', {
+                    path: req.path,
+                    user: req.user.username,
+                    role: req.user.role,
+                    required: minRole
+                }, req.ip);
+                return res.status(403).json({ error: 'Insufficient permissions' });
+            }
+            next();
+        });
+    };
+}
+
+const requireAdmin = requireRole('admin');
+
 module.exports = {
-    requireAuth
+    requireAuth,
+    requireRole,
+    requireAdmin
 };
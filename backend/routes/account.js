@@ -0,0 +1,141 @@
+/**
+ * HomePiNAS - Account Routes
+ * v3.2.0 - Account Recovery
+ *
+ * Self-service password change and local (root-only) password recovery
+ */
+
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcrypt');
+
+const { requireAuth } = require('../middleware/auth');
+const { authLimiter } = require('../middleware/rateLimit');
+const { logSecurityEvent } = require('../utils/security');
+const { destroyUserSessions, destroyOtherUserSessions } = require('../utils/session');
+const { clearLockout } = require('../utils/lockout');
+const { validatePassword } = require('../utils/sanitize');
+const { findUser, updateUser, SALT_ROUNDS } = require('../utils/users');
+const { setSambaPassword, listSambaUsers } = require('../utils/samba-users');
+const {
+    RECOVERY_TOKEN_FILE,
+    RECOVERY_TOKEN_TTL,
+    issueRecoveryToken,
+    consumeRecoveryToken
+} = require('../utils/recovery');
+
+/**
+ * Set a new password on the dashboard account and, if the user has one,
+ * the SMB account. SMB goes first so a failure leaves both unchanged.
+ */
+async function applyNewPassword(username, password) {
+    const accounts = listSambaUsers();
+    if (accounts && accounts[username]) {
+        await setSambaPassword(username, password);
+    }
+    updateUser(username, { password: await bcrypt.hash(password, SALT_ROUNDS) });
+    clearLockout('user', username);
+}
+
+// Change own password (other sessions are logged out)
+router.post('/password', requireAuth, authLimiter, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+        const username = req.user.username;
+
+        if (typeof currentPassword !== 'string' || !currentPassword) {
+            return res.status(400).json({ error: 'Current password required' });
+        }
+        if (!validatePassword(newPassword)) {
+            return res.status(400).json({ error: 'Invalid password. Must be 6-128 characters' });
+        }
+
+        const user = findUser(username);
+        if (!(await bcrypt.compare(currentPassword, user.password))) {
+            logSecurityEvent('PASSWORD_CHANGE_FAILED', { user: username }, req.ip);
+            return res.status(401).json({ error: 'Current password is incorrect' });
+        }
+
+        try {
+            await applyNewPassword(username, newPassword);
+        } catch (e) {
+            console.error('Change password SMB error:', e.message);
+            return res.status(500).json({ error: 'Failed to update SMB password' });
+        }
+
+        const loggedOut = destroyOtherUserSessions(username, req.sessionId);
+
+        logSecurityEvent('PASSWORD_CHANGED', { user: username, sessionsRevoked: loggedOut }, req.ip);
+        res.json({ success: true, sessionsRevoked: loggedOut });
+    } catch (e) {
+        console.error('Change password error:', e);
+        res.status(500).json({ error: 'Failed to change password' });
+    }
+});
+
+// Request a recovery token (written to a root-only file on the NAS)
+router.post('/recovery', authLimiter, (req, res) => {
+    const { username } = req.body;
+    // Same answer whether or not the user exists
+    const response = {
+        success: true,
+        tokenFile: RECOVERY_TOKEN_FILE,
+        expiresInMinutes: RECOVERY_TOKEN_TTL / 60000
+    };
+
+    if (typeof username !== 'string' || !username) {
+        return res.status(400).json({ error: 'Username required' });
+    }
+
+    const user = findUser(username);
+    if (!user || user.disabled) {
+        logSecurityEvent('RECOVERY_REQUEST_UNKNOWN', { username }, req.ip);
+        return res.json(response);
+    }
+
+    try {
+        issueRecoveryToken(username);
+    } catch (e) {
+        console.error('Recovery token error:', e.message);
+        return res.status(500).json({ error: 'Failed to write recovery token' });
+    }
+
+    logSecurityEvent('RECOVERY_REQUESTED', { username }, req.ip);
+    res.json(response);
+});
+
+// Reset a password with a recovery token
+router.post('/recovery/reset', authLimiter, async (req, res) => {
+    try {
+        const { username, token, newPassword } = req.body;
+
+        if (typeof username !== 'string' || typeof token !== 'string' || !token.trim()) {
+            return res.status(400).json({ error: 'Username and token required' });
+        }
+        if (!validatePassword(newPassword)) {
+            return res.status(400).json({ error: 'Invalid password. Must be 6-128 characters' });
+        }
+
+        if (!consumeRecoveryToken(username, token) || !findUser(username)) {
+            logSecurityEvent('RECOVERY_FAILED', { username }, req.ip);
+            return res.status(401).json({ error: 'Invalid or expired recovery token' });
+        }
+
+        try {
+            await applyNewPassword(username, newPassword);
+        } catch (e) {
+            console.error('Recovery SMB error:', e.message);
+            return res.status(500).json({ error: 'Failed to update SMB password' });
+        }
+
+        destroyUserSessions(username);
+
+        logSecurityEvent('PASSWORD_RECOVERED', { username }, req.ip);
+        res.json({ success: true, message: 'Password reset. You can now log in.' });
+    } catch (e) {
+        console.error('Recovery reset error:', e);
+        res.status(500).json({ error: 'Password reset failed' });
+    }
+});
+
+module.exports = router;
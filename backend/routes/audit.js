@@ -0,0 +1,120 @@
+/**
+ * HomePiNAS - Audit Log Routes
+ * v3.2.0 - Persistent Audit Log
+ *
+ * Query and export persisted security events (admin only)
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { requireAdmin } = require('../middleware/auth');
+const { logSecurityEvent } = require('../utils/security');
+const {
+    queryAuditLog,
+    exportAuditLog,
+    getAuditFacets,
+    AUDIT_RETENTION_DAYS,
+    AUDIT_MAX_ENTRIES,
+    AUDIT_MAX_PAGE_SIZE
+} = require('../utils/audit');
+
+/**
+ * Parse a time bound given as epoch milliseconds or an ISO date string
+ */
+function parseTime(value) {
+    if (value === undefined || value === '') return null;
+    const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+    return Number.isFinite(time) ? time : NaN;
+}
+
+/**
+ * Read and validate filters from the query string
+ */
+function parseFilters(query) {
+    const from = parseTime(query.from);
+    const to = parseTime(query.to);
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+        return { error: 'Invalid time range' };
+    }
+
+    const text = (value, max) => (typeof value === 'string' && value.trim() ? value.trim().slice(0, max) : null);
+
+    return {
+        filters: {
+            event: text(query.event, 64),
+            user: text(query.user, 64),
+            ip: text(query.ip, 64),
+            from,
+            to
+        }
+    };
+}
+
+/**
+ * Quote a CSV field; prefix values that spreadsheets would treat as formulas
+ */
+function csvField(value) {
+    let str = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@]/.test(str)) str = `'${str}`;
+    return `"${str.replace(/"/g, '""')}"`;
+}
+
+// Query audit log
+router.get('/', requireAdmin, (req, res) => {
+    const { filters, error } = parseFilters(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(Math.max(1, parseInt(req.query.limit, 10) || 50), AUDIT_MAX_PAGE_SIZE);
+
+    const { entries, total } = queryAuditLog(filters, { limit, offset: (page - 1) * limit });
+
+    res.json({
+        entries,
+        total,
+        page,
+        limit,
+        pages: Math.max(1, Math.ceil(total / limit))
+    });
+});
+
+// Filter values and retention info
+router.get('/facets', requireAdmin, (req, res) => {
+    res.json({
+        ...getAuditFacets(),
+        retentionDays: AUDIT_RETENTION_DAYS,
+        maxEntries: AUDIT_MAX_ENTRIES
+    });
+});
+
+// Export audit log as CSV (same filters as the query endpoint)
+router.get('/export', requireAdmin, (req, res) => {
+    const { filters, error } = parseFilters(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const rows = exportAuditLog(filters);
+    const lines = [['timestamp', 'event', 'user', 'ip', 'details'].join(',')];
+    rows.forEach(entry => {
+        lines.push([
+            new Date(entry.timestamp).toISOString(),
+            entry.event,
+            entry.user,
+            entry.ip,
+            JSON.stringify(entry.details)
+        ].map(csvField).join(','));
+    });
+
+    logSecurityEvent('AUDIT_EXPORTED', { user: req.user.username, rows: rows.length }, req.ip);
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="homepinas-audit-${stamp}.csv"`);
+    res.send(lines.join('\n') + '\n');
+});
+
+module.exports = router;
@@ -8,64 +8,100 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcrypt');
-const { spawn, execFileSync } = require('child_process');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
 
 const { authLimiter } = require('../middleware/rateLimit');
 const { logSecurityEvent } = require('../utils/security');
-const { getData, saveData } = require('../utils/data');
 const { createSession, destroySession } = require('../utils/session');
-const { validateUsername, validatePassword, sanitizeUsername } = require('../utils/sanitize');
-
-const SALT_ROUNDS = 12;
+const { checkLockout, recordLoginFailure, recordLoginSuccess } = require('../utils/lockout');
+const {
+    getUsers,
+    findUser,
+    addUser,
+    toPublicUser,
+    isTwoFactorEnabled,
+    verifyTwoFactor,
+    SALT_ROUNDS
+} = require('../utils/users');
+const { validateUsername, validatePassword } = require('../utils/sanitize');
+const { setSambaPassword, SHARE_GROUP } = require('../utils/samba-users');
 
 /**
- * Create Samba user with same credentials (SECURE VERSION)
+ * Client details recorded with each session
  */
-async function createSambaUser(username, password) {
-    const safeUsername = sanitizeUsername(username);
-    if (!safeUsername) {
-        console.error('Invalid username format for Samba user');
-        return false;
-    }
-
-    try {
-        // Check if system user exists
-        try {
-            execFileSync('id', [safeUsername], { encoding: 'utf8' });
-        } catch (e) {
-            execFileSync('sudo', ['useradd', '-M', '-s', '/sbin/nologin', safeUsername], { encoding: 'utf8' });
-        }
-
-        // Add user to sambashare group
-        execFileSync('sudo', ['usermod', '-aG', 'sambashare', safeUsername], { encoding: 'utf8' });
+function clientInfo(req) {
+    return { ip: req.ip, userAgent: req.get('user-agent') };
+}
 
-        // Set Samba password using stdin (password never visible in process list)
-        await new Promise((resolve, reject) => {
-            const smbpasswd = spawn('sudo', ['smbpasswd', '-a', '-s', safeUsername], {
-                stdio: ['pipe', 'pipe', 'pipe']
-            });
+/**
+ * Refuse the attempt if the username or IP is locked out.
+ * Returns true if a response was sent.
+ */
+function rejectIfLocked(req, res, username) {
+    const lock = checkLockout(username, req.ip);
+    if (!lock.locked) return false;
+
+    logSecurityEvent('LOGIN_LOCKED', { username, scope: lock.scope, retryAfter: lock.retryAfter }, req.ip);
+    res.setHeader('Retry-After', String(lock.retryAfter));
+    res.status(429).json({
+        success: false,
+        message: 'Too many failed login attempts, please try again later',
+        retryAfter: lock.retryAfter
+    });
+    return true;
+}
 
-            smbpasswd.stdin.write(password + '\n');
-            smbpasswd.stdin.write(password + '\n');
-            smbpasswd.stdin.end();
+/**
+ * Count a failed attempt and report any lock it triggers
+ */
+function registerLoginFailure(req, username) {
+    const locks = recordLoginFailure(username, req.ip);
+    locks.forEach(lock => {
+        logSecurityEvent('LOGIN_LOCKED', {
+            username,
+            scope: lock.scope,
+            failures: lock.failures,
+            lockedUntil: new Date(lock.lockedUntil).toISOString()
+        }, req.ip);
+    });
+}
 
-            let stderr = '';
-            smbpasswd.stderr.on('data', (data) => { stderr += data.toString(); });
+// Pending second-factor logins: challengeId -> { username, remember, expiresAt, attempts }
+const TWO_FACTOR_CHALLENGE_TTL = 5 * 60 * 1000; // 5 minutes
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+const twoFactorChallenges = new Map();
 
-            smbpasswd.on('close', (code) => {
-                if (code === 0) resolve();
-                else reject(new Error(`smbpasswd failed: ${stderr}`));
-            });
+/**
+ * Issue a short-lived challenge after the password step succeeds
+ */
+function createTwoFactorChallenge(username, remember) {
+    const now = Date.now();
+    for (const [id, challenge] of twoFactorChallenges) {
+        if (challenge.expiresAt < now) twoFactorChallenges.delete(id);
+    }
 
-            smbpasswd.on('error', reject);
-        });
+    const challengeId = crypto.randomBytes(32).toString('hex');
+    twoFactorChallenges.set(challengeId, {
+        username,
+        remember,
+        expiresAt: now + TWO_FACTOR_CHALLENGE_TTL,
+        attempts: 0
+    });
+    return challengeId;
+}
 
-        // Enable the Samba user
-        execFileSync('sudo', ['smbpasswd', '-e', safeUsername], { encoding: 'utf8' });
+/**
+ * Give the initial admin SMB access with the same credentials
+ * and ownership of the storage pool
+ */
+async function createSambaUser(username, password) {
+    try {
+        await setSambaPassword(username, password);
 
         // Set ownership of storage pool directory
         try {
-            execFileSync('sudo', ['chown', '-R', `${safeUsername}:sambashare`, '/mnt/storage'], { encoding: 'utf8' });
+            execFileSync('sudo', ['chown', '-R', `${username}:${SHARE_GROUP}`, '/mnt/storage'], { encoding: 'utf8' });
             execFileSync('sudo', ['chmod', '-R', '2775', '/mnt/storage'], { encoding: 'utf8' });
         } catch (e) {}
 
@@ -73,7 +109,7 @@ async function createSambaUser(username, password) {
         execFileSync('sudo', ['systemctl', 'restart', 'smbd'], { encoding: 'utf8' });
         execFileSync('sudo', ['systemctl', 'restart', 'nmbd'], { encoding: 'utf8' });
 
-        console.log(`Samba user ${safeUsername} created successfully`);
+        console.log(`Samba user ${username} created successfully`);
         return true;
     } catch (e) {
         console.error('Failed to create Samba user:', e.message);
@@ -100,9 +136,7 @@ router.post('/setup', authLimiter, async (req, res) => {
             });
         }
 
-        const data = getData();
-
-        if (data.user) {
+        if (getUsers().length > 0) {
             logSecurityEvent('SETUP_ATTEMPT_EXISTS', { username }, req.ip);
             return res.status(400).json({
                 success: false,
@@ -111,8 +145,7 @@ router.post('/setup', authLimiter, async (req, res) => {
         }
 
         const hashedPassword = await bcrypt.hash(password, SALT_ROUNDS);
-        data.user = { username, password: hashedPassword };
-        saveData(data);
+        addUser({ username, password: hashedPassword, role: 'admin' });
 
         const sambaCreated = await createSambaUser(username, password);
         if (sambaCreated) {
@@ -121,13 +154,13 @@ router.post('/setup', authLimiter, async (req, res) => {
 
         logSecurityEvent('ADMIN_CREATED', { username }, req.ip);
 
-        const sessionId = createSession(username);
+        const sessionId = createSession(username, clientInfo(req));
 
         res.json({
             success: true,
             message: 'Admin account created' + (sambaCreated ? ' with SMB access' : ''),
             sessionId,
-            user: { username },
+            user: { username, role: 'admin' },
             sambaEnabled: sambaCreated
         });
     } catch (e) {
@@ -136,34 +169,53 @@ router.post('/setup', authLimiter, async (req, res) => {
     }
 });
 
-// Login
+// Login (authLimiter backs up the lockout: parallel guesses all pass
+// checkLockout before the first failure is recorded)
 router.post('/login', authLimiter, async (req, res) => {
     try {
-        const { username, password } = req.body;
+        const { username, password, remember } = req.body;
 
-        if (!username || !password) {
+        if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
             return res.status(400).json({ success: false, message: 'Username and password required' });
         }
 
-        const data = getData();
+        if (rejectIfLocked(req, res, username)) return;
 
-        if (!data.user) {
+        if (getUsers().length === 0) {
             logSecurityEvent('LOGIN_NO_USER', { username }, req.ip);
             return res.status(401).json({ success: false, message: 'Invalid credentials' });
         }
 
-        const isValid = await bcrypt.compare(password, data.user.password);
-
-        if (data.user.username === username && isValid) {
-            const sessionId = createSession(username);
-            logSecurityEvent('LOGIN_SUCCESS', { username }, req.ip);
+        const user = findUser(username);
+        const isValid = user ? await bcrypt.compare(password, user.password) : false;
+
+        if (user && isValid) {
+            // Password is correct, but the session is only issued after the TOTP step.
+            // A disabled account is only reported once both factors passed.
+            if (isTwoFactorEnabled(user)) {
+                const challengeId = createTwoFactorChallenge(username, remember === true);
+                logSecurityEvent('LOGIN_2FA_REQUIRED', { username }, req.ip);
+                return res.json({ success: true, twoFactorRequired: true, challengeId });
+            }
+
+            // Without 2FA the password alone must not be confirmed for a disabled account
+            if (user.disabled) {
+                logSecurityEvent('LOGIN_DISABLED', { username }, req.ip);
+                registerLoginFailure(req, username);
+                return res.status(401).json({ success: false, message: 'Invalid credentials' });
+            }
+
+            const sessionId = createSession(username, { ...clientInfo(req), remember: remember === true });
+            recordLoginSuccess(username);
+            logSecurityEvent('LOGIN_SUCCESS', { username, role: user.role }, req.ip);
             res.json({
                 success: true,
                 sessionId,
-                user: { username: data.user.username }
+                user: toPublicUser(user)
             });
         } else {
             logSecurityEvent('LOGIN_FAILED', { username }, req.ip);
+            registerLoginFailure(req, username);
             res.status(401).json({ success: false, message: 'Invalid credentials' });
         }
     } catch (e) {
@@ -172,6 +224,68 @@ router.post('/login', authLimiter, async (req, res) => {
     }
 });
 
+// Login - second factor (TOTP or recovery code)
+router.post('/login/2fa', authLimiter, async (req, res) => {
+    try {
+        const { challengeId, code } = req.body;
+
+        if (typeof challengeId !== 'string' || typeof code !== 'string' || !code.trim()) {
+            return res.status(400).json({ success: false, message: 'Challenge and code required' });
+        }
+
+        const challenge = twoFactorChallenges.get(challengeId);
+        if (!challenge || challenge.expiresAt < Date.now()) {
+            twoFactorChallenges.delete(challengeId);
+            return res.status(401).json({ success: false, message: 'Login expired, please sign in again' });
+        }
+
+        const { username, remember } = challenge;
+        if (rejectIfLocked(req, res, username)) return;
+
+        const method = await verifyTwoFactor(username, code);
+
+        if (!method) {
+            challenge.attempts++;
+            if (challenge.attempts >= TWO_FACTOR_MAX_ATTEMPTS) {
+                twoFactorChallenges.delete(challengeId);
+            }
+            logSecurityEvent('LOGIN_2FA_FAILED', { username, attempts: challenge.attempts }, req.ip);
+            registerLoginFailure(req, username);
+            return res.status(401).json({ success: false, message: 'Invalid verification code' });
+        }
+
+        twoFactorChallenges.delete(challengeId);
+
+        const user = findUser(username);
+        if (!user) {
+            return res.status(401).json({ success: false, message: 'Invalid credentials' });
+        }
+        if (user.disabled) {
+            logSecurityEvent('LOGIN_DISABLED', { username }, req.ip);
+            return res.status(403).json({ success: false, message: 'Account disabled' });
+        }
+
+        if (method === 'recovery') {
+            logSecurityEvent('RECOVERY_CODE_USED', {
+                username,
+                remaining: user.twoFactor.recoveryCodes.length
+            }, req.ip);
+        }
+
+        const sessionId = createSession(username, { ...clientInfo(req), remember });
+        recordLoginSuccess(username);
+        logSecurityEvent('LOGIN_SUCCESS', { username, role: user.role, method }, req.ip);
+        res.json({
+            success: true,
+            sessionId,
+            user: toPublicUser(user)
+        });
+    } catch (e) {
+        console.error('2FA login error:', e);
+        res.status(500).json({ success: false, message: 'Login failed' });
+    }
+});
+
 // Logout
 router.post('/logout', (req, res) => {
     const sessionId = req.headers['x-session-id'];
@@ -20,7 +20,7 @@ const fs = require('fs');
 const path = require('path');
 const { execSync, exec } = require('child_process');
 
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, requireRole, requireAdmin } = require('../middleware/auth');
 const { logSecurityEvent } = require('../utils/security');
 const { validateDockerAction, validateContainerId, sanitizeComposeName, validateComposeContent } = require('../utils/sanitize');
 
@@ -199,7 +199,7 @@ router.get('/containers', async (req, res) => {
 });
 
 // Container action (start, stop, restart)
-router.post('/action', requireAuth, async (req, res) => {
+router.post('/action', requireRole('user'), async (req, res) => {
     const { id, action } = req.body;
 
     // SECURITY: Validate container ID format (hex string, 12-64 chars)
@@ -226,7 +226,7 @@ router.post('/action', requireAuth, async (req, res) => {
 });
 
 // Check for image updates
-router.post('/check-updates', requireAuth, async (req, res) => {
+router.post('/check-updates', requireRole('user'), async (req, res) => {
     try {
         logSecurityEvent('DOCKER_CHECK_UPDATES', { user: req.user.username }, req.ip);
 
@@ -316,7 +316,7 @@ router.get('/update-status', async (req, res) => {
 });
 
 // Update a specific container
-router.post('/update', requireAuth, async (req, res) => {
+router.post('/update', requireRole('user'), async (req, res) => {
     const { containerId } = req.body;
 
     // SECURITY: Validate container ID format
@@ -386,7 +386,7 @@ router.post('/update', requireAuth, async (req, res) => {
 });
 
 // Import docker-compose.yml
-router.post('/compose/import', requireAuth, async (req, res) => {
+router.post('/compose/import', requireAdmin, async (req, res) => {
     const { name, content } = req.body;
 
     if (!name || !content) {
@@ -458,7 +458,7 @@ router.get('/compose/list', async (req, res) => {
 });
 
 // Run docker-compose up
-router.post('/compose/up', requireAuth, async (req, res) => {
+router.post('/compose/up', requireAdmin, async (req, res) => {
     const { name } = req.body;
 
     if (!name) {
@@ -510,7 +510,7 @@ router.post('/compose/up', requireAuth, async (req, res) => {
 });
 
 // Stop docker-compose
-router.post('/compose/down', requireAuth, async (req, res) => {
+router.post('/compose/down', requireAdmin, async (req, res) => {
     const { name } = req.body;
 
     if (!name) {
@@ -559,7 +559,7 @@ router.post('/compose/down', requireAuth, async (req, res) => {
 });
 
 // Delete compose file
-router.delete('/compose/:name', requireAuth, async (req, res) => {
+router.delete('/compose/:name', requireAdmin, async (req, res) => {
     // SECURITY: Use dedicated sanitization function
     const safeName = sanitizeComposeName(req.params.name);
     if (!safeName) {
@@ -632,7 +632,7 @@ router.get('/compose/:name', async (req, res) => {
 });
 
 // Update compose file content
-router.put('/compose/:name', requireAuth, async (req, res) => {
+router.put('/compose/:name', requireAdmin, async (req, res) => {
     const { content } = req.body;
     
     if (!content) {
@@ -689,7 +689,7 @@ router.get('/notes/:containerId', requireAuth, async (req, res) => {
 });
 
 // Save notes for a container
-router.post('/notes/:containerId', requireAuth, async (req, res) => {
+router.post('/notes/:containerId', requireRole('user'), async (req, res) => {
     const { containerId } = req.params;
     const { notes } = req.body;
     
@@ -0,0 +1,45 @@
+/**
+ * HomePiNAS - Login Lockout Routes
+ * v3.2.0 - Brute-force Protection
+ *
+ * List and clear failed-login locks (admin only)
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { requireAdmin } = require('../middleware/auth');
+const { logSecurityEvent } = require('../utils/security');
+const { listLockouts, clearLockout, clearAllLockouts, LOCK_POLICY } = require('../utils/lockout');
+
+// List tracked usernames/IPs with recent failures
+router.get('/', requireAdmin, (req, res) => {
+    res.json({
+        lockouts: listLockouts(),
+        policy: LOCK_POLICY
+    });
+});
+
+// Clear every tracked entry
+router.delete('/', requireAdmin, (req, res) => {
+    const count = clearAllLockouts();
+    logSecurityEvent('LOCKOUTS_CLEARED', { user: req.user.username, count }, req.ip);
+    res.json({ success: true, cleared: count });
+});
+
+// Clear a single entry (scope is "user" or "ip")
+router.delete('/:scope/:key', requireAdmin, (req, res) => {
+    const { scope, key } = req.params;
+
+    if (!Object.prototype.hasOwnProperty.call(LOCK_POLICY, scope)) {
+        return res.status(400).json({ error: 'Invalid scope. Must be "user" or "ip"' });
+    }
+    if (!clearLockout(scope, key)) {
+        return res.status(404).json({ error: 'Lockout not found' });
+    }
+
+    logSecurityEvent('LOCKOUT_CLEARED', { user: req.user.username, scope, key }, req.ip);
+    res.json({ success: true });
+});
+
+module.exports = router;
@@ -0,0 +1,93 @@
+/**
+ * HomePiNAS - Metrics Routes
+ * v3.2.0 - Metrics History
+ *
+ * Query the stored metrics history (CPU, memory, fans, disks, pool, network)
+ * and manage the Prometheus exporter (admin only)
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { logSecurityEvent } = require('../utils/security');
+const { queryMetrics, listMetricSeries, METRICS_TIERS } = require('../utils/metrics');
+const { getExporterSettings, setExporterEnabled, rotateExporterToken } = require('../utils/prometheus');
+
+const DEFAULT_RANGE = 60 * 60 * 1000;
+
+/**
+ * Parse a time bound given as epoch milliseconds or an ISO date string
+ */
+function parseTime(value) {
+    if (value === undefined || value === '') return null;
+    const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+    return Number.isFinite(time) ? time : NaN;
+}
+
+// Query series (?series=cpu.load,disk.*.temp&from=&to=&step=, times and step in ms)
+router.get('/', requireAuth, (req, res) => {
+    const to = parseTime(req.query.to);
+    const from = parseTime(req.query.from);
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+        return res.status(400).json({ error: 'Invalid time range' });
+    }
+
+    let step = null;
+    if (req.query.step !== undefined && req.query.step !== '') {
+        step = /^\d+$/.test(String(req.query.step)) ? Number(req.query.step) : NaN;
+        if (!(step > 0)) {
+            return res.status(400).json({ error: 'Invalid step. Use a number of milliseconds' });
+        }
+    }
+
+    const end = to === null ? Date.now() : to;
+    const series = typeof req.query.series === 'string'
+        ? req.query.series.split(',').map(name => name.trim()).filter(Boolean)
+        : [];
+
+    const result = queryMetrics({
+        series,
+        from: from === null ? end - DEFAULT_RANGE : from,
+        to: end,
+        step
+    });
+    if (result.error) {
+        return res.status(400).json({ error: result.error });
+    }
+    res.json(result);
+});
+
+// Stored series names and tier layout
+router.get('/series', requireAuth, (req, res) => {
+    res.json({
+        series: listMetricSeries(),
+        tiers: METRICS_TIERS
+    });
+});
+
+// Prometheus exporter settings
+router.get('/exporter', requireAdmin, (req, res) => {
+    res.json(getExporterSettings());
+});
+
+// Enable or disable the exporter; the first enable returns a new token
+router.put('/exporter', requireAdmin, (req, res) => {
+    const { enabled } = req.body || {};
+    if (typeof enabled !== 'boolean') {
+        return res.status(400).json({ error: 'enabled must be true or false' });
+    }
+
+    const token = setExporterEnabled(enabled);
+    logSecurityEvent('METRICS_EXPORTER_UPDATED', { user: req.user.username, enabled }, req.ip);
+    res.json({ success: true, ...getExporterSettings(), token });
+});
+
+// Generate a new scrape token (the old one stops working)
+router.post('/exporter/token', requireAdmin, (req, res) => {
+    const token = rotateExporterToken();
+    logSecurityEvent('METRICS_EXPORTER_TOKEN_ROTATED', { user: req.user.username }, req.ip);
+    res.json({ success: true, ...getExporterSettings(), token });
+});
+
+module.exports = router;
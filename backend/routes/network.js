@@ -10,7 +10,7 @@ const express = require('express');
 const router = express.Router();
 const si = require('systeminformation');
 
-const { requireAuth } = require('../middleware/auth');
+const { requireAdmin } = require('../middleware/auth');
 const { logSecurityEvent } = require('../utils/security');
 const {
     validateInterfaceName,
@@ -56,7 +56,7 @@ router.get('/interfaces', async (req, res) => {
 });
 
 // Configure network interface
-router.post('/configure', requireAuth, (req, res) => {
+router.post('/configure', requireAdmin, (req, res) => {
     try {
         const { id, config } = req.body;
 
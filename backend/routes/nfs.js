@@ -0,0 +1,180 @@
+/**
+ * HomePiNAS - NFS Export Routes
+ * v3.2.0 - File Sharing
+ *
+ * Create, edit and delete NFS exports of the pool and data disks
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { logSecurityEvent } = require('../utils/security');
+const { getData, saveData } = require('../utils/data');
+const {
+    EXPORTS_FILE,
+    ACCESS_MODES,
+    SQUASH_MODES,
+    resolveExportPath,
+    sanitizeClients,
+    applyExportsConfig,
+    listActiveExports
+} = require('../utils/nfs-exports');
+
+/**
+ * Build an export record from a request body, merged over an existing export.
+ * Returns { nfsExport } or { error }.
+ */
+function buildExport(body, existing = {}) {
+    const exportPath = body.path !== undefined ? resolveExportPath(body.path) : existing.path;
+    if (!exportPath) {
+        return { error: 'Invalid path. Exports must be the storage pool, a folder in it, or a /mnt/disks/diskN mount' };
+    }
+
+    const clients = body.clients !== undefined ? sanitizeClients(body.clients) : existing.clients;
+    if (!clients) {
+        return { error: 'Invalid clients. Use one or more IPv4 addresses or CIDR ranges (e.g. 192.168.1.0/24)' };
+    }
+
+    const access = body.access !== undefined ? body.access : (existing.access || 'ro');
+    if (!ACCESS_MODES.includes(access)) {
+        return { error: `Invalid access. Must be one of: ${ACCESS_MODES.join(', ')}` };
+    }
+
+    const squash = body.squash !== undefined ? body.squash : (existing.squash || 'root_squash');
+    if (!SQUASH_MODES.includes(squash)) {
+        return { error: `Invalid squash option. Must be one of: ${SQUASH_MODES.join(', ')}` };
+    }
+
+    return {
+        nfsExport: {
+            id: existing.id,
+            path: exportPath,
+            clients,
+            access,
+            squash,
+            createdAt: existing.createdAt || new Date().toISOString()
+        }
+    };
+}
+
+/**
+ * Definitions exportfs refuses are a 400; failures running it are a 500
+ */
+function sendApplyError(res, e, fallback) {
+    console.error(`${fallback}:`, e.message);
+    if (e.invalidConfig) {
+        return res.status(400).json({ error: e.message });
+    }
+    res.status(500).json({ error: fallback });
+}
+
+// List configured exports
+router.get('/exports', requireAuth, (req, res) => {
+    const data = getData();
+    res.json({
+        exports: data.nfsExports || [],
+        accessModes: ACCESS_MODES,
+        squashModes: SQUASH_MODES,
+        configFile: EXPORTS_FILE
+    });
+});
+
+// List exports currently active in the kernel (exportfs -v)
+router.get('/active', requireAuth, (req, res) => {
+    try {
+        res.json({ active: listActiveExports() });
+    } catch (e) {
+        console.error('List NFS exports error:', e.message);
+        res.status(500).json({ error: 'Failed to read active exports' });
+    }
+});
+
+// Create export
+router.post('/exports', requireAdmin, (req, res) => {
+    try {
+        const data = getData();
+        const exports = data.nfsExports || [];
+
+        const { nfsExport, error } = buildExport(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (exports.some(e => e.path === nfsExport.path)) {
+            return res.status(409).json({ error: 'This path is already exported' });
+        }
+
+        // ids double as fsid, which must be unique and non-zero (0 is the NFSv4 root)
+        nfsExport.id = exports.reduce((max, e) => Math.max(max, e.id), 0) + 1;
+
+        const updated = [...exports, nfsExport];
+        applyExportsConfig(updated);
+
+        data.nfsExports = updated;
+        saveData(data);
+
+        logSecurityEvent('NFS_EXPORT_CREATED', { path: nfsExport.path, clients: nfsExport.clients, user: req.user.username }, req.ip);
+        res.json({ success: true, export: nfsExport });
+    } catch (e) {
+        sendApplyError(res, e, 'Failed to create export');
+    }
+});
+
+// Update export
+router.put('/exports/:id', requireAdmin, (req, res) => {
+    try {
+        const data = getData();
+        const exports = data.nfsExports || [];
+
+        const index = exports.findIndex(e => e.id === Number(req.params.id));
+        if (index === -1) {
+            return res.status(404).json({ error: 'Export not found' });
+        }
+
+        const { nfsExport, error } = buildExport(req.body, exports[index]);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (exports.some((e, i) => i !== index && e.path === nfsExport.path)) {
+            return res.status(409).json({ error: 'This path is already exported' });
+        }
+
+        const updated = exports.map((e, i) => (i === index ? nfsExport : e));
+        applyExportsConfig(updated);
+
+        data.nfsExports = updated;
+        saveData(data);
+
+        logSecurityEvent('NFS_EXPORT_UPDATED', { path: nfsExport.path, clients: nfsExport.clients, user: req.user.username }, req.ip);
+        res.json({ success: true, export: nfsExport });
+    } catch (e) {
+        sendApplyError(res, e, 'Failed to update export');
+    }
+});
+
+// Delete export (files are untouched)
+router.delete('/exports/:id', requireAdmin, (req, res) => {
+    try {
+        const data = getData();
+        const exports = data.nfsExports || [];
+
+        const index = exports.findIndex(e => e.id === Number(req.params.id));
+        if (index === -1) {
+            return res.status(404).json({ error: 'Export not found' });
+        }
+
+        const removed = exports[index];
+        const updated = exports.filter((_, i) => i !== index);
+        applyExportsConfig(updated);
+
+        data.nfsExports = updated;
+        saveData(data);
+
+        logSecurityEvent('NFS_EXPORT_DELETED', { path: removed.path, user: req.user.username }, req.ip);
+        res.json({ success: true });
+    } catch (e) {
+        sendApplyError(res, e, 'Failed to delete export');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,38 @@
+/**
+ * HomePiNAS - Prometheus Exporter Route
+ * v3.2.0 - Metrics History
+ *
+ * GET /metrics in the Prometheus text format. Off by default; scrapers
+ * authenticate with "Authorization: Bearer <token>" (no session needed).
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { logAnonymousSecurityEvent } = require('../utils/security');
+const { getExporterSettings, verifyExporterToken, renderPrometheusMetrics } = require('../utils/prometheus');
+
+// Scrape endpoint
+router.get('/', async (req, res) => {
+    if (!getExporterSettings().enabled) {
+        return res.status(404).json({ error: 'Metrics exporter is disabled' });
+    }
+
+    const match = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+    if (!match || !verifyExporterToken(match[1])) {
+        logAnonymousSecurityEvent('METRICS_EXPORTER_AUTH_FAILED', {}, req.ip);
+        res.setHeader('WWW-Authenticate', 'Bearer realm="HomePiNAS metrics"');
+        return res.status(401).json({ error: 'Invalid or missing metrics token' });
+    }
+
+    try {
+        const body = await renderPrometheusMetrics();
+        res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.send(body);
+    } catch (e) {
+        console.error('Prometheus exporter error:', e);
+        res.status(500).json({ error: 'Failed to collect metrics' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,87 @@
+/**
+ * HomePiNAS - Session Management Routes
+ * v3.2.0 - Multi-user Support
+ *
+ * List and revoke login sessions, session expiry policy
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { logSecurityEvent } = require('../utils/security');
+const { hasRole } = require('../utils/users');
+const {
+    listSessions,
+    destroySession,
+    destroyOtherUserSessions,
+    getSessionPolicy,
+    updateSessionPolicy
+} = require('../utils/session');
+
+/**
+ * Strip the bearer token and flag the caller's own session
+ */
+function toPublicSession(session, currentSessionId) {
+    const { sessionId, ...rest } = session;
+    return { ...rest, current: sessionId === currentSessionId };
+}
+
+// List sessions (own sessions; admins can request all with ?all=true)
+router.get('/', requireAuth, (req, res) => {
+    const all = req.query.all === 'true' && hasRole(req.user.role, 'admin');
+    const sessions = listSessions(all ? null : req.user.username);
+
+    res.json({
+        sessions: sessions.map(s => toPublicSession(s, req.sessionId))
+    });
+});
+
+// Get session expiry policy
+router.get('/policy', requireAuth, (req, res) => {
+    res.json(getSessionPolicy());
+});
+
+// Update session expiry policy (applies to new sessions and on next activity)
+router.put('/policy', requireAdmin, (req, res) => {
+    const { idleTimeoutMinutes, absoluteTimeoutHours, rememberDays } = req.body;
+
+    const error = updateSessionPolicy({ idleTimeoutMinutes, absoluteTimeoutHours, rememberDays });
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const policy = getSessionPolicy();
+    logSecurityEvent('SESSION_POLICY_UPDATED', { ...policy, user: req.user.username }, req.ip);
+    res.json({ success: true, policy });
+});
+
+// Log out everywhere else (all own sessions except the current one)
+router.delete('/', requireAuth, (req, res) => {
+    const count = destroyOtherUserSessions(req.user.username, req.sessionId);
+
+    logSecurityEvent('SESSIONS_REVOKED_ALL', { user: req.user.username, count }, req.ip);
+    res.json({ success: true, revoked: count });
+});
+
+// Revoke a single session by its public id
+router.delete('/:id', requireAuth, (req, res) => {
+    const isAdmin = hasRole(req.user.role, 'admin');
+    const session = listSessions(isAdmin ? null : req.user.username)
+        .find(s => s.id === req.params.id);
+
+    if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+
+    destroySession(session.sessionId);
+
+    logSecurityEvent('SESSION_REVOKED', {
+        user: req.user.username,
+        owner: session.username,
+        session: session.id
+    }, req.ip);
+    res.json({ success: true, current: session.sessionId === req.sessionId });
+});
+
+module.exports = router;
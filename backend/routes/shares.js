@@ -0,0 +1,173 @@
+/**
+ * HomePiNAS - SMB Share Routes
+ * v3.2.0 - File Sharing
+ *
+ * Create, edit and delete Samba shares under the storage pool
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { logSecurityEvent } = require('../utils/security');
+const { getData, saveData } = require('../utils/data');
+const { POOL_MOUNT } = require('../utils/storage-paths');
+const {
+    SHARES_CONF,
+    validateShareName,
+    resolveSharePath,
+    sanitizeValidUsers,
+    sanitizeShareComment,
+    applySharesConfig
+} = require('../utils/samba-shares');
+
+/**
+ * Build a share record from a request body, merged over an existing share.
+ * Returns { share } or { error }.
+ */
+function buildShare(body, existing = {}) {
+    const name = body.name !== undefined ? body.name : existing.name;
+    if (!validateShareName(name)) {
+        return { error: 'Invalid share name. Use up to 32 letters, numbers, spaces, _ . or -' };
+    }
+
+    const sharePath = body.path !== undefined ? resolveSharePath(body.path) : existing.path;
+    if (!sharePath) {
+        return { error: `Invalid path. Shares must be inside ${POOL_MOUNT}` };
+    }
+
+    const validUsers = body.validUsers !== undefined ? sanitizeValidUsers(body.validUsers) : (existing.validUsers || []);
+    if (validUsers === null) {
+        return { error: 'Invalid valid users. Use usernames or @group names' };
+    }
+
+    const flag = (key, fallback) => (body[key] !== undefined ? body[key] === true : (existing[key] !== undefined ? existing[key] : fallback));
+
+    return {
+        share: {
+            name,
+            path: sharePath,
+            comment: body.comment !== undefined ? sanitizeShareComment(body.comment) : (existing.comment || ''),
+            readOnly: flag('readOnly', false),
+            guestOk: flag('guestOk', false),
+            validUsers,
+            recycleBin: flag('recycleBin', false),
+            createdAt: existing.createdAt || new Date().toISOString()
+        }
+    };
+}
+
+/**
+ * testparm rejections are the caller's fault; anything else is a server error
+ */
+function sendApplyError(res, e, fallback) {
+    console.error(`${fallback}:`, e.message);
+    if (e.invalidConfig) {
+        return res.status(400).json({ error: e.message });
+    }
+    res.status(500).json({ error: fallback });
+}
+
+/**
+ * Share names are case-insensitive in Samba
+ */
+function findShareIndex(shares, name) {
+    return shares.findIndex(s => s.name.toLowerCase() === String(name).toLowerCase());
+}
+
+// List shares
+router.get('/', requireAuth, (req, res) => {
+    const data = getData();
+    res.json({
+        shares: data.shares || [],
+        poolMount: POOL_MOUNT,
+        configFile: SHARES_CONF
+    });
+});
+
+// Create share
+router.post('/', requireAdmin, (req, res) => {
+    try {
+        const data = getData();
+        const shares = data.shares || [];
+
+        const { share, error } = buildShare(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (findShareIndex(shares, share.name) !== -1) {
+            return res.status(409).json({ error: 'A share with this name already exists' });
+        }
+
+        const updated = [...shares, share];
+        applySharesConfig(updated);
+
+        data.shares = updated;
+        saveData(data);
+
+        logSecurityEvent('SHARE_CREATED', { name: share.name, path: share.path, user: req.user.username }, req.ip);
+        res.json({ success: true, share });
+    } catch (e) {
+        sendApplyError(res, e, 'Failed to create share');
+    }
+});
+
+// Update share
+router.put('/:name', requireAdmin, (req, res) => {
+    try {
+        const data = getData();
+        const shares = data.shares || [];
+
+        const index = findShareIndex(shares, req.params.name);
+        if (index === -1) {
+            return res.status(404).json({ error: 'Share not found' });
+        }
+
+        const { share, error } = buildShare(req.body, shares[index]);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const clash = findShareIndex(shares, share.name);
+        if (clash !== -1 && clash !== index) {
+            return res.status(409).json({ error: 'A share with this name already exists' });
+        }
+
+        const updated = shares.map((s, i) => (i === index ? share : s));
+        applySharesConfig(updated);
+
+        data.shares = updated;
+        saveData(data);
+
+        logSecurityEvent('SHARE_UPDATED', { name: share.name, path: share.path, user: req.user.username }, req.ip);
+        res.json({ success: true, share });
+    } catch (e) {
+        sendApplyError(res, e, 'Failed to update share');
+    }
+});
+
+// Delete share (the directory and its files are kept)
+router.delete('/:name', requireAdmin, (req, res) => {
+    try {
+        const data = getData();
+        const shares = data.shares || [];
+
+        const index = findShareIndex(shares, req.params.name);
+        if (index === -1) {
+            return res.status(404).json({ error: 'Share not found' });
+        }
+
+        const removed = shares[index];
+        const updated = shares.filter((_, i) => i !== index);
+        applySharesConfig(updated);
+
+        data.shares = updated;
+        saveData(data);
+
+        logSecurityEvent('SHARE_DELETED', { name: removed.name, user: req.user.username }, req.ip);
+        res.json({ success: true, message: 'Share removed. Files were not deleted.' });
+    } catch (e) {
+        sendApplyError(res, e, 'Failed to delete share');
+    }
+});
+
+module.exports = router;
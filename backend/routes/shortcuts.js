@@ -13,7 +13,7 @@ const router = express.Router();
 const fs = require('fs');
 const path = require('path');
 
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
 const { logSecurityEvent } = require('../utils/security');
 
 const SHORTCUTS_FILE = path.join(__dirname, '..', 'config', 'shortcuts.json');
@@ -99,7 +99,7 @@ router.get('/', requireAuth, (req, res) => {
 });
 
 // Create new shortcut
-router.post('/', requireAuth, (req, res) => {
+router.post('/', requireAdmin, (req, res) => {
     const sanitized = sanitizeShortcut(req.body);
     
     if (!sanitized) {
@@ -132,7 +132,7 @@ router.post('/', requireAuth, (req, res) => {
 });
 
 // Update shortcut
-router.put('/:id', requireAuth, (req, res) => {
+router.put('/:id', requireAdmin, (req, res) => {
     const { id } = req.params;
     
     // Cannot edit default shortcuts
@@ -171,7 +171,7 @@ router.put('/:id', requireAuth, (req, res) => {
 });
 
 // Delete shortcut
-router.delete('/:id', requireAuth, (req, res) => {
+router.delete('/:id', requireAdmin, (req, res) => {
     const { id } = req.params;
     
     // Cannot delete default shortcuts
@@ -13,10 +13,78 @@ const path = require('path');
 const crypto = require('crypto');
 const { execSync, spawn } = require('child_process');
 
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, requireRole, requireAdmin } = require('../middleware/auth');
 const { logSecurityEvent } = require('../utils/security');
 const { getData, saveData } = require('../utils/data');
 const { validateSession } = require('../utils/session');
+const { findUser, hasRole } = require('../utils/users');
+const {
+    STORAGE_MOUNT_BASE,
+    POOL_MOUNT,
+    POOL_BACKING_MOUNT,
+    NONRAID_MOUNT_PREFIX,
+    NONRAID_DAT,
+    getStorageBackend
+} = require('../utils/storage-paths');
+const { SHARES_CONF } = require('../utils/samba-shares');
+const { listJobRuns, getLastJobRun, JOBS_MAX_PAGE_SIZE } = require('../utils/job-history');
+const {
+    SNAPRAID_CONF,
+    SNAPRAID_JOBS,
+    runSnapraidSync,
+    runSnapraidScrub,
+    cancelSnapraidScrub,
+    validateScrubOptions,
+    getSnapraidSyncStatus,
+    getSnapraidScrubStatus,
+    getActiveSnapraidJob,
+    listSnapraidDataDisks,
+    buildRepairArgs,
+    runSnapraidRepair,
+    getSnapraidRepairStatus,
+    readSnapraidReport
+} = require('../utils/snapraid');
+const { parseStatusOutput, parseDiffOutput, parseSmartOutput } = require('../utils/snapraid-parsers');
+const {
+    getSnapraidSchedule,
+    buildSnapraidSchedule,
+    saveSnapraidSchedule,
+    getSyncDeleteLimit,
+    getNextScheduledRuns
+} = require('../utils/snapraid-scheduler');
+const { startDiskReplace, getDiskReplaceStatus } = require('../utils/disk-replace');
+const { listUnusedDisks, findNextDiskNumber, addPoolDisk, isMountPoint } = require('../utils/pool-disks');
+const { getFilesystemUuid, writeManagedEntries } = require('../utils/fstab');
+const {
+    MERGERFS_POLICIES,
+    CACHE_FILES_MODES,
+    getPoolSettings,
+    buildPoolSettings,
+    savePoolSettings,
+    isTieredPool,
+    poolTargets,
+    buildMergerfsOptions,
+    applyRuntimeSettings,
+    updatePoolFstabOptions
+} = require('../utils/mergerfs');
+const {
+    buildPoolPlan,
+    buildArrayPlan,
+    buildAddDiskPlan,
+    buildReplacePlan,
+    renderPoolFstab,
+    issuePlanToken,
+    confirmPlan
+} = require('../utils/storage-plan');
+const {
+    getMoverSettings,
+    buildMoverSettings,
+    saveMoverSettings,
+    getNextMoverRun,
+    listCacheUsage,
+    runCacheMover,
+    getCacheMoverStatus
+} = require('../utils/cache-mover');
 
 // ===========================================
 // SECURITY: Input Validation Functions
@@ -78,36 +146,6 @@ function sanitizeError(error) {
 }
 
 // Constants - SnapRAID
-const STORAGE_MOUNT_BASE = '/mnt/disks';
-const POOL_MOUNT = '/mnt/storage';
-const SNAPRAID_CONF = '/etc/snapraid.conf';
-
-// Constants - NonRAID
-const NONRAID_DAT = '/nonraid.dat';
-const NONRAID_MOUNT_PREFIX = '/mnt/disk';
-
-// Detect storage backend from config file
-function getStorageBackend() {
-    try {
-        const configPath = path.join(__dirname, '..', 'storage-backend.conf');
-        if (fs.existsSync(configPath)) {
-            const content = fs.readFileSync(configPath, 'utf8');
-            const match = content.match(/STORAGE_BACKEND=(\w+)/);
-            if (match) return match[1];
-        }
-    } catch (e) {}
-    // Also check environment variable
-    return process.env.STORAGE_BACKEND || 'snapraid';
-}
-
-// SnapRAID sync progress tracking
-let snapraidSyncStatus = {
-    running: false,
-    progress: 0,
-    status: '',
-    startTime: null,
-    error: null
-};
 
 // NonRAID status tracking
 let nonraidStatus = {
@@ -172,14 +210,20 @@ router.get('/pool/status', async (req, res) => {
             }
         } catch (e) {}
 
+        // Runs are recorded in the job history; older installs logged them to a file
         let lastSync = null;
-        try {
-            const logContent = execSync('tail -20 /var/log/snapraid-sync.log 2>/dev/null || echo ""', { encoding: 'utf8' });
-            const syncMatch = logContent.match(/SnapRAID Sync Finished: (.+?)=/);
-            if (syncMatch) {
-                lastSync = syncMatch[1].trim();
-            }
-        } catch (e) {}
+        const lastSyncRun = getLastJobRun('sync', 'success');
+        if (lastSyncRun) {
+            lastSync = new Date(lastSyncRun.finishedAt).toLocaleString();
+        } else {
+            try {
+                const logContent = execSync('tail -20 /var/log/snapraid-sync.log 2>/dev/null || echo ""', { encoding: 'utf8' });
+                const syncMatch = logContent.match(/SnapRAID Sync Finished: (.+?)=/);
+                if (syncMatch) {
+                    lastSync = syncMatch[1].trim();
+                }
+            } catch (e) {}
+        }
 
         res.json({
             configured: snapraidConfigured,
@@ -196,9 +240,11 @@ router.get('/pool/status', async (req, res) => {
     }
 });
 
-// Apply storage configuration
-router.post('/pool/configure', requireAuth, async (req, res) => {
-    const { disks } = req.body;
+// Apply storage configuration. With dryRun: true, returns the plan and a
+// confirmation token instead; executing requires the token and the serials
+// of the disks to format (confirmSerials: { sdb: 'WD-...' }).
+router.post('/pool/configure', requireAdmin, async (req, res) => {
+    const { disks, dryRun, confirmToken, confirmSerials } = req.body;
 
     if (!disks || !Array.isArray(disks) || disks.length === 0) {
         return res.status(400).json({ error: 'No disks provided' });
@@ -217,7 +263,6 @@ router.post('/pool/configure', requireAuth, async (req, res) => {
 
     const dataDisks = disks.filter(d => d.role === 'data');
     const parityDisks = disks.filter(d => d.role === 'parity');
-    const cacheDisks = disks.filter(d => d.role === 'cache');
 
     if (dataDisks.length === 0) {
         return res.status(400).json({ error: 'At least one data disk is required' });
@@ -225,117 +270,55 @@ router.post('/pool/configure', requireAuth, async (req, res) => {
 
     // Parity is now optional - SnapRAID will only be configured if parity disks are present
 
+    const { plan, error: planError } = buildPoolPlan(disks);
+    if (planError) {
+        return res.status(400).json({ error: planError });
+    }
+
+    if (dryRun === true) {
+        const { token, expiresAt } = issuePlanToken(plan, req.user.username);
+        return res.json({ dryRun: true, plan, confirmToken: token, expiresAt });
+    }
+
+    const confirmError = confirmPlan(plan, req.user.username, confirmToken, confirmSerials);
+    if (confirmError) {
+        logSecurityEvent('STORAGE_CONFIRMATION_FAILED', { kind: 'pool', user: req.user.username }, req.ip);
+        return res.status(400).json({ error: confirmError, confirmationRequired: true });
+    }
+
     try {
         const results = [];
 
         // 1. Format disks that need formatting
-        for (const disk of disks) {
-            if (disk.format) {
-                // disk.id already validated above
-                const diskDevice = `/dev/${disk.id}`;
-                results.push(`Formatting ${diskDevice}...`);
-                try {
-                    // Use spawn with array arguments to prevent shell injection
-                    execSync(`sudo parted -s ${diskDevice} mklabel gpt`, { encoding: 'utf8' });
-                    execSync(`sudo parted -s ${diskDevice} mkpart primary ext4 0% 100%`, { encoding: 'utf8' });
-                    execSync(`sudo partprobe ${diskDevice}`, { encoding: 'utf8' });
-                    execSync('sleep 2');
-
-                    const partition = disk.id.includes('nvme') ? `${disk.id}p1` : `${disk.id}1`;
-                    const partDevice = `/dev/${partition}`;
-                    const label = `${disk.role}_${disk.id}`.substring(0, 16); // ext4 label max 16 chars
-                    execSync(`sudo mkfs.ext4 -F -L ${label} ${partDevice}`, { encoding: 'utf8' });
-                    results.push(`Formatted ${partDevice} as ext4`);
-                } catch (e) {
-                    results.push(`Warning: Format failed for ${disk.id}: ${sanitizeError(e)}`);
-                }
+        for (const disk of plan.disks.filter(d => d.wipe)) {
+            results.push(`Formatting ${disk.device}...`);
+            try {
+                // Use spawn with array arguments to prevent shell injection
+                execSync(`sudo parted -s ${disk.device} mklabel gpt`, { encoding: 'utf8' });
+                execSync(`sudo parted -s ${disk.device} mkpart primary ext4 0% 100%`, { encoding: 'utf8' });
+                execSync(`sudo partprobe ${disk.device}`, { encoding: 'utf8' });
+                execSync('sleep 2');
+
+                execSync(`sudo mkfs.ext4 -F -L ${disk.label} ${disk.partition}`, { encoding: 'utf8' });
+                results.push(`Formatted ${disk.partition} as ext4`);
+            } catch (e) {
+                results.push(`Warning: Format failed for ${disk.id}: ${sanitizeError(e)}`);
             }
         }
 
         // 2. Create mount points and mount disks
-        let diskNum = 1;
-        const dataMounts = [];
-        const parityMounts = [];
-        const cacheMounts = [];
-
-        for (const disk of dataDisks) {
-            const partition = disk.id.includes('nvme') ? `${disk.id}p1` : `${disk.id}1`;
-            const mountPoint = `${STORAGE_MOUNT_BASE}/disk${diskNum}`;
-
-            execSync(`sudo mkdir -p ${mountPoint}`, { encoding: 'utf8' });
-            execSync(`sudo mount /dev/${partition} ${mountPoint} 2>/dev/null || true`, { encoding: 'utf8' });
-            execSync(`sudo mkdir -p ${mountPoint}/.snapraid`, { encoding: 'utf8' });
-
-            dataMounts.push({ disk: disk.id, partition, mountPoint, num: diskNum });
-            results.push(`Mounted /dev/${partition} at ${mountPoint}`);
-            diskNum++;
-        }
-
-        let parityNum = 1;
-        for (const disk of parityDisks) {
-            const partition = disk.id.includes('nvme') ? `${disk.id}p1` : `${disk.id}1`;
-            const mountPoint = `/mnt/parity${parityNum}`;
-
-            execSync(`sudo mkdir -p ${mountPoint}`, { encoding: 'utf8' });
-            execSync(`sudo mount /dev/${partition} ${mountPoint} 2>/dev/null || true`, { encoding: 'utf8' });
-
-            parityMounts.push({ disk: disk.id, partition, mountPoint, num: parityNum });
-            results.push(`Mounted /dev/${partition} at ${mountPoint} (parity)`);
-            parityNum++;
-        }
-
-        let cacheNum = 1;
-        for (const disk of cacheDisks) {
-            const partition = disk.id.includes('nvme') ? `${disk.id}p1` : `${disk.id}1`;
-            const mountPoint = `${STORAGE_MOUNT_BASE}/cache${cacheNum}`;
-
-            execSync(`sudo mkdir -p ${mountPoint}`, { encoding: 'utf8' });
-            execSync(`sudo mount /dev/${partition} ${mountPoint} 2>/dev/null || true`, { encoding: 'utf8' });
-
-            cacheMounts.push({ disk: disk.id, partition, mountPoint, num: cacheNum });
-            results.push(`Mounted /dev/${partition} at ${mountPoint} (cache)`);
-            cacheNum++;
+        for (const disk of plan.disks.filter(d => d.mountPoint)) {
+            execSync(`sudo mkdir -p ${disk.mountPoint}`, { encoding: 'utf8' });
+            execSync(`sudo mount ${disk.partition} ${disk.mountPoint} 2>/dev/null || true`, { encoding: 'utf8' });
+            if (disk.role === 'data') {
+                execSync(`sudo mkdir -p ${disk.mountPoint}/.snapraid`, { encoding: 'utf8' });
+            }
+            results.push(`Mounted ${disk.partition} at ${disk.mountPoint}${disk.role === 'data' ? '' : ` (${disk.role})`}`);
         }
 
-        // 3. Generate SnapRAID config (only if parity disks are present)
-        if (parityMounts.length > 0) {
-            let snapraidConf = `# HomePiNAS SnapRAID Configuration
-# Generated: ${new Date().toISOString()}
-
-# Parity files
-`;
-            parityMounts.forEach((p, i) => {
-                if (i === 0) {
-                    snapraidConf += `parity ${p.mountPoint}/snapraid.parity\n`;
-                } else {
-                    snapraidConf += `${i + 1}-parity ${p.mountPoint}/snapraid.parity\n`;
-                }
-            });
-
-            snapraidConf += `\n# Content files (stored on data disks)\n`;
-            dataMounts.forEach(d => {
-                snapraidConf += `content ${d.mountPoint}/.snapraid/snapraid.content\n`;
-            });
-
-            snapraidConf += `\n# Data disks\n`;
-            dataMounts.forEach(d => {
-                snapraidConf += `disk d${d.num} ${d.mountPoint}\n`;
-            });
-
-            snapraidConf += `\n# Exclude files
-exclude *.unrecoverable
-exclude /tmp/
-exclude /lost+found/
-exclude .Thumbs.db
-exclude .DS_Store
-exclude *.!sync
-exclude .AppleDouble
-exclude ._AppleDouble
-exclude .Spotlight-V100
-exclude .TemporaryItems
-exclude .Trashes
-exclude .fseventsd
-`;
+        // 3. Write SnapRAID config (only if parity disks are present)
+        if (plan.snapraidConf) {
+            const snapraidConf = `# Generated: ${new Date().toISOString()}\n${plan.snapraidConf}`;
 
             // SECURITY: Write config via temp file instead of shell interpolation
             const tmpConfPath = `/tmp/snapraid-${crypto.randomBytes(8).toString('hex')}.conf`;
@@ -347,14 +330,16 @@ exclude .fseventsd
             results.push('SnapRAID skipped (no parity disks configured)');
         }
 
-        // 4. Configure MergerFS
-        const mergerfsSource = dataMounts.map(d => d.mountPoint).join(':');
-        execSync(`sudo mkdir -p ${POOL_MOUNT}`, { encoding: 'utf8' });
+        // 4. Configure MergerFS (the backing pool first when there is a cache tier)
         execSync(`sudo umount ${POOL_MOUNT} 2>/dev/null || true`, { encoding: 'utf8' });
-
-        const mergerfsOpts = 'defaults,allow_other,nonempty,use_ino,cache.files=partial,dropcacheonclose=true,category.create=mfs';
-        execSync(`sudo mergerfs -o ${mergerfsOpts} ${mergerfsSource} ${POOL_MOUNT}`, { encoding: 'utf8' });
-        results.push(`MergerFS pool mounted at ${POOL_MOUNT}`);
+        execSync(`sudo umount ${POOL_BACKING_MOUNT} 2>/dev/null || true`, { encoding: 'utf8' });
+        for (const pool of [plan.backing, plan.mergerfs].filter(Boolean)) {
+            execSync(`sudo mkdir -p ${pool.mount}`, { encoding: 'utf8' });
+            execSync(`sudo mergerfs -o ${pool.options} ${pool.branches} ${pool.mount}`, { encoding: 'utf8' });
+        }
+        results.push(plan.backing
+            ? `MergerFS pool mounted at ${POOL_MOUNT} with a cache tier (data disks at ${POOL_BACKING_MOUNT})`
+            : `MergerFS pool mounted at ${POOL_MOUNT}`);
 
         // Set permissions
         try {
@@ -365,30 +350,14 @@ exclude .fseventsd
             results.push('Warning: Could not set Samba permissions');
         }
 
-        // 5. Update /etc/fstab
-        let fstabEntries = '\n# HomePiNAS Storage Configuration\n';
-
-        dataMounts.forEach(d => {
-            fstabEntries += `UUID=$(sudo blkid -s UUID -o value /dev/${d.partition}) ${d.mountPoint} ext4 defaults,nofail 0 2\n`;
-        });
-
-        parityMounts.forEach(p => {
-            fstabEntries += `UUID=$(sudo blkid -s UUID -o value /dev/${p.partition}) ${p.mountPoint} ext4 defaults,nofail 0 2\n`;
-        });
-
-        cacheMounts.forEach(c => {
-            fstabEntries += `UUID=$(sudo blkid -s UUID -o value /dev/${c.partition}) ${c.mountPoint} ext4 defaults,nofail 0 2\n`;
-        });
-
-        fstabEntries += `${mergerfsSource} ${POOL_MOUNT} fuse.mergerfs ${mergerfsOpts},nofail 0 0\n`;
-
-        // SECURITY: Update fstab via temp file instead of shell interpolation
-        execSync(`sudo sed -i '/# HomePiNAS Storage/,/^$/d' /etc/fstab`, { encoding: 'utf8' });
-        const tmpFstabPath = `/tmp/fstab-${crypto.randomBytes(8).toString('hex')}.tmp`;
-        fs.writeFileSync(tmpFstabPath, fstabEntries, { mode: 0o600 });
-        execSync(`cat ${tmpFstabPath} | sudo tee -a /etc/fstab > /dev/null`, { encoding: 'utf8' });
-        fs.unlinkSync(tmpFstabPath);
-        results.push('Updated /etc/fstab for persistence');
+        // 5. Update /etc/fstab: replace the HomePiNAS block with the planned entries
+        try {
+            writeManagedEntries(renderPoolFstab(plan, d => getFilesystemUuid(d.partition)));
+            results.push('Updated /etc/fstab for persistence');
+        } catch (e) {
+            console.error('fstab update failed:', e.message);
+            results.push(`Warning: /etc/fstab not updated, mounts will not persist across reboots: ${e.message}`);
+        }
 
         results.push('Starting initial SnapRAID sync (this may take a while)...');
 
@@ -413,129 +382,449 @@ exclude .fseventsd
     }
 });
 
-// Run SnapRAID sync
-router.post('/snapraid/sync', requireAuth, async (req, res) => {
-    if (snapraidSyncStatus.running) {
-        return res.status(409).json({ error: 'Sync already in progress', progress: snapraidSyncStatus.progress });
+// Add a data disk to the configured pool as the next free diskN (formats the disk)
+router.post('/pool/disks', requireAdmin, async (req, res) => {
+    const { disk, dryRun, confirmToken, confirmSerials } = req.body || {};
+
+    if (getStorageBackend() !== 'snapraid') {
+        return res.status(400).json({ error: 'SnapRAID + MergerFS backend not active' });
+    }
+    if (!getData().poolConfigured) {
+        return res.status(400).json({ error: 'Storage pool is not configured yet' });
+    }
+    if (!validateDiskId(disk)) {
+        logSecurityEvent('INVALID_DISK_ID', { diskId: disk }, req.ip);
+        return res.status(400).json({ error: 'Invalid disk identifier' });
+    }
+    if (!listUnusedDisks().some(d => d.id === disk)) {
+        return res.status(400).json({ error: `/dev/${disk} is in use or not available. Use an unmounted disk.` });
+    }
+    if (getActiveSnapraidJob() || getDiskReplaceStatus().active) {
+        return res.status(409).json({ error: 'A storage job is in progress. Try again when it finishes.' });
     }
 
-    snapraidSyncStatus = {
-        running: true,
-        progress: 0,
-        status: 'Starting sync...',
-        startTime: Date.now(),
-        error: null
-    };
+    // The disk number is part of the plan: a token from an older dry run no longer matches
+    const { plan, error: planError } = buildAddDiskPlan(disk, findNextDiskNumber());
+    if (planError) {
+        return res.status(400).json({ error: planError });
+    }
 
-    // SECURITY: Remove shell option - pass args as array
-    const syncProcess = spawn('sudo', ['snapraid', 'sync', '-v'], {
-        stdio: ['pipe', 'pipe', 'pipe']
-    });
+    if (dryRun === true) {
+        const { token, expiresAt } = issuePlanToken(plan, req.user.username);
+        return res.json({ dryRun: true, plan, confirmToken: token, expiresAt });
+    }
 
-    let output = '';
+    const confirmError = confirmPlan(plan, req.user.username, confirmToken, confirmSerials);
+    if (confirmError) {
+        logSecurityEvent('STORAGE_CONFIRMATION_FAILED', { kind: 'pool-disk', user: req.user.username }, req.ip);
+        return res.status(400).json({ error: confirmError, confirmationRequired: true });
+    }
 
-    const parseOutput = (data) => {
-        const text = data.toString();
-        output += text;
+    try {
+        const { name, mountPoint, results } = await addPoolDisk(disk, plan.disks[0].num);
 
-        const lines = text.split('\n');
-        for (const line of lines) {
-            const progressMatch = line.match(/(\d+)%/);
-            if (progressMatch) {
-                snapraidSyncStatus.progress = parseInt(progressMatch[1]);
-            }
+        const data = getData();
+        data.storageConfig = (data.storageConfig || []).filter(d => d.id !== disk);
+        data.storageConfig.push({ id: disk, role: 'data' });
+        saveData(data);
 
-            if (line.includes('completed') || line.includes('Nothing to do')) {
-                snapraidSyncStatus.progress = 100;
-                snapraidSyncStatus.status = 'Sync completed';
-            }
+        logSecurityEvent('STORAGE_DISK_ADDED', { disk, name, mountPoint, user: req.user.username }, req.ip);
+        res.json({ success: true, message: `Disk added as ${name}`, name, mountPoint, results });
+    } catch (e) {
+        console.error('Add disk error:', e);
+        res.status(500).json({ error: `Failed to add disk: ${e.message}` });
+    }
+});
 
-            const fileMatch = line.match(/(\d+)\s+(files?|blocks?)/i);
-            if (fileMatch) {
-                snapraidSyncStatus.status = `Processing ${fileMatch[1]} ${fileMatch[2]}...`;
-            }
+// Get MergerFS pool policies and options
+router.get('/pool/settings', requireAuth, (req, res) => {
+    const settings = getPoolSettings();
+    res.json({
+        settings,
+        options: buildMergerfsOptions(poolTargets(settings)[0].settings),
+        tiered: isTieredPool(),
+        policies: MERGERFS_POLICIES,
+        cacheFilesModes: CACHE_FILES_MODES,
+        mounted: isMountPoint(POOL_MOUNT)
+    });
+});
 
-            if (line.includes('Syncing')) {
-                snapraidSyncStatus.status = line.trim().substring(0, 50);
-            }
+// Update MergerFS pool policies and options: applied to the running pool
+// where mergerfs allows it and persisted to the fstab pool entry
+router.put('/pool/settings', requireAdmin, (req, res) => {
+    const { settings, error } = buildPoolSettings(req.body || {}, getPoolSettings());
+    if (error) {
+        return res.status(400).json({ error });
+    }
 
-            if (line.includes('Self test') || line.includes('Verifying')) {
-                snapraidSyncStatus.status = line.trim().substring(0, 50);
-            }
-        }
-    };
+    savePoolSettings(settings);
 
-    syncProcess.stdout.on('data', parseOutput);
-    syncProcess.stderr.on('data', parseOutput);
+    let runtime = { applied: [], pendingRemount: [] };
+    const mounted = isMountPoint(POOL_MOUNT);
+    if (mounted) {
+        runtime = applyRuntimeSettings(settings);
+    }
 
-    const progressSimulator = setInterval(() => {
-        const elapsed = Date.now() - snapraidSyncStatus.startTime;
+    let fstabUpdated = false;
+    let fstabError = null;
+    try {
+        fstabUpdated = updatePoolFstabOptions(settings);
+    } catch (e) {
+        console.error('Pool fstab update failed:', e.message);
+        fstabError = e.message;
+    }
 
-        if (snapraidSyncStatus.running && snapraidSyncStatus.progress === 0 && elapsed > 2000) {
-            const simulatedProgress = Math.min(90, Math.floor((elapsed - 2000) / 100));
-            if (simulatedProgress > snapraidSyncStatus.progress) {
-                snapraidSyncStatus.progress = simulatedProgress;
-                snapraidSyncStatus.status = 'Initializing parity data...';
-            }
-        }
-    }, 500);
+    logSecurityEvent('POOL_SETTINGS_UPDATED', { settings, user: req.user.username }, req.ip);
+    res.json({
+        success: true,
+        settings,
+        options: buildMergerfsOptions(poolTargets(settings)[0].settings),
+        mounted,
+        applied: runtime.applied,
+        pendingRemount: runtime.pendingRemount,
+        fstabUpdated,
+        fstabError
+    });
+});
 
-    syncProcess.on('close', (code) => {
-        clearInterval(progressSimulator);
+// Cache tier: mover settings, cache disk usage and current run
+router.get('/cache/mover', requireAuth, (req, res) => {
+    const settings = getMoverSettings();
+    let cache = [];
+    try {
+        cache = listCacheUsage();
+    } catch (e) {
+        console.error('Cache usage error:', e.message);
+    }
 
-        if (code === 0) {
-            snapraidSyncStatus.progress = 100;
-            snapraidSyncStatus.status = 'Sync completed successfully';
-            snapraidSyncStatus.error = null;
-        } else {
-            if (output.includes('Nothing to do')) {
-                snapraidSyncStatus.progress = 100;
-                snapraidSyncStatus.status = 'Already in sync (nothing to do)';
-                snapraidSyncStatus.error = null;
-            } else {
-                snapraidSyncStatus.error = `Sync exited with code ${code}`;
-                snapraidSyncStatus.status = 'Sync failed';
-            }
-        }
-        snapraidSyncStatus.running = false;
-        logSecurityEvent('SNAPRAID_SYNC_COMPLETE', { code, duration: Date.now() - snapraidSyncStatus.startTime }, '');
+    res.json({
+        tiered: isTieredPool(),
+        settings,
+        nextRun: getNextMoverRun(settings),
+        cache,
+        status: getCacheMoverStatus()
     });
+});
+
+// Update cache mover schedule and thresholds
+router.put('/cache/mover', requireAdmin, (req, res) => {
+    const { settings, error } = buildMoverSettings(req.body || {}, getMoverSettings());
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    saveMoverSettings(settings);
+    logSecurityEvent('CACHE_MOVER_UPDATED', { settings, user: req.user.username }, req.ip);
+    res.json({ success: true, settings, nextRun: getNextMoverRun(settings) });
+});
+
+// Run the cache mover now (in the background)
+router.post('/cache/mover/run', requireRole('user'), (req, res) => {
+    if (!isTieredPool()) {
+        return res.status(400).json({ error: 'The pool has no cache tier' });
+    }
+    if (getCacheMoverStatus().running) {
+        return res.status(409).json({ error: 'Cache mover already running' });
+    }
+
+    runCacheMover({ trigger: 'manual' }).catch(e => console.error('Cache mover error:', e.message));
+    logSecurityEvent('CACHE_MOVER_STARTED', { user: req.user.username }, req.ip);
+    res.json({ success: true, message: 'Cache mover started' });
+});
+
+// Get cache mover progress
+router.get('/cache/mover/progress', requireAuth, (req, res) => {
+    res.json(getCacheMoverStatus());
+});
 
-    syncProcess.on('error', (err) => {
-        clearInterval(progressSimulator);
-        snapraidSyncStatus.error = err.message;
-        snapraidSyncStatus.status = 'Sync failed to start';
-        snapraidSyncStatus.running = false;
+// Cache mover run history (newest first)
+router.get('/cache/mover/history', requireAuth, (req, res) => {
+    const limit = parseInt(req.query.limit, 10) || 20;
+    res.json({
+        runs: listJobRuns({ job: 'mover', limit }),
+        maxLimit: JOBS_MAX_PAGE_SIZE
     });
+});
+
+// Run SnapRAID sync (admins may pass force to bypass the deleted-files guard)
+router.post('/snapraid/sync', requireRole('user'), async (req, res) => {
+    if (getDiskReplaceStatus().active) {
+        return res.status(409).json({ error: 'Disk replacement in progress' });
+    }
+    const activeJob = getActiveSnapraidJob();
+    if (activeJob) {
+        return res.status(409).json({
+            error: activeJob === 'sync' ? 'Sync already in progress' : `SnapRAID ${activeJob} in progress`,
+            progress: getSnapraidSyncStatus().progress
+        });
+    }
+
+    const force = req.body && req.body.force === true;
+    if (force && !hasRole(req.user.role, 'admin')) {
+        return res.status(403).json({ error: 'Only admins can bypass the deleted-files guard' });
+    }
+
+    runSnapraidSync({ trigger: 'manual', maxDeleted: force ? null : getSyncDeleteLimit() });
+    if (force) {
+        logSecurityEvent('SNAPRAID_SYNC_FORCED', { user: req.user.username }, req.ip);
+    }
 
     res.json({ success: true, message: 'SnapRAID sync started in background' });
 });
 
 // Get SnapRAID sync progress
 router.get('/snapraid/sync/progress', requireAuth, (req, res) => {
-    res.json(snapraidSyncStatus);
+    res.json(getSnapraidSyncStatus());
 });
 
-// Run SnapRAID scrub
-router.post('/snapraid/scrub', requireAuth, async (req, res) => {
-    try {
-        execSync('sudo snapraid scrub -p 10', { encoding: 'utf8', timeout: 7200000 });
-        logSecurityEvent('SNAPRAID_SCRUB', {}, req.ip);
-        res.json({ success: true, message: 'SnapRAID scrub completed' });
-    } catch (e) {
-        console.error('SnapRAID scrub error:', e);
-        res.status(500).json({ error: `SnapRAID scrub failed: ${e.message}` });
+// Start a SnapRAID scrub in the background (percent defaults to 10, olderThanDays is optional)
+router.post('/snapraid/scrub', requireRole('user'), async (req, res) => {
+    if (getDiskReplaceStatus().active) {
+        return res.status(409).json({ error: 'Disk replacement in progress' });
+    }
+    const activeJob = getActiveSnapraidJob();
+    if (activeJob) {
+        return res.status(409).json({ error: `SnapRAID ${activeJob} already in progress` });
+    }
+
+    const body = req.body || {};
+    const percent = body.percent !== undefined ? body.percent : 10;
+    const olderThanDays = body.olderThanDays !== undefined ? body.olderThanDays : null;
+    const error = validateScrubOptions({ percent, olderThanDays });
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    runSnapraidScrub({ trigger: 'manual', percent, olderThanDays });
+
+    logSecurityEvent('SNAPRAID_SCRUB', { percent, olderThanDays, user: req.user.username }, req.ip);
+    res.json({ success: true, message: 'SnapRAID scrub started in background' });
+});
+
+// Get SnapRAID scrub progress
+router.get('/snapraid/scrub/progress', requireAuth, (req, res) => {
+    res.json(getSnapraidScrubStatus());
+});
+
+// Cancel a running scrub (SnapRAID saves what it has scrubbed so far)
+router.post('/snapraid/scrub/cancel', requireRole('user'), (req, res) => {
+    if (!cancelSnapraidScrub()) {
+        return res.status(409).json({ error: 'No scrub in progress' });
+    }
+
+    logSecurityEvent('SNAPRAID_SCRUB_CANCELLED', { user: req.user.username }, req.ip);
+    res.json({ success: true, message: 'Scrub cancellation requested' });
+});
+
+// List SnapRAID data disks (targets for check/fix)
+router.get('/snapraid/disks', requireAuth, (req, res) => {
+    res.json({ disks: listSnapraidDataDisks() });
+});
+
+/**
+ * Start a check or fix in the background from { disk, filter, missingOnly }
+ */
+function startSnapraidRepair(job, req, res) {
+    if (!fs.existsSync(SNAPRAID_CONF)) {
+        return res.status(404).json({ error: 'SnapRAID is not configured' });
+    }
+    if (getDiskReplaceStatus().active) {
+        return res.status(409).json({ error: 'Disk replacement in progress' });
+    }
+    const activeJob = getActiveSnapraidJob();
+    if (activeJob) {
+        return res.status(409).json({ error: `SnapRAID ${activeJob} already in progress` });
+    }
+
+    const { args, error } = buildRepairArgs(req.body || {});
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    runSnapraidRepair({ job, selection: args, trigger: 'manual', user: req.user.username });
+
+    logSecurityEvent(job === 'fix' ? 'SNAPRAID_FIX_STARTED' : 'SNAPRAID_CHECK_STARTED', {
+        selection: args, user: req.user.username
+    }, req.ip);
+    res.json({ success: true, message: `SnapRAID ${job} started in background` });
+}
+
+// Preview a recovery: snapraid check (read-only)
+router.post('/snapraid/check', requireRole('user'), (req, res) => {
+    startSnapraidRepair('check', req, res);
+});
+
+// Recover files: snapraid fix (writes to the data disks)
+router.post('/snapraid/fix', requireAdmin, (req, res) => {
+    startSnapraidRepair('fix', req, res);
+});
+
+// Get check/fix progress and the log lines after ?after=<seq>
+router.get('/snapraid/repair/progress', requireAuth, (req, res) => {
+    const after = parseInt(req.query.after, 10) || 0;
+    res.json(getSnapraidRepairStatus(after));
+});
+
+// Get SnapRAID sync/scrub schedule
+router.get('/snapraid/schedule', requireAuth, (req, res) => {
+    const schedule = getSnapraidSchedule();
+    res.json({
+        schedule,
+        nextRuns: getNextScheduledRuns(schedule),
+        activeJob: getActiveSnapraidJob()
+    });
+});
+
+// Update SnapRAID sync/scrub schedule
+router.put('/snapraid/schedule', requireAdmin, (req, res) => {
+    const { schedule, error } = buildSnapraidSchedule(req.body || {}, getSnapraidSchedule());
+    if (error) {
+        return res.status(400).json({ error });
     }
+
+    saveSnapraidSchedule(schedule);
+    logSecurityEvent('SNAPRAID_SCHEDULE_UPDATED', { schedule, user: req.user.username }, req.ip);
+    res.json({ success: true, schedule, nextRuns: getNextScheduledRuns(schedule) });
 });
 
-// Get SnapRAID status
-router.get('/snapraid/status', requireAuth, async (req, res) => {
+// SnapRAID run history (newest first)
+router.get('/snapraid/history', requireAuth, (req, res) => {
+    const { job } = req.query;
+    if (job !== undefined && !SNAPRAID_JOBS.includes(job)) {
+        return res.status(400).json({ error: `Invalid job. Must be one of: ${SNAPRAID_JOBS.join(', ')}` });
+    }
+
+    const limit = parseInt(req.query.limit, 10) || 20;
+    res.json({
+        runs: listJobRuns({ job: job || SNAPRAID_JOBS, limit }),
+        maxLimit: JOBS_MAX_PAGE_SIZE
+    });
+});
+
+/**
+ * Send a parsed SnapRAID report, or a 404/409/500 if it cannot be produced
+ */
+async function sendSnapraidReport(res, command, parse) {
+    if (!fs.existsSync(SNAPRAID_CONF)) {
+        return res.status(404).json({ error: 'SnapRAID is not configured' });
+    }
+
     try {
-        const status = execSync('sudo snapraid status 2>&1 || echo "Not configured"', { encoding: 'utf8' });
-        res.json({ status });
+        const output = await readSnapraidReport(command);
+        res.json({ report: parse(output), raw: output });
     } catch (e) {
-        res.json({ status: 'Not configured or error' });
+        if (e.busy) {
+            return res.status(409).json({ error: e.message });
+        }
+        console.error(`SnapRAID ${command} error:`, e.message);
+        res.status(500).json({ error: `Failed to read SnapRAID ${command}` });
     }
+}
+
+// Get SnapRAID status: per-disk usage/fragmentation, scrub age, errors
+router.get('/snapraid/status', requireAuth, (req, res) => {
+    sendSnapraidReport(res, 'status', parseStatusOutput);
+});
+
+// Get changes pending since the last sync
+router.get('/snapraid/diff', requireAuth, (req, res) => {
+    sendSnapraidReport(res, 'diff', parseDiffOutput);
+});
+
+// Get SnapRAID SMART report with failure probability estimates
+router.get('/snapraid/smart', requireAuth, (req, res) => {
+    sendSnapraidReport(res, 'smart', parseSmartOutput);
+});
+
+// ============================================
+// Disk Replacement (both backends)
+// ============================================
+
+// List unmounted disks (candidates to add to the pool or to replace a failed disk)
+router.get('/disks/unused', requireAdmin, (req, res) => {
+    res.json({ disks: listUnusedDisks() });
+});
+
+// Replace a failed data disk: { newDisk: 'sdX', target: 'd1' (SnapRAID disk) | 1 (NonRAID slot) }
+router.post('/replace', requireAdmin, async (req, res) => {
+    const { newDisk, target, dryRun, confirmToken, confirmSerials } = req.body || {};
+    const backend = getStorageBackend();
+
+    if (getDiskReplaceStatus().active) {
+        return res.status(409).json({ error: 'A disk replacement is already in progress' });
+    }
+    if (!validateDiskId(newDisk)) {
+        logSecurityEvent('INVALID_DISK_ID', { diskId: newDisk }, req.ip);
+        return res.status(400).json({ error: 'Invalid disk identifier' });
+    }
+    if (!listUnusedDisks().some(d => d.id === newDisk)) {
+        return res.status(400).json({ error: `/dev/${newDisk} is in use or not available. Use an unmounted disk.` });
+    }
+
+    let replaceTarget;
+    if (backend === 'nonraid') {
+        if (nonraidStatus.checking || nonraidConfigureStatus.active) {
+            return res.status(409).json({ error: 'Array operation in progress' });
+        }
+        const slot = Number(target);
+        let dataDisks = 0;
+        try {
+            const { stdout } = await execPromise('sudo nmdctl status -o json');
+            dataDisks = JSON.parse(stdout).dataDisks || 0;
+        } catch (e) {
+            console.error('Error getting array status:', e);
+            return res.status(500).json({ error: 'Failed to get array status' });
+        }
+        if (!Number.isInteger(slot) || slot < 1 || slot > dataDisks) {
+            return res.status(400).json({ error: `Invalid slot. Must be between 1 and ${dataDisks}` });
+        }
+        replaceTarget = slot;
+    } else {
+        if (!fs.existsSync(SNAPRAID_CONF)) {
+            return res.status(404).json({ error: 'SnapRAID is not configured' });
+        }
+        if (getActiveSnapraidJob()) {
+            return res.status(409).json({ error: `SnapRAID ${getActiveSnapraidJob()} in progress` });
+        }
+        const disk = listSnapraidDataDisks().find(d => d.name === target);
+        if (!disk) {
+            return res.status(400).json({ error: 'Unknown disk. Must be a data disk from snapraid.conf' });
+        }
+        const mountPoint = disk.path.replace(/\/+$/, '');
+        if (!new RegExp(`^${STORAGE_MOUNT_BASE}/[A-Za-z0-9_-]+$`).test(mountPoint)) {
+            return res.status(400).json({ error: `Only disks mounted under ${STORAGE_MOUNT_BASE} can be replaced` });
+        }
+        replaceTarget = { name: disk.name, path: mountPoint };
+    }
+
+    const { plan, error: planError } = buildReplacePlan(backend, replaceTarget, newDisk);
+    if (planError) {
+        return res.status(400).json({ error: planError });
+    }
+
+    if (dryRun === true) {
+        const { token, expiresAt } = issuePlanToken(plan, req.user.username);
+        return res.json({ dryRun: true, plan, confirmToken: token, expiresAt });
+    }
+
+    const confirmError = confirmPlan(plan, req.user.username, confirmToken, confirmSerials);
+    if (confirmError) {
+        logSecurityEvent('STORAGE_CONFIRMATION_FAILED', { kind: 'replace', user: req.user.username }, req.ip);
+        return res.status(400).json({ error: confirmError, confirmationRequired: true });
+    }
+
+    startDiskReplace({ backend, target: replaceTarget, newDisk, user: req.user.username, ip: req.ip });
+
+    logSecurityEvent('DISK_REPLACE_STARTED', { backend, target, newDisk, user: req.user.username }, req.ip);
+    res.json({ success: true, message: 'Disk replacement started' });
+});
+
+// Get disk replacement progress
+router.get('/replace/progress', requireAuth, (req, res) => {
+    res.json({
+        success: true,
+        ...getDiskReplaceStatus()
+    });
 });
 
 // Storage config
@@ -551,6 +840,11 @@ router.post('/config', (req, res) => {
                 logSecurityEvent('UNAUTHORIZED_STORAGE_CHANGE', {}, req.ip);
                 return res.status(401).json({ error: 'Authentication required' });
             }
+            const user = findUser(session.username);
+            if (!user || !hasRole(user.role, 'admin')) {
+                logSecurityEvent('FORBIDDEN_STORAGE_CHANGE', { user: session.username }, req.ip);
+                return res.status(403).json({ error: 'Insufficient permissions' });
+            }
         }
 
         if (!Array.isArray(config)) {
@@ -660,12 +954,13 @@ router.get('/array/status', async (req, res) => {
 });
 
 // POST /storage/array/configure - Configure NonRAID array
-router.post('/array/configure', requireAuth, async (req, res) => {
+// (dryRun / confirmToken / confirmSerials as for /pool/configure)
+router.post('/array/configure', requireAdmin, async (req, res) => {
     if (getStorageBackend() !== 'nonraid') {
         return res.status(400).json({ error: 'NonRAID backend not active' });
     }
 
-    const { dataDisks, parityDisk, shareMode } = req.body;
+    const { dataDisks, parityDisk, shareMode, dryRun, confirmToken, confirmSerials } = req.body;
 
     if (!dataDisks || !Array.isArray(dataDisks) || dataDisks.length === 0) {
         return res.status(400).json({ success: false, error: 'At least one data disk required' });
@@ -677,6 +972,34 @@ router.post('/array/configure', requireAuth, async (req, res) => {
 
     const parity = Array.isArray(parityDisk) ? parityDisk[0] : parityDisk;
 
+    // SECURITY: Validate all disk paths before processing
+    const allDisks = [...dataDisks, parity];
+    for (const diskPath of allDisks) {
+        if (!validateDiskPath(diskPath)) {
+            logSecurityEvent('INVALID_DISK_ID', { diskId: diskPath }, req.ip);
+            return res.status(400).json({ success: false, error: `Invalid disk path: ${diskPath}` });
+        }
+    }
+    if (new Set(allDisks).size !== allDisks.length) {
+        return res.status(400).json({ success: false, error: 'Each disk can only be used once' });
+    }
+
+    const { plan, error: planError } = buildArrayPlan(dataDisks, parity, shareMode || 'individual');
+    if (planError) {
+        return res.status(400).json({ success: false, error: planError });
+    }
+
+    if (dryRun === true) {
+        const { token, expiresAt } = issuePlanToken(plan, req.user.username);
+        return res.json({ success: true, dryRun: true, plan, confirmToken: token, expiresAt });
+    }
+
+    const confirmError = confirmPlan(plan, req.user.username, confirmToken, confirmSerials);
+    if (confirmError) {
+        logSecurityEvent('STORAGE_CONFIRMATION_FAILED', { kind: 'array', user: req.user.username }, req.ip);
+        return res.status(400).json({ success: false, error: confirmError, confirmationRequired: true });
+    }
+
     nonraidConfigureStatus = {
         active: true,
         step: 'partition',
@@ -687,7 +1010,7 @@ router.post('/array/configure', requireAuth, async (req, res) => {
     res.json({ success: true, message: 'Configuration started' });
 
     // Run configuration async
-    configureNonRAIDArray(dataDisks, parity, shareMode || 'individual').catch(err => {
+    configureNonRAIDArray(dataDisks, parity, plan.shareMode).catch(err => {
         console.error('NonRAID configuration failed:', err);
         nonraidConfigureStatus.error = err.message || 'Configuration failed';
         nonraidConfigureStatus.active = false;
@@ -824,7 +1147,7 @@ async function updateSambaConfigForNonRAID(diskCount, shareMode) {
         }
         const mergerPaths = diskPaths.join(':');
         execSync('sudo mkdir -p /mnt/storage', { encoding: 'utf8' });
-        execSync(`sudo mergerfs ${mergerPaths} /mnt/storage -o defaults,allow_other,use_ino,category.create=mfs`, { encoding: 'utf8' });
+        execSync(`sudo mergerfs ${mergerPaths} /mnt/storage -o ${buildMergerfsOptions()}`, { encoding: 'utf8' });
 
         sambaConfig += `
 [Storage]
@@ -853,6 +1176,11 @@ async function updateSambaConfigForNonRAID(diskCount, shareMode) {
         }
     }
 
+    // Shares managed from the Shares view
+    sambaConfig += `
+include = ${SHARES_CONF}
+`;
+
     // SECURITY: Use unpredictable temp file path
     const tmpSambaPath = `/tmp/smb-${crypto.randomBytes(8).toString('hex')}.conf`;
     fs.writeFileSync(tmpSambaPath, sambaConfig, { mode: 0o600 });
@@ -869,10 +1197,13 @@ router.get('/array/configure/progress', (req, res) => {
 });
 
 // POST /storage/array/start
-router.post('/array/start', requireAuth, async (req, res) => {
+router.post('/array/start', requireAdmin, async (req, res) => {
     if (getStorageBackend() !== 'nonraid') {
         return res.status(400).json({ error: 'NonRAID backend not active' });
     }
+    if (getDiskReplaceStatus().active) {
+        return res.status(409).json({ success: false, error: 'Disk replacement in progress' });
+    }
     try {
         execSync('sudo nmdctl start', { encoding: 'utf8' });
         execSync('sudo nmdctl mount', { encoding: 'utf8' });
@@ -884,10 +1215,13 @@ router.post('/array/start', requireAuth, async (req, res) => {
 });
 
 // POST /storage/array/stop
-router.post('/array/stop', requireAuth, async (req, res) => {
+router.post('/array/stop', requireAdmin, async (req, res) => {
     if (getStorageBackend() !== 'nonraid') {
         return res.status(400).json({ error: 'NonRAID backend not active' });
     }
+    if (getDiskReplaceStatus().active) {
+        return res.status(409).json({ success: false, error: 'Disk replacement in progress' });
+    }
     try {
         execSync('sudo nmdctl unmount', { encoding: 'utf8' });
         execSync('sudo nmdctl stop', { encoding: 'utf8' });
@@ -899,13 +1233,16 @@ router.post('/array/stop', requireAuth, async (req, res) => {
 });
 
 // POST /storage/array/check
-router.post('/array/check', requireAuth, async (req, res) => {
+router.post('/array/check', requireRole('user'), async (req, res) => {
     if (getStorageBackend() !== 'nonraid') {
         return res.status(400).json({ error: 'NonRAID backend not active' });
     }
     if (nonraidStatus.checking) {
         return res.status(400).json({ success: false, error: 'Parity check already in progress' });
     }
+    if (getDiskReplaceStatus().active) {
+        return res.status(409).json({ success: false, error: 'Disk replacement in progress' });
+    }
 
     nonraidStatus.checking = true;
     nonraidStatus.progress = 0;
@@ -2,18 +2,40 @@
  * HomePiNAS - System Routes
  * v1.5.6 - Modular Architecture
  *
- * System monitoring: stats, fans, disks
+ * System monitoring: stats, fans, disks, SMART health, disk standby
  */
 
 const express = require('express');
 const router = express.Router();
 const fs = require('fs');
 const si = require('systeminformation');
-const { exec, execSync } = require('child_process');
+const { execSync } = require('child_process');
 
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, requireRole } = require('../middleware/auth');
 const { logSecurityEvent } = require('../utils/security');
 const { getData } = require('../utils/data');
+const { DEVICE_PATTERN, TREND_DAYS, SMART_RETENTION_DAYS, getDiskHealth, getSmartHistory } = require('../utils/smart');
+const {
+    TEST_TYPES,
+    SELFTEST_JOBS,
+    getSelfTestSchedule,
+    buildSelfTestSchedule,
+    saveSelfTestSchedule,
+    getNextSelfTests,
+    getActiveSelfTest,
+    startSelfTest,
+    abortSelfTest,
+    getSelfTestStatus
+} = require('../utils/smart-selftest');
+const { listJobRuns, JOBS_MAX_PAGE_SIZE } = require('../utils/job-history');
+const {
+    listDisks,
+    getPowerState,
+    getStandbySettings,
+    validateStandbyTimeout,
+    setStandbyTimeout
+} = require('../utils/disk-power');
+const { readFans } = require('../utils/metrics');
 
 // Fan mode presets configuration (v1.5.5 with hysteresis)
 const FANCTL_CONF = '/usr/local/bin/homepinas-fanctl.conf';
@@ -108,46 +130,10 @@ router.get('/stats', async (req, res) => {
             si.graphics()
         ]);
 
-        // Try to get fan speeds
+        // Fan speeds from hwmon
         let fans = [];
         try {
-            const fanData = await new Promise((resolve) => {
-                const cmd = `
-                    for hwmon in /sys/class/hwmon/hwmon*; do
-                        if [ -d "$hwmon" ]; then
-                            name=$(cat "$hwmon/name" 2>/dev/null || echo "unknown")
-                            for fan in "$hwmon"/fan*_input; do
-                                if [ -f "$fan" ]; then
-                                    rpm=$(cat "$fan" 2>/dev/null || echo "0")
-                                    fannum=$(echo "$fan" | grep -oP 'fan\\K[0-9]+')
-                                    echo "$name:$fannum:$rpm"
-                                fi
-                            done
-                        fi
-                    done
-                    if [ -f /sys/devices/platform/cooling_fan/hwmon/hwmon*/fan1_input ]; then
-                        rpm=$(cat /sys/devices/platform/cooling_fan/hwmon/hwmon*/fan1_input 2>/dev/null || echo "0")
-                        echo "rpi_fan:1:$rpm"
-                    fi
-                `;
-                exec(cmd, { shell: '/bin/bash' }, (err, stdout) => {
-                    if (err || !stdout.trim()) {
-                        resolve([]);
-                        return;
-                    }
-                    const lines = stdout.trim().split('\n').filter(s => s && s.includes(':'));
-                    const fanList = lines.map((line, idx) => {
-                        const [name, num, rpm] = line.split(':');
-                        return {
-                            id: idx + 1,
-                            name: name === 'rpi_fan' ? `RPi Fan ${num}` : `${name} Fan ${num}`,
-                            rpm: parseInt(rpm) || 0
-                        };
-                    });
-                    resolve(fanList);
-                });
-            });
-            fans = fanData;
+            fans = readFans();
         } catch (e) {
             fans = [];
         }
@@ -194,7 +180,7 @@ router.get('/stats', async (req, res) => {
 });
 
 // Fan control endpoint
-router.post('/fan', requireAuth, (req, res) => {
+router.post('/fan', requireRole('user'), (req, res) => {
     const { fanId, speed } = req.body;
 
     if (typeof speed !== 'number' || speed < 0 || speed > 100) {
@@ -274,7 +260,7 @@ router.get('/fan/mode', (req, res) => {
 });
 
 // Set fan mode preset
-router.post('/fan/mode', requireAuth, (req, res) => {
+router.post('/fan/mode', requireRole('user'), (req, res) => {
     const { mode } = req.body;
 
     if (!mode || !FAN_PRESETS[mode]) {
@@ -301,85 +287,56 @@ router.post('/fan/mode', requireAuth, (req, res) => {
     }
 });
 
-// Real Disk Detection & SMART
+// Real Disk Detection & SMART (lsblk, hdparm -C and cached SMART: sleeping disks stay asleep)
 router.get('/disks', async (req, res) => {
     try {
-        const blockDevices = await si.blockDevices();
-        const diskLayout = await si.diskLayout();
-
-        const disks = blockDevices
-            .filter(dev => {
-                if (dev.type !== 'disk') return false;
-                // Exclude virtual/system devices
-                if (dev.name && dev.name.startsWith('mmcblk')) return false;  // SD card
-                if (dev.name && dev.name.startsWith('zram')) return false;    // Compressed RAM swap
-                if (dev.name && dev.name.startsWith('loop')) return false;    // Loop devices
-                if (dev.name && dev.name.startsWith('ram')) return false;     // RAM disks
-                if (dev.name && dev.name.startsWith('dm-')) return false;     // Device mapper
-                const sizeGB = dev.size / 1024 / 1024 / 1024;
-                if (sizeGB < 1) return false;
-                return true;
-            })
+        const standby = getStandbySettings();
+        const disks = listDisks()
+            .filter(dev => dev.size / 1024 / 1024 / 1024 >= 1)
             .map(dev => {
-                const layoutInfo = diskLayout.find(d => d.device === dev.device) || {};
                 const sizeGB = (dev.size / 1024 / 1024 / 1024).toFixed(0);
+                const powerState = getPowerState(dev.id);
+                const asleep = powerState === 'standby' || powerState === 'sleeping';
 
                 let diskType = 'HDD';
                 let temp = null;
-                let serial = layoutInfo.serial || null;
-                let model = layoutInfo.model || layoutInfo.name || null;
-                
-                // Use smartctl to get accurate model, serial, temp and detect NVMe via USB
-                try {
-                    const smartOutput = execSync(`sudo smartctl -i -A /dev/${dev.name} 2>/dev/null`, { encoding: 'utf8', timeout: 5000 });
-
-                    // Get model from smartctl (more reliable than lsblk for USB-connected drives)
-                    const modelMatch = smartOutput.match(/Model Number:\s*(.+)/i) || 
-                                      smartOutput.match(/Device Model:\s*(.+)/i) ||
-                                      smartOutput.match(/Product:\s*(.+)/i);
-                    if (modelMatch) {
-                        model = modelMatch[1].trim();
-                    }
-                    
-                    // Detect NVMe from model name (for USB-connected NVMe drives)
-                    if (model && model.toLowerCase().includes('nvme')) {
-                        diskType = 'NVMe';
-                    }
-
-                    const tempMatch = smartOutput.match(/Temperature.*?(\d+)\s*(Celsius|C)/i) ||
-                                     smartOutput.match(/194\s+Temperature.*?\s(\d+)(\s|$)/);
-                    if (tempMatch) {
-                        const tempVal = parseInt(tempMatch[1]);
-                        if (!isNaN(tempVal) && tempVal > 0 && tempVal < 100) {
-                            temp = tempVal;
-                        }
+                let serial = dev.serial;
+                let model = dev.model;
+
+                // SMART reading (cached, smartctl -n standby never spins a disk up)
+                const reading = getDiskHealth(dev.id);
+                const { smart } = reading;
+                if (smart) {
+                    // smartctl is more reliable than lsblk for USB-connected drives
+                    if (smart.model) model = smart.model;
+                    if (!serial && smart.serial) serial = smart.serial;
+                    // A sleeping disk's last reading is stale
+                    if (!asleep && !reading.standby && smart.temperature > 0 && smart.temperature < 100) {
+                        temp = smart.temperature;
                     }
+                }
 
-                    if (!serial || serial === 'N/A') {
-                        const serialMatch = smartOutput.match(/Serial [Nn]umber:\s*(\S+)/);
-                        if (serialMatch) {
-                            serial = serialMatch[1];
-                        }
-                    }
-                } catch (e) {}
-                
-                // Fallback disk type detection if not already detected as NVMe
-                if (diskType === 'HDD') {
-                    if (layoutInfo.interfaceType === 'NVMe' || dev.name.includes('nvme')) {
-                        diskType = 'NVMe';
-                    } else if ((layoutInfo.type || '').includes('SSD') || (model || '').toLowerCase().includes('ssd')) {
-                        diskType = 'SSD';
-                    }
+                // Detect NVMe from transport or model name (for USB-connected NVMe drives)
+                if (dev.transport === 'nvme' || (smart && smart.protocol === 'NVMe') || (model || '').toLowerCase().includes('nvme')) {
+                    diskType = 'NVMe';
+                } else if (!dev.rotational || (model || '').toLowerCase().includes('ssd')) {
+                    diskType = 'SSD';
                 }
 
                 return {
-                    id: dev.name,
+                    id: dev.id,
                     device: dev.device,
                     type: diskType,
                     size: sizeGB + 'GB',
                     model: model || 'Unknown Drive',
                     serial: serial || 'N/A',
-                    temp: temp || (35 + Math.floor(Math.random() * 10)),
+                    temp,
+                    health: reading.health ? reading.health.status : null,
+                    issues: reading.health ? reading.health.issues : [],
+                    selfTest: smart ? { running: smart.selfTest.running, progress: smart.selfTest.progress } : null,
+                    standby: asleep || reading.standby,
+                    powerState,
+                    standbyTimeout: serial && standby[serial] !== undefined ? standby[serial] : null,
                     usage: 0
                 };
             });
@@ -390,11 +347,157 @@ router.get('/disks', async (req, res) => {
     }
 });
 
+// Set the standby (spin-down) timeout of a hard disk, in minutes (0 = never)
+router.put('/disks/:id/standby', requireRole('admin'), (req, res) => {
+    const { id } = req.params;
+    const { timeout } = req.body || {};
+    const disk = listDisks().find(dev => dev.id === id);
+    if (!disk) {
+        return res.status(404).json({ error: 'Disk not found' });
+    }
+    if (!disk.rotational) {
+        return res.status(400).json({ error: 'Standby timeouts only apply to hard disks' });
+    }
+    if (!disk.serial) {
+        return res.status(400).json({ error: 'The disk reports no serial number' });
+    }
+    const error = validateStandbyTimeout(timeout);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        setStandbyTimeout(disk, timeout);
+        logSecurityEvent('DISK_STANDBY_UPDATED', { disk: id, serial: disk.serial, timeout, user: req.user.username }, req.ip);
+        res.json({ success: true, timeout });
+    } catch (e) {
+        console.error('Standby timeout error:', e.message);
+        logSecurityEvent('DISK_STANDBY_UPDATED', { disk: id, serial: disk.serial, timeout, applied: false, user: req.user.username }, req.ip);
+        res.status(500).json({ error: `Timeout saved but hdparm failed (the disk or its USB bridge may not support it): ${e.message}` });
+    }
+});
+
+// SMART details of a disk: current reading and health rating
+router.get('/disks/:id/smart', requireAuth, (req, res) => {
+    const { id } = req.params;
+    if (!DEVICE_PATTERN.test(id)) {
+        return res.status(400).json({ error: 'Invalid disk id' });
+    }
+
+    const reading = getDiskHealth(id, req.query.refresh === 'true' ? 0 : undefined);
+    if (reading.error && !reading.smart) {
+        return res.status(500).json({ error: reading.error });
+    }
+    res.json({ ...reading, trendDays: TREND_DAYS });
+});
+
+// SMART attribute history of a disk (oldest first)
+router.get('/disks/:id/smart/history', requireAuth, (req, res) => {
+    const { id } = req.params;
+    if (!DEVICE_PATTERN.test(id)) {
+        return res.status(400).json({ error: 'Invalid disk id' });
+    }
+
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || TREND_DAYS, 1), SMART_RETENTION_DAYS);
+    const reading = getDiskHealth(id);
+    if (!reading.smart || !reading.smart.serial) {
+        return res.json({ days, snapshots: [] });
+    }
+    res.json({ days, serial: reading.smart.serial, snapshots: getSmartHistory(reading.smart.serial, days) });
+});
+
+// SMART self-test state of a disk: running test, progress and self-test log
+router.get('/disks/:id/selftest', requireAuth, (req, res) => {
+    const { id } = req.params;
+    if (!DEVICE_PATTERN.test(id)) {
+        return res.status(400).json({ error: 'Invalid disk id' });
+    }
+
+    // Re-read at most every 10 seconds while the dashboard polls
+    const reading = getDiskHealth(id, 10 * 1000);
+    if (reading.error && !reading.smart) {
+        return res.status(500).json({ error: reading.error });
+    }
+    res.json({
+        selfTest: reading.smart ? reading.smart.selfTest : null,
+        standby: reading.standby,
+        active: getActiveSelfTest(id)
+    });
+});
+
+// Start a SMART self-test (short or long) on a disk
+router.post('/disks/:id/selftest', requireRole('user'), (req, res) => {
+    const { id } = req.params;
+    const { type } = req.body || {};
+    if (!DEVICE_PATTERN.test(id)) {
+        return res.status(400).json({ error: 'Invalid disk id' });
+    }
+    if (!TEST_TYPES.includes(type)) {
+        return res.status(400).json({ error: `Invalid test type. Must be one of: ${TEST_TYPES.join(', ')}` });
+    }
+    if (getActiveSelfTest(id)) {
+        return res.status(409).json({ error: `A self-test is already running on ${id}` });
+    }
+
+    try {
+        startSelfTest(id, type, 'manual');
+        logSecurityEvent('SMART_SELFTEST_STARTED', { disk: id, type, user: req.user.username }, req.ip);
+        res.json({ success: true, message: `SMART ${type} self-test started on ${id}` });
+    } catch (e) {
+        console.error('SMART self-test start error:', e.message);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Abort the running SMART self-test of a disk
+router.delete('/disks/:id/selftest', requireRole('user'), (req, res) => {
+    const { id } = req.params;
+    if (!DEVICE_PATTERN.test(id)) {
+        return res.status(400).json({ error: 'Invalid disk id' });
+    }
+
+    try {
+        abortSelfTest(id);
+        logSecurityEvent('SMART_SELFTEST_ABORTED', { disk: id, user: req.user.username }, req.ip);
+        res.json({ success: true, message: `SMART self-test aborted on ${id}` });
+    } catch (e) {
+        console.error('SMART self-test abort error:', e.message);
+        res.status(500).json({ error: 'Failed to abort the self-test' });
+    }
+});
+
+// SMART self-test schedule, next runs, running and queued tests
+router.get('/smart/selftest/schedule', requireAuth, (req, res) => {
+    const schedule = getSelfTestSchedule();
+    res.json({ schedule, nextRun: getNextSelfTests(schedule), ...getSelfTestStatus() });
+});
+
+// Update the SMART self-test schedule
+router.put('/smart/selftest/schedule', requireRole('admin'), (req, res) => {
+    const { schedule, error } = buildSelfTestSchedule(req.body || {}, getSelfTestSchedule());
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    saveSelfTestSchedule(schedule);
+    logSecurityEvent('SMART_SELFTEST_SCHEDULE_UPDATED', { user: req.user.username, schedule }, req.ip);
+    res.json({ success: true, schedule, nextRun: getNextSelfTests(schedule) });
+});
+
+// SMART self-test run history (newest first)
+router.get('/smart/selftest/history', requireAuth, (req, res) => {
+    const limit = parseInt(req.query.limit, 10) || 20;
+    res.json({
+        runs: listJobRuns({ job: SELFTEST_JOBS, limit }),
+        maxLimit: JOBS_MAX_PAGE_SIZE
+    });
+});
+
 // System Status
 router.get('/status', async (req, res) => {
     const data = getData();
     res.json({
-        user: data.user ? { username: data.user.username } : null,
+        user: data.users.length > 0 ? { username: data.users[0].username } : null,
         storageConfig: data.storageConfig,
         poolConfigured: data.poolConfigured || false,
         network: data.network
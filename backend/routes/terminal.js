@@ -15,7 +15,7 @@ const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
 
-const { requireAuth } = require('../middleware/auth');
+const { requireAdmin } = require('../middleware/auth');
 const { logSecurityEvent } = require('../utils/security');
 
 // Terminal sessions storage
@@ -37,7 +37,7 @@ function validateCommand(cmd) {
 }
 
 // Get terminal sessions list
-router.get('/sessions', requireAuth, (req, res) => {
+router.get('/sessions', requireAdmin, (req, res) => {
     const sessions = [];
     for (const [id, session] of terminalSessions) {
         sessions.push({
@@ -51,7 +51,7 @@ router.get('/sessions', requireAuth, (req, res) => {
 });
 
 // Create new terminal session info (actual PTY handled via WebSocket)
-router.post('/session', requireAuth, (req, res) => {
+router.post('/session', requireAdmin, (req, res) => {
     const { command = 'bash' } = req.body;
     
     // Validate command
@@ -78,7 +78,7 @@ router.post('/session', requireAuth, (req, res) => {
 });
 
 // Kill terminal session
-router.delete('/session/:id', requireAuth, (req, res) => {
+router.delete('/session/:id', requireAdmin, (req, res) => {
     const { id } = req.params;
     
     if (!id || typeof id !== 'string' || !id.startsWith('term-')) {
@@ -104,7 +104,7 @@ router.delete('/session/:id', requireAuth, (req, res) => {
 });
 
 // Get available commands for shortcuts
-router.get('/commands', requireAuth, (req, res) => {
+router.get('/commands', requireAdmin, (req, res) => {
     res.json({
         allowed: ALLOWED_COMMANDS,
         presets: [
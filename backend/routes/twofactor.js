@@ -0,0 +1,173 @@
+/**
+ * HomePiNAS - Two-Factor Authentication Routes
+ * v3.2.0 - Multi-user Support
+ *
+ * TOTP enrollment, recovery codes and disabling for the logged-in user
+ */
+
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcrypt');
+
+const { requireAuth } = require('../middleware/auth');
+const { authLimiter } = require('../middleware/rateLimit');
+const { logSecurityEvent } = require('../utils/security');
+const {
+    generateSecret,
+    verifyCode,
+    buildOtpauthUri,
+    generateRecoveryCodes
+} = require('../utils/totp');
+const {
+    findUser,
+    updateUser,
+    isTwoFactorEnabled,
+    hashRecoveryCodes,
+    verifyTwoFactor
+} = require('../utils/users');
+
+/**
+ * Check the current password of the logged-in user
+ */
+async function checkPassword(username, password) {
+    const user = findUser(username);
+    if (!user || typeof password !== 'string' || !password) return false;
+    return bcrypt.compare(password, user.password);
+}
+
+// 2FA status for the current user
+router.get('/status', requireAuth, (req, res) => {
+    const user = findUser(req.user.username);
+    const twoFactor = user.twoFactor || {};
+
+    res.json({
+        enabled: isTwoFactorEnabled(user),
+        pending: !isTwoFactorEnabled(user) && !!twoFactor.pendingSecret,
+        recoveryCodesRemaining: isTwoFactorEnabled(user) ? (twoFactor.recoveryCodes || []).length : 0
+    });
+});
+
+// Start enrollment: generate a secret and otpauth URI (not active until confirmed)
+router.post('/setup', authLimiter, requireAuth, async (req, res) => {
+    try {
+        const { password } = req.body;
+        const { username } = req.user;
+
+        const user = findUser(username);
+        if (isTwoFactorEnabled(user)) {
+            return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+        }
+        if (!await checkPassword(username, password)) {
+            logSecurityEvent('2FA_SETUP_BAD_PASSWORD', { user: username }, req.ip);
+            return res.status(401).json({ error: 'Invalid password' });
+        }
+
+        const secret = generateSecret();
+        updateUser(username, { twoFactor: { enabled: false, pendingSecret: secret } });
+
+        res.json({
+            secret,
+            otpauthUri: buildOtpauthUri(secret, username)
+        });
+    } catch (e) {
+        console.error('2FA setup error:', e);
+        res.status(500).json({ error: 'Failed to start two-factor setup' });
+    }
+});
+
+// Confirm enrollment with a code from the authenticator app
+router.post('/enable', authLimiter, requireAuth, async (req, res) => {
+    try {
+        const { code } = req.body;
+        const { username } = req.user;
+
+        const user = findUser(username);
+        const pendingSecret = user.twoFactor && user.twoFactor.pendingSecret;
+        if (isTwoFactorEnabled(user) || !pendingSecret) {
+            return res.status(400).json({ error: 'No two-factor setup in progress' });
+        }
+
+        const step = verifyCode(pendingSecret, typeof code === 'string' ? code.replace(/\s/g, '') : '');
+        if (step === null) {
+            logSecurityEvent('2FA_ENABLE_FAILED', { user: username }, req.ip);
+            return res.status(400).json({ error: 'Invalid verification code' });
+        }
+
+        const recoveryCodes = generateRecoveryCodes();
+        updateUser(username, {
+            twoFactor: {
+                enabled: true,
+                secret: pendingSecret,
+                lastUsedStep: step,
+                recoveryCodes: await hashRecoveryCodes(recoveryCodes),
+                enabledAt: new Date().toISOString()
+            }
+        });
+
+        logSecurityEvent('2FA_ENABLED', { user: username }, req.ip);
+
+        // Plaintext codes are only ever shown here
+        res.json({ success: true, recoveryCodes });
+    } catch (e) {
+        console.error('2FA enable error:', e);
+        res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+    }
+});
+
+// Regenerate recovery codes (invalidates the old ones)
+router.post('/recovery-codes', authLimiter, requireAuth, async (req, res) => {
+    try {
+        const { password, code } = req.body;
+        const { username } = req.user;
+
+        const user = findUser(username);
+        if (!isTwoFactorEnabled(user)) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+        if (!await checkPassword(username, password) || !await verifyTwoFactor(username, code)) {
+            logSecurityEvent('2FA_RECOVERY_REGEN_FAILED', { user: username }, req.ip);
+            return res.status(401).json({ error: 'Invalid password or verification code' });
+        }
+
+        const recoveryCodes = generateRecoveryCodes();
+        const current = findUser(username).twoFactor;
+        updateUser(username, {
+            twoFactor: { ...current, recoveryCodes: await hashRecoveryCodes(recoveryCodes) }
+        });
+
+        logSecurityEvent('2FA_RECOVERY_CODES_REGENERATED', { user: username }, req.ip);
+        res.json({ success: true, recoveryCodes });
+    } catch (e) {
+        console.error('2FA recovery codes error:', e);
+        res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+    }
+});
+
+// Disable 2FA for the current user
+router.post('/disable', authLimiter, requireAuth, async (req, res) => {
+    try {
+        const { password, code } = req.body;
+        const { username } = req.user;
+
+        const user = findUser(username);
+        if (!isTwoFactorEnabled(user)) {
+            // Also clears an abandoned setup
+            updateUser(username, { twoFactor: null });
+            return res.json({ success: true });
+        }
+        if (!await checkPassword(username, password) || !await verifyTwoFactor(username, code)) {
+            logSecurityEvent('2FA_DISABLE_FAILED', { user: username }, req.ip);
+            return res.status(401).json({ error: 'Invalid password or verification code' });
+        }
+
+        updateUser(username, { twoFactor: null });
+
+        logSecurityEvent('2FA_DISABLED', { user: username }, req.ip);
+        res.json({ success: true });
+    } catch (e) {
+        console.error('2FA disable error:', e);
+        res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+    }
+});
+
+module.exports = router;
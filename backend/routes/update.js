@@ -10,7 +10,7 @@ const router = express.Router();
 const { exec, execSync } = require('child_process');
 const path = require('path');
 
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
 const { criticalLimiter } = require('../middleware/rateLimit');
 const { logSecurityEvent } = require('../utils/security');
 
@@ -71,7 +71,7 @@ router.get('/check', requireAuth, async (req, res) => {
 });
 
 // Perform update
-router.post('/apply', requireAuth, criticalLimiter, async (req, res) => {
+router.post('/apply', requireAdmin, criticalLimiter, async (req, res) => {
     logSecurityEvent('UPDATE_STARTED', { user: req.user.username }, req.ip);
 
     // Send response immediately, update will happen in background
@@ -0,0 +1,263 @@
+/**
+ * HomePiNAS - User Management Routes
+ * v3.2.0 - Multi-user Support
+ *
+ * Dashboard accounts with roles (admin, user, viewer)
+ * v3.2.0 - NAS User Management (smbpasswd kept in sync)
+ */
+
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcrypt');
+
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { logSecurityEvent } = require('../utils/security');
+const { destroyUserSessions } = require('../utils/session');
+const { clearLockout } = require('../utils/lockout');
+const { validateUsername, validatePassword } = require('../utils/sanitize');
+const { setSambaPassword, setSambaEnabled, deleteSambaUser, listSambaUsers } = require('../utils/samba-users');
+const {
+    ROLES,
+    SALT_ROUNDS,
+    validateUserRole,
+    getUsers,
+    findUser,
+    toPublicUser,
+    countAdmins,
+    addUser,
+    updateUser,
+    removeUser
+} = require('../utils/users');
+
+/**
+ * SMB account state for a user: enabled, disabled, none, or unknown
+ * when the Samba passdb cannot be read
+ */
+function sambaStatus(accounts, username) {
+    if (!accounts) return 'unknown';
+    if (!accounts[username]) return 'none';
+    return accounts[username].enabled ? 'enabled' : 'disabled';
+}
+
+// Returned when the Samba passdb could not be read, so smbpasswd was left untouched
+const SAMBA_UNKNOWN_WARNING = 'The Samba user list could not be read (pdbedit failed), so the SMB account was not updated. Check it on the NAS with "sudo pdbedit -L".';
+
+// Get the current user
+router.get('/me', requireAuth, (req, res) => {
+    res.json({ username: req.user.username, role: req.user.role });
+});
+
+// List users with their SMB account state
+router.get('/', requireAdmin, (req, res) => {
+    const accounts = listSambaUsers();
+    res.json({
+        users: getUsers().map(user => ({ ...toPublicUser(user), samba: sambaStatus(accounts, user.username) })),
+        roles: ROLES,
+        sambaAvailable: accounts !== null
+    });
+});
+
+// Create user
+router.post('/', requireAdmin, async (req, res) => {
+    try {
+        const { username, password, role, samba } = req.body;
+
+        if (!validateUsername(username)) {
+            return res.status(400).json({ error: 'Invalid username. Must be 3-32 characters, alphanumeric with _ or -' });
+        }
+        if (!validatePassword(password)) {
+            return res.status(400).json({ error: 'Invalid password. Must be 6-128 characters' });
+        }
+        if (!validateUserRole(role)) {
+            return res.status(400).json({ error: `Invalid role. Must be one of: ${ROLES.join(', ')}` });
+        }
+        if (findUser(username)) {
+            return res.status(409).json({ error: 'User already exists' });
+        }
+
+        // SMB first: if smbpasswd fails, no dashboard account is left behind
+        if (samba === true) {
+            try {
+                await setSambaPassword(username, password);
+            } catch (e) {
+                console.error('Create Samba user error:', e.message);
+                return res.status(500).json({ error: 'Failed to create SMB account' });
+            }
+            logSecurityEvent('SAMBA_USER_CREATED', { username, user: req.user.username }, req.ip);
+        }
+
+        const hashedPassword = await bcrypt.hash(password, SALT_ROUNDS);
+        addUser({ username, password: hashedPassword, role });
+
+        logSecurityEvent('USER_CREATED', { username, role, samba: samba === true, user: req.user.username }, req.ip);
+        res.json({ success: true, user: toPublicUser(findUser(username)) });
+    } catch (e) {
+        console.error('Create user error:', e);
+        res.status(500).json({ error: 'Failed to create user' });
+    }
+});
+
+// Update user role, password, disabled flag and/or SMB access
+router.put('/:username', requireAdmin, async (req, res) => {
+    try {
+        const { username } = req.params;
+        const { role, password, disabled, samba } = req.body;
+
+        const user = findUser(username);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const changes = {};
+
+        if (role !== undefined) {
+            if (!validateUserRole(role)) {
+                return res.status(400).json({ error: `Invalid role. Must be one of: ${ROLES.join(', ')}` });
+            }
+            if (user.role === 'admin' && role !== 'admin' && countAdmins(getUsers(), username) === 0) {
+                return res.status(400).json({ error: 'Cannot demote the last admin' });
+            }
+            changes.role = role;
+        }
+
+        if (password !== undefined) {
+            if (!validatePassword(password)) {
+                return res.status(400).json({ error: 'Invalid password. Must be 6-128 characters' });
+            }
+            changes.password = await bcrypt.hash(password, SALT_ROUNDS);
+        }
+
+        if (disabled !== undefined) {
+            if (typeof disabled !== 'boolean') {
+                return res.status(400).json({ error: 'disabled must be true or false' });
+            }
+            if (disabled && username === req.user.username) {
+                return res.status(400).json({ error: 'You cannot disable your own account' });
+            }
+            if (disabled && user.role === 'admin' && countAdmins(getUsers(), username) === 0) {
+                return res.status(400).json({ error: 'Cannot disable the last admin' });
+            }
+            changes.disabled = disabled;
+        }
+
+        if (samba !== undefined && typeof samba !== 'boolean') {
+            return res.status(400).json({ error: 'samba must be true or false' });
+        }
+        if (samba === true && password === undefined) {
+            return res.status(400).json({ error: 'A password is required to enable SMB access' });
+        }
+
+        if (Object.keys(changes).length === 0 && samba === undefined) {
+            return res.status(400).json({ error: 'Nothing to update' });
+        }
+
+        // Apply to smbpasswd before the dashboard so a failure leaves both unchanged
+        const accounts = listSambaUsers();
+        const hasSamba = !!(accounts && accounts[username]);
+        const willBeDisabled = disabled !== undefined ? disabled : !!user.disabled;
+        // Without the passdb an existing SMB account cannot be told apart from none
+        let warning = null;
+        if (!accounts && samba !== true && (samba === false || password !== undefined || disabled !== undefined)) {
+            console.error(`Samba account of ${username} not updated: Samba user list unavailable`);
+            warning = SAMBA_UNKNOWN_WARNING;
+        }
+        try {
+            if (samba === false) {
+                if (hasSamba) await deleteSambaUser(username);
+            } else if (password !== undefined && (samba === true || hasSamba)) {
+                await setSambaPassword(username, password);
+                if (willBeDisabled) await setSambaEnabled(username, false);
+            } else if (disabled !== undefined && hasSamba) {
+                await setSambaEnabled(username, !disabled);
+            }
+        } catch (e) {
+            console.error('Update Samba user error:', e.message);
+            return res.status(500).json({ error: 'Failed to update SMB account' });
+        }
+
+        const updated = Object.keys(changes).length > 0 ? updateUser(username, changes) : user;
+
+        // Force re-login so the new password applies everywhere, and lift any account lock
+        if (changes.password) {
+            destroyUserSessions(username);
+            clearLockout('user', username);
+        }
+        if (changes.disabled) {
+            destroyUserSessions(username);
+        }
+
+        logSecurityEvent('USER_UPDATED', {
+            username,
+            role: changes.role,
+            passwordChanged: !!changes.password,
+            disabled: changes.disabled,
+            samba,
+            sambaSkipped: warning !== null,
+            user: req.user.username
+        }, req.ip);
+        res.json({ success: true, user: toPublicUser(updated), warning });
+    } catch (e) {
+        console.error('Update user error:', e);
+        res.status(500).json({ error: 'Failed to update user' });
+    }
+});
+
+// Reset a user's 2FA (e.g. lost authenticator and recovery codes)
+router.delete('/:username/2fa', requireAdmin, (req, res) => {
+    try {
+        const { username } = req.params;
+
+        if (!findUser(username)) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        updateUser(username, { twoFactor: null });
+        destroyUserSessions(username);
+
+        logSecurityEvent('2FA_RESET', { username, user: req.user.username }, req.ip);
+        res.json({ success: true, message: 'Two-factor authentication reset' });
+    } catch (e) {
+        console.error('Reset 2FA error:', e);
+        res.status(500).json({ error: 'Failed to reset two-factor authentication' });
+    }
+});
+
+// Delete user (and their SMB account)
+router.delete('/:username', requireAdmin, async (req, res) => {
+    try {
+        const { username } = req.params;
+
+        const user = findUser(username);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (user.role === 'admin' && countAdmins(getUsers(), username) === 0) {
+            return res.status(400).json({ error: 'Cannot delete the last admin' });
+        }
+
+        const accounts = listSambaUsers();
+        let warning = null;
+        if (!accounts) {
+            console.error(`Samba account of ${username} not deleted: Samba user list unavailable`);
+            warning = SAMBA_UNKNOWN_WARNING;
+        } else if (accounts[username]) {
+            try {
+                await deleteSambaUser(username);
+            } catch (e) {
+                console.error('Delete Samba user error:', e.message);
+                return res.status(500).json({ error: 'Failed to delete SMB account' });
+            }
+        }
+
+        removeUser(username);
+        destroyUserSessions(username);
+
+        logSecurityEvent('USER_DELETED', { username, sambaSkipped: warning !== null, user: req.user.username }, req.ip);
+        res.json({ success: true, message: 'User deleted', warning });
+    } catch (e) {
+        console.error('Delete user error:', e);
+        res.status(500).json({ error: 'Failed to delete user' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,226 @@
+/**
+ * HomePiNAS - Audit Log
+ * v3.2.0 - Persistent Audit Log
+ *
+ * SQLite-backed storage for security events, with retention limits
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const AUDIT_DB_PATH = path.join(__dirname, '..', 'config', 'audit.db');
+const AUDIT_RETENTION_DAYS = 90;
+const AUDIT_MAX_ENTRIES = 100000;
+const AUDIT_MAX_PAGE_SIZE = 200;
+const AUDIT_MAX_EXPORT_ROWS = 50000;
+
+let auditDb = null;
+
+/**
+ * Initialize SQLite audit database
+ */
+function initAuditDb() {
+    try {
+        const configDir = path.dirname(AUDIT_DB_PATH);
+        if (!fs.existsSync(configDir)) {
+            fs.mkdirSync(configDir, { recursive: true, mode: 0o700 });
+        }
+
+        auditDb = new Database(AUDIT_DB_PATH);
+        auditDb.pragma('journal_mode = WAL');
+
+        // SECURITY: Set restrictive permissions on database file (owner read/write only)
+        try {
+            fs.chmodSync(AUDIT_DB_PATH, 0o600);
+        } catch (e) {
+            console.warn('Could not set restrictive permissions on audit database');
+        }
+
+        auditDb.exec(`
+            CREATE TABLE IF NOT EXISTS audit_log (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                timestamp INTEGER NOT NULL,
+                event TEXT NOT NULL,
+                username TEXT,
+                ip TEXT,
+                details TEXT
+            )
+        `);
+
+        auditDb.exec('CREATE INDEX IF NOT EXISTS idx_audit_timestamp ON audit_log(timestamp)');
+        auditDb.exec('CREATE INDEX IF NOT EXISTS idx_audit_event ON audit_log(event)');
+        auditDb.exec('CREATE INDEX IF NOT EXISTS idx_audit_username ON audit_log(username)');
+
+        console.log('Audit database initialized at', AUDIT_DB_PATH);
+        pruneAuditLog();
+
+        return true;
+    } catch (e) {
+        console.error('Failed to initialize audit database:', e.message);
+        return false;
+    }
+}
+
+/**
+ * Persist a security event.
+ * The acting user is taken from details.user, falling back to details.username
+ * (login events only carry the username being logged in).
+ */
+function recordAuditEvent(event, details = {}, ip = null) {
+    if (!auditDb) return;
+
+    try {
+        const actor = (details && (details.user || details.username)) || null;
+        auditDb.prepare(`
+            INSERT INTO audit_log (timestamp, event, username, ip, details)
+            VALUES (?, ?, ?, ?, ?)
+        `).run(Date.now(), String(event), actor ? String(actor) : null, ip || null, JSON.stringify(details || {}));
+    } catch (e) {
+        console.error('Failed to record audit event:', e.message);
+    }
+}
+
+/**
+ * Build the WHERE clause shared by queries and exports
+ */
+function buildAuditFilter({ event, user, ip, from, to } = {}) {
+    const clauses = [];
+    const params = [];
+
+    if (event) {
+        clauses.push('event = ?');
+        params.push(event);
+    }
+    if (user) {
+        clauses.push('username = ?');
+        params.push(user);
+    }
+    if (ip) {
+        clauses.push('ip LIKE ?');
+        params.push(`%${ip}%`);
+    }
+    if (from) {
+        clauses.push('timestamp >= ?');
+        params.push(from);
+    }
+    if (to) {
+        clauses.push('timestamp <= ?');
+        params.push(to);
+    }
+
+    return {
+        where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '',
+        params
+    };
+}
+
+/**
+ * Convert a row to the API shape
+ */
+function toAuditEntry(row) {
+    let details = {};
+    try {
+        details = JSON.parse(row.details || '{}');
+    } catch (e) {}
+
+    return {
+        id: row.id,
+        timestamp: row.timestamp,
+        event: row.event,
+        user: row.username,
+        ip: row.ip,
+        details
+    };
+}
+
+/**
+ * Query audit entries, newest first
+ */
+function queryAuditLog(filters = {}, { limit = 50, offset = 0 } = {}) {
+    if (!auditDb) return { entries: [], total: 0 };
+
+    const { where, params } = buildAuditFilter(filters);
+    const pageSize = Math.min(Math.max(1, limit), AUDIT_MAX_PAGE_SIZE);
+
+    const total = auditDb.prepare(`SELECT COUNT(*) AS count FROM audit_log ${where}`).get(...params).count;
+    const rows = auditDb.prepare(`
+        SELECT id, timestamp, event, username, ip, details
+        FROM audit_log ${where}
+        ORDER BY timestamp DESC, id DESC
+        LIMIT ? OFFSET ?
+    `).all(...params, pageSize, Math.max(0, offset));
+
+    return { entries: rows.map(toAuditEntry), total };
+}
+
+/**
+ * All entries matching the filters for export (capped)
+ */
+function exportAuditLog(filters = {}) {
+    if (!auditDb) return [];
+
+    const { where, params } = buildAuditFilter(filters);
+    return auditDb.prepare(`
+        SELECT id, timestamp, event, username, ip, details
+        FROM audit_log ${where}
+        ORDER BY timestamp DESC, id DESC
+        LIMIT ?
+    `).all(...params, AUDIT_MAX_EXPORT_ROWS).map(toAuditEntry);
+}
+
+/**
+ * Distinct event types and users, for filter dropdowns
+ */
+function getAuditFacets() {
+    if (!auditDb) return { events: [], users: [] };
+
+    return {
+        events: auditDb.prepare('SELECT DISTINCT event FROM audit_log ORDER BY event').all().map(r => r.event),
+        users: auditDb.prepare('SELECT DISTINCT username FROM audit_log WHERE username IS NOT NULL ORDER BY username')
+            .all().map(r => r.username)
+    };
+}
+
+/**
+ * Apply retention: drop entries older than AUDIT_RETENTION_DAYS and keep at most AUDIT_MAX_ENTRIES
+ */
+function pruneAuditLog() {
+    if (!auditDb) return;
+
+    try {
+        const cutoff = Date.now() - AUDIT_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+        const aged = auditDb.prepare('DELETE FROM audit_log WHERE timestamp < ?').run(cutoff).changes;
+        const overflow = auditDb.prepare(`
+            DELETE FROM audit_log WHERE id <= (
+                SELECT id FROM audit_log ORDER BY id DESC LIMIT 1 OFFSET ?
+            )
+        `).run(AUDIT_MAX_ENTRIES).changes;
+
+        if (aged + overflow > 0) {
+            console.log(`Pruned ${aged + overflow} audit log entries`);
+        }
+    } catch (e) {
+        console.error('Failed to prune audit log:', e.message);
+    }
+}
+
+/**
+ * Start periodic retention cleanup
+ */
+function startAuditCleanup() {
+    setInterval(pruneAuditLog, 60 * 60 * 1000); // Prune every hour
+}
+
+module.exports = {
+    initAuditDb,
+    recordAuditEvent,
+    queryAuditLog,
+    exportAuditLog,
+    getAuditFacets,
+    pruneAuditLog,
+    startAuditCleanup,
+    AUDIT_RETENTION_DAYS,
+    AUDIT_MAX_ENTRIES,
+    AUDIT_MAX_PAGE_SIZE
+};
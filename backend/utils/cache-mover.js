@@ -0,0 +1,381 @@
+/**
+ * HomePiNAS - Cache Mover
+ * v3.2.0 - Cache Tier
+ *
+ * Moves files from the cache disks (/mnt/disks/cacheN) to the backing pool
+ * of data disks. A run moves files older than minAgeHours, or every file when
+ * cache usage is above usageThreshold. Files open by any process (lsof) are
+ * skipped. Runs on a cron schedule, when the cache fills up past the threshold,
+ * or manually; every run is recorded in the job history.
+ */
+
+const fs = require('fs');
+const { execFileSync, spawn, spawnSync } = require('child_process');
+
+const { getData, saveData } = require('./data');
+const { logSecurityEvent } = require('./security');
+const { parseCron, cronMatches, nextCronRun } = require('./cron');
+const { startJobRun, finishJobRun } = require('./job-history');
+const { STORAGE_MOUNT_BASE, POOL_BACKING_MOUNT } = require('./storage-paths');
+const { isMountPoint } = require('./pool-disks');
+const { isTieredPool } = require('./mergerfs');
+const { getActiveSnapraidJob } = require('./snapraid');
+
+const DEFAULT_MOVER_SETTINGS = {
+    enabled: true,
+    cron: '0 4 * * *',
+    minAgeHours: 24,
+    usageThreshold: 80
+};
+
+const MOVER_TICK_INTERVAL = 30 * 1000;
+// Cache usage is checked every few minutes; after a threshold run the check
+// waits longer so files that cannot move (open) do not trigger back-to-back runs
+const USAGE_CHECK_INTERVAL = 5 * 60 * 1000;
+const THRESHOLD_COOLDOWN = 30 * 60 * 1000;
+const MOVE_BATCH_SIZE = 200;
+// Root-owned helper installed by install.sh: runs find, lsof and rsync on /mnt/disks/cacheN
+const MOVER_HELPER = '/usr/local/bin/homepinas-mover';
+
+// Mover progress tracking
+let moverStatus = {
+    running: false,
+    trigger: null,
+    mode: null,
+    progress: 0,
+    status: '',
+    startTime: null,
+    error: null,
+    files: 0,
+    bytes: 0,
+    movedFiles: 0,
+    movedBytes: 0,
+    skippedOpen: 0,
+    failedFiles: 0
+};
+
+let lastTickMinute = null;
+let lastUsageCheck = 0;
+let lastThresholdRun = 0;
+
+function sudo(args) {
+    return execFileSync('sudo', args, { encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 });
+}
+
+/**
+ * Current mover settings (stored values over defaults)
+ */
+function getMoverSettings() {
+    return { ...DEFAULT_MOVER_SETTINGS, ...(getData().cacheMover || {}) };
+}
+
+/**
+ * Validate a settings update merged over the current settings.
+ * Returns { settings } or { error }.
+ */
+function buildMoverSettings(body, current) {
+    const settings = { ...current };
+    for (const key of Object.keys(DEFAULT_MOVER_SETTINGS)) {
+        if (body[key] !== undefined) settings[key] = body[key];
+    }
+
+    if (typeof settings.enabled !== 'boolean') {
+        return { error: 'enabled must be true or false' };
+    }
+    if (typeof settings.cron !== 'string' || !parseCron(settings.cron)) {
+        return { error: 'Invalid mover schedule. Use a 5-field cron expression (e.g. "0 4 * * *")' };
+    }
+    if (!Number.isInteger(settings.minAgeHours) || settings.minAgeHours < 0 || settings.minAgeHours > 8760) {
+        return { error: 'Minimum file age must be between 0 and 8760 hours' };
+    }
+    if (!Number.isInteger(settings.usageThreshold) || settings.usageThreshold < 1 || settings.usageThreshold > 100) {
+        return { error: 'Usage threshold must be between 1 and 100%' };
+    }
+
+    return {
+        settings: {
+            enabled: settings.enabled,
+            cron: settings.cron.trim().replace(/\s+/g, ' '),
+            minAgeHours: settings.minAgeHours,
+            usageThreshold: settings.usageThreshold
+        }
+    };
+}
+
+function saveMoverSettings(settings) {
+    const data = getData();
+    data.cacheMover = settings;
+    saveData(data);
+}
+
+/**
+ * Next scheduled run (ms), or null when the schedule is off
+ */
+function getNextMoverRun(settings = getMoverSettings(), from = new Date()) {
+    const parsed = settings.enabled ? parseCron(settings.cron) : null;
+    const date = parsed ? nextCronRun(parsed, from) : null;
+    return date ? date.getTime() : null;
+}
+
+/**
+ * Mounted cache disks
+ */
+function listCacheMounts() {
+    try {
+        return fs.readdirSync(STORAGE_MOUNT_BASE)
+            .filter(name => /^cache\d+$/.test(name))
+            .map(name => `${STORAGE_MOUNT_BASE}/${name}`)
+            .filter(isMountPoint);
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Size and usage of a cache disk
+ */
+function getCacheUsage(mountPoint) {
+    const stats = fs.statfsSync(mountPoint);
+    const total = stats.blocks * stats.bsize;
+    const used = (stats.blocks - stats.bfree) * stats.bsize;
+    const available = stats.bavail * stats.bsize;
+    return {
+        mountPoint,
+        total,
+        used,
+        available,
+        percent: used + available > 0 ? Math.round((used / (used + available)) * 100) : 0
+    };
+}
+
+function listCacheUsage() {
+    return listCacheMounts().map(getCacheUsage);
+}
+
+/**
+ * N of /mnt/disks/cacheN, the only argument the mover helper accepts
+ */
+function cacheNumber(mountPoint) {
+    return mountPoint.match(/cache(\d+)$/)[1];
+}
+
+/**
+ * Regular files on a cache disk: [{ path (relative), mtime (ms), size }]
+ */
+function listCacheFiles(mountPoint) {
+    const output = sudo([MOVER_HELPER, 'list', cacheNumber(mountPoint)]);
+    return output.split('\0').filter(Boolean).map(record => {
+        const [mtime, size, ...rest] = record.split('\t');
+        return { path: rest.join('\t'), mtime: Math.floor(parseFloat(mtime) * 1000), size: Number(size) || 0 };
+    });
+}
+
+/**
+ * Relative paths of the files open on a cache disk. lsof exits with 1 when
+ * nothing is open, so the exit code alone does not mean failure; a run that
+ * could not check open files must not move anything.
+ */
+function listOpenFiles(mountPoint) {
+    const result = spawnSync('sudo', [MOVER_HELPER, 'open', cacheNumber(mountPoint)], {
+        encoding: 'utf8',
+        maxBuffer: 64 * 1024 * 1024
+    });
+    if (result.error) throw result.error;
+    // lsof also prints warnings (e.g. unreadable FUSE mounts) that are harmless
+    if (result.status !== 0 && /^(sudo:|homepinas-mover:|lsof: (?!WARNING))/m.test(result.stderr || '')) {
+        throw new Error(`Could not list open files: ${result.stderr.trim().split('\n')[0]}`);
+    }
+
+    const prefix = `${mountPoint}/`;
+    const open = new Set();
+    for (const line of (result.stdout || '').split('\n')) {
+        if (line.startsWith(`n${prefix}`)) open.add(line.slice(prefix.length + 1));
+    }
+    return open;
+}
+
+/**
+ * Move a batch of files (relative to mountPoint) to the backing pool with
+ * rsync. Source files are removed only once copied. Resolves with the
+ * relative paths that were moved.
+ */
+function moveBatch(mountPoint, files) {
+    return new Promise((resolve, reject) => {
+        // The helper reads the file list from stdin and moves to the backing pool
+        const child = spawn('sudo', [MOVER_HELPER, 'move', cacheNumber(mountPoint)], {
+            stdio: ['pipe', 'pipe', 'pipe']
+        });
+        child.stdin.on('error', () => {}); // reported through 'close'
+        child.stdin.end(files.map(file => file.path).join('\0'));
+
+        let stdout = '';
+        let stderr = '';
+        child.stdout.on('data', (data) => { stdout += data.toString(); });
+        child.stderr.on('data', (data) => { stderr = (stderr + data.toString()).slice(-4096); });
+        child.on('error', reject);
+        child.on('close', (code) => {
+            // 23/24: some files failed or vanished; the rest were moved
+            if (code !== 0 && code !== 23 && code !== 24) {
+                reject(new Error(`rsync exited with code ${code}: ${stderr.trim().split('\n').pop() || ''}`));
+                return;
+            }
+            resolve(new Set(stdout.split('\n').filter(line => line && !line.endsWith('/'))));
+        });
+    });
+}
+
+/**
+ * Run the mover. Resolves with { status, message, counts }.
+ * Throws if a run is already in progress.
+ */
+async function runCacheMover({ trigger }) {
+    if (moverStatus.running) throw new Error('Cache mover already running');
+
+    const settings = getMoverSettings();
+    const cacheMounts = listCacheMounts();
+    const usage = cacheMounts.map(getCacheUsage);
+    const moveAll = usage.some(cache => cache.percent >= settings.usageThreshold);
+
+    moverStatus = {
+        running: true,
+        trigger,
+        mode: moveAll ? 'all' : 'age',
+        progress: 0,
+        status: 'Scanning cache...',
+        startTime: Date.now(),
+        error: null,
+        files: 0,
+        bytes: 0,
+        movedFiles: 0,
+        movedBytes: 0,
+        skippedOpen: 0,
+        failedFiles: 0
+    };
+    const runId = startJobRun('mover', trigger);
+    const counts = () => ({
+        moved: moverStatus.movedFiles,
+        movedBytes: moverStatus.movedBytes,
+        skippedOpen: moverStatus.skippedOpen,
+        failed: moverStatus.failedFiles
+    });
+
+    try {
+        if (cacheMounts.length === 0) {
+            throw new Error('No cache disk mounted');
+        }
+        // Never move into the empty mount point directory (it is on the system disk)
+        if (!isMountPoint(POOL_BACKING_MOUNT)) {
+            throw new Error(`Backing pool not mounted at ${POOL_BACKING_MOUNT}`);
+        }
+        if (getActiveSnapraidJob()) {
+            const message = `Skipped: SnapRAID ${getActiveSnapraidJob()} in progress`;
+            moverStatus.status = message;
+            finishJobRun(runId, { status: 'skipped', counts: counts(), message });
+            return { status: 'skipped', message, counts: counts() };
+        }
+
+        const cutoff = Date.now() - settings.minAgeHours * 3600 * 1000;
+        const plan = cacheMounts.map(mountPoint => {
+            const open = listOpenFiles(mountPoint);
+            const candidates = listCacheFiles(mountPoint).filter(file => moveAll || file.mtime <= cutoff);
+            const files = candidates.filter(file => !open.has(file.path)).sort((a, b) => a.mtime - b.mtime);
+            moverStatus.skippedOpen += candidates.length - files.length;
+            return { mountPoint, files };
+        });
+
+        moverStatus.files = plan.reduce((sum, cache) => sum + cache.files.length, 0);
+        moverStatus.bytes = plan.reduce((sum, cache) => sum + cache.files.reduce((s, file) => s + file.size, 0), 0);
+
+        for (const { mountPoint, files } of plan) {
+            for (let i = 0; i < files.length; i += MOVE_BATCH_SIZE) {
+                const batch = files.slice(i, i + MOVE_BATCH_SIZE);
+                moverStatus.status = `Moving from ${mountPoint}...`;
+
+                const moved = await moveBatch(mountPoint, batch);
+                for (const file of batch) {
+                    if (moved.has(file.path)) {
+                        moverStatus.movedFiles++;
+                        moverStatus.movedBytes += file.size;
+                    } else {
+                        moverStatus.failedFiles++;
+                    }
+                }
+                const done = moverStatus.movedFiles + moverStatus.failedFiles;
+                moverStatus.progress = Math.floor((done / moverStatus.files) * 100);
+            }
+        }
+
+        const status = moverStatus.failedFiles > 0 ? 'failed' : 'success';
+        const message = moverStatus.failedFiles > 0 ? `${moverStatus.failedFiles} files could not be moved` : null;
+        moverStatus.progress = 100;
+        moverStatus.status = moverStatus.files === 0 ? 'Nothing to move' : 'Move completed';
+        moverStatus.error = message;
+
+        finishJobRun(runId, { status, counts: counts(), message });
+        logSecurityEvent('CACHE_MOVER_COMPLETE', { trigger, mode: moverStatus.mode, ...counts() }, '');
+        return { status, message, counts: counts() };
+    } catch (e) {
+        moverStatus.error = e.message;
+        moverStatus.status = 'Mover failed';
+        finishJobRun(runId, { status: 'failed', counts: counts(), message: e.message });
+        return { status: 'failed', message: e.message, counts: counts() };
+    } finally {
+        moverStatus.running = false;
+    }
+}
+
+function getCacheMoverStatus() {
+    return moverStatus;
+}
+
+/**
+ * Scheduled run when the cron matches, threshold run when a cache disk is too full
+ */
+async function runDueMover(now) {
+    if (moverStatus.running || !isTieredPool()) return;
+
+    const settings = getMoverSettings();
+    const parsed = settings.enabled ? parseCron(settings.cron) : null;
+    if (parsed && cronMatches(parsed, now)) {
+        console.log('[MOVER] Starting scheduled cache mover');
+        const result = await runCacheMover({ trigger: 'schedule' });
+        console.log(`[MOVER] Cache mover finished: ${result.status}${result.message ? ` (${result.message})` : ''}`);
+        return;
+    }
+
+    const time = now.getTime();
+    if (time - lastUsageCheck < USAGE_CHECK_INTERVAL || time - lastThresholdRun < THRESHOLD_COOLDOWN) return;
+    lastUsageCheck = time;
+
+    if (listCacheUsage().some(cache => cache.percent >= settings.usageThreshold)) {
+        lastThresholdRun = time;
+        console.log(`[MOVER] Cache above ${settings.usageThreshold}%, starting cache mover`);
+        const result = await runCacheMover({ trigger: 'threshold' });
+        console.log(`[MOVER] Cache mover finished: ${result.status}${result.message ? ` (${result.message})` : ''}`);
+    }
+}
+
+/**
+ * Check the schedule and cache usage every tick; each minute is evaluated once
+ */
+function startCacheMoverScheduler() {
+    setInterval(() => {
+        const now = new Date();
+        const minute = Math.floor(now.getTime() / 60000);
+        if (minute === lastTickMinute) return;
+        lastTickMinute = minute;
+
+        runDueMover(now).catch(e => console.error('Cache mover scheduler error:', e.message));
+    }, MOVER_TICK_INTERVAL);
+}
+
+module.exports = {
+    getMoverSettings,
+    buildMoverSettings,
+    saveMoverSettings,
+    getNextMoverRun,
+    listCacheUsage,
+    runCacheMover,
+    getCacheMoverStatus,
+    startCacheMoverScheduler
+};
@@ -0,0 +1,116 @@
+/**
+ * HomePiNAS - Cron Expressions
+ * v3.2.0 - SnapRAID Scheduling
+ *
+ * Minimal 5-field cron parser (minute hour day-of-month month day-of-week).
+ * Supports *, lists (1,15), ranges (1-5) and steps (*\/15, 0-30/10).
+ * No names (MON, JAN) and no @-macros.
+ */
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'dayOfWeek', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+/**
+ * Expand one field into a Set of values, or null if invalid
+ */
+function parseField(text, { min, max }) {
+    const values = new Set();
+
+    for (const part of text.split(',')) {
+        const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+        if (!match) return null;
+
+        let start = min;
+        let end = max;
+        if (match[1] !== '*') {
+            start = parseInt(match[2], 10);
+            end = match[3] !== undefined ? parseInt(match[3], 10) : start;
+            // A bare value with a step (5/15) runs from the value to the end of the range
+            if (match[3] === undefined && match[4] !== undefined) end = max;
+        }
+        const step = match[4] !== undefined ? parseInt(match[4], 10) : 1;
+
+        if (start < min || end > max || start > end || step < 1) return null;
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+    return values;
+}
+
+/**
+ * Parse a cron expression. Returns null if it is invalid.
+ */
+function parseCron(expression) {
+    if (typeof expression !== 'string') return null;
+
+    const parts = expression.trim().split(/\s+/);
+    if (parts.length !== CRON_FIELDS.length) return null;
+
+    const parsed = {};
+    for (let i = 0; i < CRON_FIELDS.length; i++) {
+        const values = parseField(parts[i], CRON_FIELDS[i]);
+        if (!values) return null;
+        parsed[CRON_FIELDS[i].name] = values;
+    }
+
+    if (parsed.dayOfWeek.has(7)) parsed.dayOfWeek.add(0);
+    // Standard cron: if both day fields are restricted, either one may match
+    parsed.restrictDayOfMonth = parts[2] !== '*';
+    parsed.restrictDayOfWeek = parts[4] !== '*';
+    return parsed;
+}
+
+/**
+ * Does a parsed expression match the given date (local time, minute resolution)?
+ */
+function cronMatches(parsed, date) {
+    if (!parsed.minute.has(date.getMinutes())) return false;
+    if (!parsed.hour.has(date.getHours())) return false;
+    if (!parsed.month.has(date.getMonth() + 1)) return false;
+
+    const domMatch = parsed.dayOfMonth.has(date.getDate());
+    const dowMatch = parsed.dayOfWeek.has(date.getDay());
+    if (parsed.restrictDayOfMonth && parsed.restrictDayOfWeek) {
+        return domMatch || dowMatch;
+    }
+    return domMatch && dowMatch;
+}
+
+/**
+ * Next time (after `from`) the expression matches, searching up to a year ahead.
+ * Returns null if it never matches (e.g. 0 0 31 2 *).
+ */
+function nextCronRun(parsed, from = new Date()) {
+    const date = new Date(from.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const limit = from.getTime() + 366 * 24 * 60 * 60 * 1000;
+    while (date.getTime() <= limit) {
+        if (!parsed.month.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0);
+            continue;
+        }
+        if (!parsed.hour.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0);
+            continue;
+        }
+        if (cronMatches(parsed, date)) return date;
+        date.setMinutes(date.getMinutes() + 1);
+    }
+    return null;
+}
+
+module.exports = {
+    parseCron,
+    cronMatches,
+    nextCronRun
+};
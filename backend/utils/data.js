@@ -11,7 +11,7 @@ const path = require('path');
 const DATA_FILE = path.join(__dirname, '..', 'config', 'data.json');
 
 const initialState = {
-    user: null,
+    users: [],
     storageConfig: [],
     network: {
         interfaces: [
@@ -35,6 +35,26 @@ function ensureConfigDir() {
     }
 }
 
+/**
+ * Migrate the legacy single-admin `user` field to the `users` list
+ */
+function migrateLegacyUser(data) {
+    if (data.user && !Array.isArray(data.users)) {
+        data.users = [{
+            username: data.user.username,
+            password: data.user.password,
+            role: 'admin',
+            createdAt: new Date().toISOString()
+        }];
+        delete data.user;
+        saveData(data);
+    }
+    if (!Array.isArray(data.users)) {
+        data.users = [];
+    }
+    return data;
+}
+
 /**
  * Read data from JSON file
  */
@@ -45,7 +65,7 @@ function getData() {
             fs.writeFileSync(DATA_FILE, JSON.stringify(initialState, null, 2));
         }
         const content = fs.readFileSync(DATA_FILE, 'utf8');
-        return JSON.parse(content);
+        return migrateLegacyUser(JSON.parse(content));
     } catch (e) {
         console.error('Error reading data file:', e.message);
         fs.writeFileSync(DATA_FILE, JSON.stringify(initialState, null, 2));
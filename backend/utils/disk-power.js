@@ -0,0 +1,150 @@
+/**
+ * HomePiNAS - Disk Power Management
+ * v3.2.0 - Disk Standby
+ *
+ * Spin-down of hard disks: per-disk standby timeouts (stored in data.json by
+ * serial number, so they follow the disk across device name changes) applied
+ * with `hdparm -S`, and the current power state read with `hdparm -C`, which
+ * does not wake a sleeping disk. Disk listing uses lsblk only; nothing here
+ * sends a command that spins a disk up, except applying a new timeout.
+ */
+
+const { execFileSync, spawnSync } = require('child_process');
+
+const { getData, saveData } = require('./data');
+
+// Minutes; 0 disables spin-down. hdparm -S only encodes up to 20 minutes in
+// 5 second steps and 30 minute steps above that.
+const STANDBY_TIMEOUTS = [0, 5, 10, 15, 20, 30, 60, 90, 120, 180, 240, 300];
+
+const DISK_NAME_PATTERN = /^(sd[a-z]|nvme[0-9]n[0-9])$/;
+// Disks that appear later (hot-plug, USB enclosures) get their timeout on the next check
+const APPLY_CHECK_INTERVAL = 5 * 60 * 1000;
+
+// serial -> timeout applied in this process (a power cycle of the disk resets it)
+const applied = new Map();
+
+/**
+ * Whole disks with their lsblk details (no disk access)
+ */
+function listDisks() {
+    try {
+        const output = execFileSync('lsblk', ['-J', '-b', '-d', '-o', 'NAME,TYPE,SIZE,MODEL,SERIAL,ROTA,TRAN'], { encoding: 'utf8' });
+        return (JSON.parse(output).blockdevices || [])
+            .filter(dev => dev.type === 'disk' && DISK_NAME_PATTERN.test(dev.name))
+            .map(dev => ({
+                id: dev.name,
+                device: `/dev/${dev.name}`,
+                size: Number(dev.size) || 0,
+                model: dev.model ? dev.model.trim() : null,
+                serial: dev.serial ? dev.serial.trim() : null,
+                rotational: dev.rota === true || dev.rota === '1' || dev.rota === 1,
+                transport: dev.tran || null
+            }));
+    } catch (e) {
+        console.error('Failed to list disks:', e.message);
+        return [];
+    }
+}
+
+/**
+ * Power state of a disk: 'active', 'standby', 'sleeping' or 'unknown'.
+ * NVMe drives manage their own power states and always report 'active'.
+ */
+function getPowerState(device) {
+    if (device.startsWith('nvme')) return 'active';
+    if (!DISK_NAME_PATTERN.test(device)) return 'unknown';
+
+    const result = spawnSync('sudo', ['hdparm', '-C', `/dev/${device}`], { encoding: 'utf8', timeout: 10000 });
+    const match = (result.stdout || '').match(/drive state is:\s*(\S+)/);
+    if (!match) return 'unknown';
+
+    const state = match[1].toLowerCase();
+    if (state.startsWith('active') || state.startsWith('idle')) return 'active';
+    if (state === 'standby' || state === 'sleeping') return state;
+    return 'unknown';
+}
+
+/**
+ * Standby timeouts (minutes) by disk serial
+ */
+function getStandbySettings() {
+    return { ...(getData().diskStandby || {}) };
+}
+
+/**
+ * Validate a timeout in minutes. Returns an error message or null.
+ */
+function validateStandbyTimeout(minutes) {
+    if (!STANDBY_TIMEOUTS.includes(minutes)) {
+        return `Standby timeout must be one of: ${STANDBY_TIMEOUTS.join(', ')} minutes`;
+    }
+    return null;
+}
+
+/**
+ * hdparm -S value for a timeout in minutes
+ */
+function hdparmStandbyValue(minutes) {
+    if (minutes <= 20) return minutes * 12;
+    return 240 + minutes / 30;
+}
+
+function applyStandbyTimeout(device, minutes) {
+    execFileSync('sudo', ['hdparm', '-S', String(hdparmStandbyValue(minutes)), `/dev/${device}`], {
+        encoding: 'utf8',
+        timeout: 10000
+    });
+}
+
+/**
+ * Save and apply the timeout of a disk. Throws if hdparm fails (the setting is kept).
+ */
+function setStandbyTimeout(disk, minutes) {
+    const data = getData();
+    data.diskStandby = { ...(data.diskStandby || {}), [disk.serial]: minutes };
+    saveData(data);
+
+    applied.delete(disk.serial);
+    applyStandbyTimeout(disk.id, minutes);
+    applied.set(disk.serial, minutes);
+}
+
+/**
+ * Apply saved timeouts to disks that have not received them yet
+ */
+function applyPendingTimeouts() {
+    const settings = getStandbySettings();
+    for (const disk of listDisks()) {
+        const minutes = disk.serial ? settings[disk.serial] : undefined;
+        if (minutes === undefined || !disk.rotational || applied.get(disk.serial) === minutes) continue;
+
+        // Marked as applied even on failure: hdparm -S wakes the disk, so a
+        // bridge that rejects it is not retried every check
+        applied.set(disk.serial, minutes);
+        try {
+            applyStandbyTimeout(disk.id, minutes);
+            console.log(`[STANDBY] ${disk.id}: standby after ${minutes ? `${minutes} min` : 'never'}`);
+        } catch (e) {
+            console.error(`Could not set standby timeout on ${disk.id}:`, e.message);
+        }
+    }
+}
+
+/**
+ * Apply the saved timeouts now and to disks that appear later
+ */
+function startDiskPowerManager() {
+    applyPendingTimeouts();
+    setInterval(applyPendingTimeouts, APPLY_CHECK_INTERVAL);
+}
+
+module.exports = {
+    STANDBY_TIMEOUTS,
+    listDisks,
+    getPowerState,
+    getStandbySettings,
+    validateStandbyTimeout,
+    setStandbyTimeout,
+    startDiskPowerManager
+};
@@ -0,0 +1,223 @@
+/**
+ * HomePiNAS - Disk Replacement
+ * v3.2.0 - Replace Disk Wizard
+ *
+ * Swaps a failed data disk for a new one without rebuilding the pool:
+ * - SnapRAID + MergerFS: partition and format the new disk, mount it at the
+ *   old /mnt/disks/diskN, point fstab at it and restore its files with `snapraid fix -d`
+ * - NonRAID: assign the new disk to the slot with `nmdctl replace` and rebuild it from parity
+ *
+ * Runs in the background; callers poll getDiskReplaceStatus() for step progress.
+ */
+
+const { execFileSync, spawn } = require('child_process');
+
+const { logSecurityEvent } = require('./security');
+const { POOL_MOUNT, POOL_BACKING_MOUNT } = require('./storage-paths');
+const { getFilesystemUuid, mountPointOf, readManagedEntries, writeManagedEntries, diskFstabEntry } = require('./fstab');
+const {
+    partitionOf,
+    isMountPoint,
+    partitionDataDisk,
+    formatDataDisk,
+    mountDataDisk
+} = require('./pool-disks');
+const {
+    runSnapraidRepair,
+    getSnapraidRepairStatus
+} = require('./snapraid');
+
+const REPLACE_STEPS = {
+    snapraid: ['unmount', 'partition', 'format', 'mount', 'fstab', 'fix'],
+    nonraid: ['stop', 'partition', 'replace', 'start', 'mount', 'rebuild']
+};
+
+// Replace progress tracking (same shape as the NonRAID configure status, plus the plan)
+let diskReplaceStatus = {
+    active: false,
+    backend: null,
+    target: null,
+    newDisk: null,
+    steps: [],
+    step: '',
+    progress: 0,
+    error: null
+};
+
+function sudo(args) {
+    return execFileSync('sudo', args, { encoding: 'utf8' });
+}
+
+function setStep(step) {
+    diskReplaceStatus.step = step;
+    diskReplaceStatus.progress = 0;
+}
+
+/**
+ * Point the fstab entry of mountPoint at the new filesystem UUID
+ * (added before the pool entry if the mount point had none)
+ */
+function replaceFstabEntry(mountPoint, uuid) {
+    const entries = readManagedEntries();
+    const entry = diskFstabEntry(uuid, mountPoint);
+    const index = entries.findIndex(line => mountPointOf(line) === mountPoint);
+
+    if (index >= 0) {
+        entries[index] = entry;
+    } else {
+        const poolIndex = entries.findIndex(line => [POOL_MOUNT, POOL_BACKING_MOUNT].includes(mountPointOf(line)));
+        entries.splice(poolIndex >= 0 ? poolIndex : entries.length, 0, entry);
+    }
+    writeManagedEntries(entries);
+}
+
+/**
+ * SnapRAID + MergerFS: new filesystem at the failed disk's mount point, then
+ * `snapraid fix -d <name>` rebuilds its files from parity. MergerFS picks the
+ * branch up again because the mount point does not change. Sync, scrub and
+ * check/fix are refused while the replacement is active (the route refuses
+ * to start one while they run), so the fix step finds the array free.
+ */
+async function replaceSnapraidDisk(target, newDisk, user) {
+    setStep('unmount');
+    // The failed disk may still be mounted (with I/O errors); detach it lazily if it is busy
+    if (isMountPoint(target.path)) {
+        try {
+            sudo(['umount', target.path]);
+        } catch (e) {
+            sudo(['umount', '-l', target.path]);
+        }
+    }
+    diskReplaceStatus.progress = 100;
+
+    setStep('partition');
+    await partitionDataDisk(newDisk);
+    diskReplaceStatus.progress = 100;
+
+    setStep('format');
+    const partDevice = formatDataDisk(newDisk);
+    diskReplaceStatus.progress = 100;
+
+    setStep('mount');
+    mountDataDisk(partDevice, target.path);
+    diskReplaceStatus.progress = 100;
+
+    setStep('fstab');
+    replaceFstabEntry(target.path, getFilesystemUuid(partDevice));
+    diskReplaceStatus.progress = 100;
+
+    setStep('fix');
+    const progressTimer = setInterval(() => {
+        diskReplaceStatus.progress = getSnapraidRepairStatus().progress;
+    }, 2000);
+    try {
+        const result = await runSnapraidRepair({ job: 'fix', selection: ['-d', target.name], trigger: 'replace', user });
+        if (result.status !== 'success') {
+            throw new Error(result.message || 'snapraid fix failed');
+        }
+    } finally {
+        clearInterval(progressTimer);
+    }
+    diskReplaceStatus.progress = 100;
+}
+
+/**
+ * Run `sudo nmdctl check`, reporting its percentage as step progress
+ */
+function runNonraidRebuild() {
+    return new Promise((resolve, reject) => {
+        const child = spawn('sudo', ['nmdctl', 'check'], { stdio: ['ignore', 'pipe', 'pipe'] });
+
+        child.stdout.on('data', (data) => {
+            const match = data.toString().match(/(\d+)%/);
+            if (match) diskReplaceStatus.progress = parseInt(match[1], 10);
+        });
+        child.on('error', reject);
+        child.on('close', (code) => {
+            if (code === 0) resolve();
+            else reject(new Error(`Rebuild exited with code ${code}`));
+        });
+    });
+}
+
+/**
+ * NonRAID: assign the new disk to the failed slot; with the array started,
+ * the slot is emulated from parity until the rebuild (parity check) finishes
+ */
+async function replaceNonraidDisk(slot, newDisk) {
+    setStep('stop');
+    try {
+        sudo(['nmdctl', 'unmount']);
+    } catch (e) {
+        // Already unmounted
+    }
+    sudo(['nmdctl', 'stop']);
+    diskReplaceStatus.progress = 100;
+
+    setStep('partition');
+    sudo(['sgdisk', '-o', '-a', '8', '-n', '1:32K:0', `/dev/${newDisk}`]);
+    diskReplaceStatus.progress = 100;
+
+    setStep('replace');
+    sudo(['nmdctl', 'replace', String(slot), `/dev/${partitionOf(newDisk)}`]);
+    diskReplaceStatus.progress = 100;
+
+    setStep('start');
+    sudo(['nmdctl', 'start']);
+    diskReplaceStatus.progress = 100;
+
+    setStep('mount');
+    sudo(['nmdctl', 'mount']);
+    diskReplaceStatus.progress = 100;
+
+    setStep('rebuild');
+    await runNonraidRebuild();
+    diskReplaceStatus.progress = 100;
+}
+
+/**
+ * Start a replacement in the background.
+ * target is a SnapRAID disk { name, path } or a NonRAID slot number.
+ */
+function startDiskReplace({ backend, target, newDisk, user, ip }) {
+    diskReplaceStatus = {
+        active: true,
+        backend,
+        target: backend === 'snapraid' ? target.name : target,
+        newDisk,
+        steps: REPLACE_STEPS[backend],
+        step: REPLACE_STEPS[backend][0],
+        progress: 0,
+        error: null,
+        startTime: Date.now()
+    };
+
+    const run = backend === 'snapraid'
+        ? replaceSnapraidDisk(target, newDisk, user)
+        : replaceNonraidDisk(target, newDisk);
+
+    run.then(() => {
+        diskReplaceStatus.step = 'complete';
+        diskReplaceStatus.progress = 100;
+        logSecurityEvent('DISK_REPLACE_COMPLETE', {
+            backend, target: diskReplaceStatus.target, newDisk, user
+        }, ip);
+    }).catch(err => {
+        console.error('Disk replacement failed:', err);
+        diskReplaceStatus.error = err.message || 'Replacement failed';
+        logSecurityEvent('DISK_REPLACE_FAILED', {
+            backend, target: diskReplaceStatus.target, newDisk, step: diskReplaceStatus.step, user
+        }, ip);
+    }).finally(() => {
+        diskReplaceStatus.active = false;
+    });
+}
+
+function getDiskReplaceStatus() {
+    return diskReplaceStatus;
+}
+
+module.exports = {
+    startDiskReplace,
+    getDiskReplaceStatus
+};
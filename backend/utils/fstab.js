@@ -0,0 +1,217 @@
+/**
+ * HomePiNAS - fstab Management
+ * v3.2.0 - Pool Disk Management
+ *
+ * Owns the HomePiNAS block of /etc/fstab (between the BEGIN/END markers).
+ * Entries use filesystem UUIDs resolved with blkid. Every change is written
+ * atomically (rename on the same filesystem), checked with `findmnt --verify`
+ * and rolled back from the backup if it introduces errors.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { execFileSync, spawnSync } = require('child_process');
+
+const FSTAB_PATH = '/etc/fstab';
+const FSTAB_BACKUP_PATH = '/etc/fstab.homepinas.bak';
+// Staging copy next to /etc/fstab so the final rename is atomic
+const FSTAB_STAGING_PATH = '/etc/fstab.homepinas.tmp';
+
+const BLOCK_BEGIN = '# BEGIN HomePiNAS storage (managed by HomePiNAS, do not edit)';
+const BLOCK_END = '# END HomePiNAS storage';
+// Written by earlier versions: from this line to the next blank line
+const LEGACY_BLOCK_HEADER = '# HomePiNAS Storage Configuration';
+// Earlier versions wrote the blkid command instead of its output
+const LEGACY_UUID_PATTERN = /^UUID=\$\(sudo blkid -s UUID -o value (\/dev\/[a-z0-9]+)\)(\s.*)$/;
+
+function sudo(args) {
+    return execFileSync('sudo', args, { encoding: 'utf8' });
+}
+
+/**
+ * Filesystem UUID of a partition (throws if it has none)
+ */
+function getFilesystemUuid(partDevice) {
+    const uuid = sudo(['blkid', '-s', 'UUID', '-o', 'value', partDevice]).trim();
+    if (!uuid) throw new Error(`No filesystem UUID found on ${partDevice}`);
+    return uuid;
+}
+
+function readFstabLines() {
+    return fs.readFileSync(FSTAB_PATH, 'utf8').split('\n');
+}
+
+function mountPointOf(line) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return null;
+    return trimmed.split(/\s+/)[1] || null;
+}
+
+/**
+ * Position of the HomePiNAS block: { start, end, legacy } with end exclusive,
+ * or null if there is none
+ */
+function findBlock(lines) {
+    const begin = lines.findIndex(line => line.trim() === BLOCK_BEGIN);
+    if (begin >= 0) {
+        const endMarker = lines.findIndex((line, i) => i > begin && line.trim() === BLOCK_END);
+        return { start: begin, end: endMarker >= 0 ? endMarker + 1 : lines.length, legacy: false };
+    }
+
+    const legacy = lines.findIndex(line => line.trim() === LEGACY_BLOCK_HEADER);
+    if (legacy >= 0) {
+        let end = legacy + 1;
+        while (end < lines.length && lines[end].trim() !== '') end++;
+        return { start: legacy, end, legacy: true };
+    }
+    return null;
+}
+
+/**
+ * Entries (fstab lines) of the HomePiNAS block
+ */
+function readManagedEntries(lines = readFstabLines()) {
+    const block = findBlock(lines);
+    if (!block) return [];
+    return lines.slice(block.start + 1, block.legacy ? block.end : block.end - 1)
+        .filter(line => line.trim() && line.trim() !== BLOCK_END);
+}
+
+/**
+ * Build the ext4 entry of a data/parity/cache disk
+ */
+function diskFstabEntry(uuid, mountPoint) {
+    return `UUID=${uuid} ${mountPoint} ext4 defaults,nofail 0 2`;
+}
+
+/**
+ * The whole file with the HomePiNAS block replaced by entries. Entries for
+ * the same mount points outside the block are commented out so they
+ * cannot shadow the managed ones.
+ */
+function buildFstab(lines, entries) {
+    const result = [...lines];
+    const block = findBlock(result);
+    if (block) result.splice(block.start, block.end - block.start);
+
+    const managedMounts = new Set(entries.map(mountPointOf).filter(Boolean));
+    for (let i = 0; i < result.length; i++) {
+        if (managedMounts.has(mountPointOf(result[i]))) {
+            result[i] = `# Replaced by the HomePiNAS block: ${result[i]}`;
+        }
+    }
+
+    while (result.length > 0 && result[result.length - 1].trim() === '') result.pop();
+    result.push('', BLOCK_BEGIN, ...entries, BLOCK_END, '');
+    return result.join('\n');
+}
+
+/**
+ * Errors reported by `findmnt --verify` for an fstab file, as "target: message"
+ */
+function verifyFstab(path) {
+    const result = spawnSync('findmnt', ['--verify', '--tab-file', path], { encoding: 'utf8' });
+    if (result.error) {
+        console.warn('findmnt --verify unavailable:', result.error.message);
+        return [];
+    }
+
+    // Parse errors are keyed by the offending line, not its number, so they can
+    // be compared between the old and new file
+    let fileLines = [];
+    try {
+        fileLines = fs.readFileSync(path, 'utf8').split('\n');
+    } catch (e) {}
+
+    const errors = [];
+    let target = '';
+    for (const line of `${result.stdout}\n${result.stderr}`.split('\n')) {
+        if (!line.trim()) continue;
+        const parseError = line.match(/parse error at line (\d+)/);
+        if (parseError) {
+            errors.push(`parse error: ${(fileLines[parseInt(parseError[1], 10) - 1] || '').trim()}`);
+            continue;
+        }
+        if (!/^\s/.test(line)) {
+            target = line.trim();
+            continue;
+        }
+        const match = line.match(/^\s*\[E\]\s*(.+)$/);
+        if (match) errors.push(`${target}: ${match[1].trim()}`);
+    }
+    return errors;
+}
+
+/**
+ * Install content as /etc/fstab: back up the current file, stage the new one
+ * next to it and rename it into place. If findmnt reports errors that the
+ * previous file did not have, the backup is restored and an error is thrown.
+ */
+function applyFstab(content) {
+    const tmpPath = `/tmp/homepinas-fstab-${crypto.randomBytes(8).toString('hex')}`;
+    const knownErrors = new Set(verifyFstab(FSTAB_PATH));
+
+    try {
+        fs.writeFileSync(tmpPath, content, { mode: 0o600 });
+        sudo(['cp', FSTAB_PATH, FSTAB_BACKUP_PATH]);
+        sudo(['cp', tmpPath, FSTAB_STAGING_PATH]);
+        sudo(['chmod', '644', FSTAB_STAGING_PATH]);
+        sudo(['mv', FSTAB_STAGING_PATH, FSTAB_PATH]);
+    } finally {
+        if (fs.existsSync(tmpPath)) fs.unlinkSync(tmpPath);
+    }
+
+    const newErrors = verifyFstab(FSTAB_PATH).filter(error => !knownErrors.has(error));
+    if (newErrors.length > 0) {
+        sudo(['cp', FSTAB_BACKUP_PATH, FSTAB_STAGING_PATH]);
+        sudo(['mv', FSTAB_STAGING_PATH, FSTAB_PATH]);
+        const err = new Error(`fstab verification failed, previous /etc/fstab restored: ${newErrors.join('; ')}`);
+        err.fstabErrors = newErrors;
+        throw err;
+    }
+}
+
+/**
+ * Replace the HomePiNAS block with entries
+ */
+function writeManagedEntries(entries) {
+    applyFstab(buildFstab(readFstabLines(), entries));
+}
+
+/**
+ * Rewrite a block left by earlier versions: resolve the literal
+ * `UUID=$(sudo blkid ...)` entries (which never mounted) and move it between
+ * markers. Entries whose partition is gone are commented out.
+ * Returns true if /etc/fstab was changed.
+ */
+function repairLegacyFstab() {
+    const lines = readFstabLines();
+    const block = findBlock(lines);
+    const entries = readManagedEntries(lines);
+    if (!block || (!block.legacy && !entries.some(line => LEGACY_UUID_PATTERN.test(line)))) {
+        return false;
+    }
+
+    const repaired = entries.map(line => {
+        const match = line.match(LEGACY_UUID_PATTERN);
+        if (!match) return line;
+        try {
+            return `UUID=${getFilesystemUuid(match[1])}${match[2]}`;
+        } catch (e) {
+            return `# Partition not found: ${line}`;
+        }
+    });
+    applyFstab(buildFstab(lines, repaired));
+    return true;
+}
+
+module.exports = {
+    FSTAB_PATH,
+    getFilesystemUuid,
+    mountPointOf,
+    readManagedEntries,
+    writeManagedEntries,
+    diskFstabEntry,
+    verifyFstab,
+    repairLegacyFstab
+};
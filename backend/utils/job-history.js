@@ -0,0 +1,179 @@
+/**
+ * HomePiNAS - Job History
+ * v3.2.0 - SnapRAID Scheduling
+ *
+ * SQLite-backed record of maintenance runs (SnapRAID sync, scrub, cache mover, ...):
+ * trigger, duration, exit code, outcome and per-job counts
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const JOBS_DB_PATH = path.join(__dirname, '..', 'config', 'jobs.db');
+const JOBS_MAX_ENTRIES = 1000;
+const JOBS_MAX_PAGE_SIZE = 200;
+
+let jobsDb = null;
+
+/**
+ * Initialize SQLite job history database
+ */
+function initJobHistoryDb() {
+    try {
+        const configDir = path.dirname(JOBS_DB_PATH);
+        if (!fs.existsSync(configDir)) {
+            fs.mkdirSync(configDir, { recursive: true, mode: 0o700 });
+        }
+
+        jobsDb = new Database(JOBS_DB_PATH);
+        jobsDb.pragma('journal_mode = WAL');
+
+        try {
+            fs.chmodSync(JOBS_DB_PATH, 0o600);
+        } catch (e) {
+            console.warn('Could not set restrictive permissions on job history database');
+        }
+
+        jobsDb.exec(`
+            CREATE TABLE IF NOT EXISTS job_runs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                job TEXT NOT NULL,
+                trigger TEXT NOT NULL,
+                status TEXT NOT NULL,
+                started_at INTEGER NOT NULL,
+                finished_at INTEGER,
+                exit_code INTEGER,
+                counts TEXT,
+                message TEXT
+            )
+        `);
+        jobsDb.exec('CREATE INDEX IF NOT EXISTS idx_job_runs_job ON job_runs(job, started_at)');
+
+        // Runs interrupted by a restart never finished
+        jobsDb.prepare(`
+            UPDATE job_runs SET status = 'failed', message = 'Interrupted (service restarted)'
+            WHERE status = 'running'
+        `).run();
+
+        console.log('Job history database initialized at', JOBS_DB_PATH);
+        pruneJobHistory();
+
+        return true;
+    } catch (e) {
+        console.error('Failed to initialize job history database:', e.message);
+        return false;
+    }
+}
+
+/**
+ * Record the start of a run. Returns the run id (null if the database is unavailable).
+ */
+function startJobRun(job, trigger) {
+    if (!jobsDb) return null;
+
+    try {
+        return jobsDb.prepare(`
+            INSERT INTO job_runs (job, trigger, status, started_at) VALUES (?, ?, 'running', ?)
+        `).run(job, trigger, Date.now()).lastInsertRowid;
+    } catch (e) {
+        console.error('Failed to record job start:', e.message);
+        return null;
+    }
+}
+
+/**
+ * Record the outcome of a run started with startJobRun
+ */
+function finishJobRun(id, { status, exitCode = null, counts = {}, message = null }) {
+    if (!jobsDb || id === null) return;
+
+    try {
+        jobsDb.prepare(`
+            UPDATE job_runs SET status = ?, finished_at = ?, exit_code = ?, counts = ?, message = ?
+            WHERE id = ?
+        `).run(status, Date.now(), exitCode, JSON.stringify(counts || {}), message, id);
+        pruneJobHistory();
+    } catch (e) {
+        console.error('Failed to record job result:', e.message);
+    }
+}
+
+/**
+ * Convert a row to the API shape
+ */
+function toJobRun(row) {
+    let counts = {};
+    try {
+        counts = JSON.parse(row.counts || '{}');
+    } catch (e) {}
+
+    return {
+        id: row.id,
+        job: row.job,
+        trigger: row.trigger,
+        status: row.status,
+        startedAt: row.started_at,
+        finishedAt: row.finished_at,
+        duration: row.finished_at ? row.finished_at - row.started_at : null,
+        exitCode: row.exit_code,
+        counts,
+        message: row.message
+    };
+}
+
+/**
+ * Most recent runs, newest first, optionally for one job or a list of jobs
+ */
+function listJobRuns({ job, limit = 20 } = {}) {
+    if (!jobsDb) return [];
+
+    const pageSize = Math.min(Math.max(1, limit), JOBS_MAX_PAGE_SIZE);
+    const params = job ? [].concat(job) : [];
+    const where = params.length > 0 ? `WHERE job IN (${params.map(() => '?').join(', ')})` : '';
+
+    return jobsDb.prepare(`
+        SELECT * FROM job_runs ${where} ORDER BY started_at DESC, id DESC LIMIT ?
+    `).all(...params, pageSize).map(toJobRun);
+}
+
+/**
+ * Latest run of a job with the given status (e.g. the last successful sync)
+ */
+function getLastJobRun(job, status) {
+    if (!jobsDb) return null;
+
+    const row = jobsDb.prepare(`
+        SELECT * FROM job_runs WHERE job = ? AND status = ? ORDER BY started_at DESC, id DESC LIMIT 1
+    `).get(job, status);
+    return row ? toJobRun(row) : null;
+}
+
+/**
+ * Keep at most JOBS_MAX_ENTRIES runs, plus the last successful run of each
+ * job (its age is exported to Prometheus however old it gets)
+ */
+function pruneJobHistory() {
+    if (!jobsDb) return;
+
+    try {
+        jobsDb.prepare(`
+            DELETE FROM job_runs WHERE id <= (
+                SELECT id FROM job_runs ORDER BY id DESC LIMIT 1 OFFSET ?
+            ) AND id NOT IN (
+                SELECT MAX(id) FROM job_runs WHERE status = 'success' GROUP BY job
+            )
+        `).run(JOBS_MAX_ENTRIES);
+    } catch (e) {
+        console.error('Failed to prune job history:', e.message);
+    }
+}
+
+module.exports = {
+    initJobHistoryDb,
+    startJobRun,
+    finishJobRun,
+    listJobRuns,
+    getLastJobRun,
+    JOBS_MAX_PAGE_SIZE
+};
@@ -0,0 +1,242 @@
+/**
+ * HomePiNAS - Login Lockout
+ * v3.2.0 - Brute-force Protection
+ *
+ * Persistent failed-login tracking per username and per IP, with
+ * exponential backoff and temporary locks (SQLite, survives restarts)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const LOCKOUT_DB_PATH = path.join(__dirname, '..', 'config', 'lockout.db');
+
+// Failures allowed before backoff kicks in
+const FREE_ATTEMPTS = 3;
+// Backoff doubles per failure after the free attempts: 2s, 4s, 8s ... up to MAX_BACKOFF
+const BASE_BACKOFF = 2 * 1000;
+const MAX_BACKOFF = 15 * 60 * 1000;
+// Counters are forgotten after this long without failures
+const FAILURE_WINDOW = 24 * 60 * 60 * 1000;
+
+// Hard lock thresholds and durations per scope
+const LOCK_POLICY = {
+    user: { threshold: 10, duration: 30 * 60 * 1000 },
+    ip: { threshold: 25, duration: 60 * 60 * 1000 }
+};
+
+let lockoutDb = null;
+
+/**
+ * Initialize SQLite lockout database
+ */
+function initLockoutDb() {
+    try {
+        const configDir = path.dirname(LOCKOUT_DB_PATH);
+        if (!fs.existsSync(configDir)) {
+            fs.mkdirSync(configDir, { recursive: true, mode: 0o700 });
+        }
+
+        lockoutDb = new Database(LOCKOUT_DB_PATH);
+
+        // SECURITY: Set restrictive permissions on database file (owner read/write only)
+        try {
+            fs.chmodSync(LOCKOUT_DB_PATH, 0o600);
+        } catch (e) {
+            console.warn('Could not set restrictive permissions on lockout database');
+        }
+
+        lockoutDb.exec(`
+            CREATE TABLE IF NOT EXISTS login_failures (
+                scope TEXT NOT NULL,
+                key TEXT NOT NULL,
+                failures INTEGER NOT NULL DEFAULT 0,
+                first_failure INTEGER NOT NULL,
+                last_failure INTEGER NOT NULL,
+                locked_until INTEGER NOT NULL DEFAULT 0,
+                PRIMARY KEY (scope, key)
+            )
+        `);
+
+        console.log('Lockout database initialized at', LOCKOUT_DB_PATH);
+        cleanStaleFailures();
+
+        return true;
+    } catch (e) {
+        console.error('Failed to initialize lockout database:', e.message);
+        return false;
+    }
+}
+
+/**
+ * Fetch the tracked failures for one username or IP
+ */
+function getRecord(scope, key) {
+    return lockoutDb.prepare('SELECT * FROM login_failures WHERE scope = ? AND key = ?').get(scope, key);
+}
+
+/**
+ * Check whether a login attempt is currently blocked.
+ * Returns { locked: false } or { locked: true, scope, retryAfter (seconds) }
+ */
+function checkLockout(username, ip) {
+    if (!lockoutDb) return { locked: false };
+
+    try {
+        const now = Date.now();
+        const checks = [['ip', ip], ['user', username]];
+
+        for (const [scope, key] of checks) {
+            if (!key) continue;
+            const record = getRecord(scope, String(key).slice(0, 64));
+            if (record && record.locked_until > now) {
+                return {
+                    locked: true,
+                    scope,
+                    retryAfter: Math.ceil((record.locked_until - now) / 1000)
+                };
+            }
+        }
+    } catch (e) {
+        console.error('Failed to check lockout:', e.message);
+    }
+    return { locked: false };
+}
+
+/**
+ * Record a failed attempt for one scope and compute its new lock time
+ */
+function recordScopeFailure(scope, key, now) {
+    const existing = getRecord(scope, key);
+    const fresh = !existing || now - existing.last_failure > FAILURE_WINDOW;
+    const failures = fresh ? 1 : existing.failures + 1;
+
+    let lockedUntil = 0;
+    let hardLock = false;
+    if (failures >= LOCK_POLICY[scope].threshold) {
+        lockedUntil = now + LOCK_POLICY[scope].duration;
+        hardLock = true;
+    } else if (failures > FREE_ATTEMPTS) {
+        lockedUntil = now + Math.min(BASE_BACKOFF * 2 ** (failures - FREE_ATTEMPTS - 1), MAX_BACKOFF);
+    }
+
+    lockoutDb.prepare(`
+        INSERT INTO login_failures (scope, key, failures, first_failure, last_failure, locked_until)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT(scope, key) DO UPDATE SET
+            failures = excluded.failures,
+            first_failure = excluded.first_failure,
+            last_failure = excluded.last_failure,
+            locked_until = excluded.locked_until
+    `).run(scope, key, failures, fresh ? now : existing.first_failure, now, lockedUntil);
+
+    return { scope, failures, lockedUntil, hardLock };
+}
+
+/**
+ * Record a failed login for the username and the IP.
+ * Returns the hard locks engaged by this failure (empty array if none).
+ */
+function recordLoginFailure(username, ip) {
+    if (!lockoutDb) return [];
+
+    try {
+        const now = Date.now();
+        const results = [];
+        if (username) results.push(recordScopeFailure('user', String(username).slice(0, 64), now));
+        if (ip) results.push(recordScopeFailure('ip', String(ip), now));
+
+        // Attempts are refused while locked, so every hard lock here is a new one
+        return results.filter(r => r.hardLock);
+    } catch (e) {
+        console.error('Failed to record login failure:', e.message);
+        return [];
+    }
+}
+
+/**
+ * Successful login: forget failures for the username. The IP counter is kept
+ * (it expires on its own), or logging into any account between guesses
+ * would reset it.
+ */
+function recordLoginSuccess(username) {
+    if (!lockoutDb || !username) return;
+
+    try {
+        lockoutDb.prepare('DELETE FROM login_failures WHERE scope = ? AND key = ?')
+            .run('user', String(username).slice(0, 64));
+    } catch (e) {
+        console.error('Failed to clear login failures:', e.message);
+    }
+}
+
+/**
+ * List tracked failures (most recent first)
+ */
+function listLockouts() {
+    if (!lockoutDb) return [];
+
+    const now = Date.now();
+    return lockoutDb.prepare('SELECT * FROM login_failures ORDER BY last_failure DESC').all()
+        .filter(r => now - r.last_failure <= FAILURE_WINDOW || r.locked_until > now)
+        .map(r => ({
+            scope: r.scope,
+            key: r.key,
+            failures: r.failures,
+            firstFailure: r.first_failure,
+            lastFailure: r.last_failure,
+            lockedUntil: r.locked_until > now ? r.locked_until : null,
+            locked: r.locked_until > now
+        }));
+}
+
+/**
+ * Clear one tracked entry. Returns true if something was removed.
+ */
+function clearLockout(scope, key) {
+    if (!lockoutDb) return false;
+    return lockoutDb.prepare('DELETE FROM login_failures WHERE scope = ? AND key = ?').run(scope, key).changes > 0;
+}
+
+/**
+ * Clear all tracked entries. Returns the number removed.
+ */
+function clearAllLockouts() {
+    if (!lockoutDb) return 0;
+    return lockoutDb.prepare('DELETE FROM login_failures').run().changes;
+}
+
+/**
+ * Drop counters that are past the failure window and no longer locked
+ */
+function cleanStaleFailures() {
+    if (!lockoutDb) return;
+
+    try {
+        const now = Date.now();
+        lockoutDb.prepare('DELETE FROM login_failures WHERE last_failure < ? AND locked_until < ?')
+            .run(now - FAILURE_WINDOW, now);
+    } catch (e) {
+        console.error('Failed to clean login failures:', e.message);
+    }
+}
+
+/**
+ * Start periodic cleanup
+ */
+function startLockoutCleanup() {
+    setInterval(cleanStaleFailures, 60 * 60 * 1000); // Clean every hour
+}
+
+module.exports = {
+    initLockoutDb,
+    checkLockout,
+    recordLoginFailure,
+    recordLoginSuccess,
+    listLockouts,
+    clearLockout,
+    clearAllLockouts,
+    startLockoutCleanup,
+    LOCK_POLICY
+};
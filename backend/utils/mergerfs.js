@@ -0,0 +1,233 @@
+/**
+ * HomePiNAS - MergerFS Pool Settings
+ * v3.2.0 - MergerFS Policies
+ *
+ * Policies and options of the MergerFS pool, stored in data.json:
+ * - mount options for new mounts and the fstab pool entry
+ * - runtime changes through the pool's .mergerfs control file (xattrs),
+ *   so open files are not interrupted
+ *
+ * With cache disks the pool is tiered: /mnt/storage lists the cache branches
+ * first and always creates on the first branch with room, while the backing
+ * pool (data disks only) uses the configured policies and receives the files
+ * moved off the cache.
+ */
+
+const { execFileSync } = require('child_process');
+
+const { getData, saveData } = require('./data');
+const { POOL_MOUNT, POOL_BACKING_MOUNT } = require('./storage-paths');
+const { mountPointOf, readManagedEntries, writeManagedEntries } = require('./fstab');
+
+// Always present, not configurable from the UI
+const BASE_OPTIONS = 'defaults,allow_other,nonempty,use_ino';
+
+const MERGERFS_POLICIES = [
+    'all', 'epall', 'epff', 'eplfs', 'eplus', 'epmfs', 'eprand', 'erofs', 'ff',
+    'lfs', 'lus', 'mfs', 'msplfs', 'msplus', 'mspmfs', 'msprand', 'newest', 'pfrd', 'rand'
+];
+const CACHE_FILES_MODES = ['libfuse', 'off', 'partial', 'full', 'auto-full', 'per-process'];
+// First found: the cache branches come first, the data disks take over when the cache is full
+const TIERED_CREATE_POLICY = 'ff';
+
+// Earlier versions mounted with only cache.files=partial, dropcacheonclose=true
+// and category.create=mfs. Existing installs get the rest written explicitly on
+// the next fstab rewrite: search ff, action epall, minfreespace 4G, cache.attr 1
+// and cache.entry 1 are mergerfs' own defaults (no change), moveonenospc mfs
+// replaces the default pfrd (a full branch moves the file to the one with most free space).
+const DEFAULT_POOL_SETTINGS = {
+    createPolicy: 'mfs',
+    searchPolicy: 'ff',
+    actionPolicy: 'epall',
+    minFreeSpace: '4G',
+    moveOnENOSPC: 'mfs',
+    cacheFiles: 'partial',
+    dropCacheOnClose: true,
+    cacheAttr: 1,
+    cacheEntry: 1
+};
+
+// Setting -> mergerfs option name and whether it can be changed without a remount
+const OPTION_KEYS = {
+    createPolicy: { option: 'category.create', runtime: true },
+    searchPolicy: { option: 'category.search', runtime: true },
+    actionPolicy: { option: 'category.action', runtime: true },
+    minFreeSpace: { option: 'minfreespace', runtime: true },
+    moveOnENOSPC: { option: 'moveonenospc', runtime: true },
+    cacheFiles: { option: 'cache.files', runtime: true },
+    dropCacheOnClose: { option: 'dropcacheonclose', runtime: true },
+    cacheAttr: { option: 'cache.attr', runtime: false },
+    cacheEntry: { option: 'cache.entry', runtime: false }
+};
+
+function sudo(args) {
+    return execFileSync('sudo', args, { encoding: 'utf8' });
+}
+
+/**
+ * Current pool settings (stored values over defaults)
+ */
+function getPoolSettings() {
+    return { ...DEFAULT_POOL_SETTINGS, ...(getData().poolSettings || {}) };
+}
+
+/**
+ * Validate a settings update merged over the current settings.
+ * Returns { settings } or { error }.
+ */
+function buildPoolSettings(body, current) {
+    const settings = { ...current };
+    for (const key of Object.keys(DEFAULT_POOL_SETTINGS)) {
+        if (body[key] !== undefined) settings[key] = body[key];
+    }
+
+    for (const key of ['createPolicy', 'searchPolicy', 'actionPolicy']) {
+        if (!MERGERFS_POLICIES.includes(settings[key])) {
+            return { error: `Invalid ${key}. Must be one of: ${MERGERFS_POLICIES.join(', ')}` };
+        }
+    }
+    if (typeof settings.minFreeSpace !== 'string' || !/^\d{1,6}[KMGT]?$/.test(settings.minFreeSpace)) {
+        return { error: 'Minimum free space must be a number with an optional K, M, G or T suffix (e.g. 4G)' };
+    }
+    if (settings.moveOnENOSPC !== false && !MERGERFS_POLICIES.includes(settings.moveOnENOSPC)) {
+        return { error: 'moveOnENOSPC must be false or a policy name' };
+    }
+    if (!CACHE_FILES_MODES.includes(settings.cacheFiles)) {
+        return { error: `Invalid cacheFiles. Must be one of: ${CACHE_FILES_MODES.join(', ')}` };
+    }
+    if (typeof settings.dropCacheOnClose !== 'boolean') {
+        return { error: 'dropCacheOnClose must be true or false' };
+    }
+    for (const key of ['cacheAttr', 'cacheEntry']) {
+        if (!Number.isInteger(settings[key]) || settings[key] < 0 || settings[key] > 3600) {
+            return { error: `${key} must be between 0 and 3600 seconds` };
+        }
+    }
+
+    return { settings };
+}
+
+function savePoolSettings(settings) {
+    const data = getData();
+    data.poolSettings = settings;
+    saveData(data);
+}
+
+/**
+ * Does the configured pool have a cache tier?
+ */
+function isTieredPool() {
+    return (getData().storageConfig || []).some(disk => disk.role === 'cache');
+}
+
+/**
+ * Settings of the user-facing pool when it sits on top of a cache tier
+ */
+function tieredSettings(settings) {
+    return { ...settings, createPolicy: TIERED_CREATE_POLICY };
+}
+
+/**
+ * Each pool mount with its effective settings
+ */
+function poolTargets(settings, tiered = isTieredPool()) {
+    if (!tiered) return [{ mount: POOL_MOUNT, settings }];
+    return [
+        { mount: POOL_MOUNT, settings: tieredSettings(settings) },
+        { mount: POOL_BACKING_MOUNT, settings }
+    ];
+}
+
+/**
+ * mergerfs value of each setting: { 'category.create': 'mfs', ... }
+ */
+function settingsToOptions(settings) {
+    const options = {};
+    for (const [key, { option }] of Object.entries(OPTION_KEYS)) {
+        options[option] = String(settings[key]);
+    }
+    return options;
+}
+
+/**
+ * Mount options (-o / fstab) for the pool
+ */
+function buildMergerfsOptions(settings = getPoolSettings()) {
+    const options = Object.entries(settingsToOptions(settings)).map(([option, value]) => `${option}=${value}`);
+    return [BASE_OPTIONS, ...options].join(',');
+}
+
+/**
+ * Set one option on a running pool (through its .mergerfs control file)
+ */
+function setMergerfsOption(option, value, mount = POOL_MOUNT) {
+    sudo(['setfattr', '-n', `user.mergerfs.${option}`, '-v', value, `${mount}/.mergerfs`]);
+}
+
+/**
+ * Apply settings to the running pool(s). Options that cannot change at runtime
+ * (or that mergerfs rejects) take effect from the next mount.
+ * Returns { applied, pendingRemount } as lists of option names.
+ */
+function applyRuntimeSettings(settings) {
+    const applied = new Set();
+    const pendingRemount = new Set();
+
+    for (const target of poolTargets(settings)) {
+        const options = settingsToOptions(target.settings);
+        for (const { option, runtime } of Object.values(OPTION_KEYS)) {
+            if (!runtime) {
+                pendingRemount.add(option);
+                continue;
+            }
+            try {
+                setMergerfsOption(option, options[option], target.mount);
+                applied.add(option);
+            } catch (e) {
+                console.error(`mergerfs runtime option ${option} failed on ${target.mount}:`, e.message);
+                pendingRemount.add(option);
+            }
+        }
+    }
+    return {
+        applied: [...applied].filter(option => !pendingRemount.has(option)),
+        pendingRemount: [...pendingRemount]
+    };
+}
+
+/**
+ * Rewrite the options of the pool entries in the HomePiNAS fstab block.
+ * Returns false if the block has no pool entry.
+ */
+function updatePoolFstabOptions(settings) {
+    const entries = readManagedEntries();
+    let updated = false;
+
+    for (const target of poolTargets(settings)) {
+        const index = entries.findIndex(line => mountPointOf(line) === target.mount);
+        if (index < 0) continue;
+
+        const fields = entries[index].trim().split(/\s+/);
+        fields[3] = `${buildMergerfsOptions(target.settings)},nofail`;
+        entries[index] = fields.join(' ');
+        updated = true;
+    }
+
+    if (updated) writeManagedEntries(entries);
+    return updated;
+}
+
+module.exports = {
+    MERGERFS_POLICIES,
+    CACHE_FILES_MODES,
+    getPoolSettings,
+    buildPoolSettings,
+    savePoolSettings,
+    isTieredPool,
+    tieredSettings,
+    poolTargets,
+    buildMergerfsOptions,
+    setMergerfsOption,
+    applyRuntimeSettings,
+    updatePoolFstabOptions
+};
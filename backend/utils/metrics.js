@@ -0,0 +1,372 @@
+/**
+ * HomePiNAS - Metrics Store
+ * v3.2.0 - Metrics History
+ *
+ * Background sampler and SQLite time-series store for system metrics: CPU
+ * load and temperatures, RAM, swap, fan speeds, disk temperatures, pool usage
+ * and network throughput. Every sample is folded into four tiers of
+ * fixed-size buckets (sum, count, min, max), from 10 second buckets kept for
+ * a few hours to hourly buckets kept for 90 days, so the store stays small
+ * and old data is already downsampled.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const si = require('systeminformation');
+
+const { POOL_MOUNT } = require('./storage-paths');
+const { isMountPoint } = require('./pool-disks');
+const { listSmartDevices, getCachedDiskHealth } = require('./smart');
+
+const METRICS_DB_PATH = path.join(__dirname, '..', 'config', 'metrics.db');
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Bucket size and retention of each tier, finest first
+const METRICS_TIERS = [
+    { step: 10 * SECOND, retention: 6 * HOUR },
+    { step: MINUTE, retention: 2 * DAY },
+    { step: 10 * MINUTE, retention: 14 * DAY },
+    { step: HOUR, retention: 90 * DAY }
+];
+
+const SAMPLE_INTERVAL = 10 * SECOND;
+// Slower sources: pool usage needs findmnt; disk temperatures come from the
+// SMART cache, which only changes with the hourly snapshot or a dashboard read
+const POOL_SAMPLE_INTERVAL = MINUTE;
+const DISK_SAMPLE_INTERVAL = 5 * MINUTE;
+const PRUNE_INTERVAL = 10 * MINUTE;
+
+// Points returned per series when no step is requested
+const DEFAULT_MAX_POINTS = 500;
+const MAX_POINTS = 5000;
+const SERIES_PATTERN = /^[a-z0-9_.*-]{1,100}$/i;
+// Virtual interfaces are left out of network throughput
+const IGNORED_INTERFACES = /^(lo|veth|docker|br-|virbr|tun|tap)/;
+
+let metricsDb = null;
+let upsertStatement = null;
+let lastCpuTimes = null;
+let lastPoolSample = 0;
+let lastDiskSample = 0;
+let lastPrune = 0;
+
+/**
+ * Initialize SQLite metrics database
+ */
+function initMetricsDb() {
+    try {
+        const configDir = path.dirname(METRICS_DB_PATH);
+        if (!fs.existsSync(configDir)) {
+            fs.mkdirSync(configDir, { recursive: true, mode: 0o700 });
+        }
+
+        metricsDb = new Database(METRICS_DB_PATH);
+        metricsDb.pragma('journal_mode = WAL');
+
+        try {
+            fs.chmodSync(METRICS_DB_PATH, 0o600);
+        } catch (e) {
+            console.warn('Could not set restrictive permissions on metrics database');
+        }
+
+        metricsDb.exec(`
+            CREATE TABLE IF NOT EXISTS metrics (
+                tier INTEGER NOT NULL,
+                series TEXT NOT NULL,
+                ts INTEGER NOT NULL,
+                sum REAL NOT NULL,
+                count INTEGER NOT NULL,
+                min REAL NOT NULL,
+                max REAL NOT NULL,
+                PRIMARY KEY (tier, series, ts)
+            ) WITHOUT ROWID
+        `);
+
+        upsertStatement = metricsDb.prepare(`
+            INSERT INTO metrics (tier, series, ts, sum, count, min, max) VALUES (?, ?, ?, ?, 1, ?, ?)
+            ON CONFLICT (tier, series, ts) DO UPDATE SET
+                sum = sum + excluded.sum,
+                count = count + 1,
+                min = MIN(min, excluded.min),
+                max = MAX(max, excluded.max)
+        `);
+
+        console.log('Metrics database initialized at', METRICS_DB_PATH);
+        pruneMetrics();
+
+        return true;
+    } catch (e) {
+        console.error('Failed to initialize metrics database:', e.message);
+        return false;
+    }
+}
+
+/**
+ * Store one sample: { series: value } at `time`, into every tier
+ */
+function recordSample(values, time = Date.now()) {
+    if (!metricsDb) return;
+
+    const entries = Object.entries(values).filter(([, value]) => Number.isFinite(value));
+    try {
+        metricsDb.transaction(() => {
+            METRICS_TIERS.forEach((tier, index) => {
+                const bucket = Math.floor(time / tier.step) * tier.step;
+                for (const [series, value] of entries) {
+                    upsertStatement.run(index, series, bucket, value, value, value);
+                }
+            });
+        })();
+    } catch (e) {
+        console.error('Failed to record metrics:', e.message);
+    }
+}
+
+function pruneMetrics() {
+    if (!metricsDb) return;
+
+    try {
+        const now = Date.now();
+        const statement = metricsDb.prepare('DELETE FROM metrics WHERE tier = ? AND ts < ?');
+        METRICS_TIERS.forEach((tier, index) => statement.run(index, now - tier.retention));
+    } catch (e) {
+        console.error('Failed to prune metrics:', e.message);
+    }
+}
+
+/**
+ * Series names stored in the last day
+ */
+function listMetricSeries() {
+    if (!metricsDb) return [];
+
+    return metricsDb.prepare(`
+        SELECT DISTINCT series FROM metrics WHERE tier = 1 AND ts >= ? ORDER BY series
+    `).all(Date.now() - DAY).map(row => row.series);
+}
+
+/**
+ * Points of the requested series between from and to (ms). Series names may
+ * use * as a wildcard (e.g. disk.*.temp). The finest tier that still covers
+ * `from` is used; `step` (ms) groups its buckets further.
+ * Returns { from, to, step, series: { name: [[ts, avg, min, max], ...] } } or { error }.
+ */
+function queryMetrics({ series, from, to, step }) {
+    if (!Array.isArray(series) || series.length === 0 || !series.every(name => SERIES_PATTERN.test(name))) {
+        return { error: 'Invalid series. Use names such as cpu.load or disk.*.temp' };
+    }
+    if (!(from < to)) {
+        return { error: 'Invalid time range' };
+    }
+
+    const now = Date.now();
+    let tierIndex = METRICS_TIERS.findIndex(tier => now - tier.retention <= from);
+    if (tierIndex < 0) tierIndex = METRICS_TIERS.length - 1;
+    const tier = METRICS_TIERS[tierIndex];
+
+    const minStep = Math.max(tier.step, Math.ceil((to - from) / MAX_POINTS));
+    let bucketStep = step ? Math.max(step, minStep) : Math.max(tier.step, Math.ceil((to - from) / DEFAULT_MAX_POINTS));
+    bucketStep = Math.ceil(bucketStep / tier.step) * tier.step;
+
+    const result = { from, to, step: bucketStep, series: {} };
+    if (!metricsDb) return result;
+
+    const statement = metricsDb.prepare(`
+        SELECT series, (ts / CAST(? AS INTEGER)) * CAST(? AS INTEGER) AS bucket,
+               SUM(sum) / SUM(count) AS avg, MIN(min) AS min, MAX(max) AS max
+        FROM metrics
+        WHERE tier = ? AND series LIKE ? ESCAPE '\\' AND ts >= ? AND ts <= ?
+        GROUP BY series, bucket ORDER BY series, bucket
+    `);
+    for (const name of series) {
+        const pattern = name.replace(/[\\%_]/g, '\\$&').replace(/\*/g, '%');
+        const rows = statement.all(bucketStep, bucketStep, tierIndex, pattern, from, to);
+        // Patterns may overlap (cpu.* and cpu.load)
+        const known = new Set(Object.keys(result.series));
+        for (const row of rows) {
+            if (known.has(row.series)) continue;
+            if (!result.series[row.series]) result.series[row.series] = [];
+            result.series[row.series].push([row.bucket, row.avg, row.min, row.max]);
+        }
+    }
+    return result;
+}
+
+/**
+ * CPU load (%) since the previous call, from the kernel's CPU times
+ */
+function sampleCpuLoad() {
+    const times = os.cpus().map(cpu => cpu.times);
+    const previous = lastCpuTimes;
+    lastCpuTimes = times;
+    if (!previous || previous.length !== times.length) return null;
+
+    let busy = 0;
+    let total = 0;
+    times.forEach((current, i) => {
+        const delta = key => current[key] - previous[i][key];
+        const all = delta('user') + delta('nice') + delta('sys') + delta('idle') + delta('irq');
+        busy += all - delta('idle');
+        total += all;
+    });
+    return total > 0 ? (busy / total) * 100 : null;
+}
+
+/**
+ * Fan speeds from hwmon: [{ id, name, rpm }]
+ */
+function readFans() {
+    const fans = [];
+    const addFans = (dir, label) => {
+        let files = [];
+        try {
+            files = fs.readdirSync(dir).filter(file => /^fan\d+_input$/.test(file));
+        } catch (e) {
+            return;
+        }
+        for (const file of files) {
+            const num = file.match(/^fan(\d+)_input$/)[1];
+            let rpm = NaN;
+            try {
+                rpm = parseInt(fs.readFileSync(path.join(dir, file), 'utf8'), 10);
+            } catch (e) {}
+            fans.push({ id: fans.length + 1, name: `${label} Fan ${num}`, rpm: Number.isFinite(rpm) ? rpm : 0 });
+        }
+    };
+
+    let hwmons = [];
+    try {
+        hwmons = fs.readdirSync('/sys/class/hwmon').filter(name => name.startsWith('hwmon'));
+    } catch (e) {}
+    for (const hwmon of hwmons) {
+        const dir = `/sys/class/hwmon/${hwmon}`;
+        let name = 'unknown';
+        try {
+            name = fs.readFileSync(`${dir}/name`, 'utf8').trim();
+        } catch (e) {}
+        addFans(dir, name);
+    }
+
+    // Raspberry Pi 5 / CM5 fan connector
+    let coolingFan = [];
+    try {
+        coolingFan = fs.readdirSync('/sys/devices/platform/cooling_fan/hwmon');
+    } catch (e) {}
+    for (const hwmon of coolingFan) {
+        try {
+            const rpm = parseInt(fs.readFileSync(`/sys/devices/platform/cooling_fan/hwmon/${hwmon}/fan1_input`, 'utf8'), 10);
+            fans.push({ id: fans.length + 1, name: 'RPi Fan 1', rpm: Number.isFinite(rpm) ? rpm : 0 });
+            break;
+        } catch (e) {}
+    }
+    return fans;
+}
+
+/**
+ * Series name part from free text (fan, interface, disk names)
+ */
+function seriesKey(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9_-]+/g, '_');
+}
+
+/**
+ * Collect one sample of every source that is due
+ */
+async function collectSample(now) {
+    const values = {};
+
+    const cpuLoad = sampleCpuLoad();
+    if (cpuLoad !== null) values['cpu.load'] = cpuLoad;
+
+    const [temp, mem, network] = await Promise.all([
+        si.cpuTemperature(),
+        si.mem(),
+        si.networkStats('*')
+    ]);
+
+    if (temp.main) values['cpu.temp'] = temp.main;
+    (temp.cores || []).forEach((coreTemp, i) => {
+        values[`cpu.core${i}.temp`] = coreTemp;
+    });
+
+    values['mem.percent'] = (mem.active / mem.total) * 100;
+    if (mem.swaptotal > 0) values['swap.percent'] = (mem.swapused / mem.swaptotal) * 100;
+
+    for (const iface of network) {
+        if (IGNORED_INTERFACES.test(iface.iface)) continue;
+        // The first reading of an interface has no rate yet
+        if (Number.isFinite(iface.rx_sec) && iface.rx_sec >= 0) values[`net.${seriesKey(iface.iface)}.rx`] = iface.rx_sec;
+        if (Number.isFinite(iface.tx_sec) && iface.tx_sec >= 0) values[`net.${seriesKey(iface.iface)}.tx`] = iface.tx_sec;
+    }
+
+    for (const fan of readFans()) {
+        values[`fan.${seriesKey(fan.name)}.rpm`] = fan.rpm;
+    }
+
+    if (now - lastPoolSample >= POOL_SAMPLE_INTERVAL) {
+        lastPoolSample = now;
+        if (isMountPoint(POOL_MOUNT)) {
+            const stats = fs.statfsSync(POOL_MOUNT);
+            const used = (stats.blocks - stats.bfree) * stats.bsize;
+            const available = stats.bavail * stats.bsize;
+            values['pool.used'] = used;
+            if (used + available > 0) values['pool.percent'] = (used / (used + available)) * 100;
+        }
+    }
+
+    // Cached SMART readings only: running smartctl here every few minutes would
+    // reset the hdparm -S timer of idle disks and keep them from spinning down.
+    // Each reading is recorded once, sleeping disks are skipped.
+    if (now - lastDiskSample >= DISK_SAMPLE_INTERVAL) {
+        const since = lastDiskSample;
+        lastDiskSample = now;
+        for (const device of listSmartDevices()) {
+            const reading = getCachedDiskHealth(device);
+            if (!reading || reading.checkedAt <= since) continue;
+            if (reading.standby || !reading.smart || reading.smart.temperature === null) continue;
+            values[`disk.${device}.temp`] = reading.smart.temperature;
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Sample every SAMPLE_INTERVAL
+ */
+function startMetricsSampler() {
+    initMetricsDb();
+    sampleCpuLoad();
+
+    let sampling = false;
+    setInterval(async () => {
+        if (sampling) return;
+        sampling = true;
+        try {
+            const now = Date.now();
+            recordSample(await collectSample(now), now);
+            if (now - lastPrune >= PRUNE_INTERVAL) {
+                lastPrune = now;
+                pruneMetrics();
+            }
+        } catch (e) {
+            console.error('Metrics sampler error:', e.message);
+        } finally {
+            sampling = false;
+        }
+    }, SAMPLE_INTERVAL);
+}
+
+module.exports = {
+    METRICS_TIERS,
+    readFans,
+    listMetricSeries,
+    queryMetrics,
+    startMetricsSampler
+};
@@ -0,0 +1,190 @@
+/**
+ * HomePiNAS - NFS Export Configuration
+ * v3.2.0 - File Sharing
+ *
+ * Renders the managed exports.d file from export definitions,
+ * applies it with exportfs and rolls back if the kernel rejects it
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+
+const { POOL_MOUNT, STORAGE_MOUNT_BASE } = require('./storage-paths');
+const { sanitizePathWithinBase, validateCIDR } = require('./sanitize');
+
+const EXPORTS_FILE = '/etc/exports.d/homepinas.exports';
+
+const ACCESS_MODES = ['rw', 'ro'];
+const SQUASH_MODES = ['root_squash', 'no_root_squash', 'all_squash'];
+
+/**
+ * Resolve an export path: the pool (or a folder in it) or a /mnt/disks/diskN mount.
+ * Spaces are not allowed since exports(5) would need octal escapes.
+ */
+function resolveExportPath(inputPath) {
+    if (!inputPath || typeof inputPath !== 'string') return null;
+    if (!/^\/[A-Za-z0-9/_.-]*$/.test(inputPath)) return null;
+
+    if (inputPath === POOL_MOUNT || inputPath.startsWith(`${POOL_MOUNT}/`)) {
+        return sanitizePathWithinBase(path.relative(POOL_MOUNT, inputPath) || '.', POOL_MOUNT);
+    }
+
+    const diskMatch = inputPath.match(/^\/mnt\/disks\/(disk\d+)(\/.*)?$/);
+    if (diskMatch) {
+        const diskMount = `${STORAGE_MOUNT_BASE}/${diskMatch[1]}`;
+        return sanitizePathWithinBase((diskMatch[2] || '').replace(/^\/+/, '') || '.', diskMount);
+    }
+
+    return null;
+}
+
+/**
+ * Validate the allowed clients list (IPv4 addresses or CIDR ranges)
+ */
+function sanitizeClients(list) {
+    const entries = Array.isArray(list) ? list : String(list || '').split(/[\s,]+/);
+    const result = [];
+
+    for (const entry of entries) {
+        const value = String(entry).trim();
+        if (!value) continue;
+        if (!validateCIDR(value)) return null;
+        result.push(value);
+    }
+    return result.length > 0 ? [...new Set(result)] : null;
+}
+
+/**
+ * Render the managed exports file
+ */
+function renderExportsConfig(exports) {
+    let config = `# HomePiNAS managed NFS exports - generated ${new Date().toISOString()}
+# Do not edit by hand: changes are overwritten from the dashboard (Storage view)
+`;
+
+    for (const exp of exports) {
+        // fsid is required for FUSE filesystems like the mergerfs pool
+        const options = [exp.access, 'sync', 'no_subtree_check', exp.squash, `fsid=${exp.id}`].join(',');
+        const clients = exp.clients.map(client => `${client}(${options})`).join(' ');
+        config += `${exp.path} ${clients}\n`;
+    }
+
+    return config;
+}
+
+/**
+ * Install a file over EXPORTS_FILE (tmp file + sudo mv, as for other system configs)
+ */
+function installExportsFile(content) {
+    const tmpPath = `/tmp/homepinas-exports-${crypto.randomBytes(8).toString('hex')}`;
+    fs.writeFileSync(tmpPath, content, { mode: 0o600 });
+    try {
+        execFileSync('sudo', ['mkdir', '-p', path.dirname(EXPORTS_FILE)], { encoding: 'utf8' });
+        execFileSync('sudo', ['mv', tmpPath, EXPORTS_FILE], { encoding: 'utf8' });
+    } finally {
+        fs.rmSync(tmpPath, { force: true });
+    }
+    execFileSync('sudo', ['chmod', '644', EXPORTS_FILE], { encoding: 'utf8' });
+}
+
+/**
+ * Re-export everything from /etc/exports and /etc/exports.d
+ */
+function reexportAll() {
+    execFileSync('sudo', ['exportfs', '-ra'], {
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'pipe'],
+        timeout: 30000
+    });
+}
+
+/**
+ * Install and activate the export configuration.
+ * If exportfs rejects it, the previous file is restored and re-exported,
+ * and the error is thrown with err.invalidConfig set.
+ */
+function applyExportsConfig(exports) {
+    let previous = null;
+    try {
+        previous = fs.readFileSync(EXPORTS_FILE, 'utf8');
+    } catch (e) {
+        // First export: nothing to roll back to
+    }
+
+    installExportsFile(renderExportsConfig(exports));
+
+    try {
+        reexportAll();
+    } catch (e) {
+        const output = `${e.stderr || ''}${e.stdout || ''}`.trim();
+
+        try {
+            installExportsFile(previous !== null ? previous : renderExportsConfig([]));
+            reexportAll();
+        } catch (restoreErr) {
+            console.error('Failed to restore previous NFS exports:', restoreErr.message);
+        }
+
+        if (e.code === 'ENOENT') {
+            throw new Error('exportfs not found (is nfs-kernel-server installed?)');
+        }
+        const error = new Error(`exportfs rejected the export configuration: ${output.split('\n').slice(-5).join(' ')}`);
+        error.invalidConfig = true;
+        throw error;
+    }
+}
+
+/**
+ * Parse `exportfs -v` into [{ path, client, options[] }].
+ * Long paths put the client on the following, indented line.
+ */
+function parseExportfsOutput(output) {
+    const active = [];
+    let currentPath = null;
+
+    for (const line of output.split('\n')) {
+        if (!line.trim()) continue;
+
+        let rest = line;
+        if (!/^\s/.test(line)) {
+            const match = line.match(/^(\S+)\s*(.*)$/);
+            currentPath = match[1];
+            rest = match[2];
+        }
+
+        const clientMatch = rest.trim().match(/^(\S+?)\(([^)]*)\)$/);
+        if (currentPath && clientMatch) {
+            active.push({
+                path: currentPath,
+                client: clientMatch[1],
+                options: clientMatch[2].split(',')
+            });
+        }
+    }
+    return active;
+}
+
+/**
+ * List the exports the kernel is currently serving
+ */
+function listActiveExports() {
+    const output = execFileSync('sudo', ['exportfs', '-v'], {
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'pipe'],
+        timeout: 15000
+    });
+    return parseExportfsOutput(output);
+}
+
+module.exports = {
+    EXPORTS_FILE,
+    ACCESS_MODES,
+    SQUASH_MODES,
+    resolveExportPath,
+    sanitizeClients,
+    renderExportsConfig,
+    applyExportsConfig,
+    listActiveExports
+};
@@ -0,0 +1,266 @@
+/**
+ * HomePiNAS - Pool Disk Management
+ * v3.2.0 - Pool Disk Management
+ *
+ * Incremental changes to a configured SnapRAID + MergerFS pool. Unlike
+ * /pool/configure, nothing is renumbered and existing disks are left alone:
+ * - add a data disk as the next free /mnt/disks/diskN (snapraid.conf, live
+ *   MergerFS branch, fstab)
+ * - partition/format/mount helpers shared with the replace-disk wizard
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+
+const { STORAGE_MOUNT_BASE, POOL_MOUNT, POOL_BACKING_MOUNT } = require('./storage-paths');
+const { SNAPRAID_CONF } = require('./snapraid');
+const {
+    FSTAB_PATH,
+    getFilesystemUuid,
+    mountPointOf,
+    readManagedEntries,
+    writeManagedEntries,
+    diskFstabEntry
+} = require('./fstab');
+const { setMergerfsOption, isTieredPool } = require('./mergerfs');
+
+// The tiered pool and the backing pool below it both list every data disk
+const POOL_MOUNTS = [POOL_MOUNT, POOL_BACKING_MOUNT];
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function sudo(args) {
+    return execFileSync('sudo', args, { encoding: 'utf8' });
+}
+
+function partitionOf(diskId) {
+    return diskId.includes('nvme') ? `${diskId}p1` : `${diskId}1`;
+}
+
+/**
+ * Is a path currently a mount point?
+ */
+function isMountPoint(mountPoint) {
+    try {
+        execFileSync('findmnt', ['-n', mountPoint], { encoding: 'utf8' });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Whole disks with no mounted partition: the drives that can be added to
+ * the pool or take a failed disk's place
+ */
+function listUnusedDisks() {
+    let devices = [];
+    try {
+        const output = execFileSync('lsblk', ['-J', '-b', '-o', 'NAME,TYPE,SIZE,MODEL,SERIAL,MOUNTPOINT'], { encoding: 'utf8' });
+        devices = JSON.parse(output).blockdevices || [];
+    } catch (e) {
+        console.error('Failed to list block devices:', e.message);
+        return [];
+    }
+
+    const isMounted = (dev) => !!dev.mountpoint || (dev.children || []).some(isMounted);
+
+    return devices
+        .filter(dev => dev.type === 'disk' && /^(sd[a-z]|nvme[0-9]n[0-9])$/.test(dev.name) && !isMounted(dev))
+        .map(dev => ({
+            id: dev.name,
+            size: Number(dev.size) || 0,
+            model: dev.model ? dev.model.trim() : null,
+            serial: dev.serial ? dev.serial.trim() : null,
+            partitions: (dev.children || []).length
+        }));
+}
+
+/**
+ * New GPT label with a single partition spanning the disk
+ */
+async function partitionDataDisk(diskId) {
+    sudo(['parted', '-s', `/dev/${diskId}`, 'mklabel', 'gpt']);
+    sudo(['parted', '-s', `/dev/${diskId}`, 'mkpart', 'primary', 'ext4', '0%', '100%']);
+    sudo(['partprobe', `/dev/${diskId}`]);
+    await sleep(2000);
+}
+
+/**
+ * ext4 on the disk's first partition. Returns the partition device.
+ */
+function formatDataDisk(diskId) {
+    const partDevice = `/dev/${partitionOf(diskId)}`;
+    sudo(['mkfs.ext4', '-F', '-L', `data_${diskId}`.substring(0, 16), partDevice]);
+    return partDevice;
+}
+
+/**
+ * Mount a data partition and create its SnapRAID content directory
+ */
+function mountDataDisk(partDevice, mountPoint) {
+    sudo(['mkdir', '-p', mountPoint]);
+    sudo(['mount', partDevice, mountPoint]);
+    sudo(['mkdir', '-p', `${mountPoint}/.snapraid`]);
+}
+
+/**
+ * Lowest diskN above every number in use: mount directories, snapraid.conf
+ * names/paths and fstab entries (a failed disk may be missing from some of them)
+ */
+function findNextDiskNumber() {
+    const used = [];
+    const collect = (text, pattern) => {
+        let match;
+        while ((match = pattern.exec(text)) !== null) used.push(parseInt(match[1], 10));
+    };
+
+    try {
+        collect(fs.readdirSync(STORAGE_MOUNT_BASE).join('\n'), /^disk(\d+)$/gm);
+    } catch (e) {}
+    try {
+        const conf = fs.readFileSync(SNAPRAID_CONF, 'utf8');
+        collect(conf, /^\s*(?:disk|data)\s+d(\d+)\s/gm);
+        collect(conf, /^\s*(?:disk|data)\s+\S+\s+\S*\/disk(\d+)\/?\s*$/gm);
+    } catch (e) {}
+    try {
+        collect(fs.readFileSync(FSTAB_PATH, 'utf8'), new RegExp(`^[^#\\s]\\S*\\s+${STORAGE_MOUNT_BASE}/disk(\\d+)\\s`, 'gm'));
+    } catch (e) {}
+
+    return used.length > 0 ? Math.max(...used) + 1 : 1;
+}
+
+/**
+ * Insert `line` after the last line matching `pattern` (or at the end)
+ */
+function insertAfterLast(lines, pattern, line) {
+    let index = -1;
+    lines.forEach((existing, i) => {
+        if (pattern.test(existing)) index = i;
+    });
+    if (index >= 0) {
+        lines.splice(index + 1, 0, line);
+    } else {
+        if (lines[lines.length - 1] === '') lines.pop();
+        lines.push(line, '');
+    }
+}
+
+/**
+ * Add `disk <name> <mountPoint>` and its content file to snapraid.conf
+ */
+function addSnapraidDataDisk(name, mountPoint) {
+    const lines = fs.readFileSync(SNAPRAID_CONF, 'utf8').split('\n');
+    insertAfterLast(lines, /^\s*content\s/, `content ${mountPoint}/.snapraid/snapraid.content`);
+    insertAfterLast(lines, /^\s*(?:disk|data)\s/, `disk ${name} ${mountPoint}`);
+
+    const tmpPath = `/tmp/homepinas-snapraid-${crypto.randomBytes(8).toString('hex')}`;
+    try {
+        fs.writeFileSync(tmpPath, lines.join('\n'), { mode: 0o600 });
+        sudo(['mv', tmpPath, SNAPRAID_CONF]);
+        sudo(['chmod', '644', SNAPRAID_CONF]);
+    } finally {
+        if (fs.existsSync(tmpPath)) fs.unlinkSync(tmpPath);
+    }
+}
+
+/**
+ * Append a branch to the running pool(s) (no remount, open files stay open)
+ */
+function addMergerfsBranch(mountPoint) {
+    setMergerfsOption('branches', `+>${mountPoint}`);
+    if (isTieredPool()) {
+        setMergerfsOption('branches', `+>${mountPoint}`, POOL_BACKING_MOUNT);
+    }
+}
+
+/**
+ * fstab: mount the new disk and add it to the branch list of the pool entries.
+ * A pool entry outside the HomePiNAS block is moved into it.
+ * Returns false if there is no pool entry to extend.
+ */
+function addDiskToFstab(partDevice, mountPoint) {
+    const lines = fs.readFileSync(FSTAB_PATH, 'utf8').split('\n');
+    const entries = readManagedEntries(lines);
+    const entry = diskFstabEntry(getFilesystemUuid(partDevice), mountPoint);
+
+    let extended = false;
+    for (const poolMount of POOL_MOUNTS) {
+        let poolIndex = entries.findIndex(line => mountPointOf(line) === poolMount);
+        if (poolIndex < 0) {
+            const poolLine = lines.find(line => mountPointOf(line) === poolMount);
+            if (!poolLine) continue;
+            poolIndex = entries.push(poolLine.trim()) - 1;
+        }
+
+        const fields = entries[poolIndex].trim().split(/\s+/);
+        const branches = fields[0].split(':');
+        if (!branches.includes(mountPoint)) {
+            fields[0] = [...branches, mountPoint].join(':');
+            entries[poolIndex] = fields.join(' ');
+        }
+        extended = true;
+    }
+
+    // Disks are mounted before the pools that use them
+    const firstPool = entries.findIndex(line => POOL_MOUNTS.includes(mountPointOf(line)));
+    entries.splice(firstPool >= 0 ? firstPool : entries.length, 0, entry);
+    writeManagedEntries(entries);
+    return extended;
+}
+
+/**
+ * Add a new data disk to the pool as diskN (num from findNextDiskNumber(),
+ * as confirmed in the plan). The disk is partitioned and formatted.
+ * Returns { name, mountPoint, results }.
+ */
+async function addPoolDisk(diskId, num) {
+    const results = [];
+    const name = `d${num}`;
+    const mountPoint = `${STORAGE_MOUNT_BASE}/disk${num}`;
+
+    await partitionDataDisk(diskId);
+    const partDevice = formatDataDisk(diskId);
+    results.push(`Formatted ${partDevice} as ext4`);
+
+    mountDataDisk(partDevice, mountPoint);
+    results.push(`Mounted ${partDevice} at ${mountPoint}`);
+
+    if (fs.existsSync(SNAPRAID_CONF)) {
+        addSnapraidDataDisk(name, mountPoint);
+        results.push(`Added disk ${name} to SnapRAID configuration (run a sync to protect it)`);
+    } else {
+        results.push('SnapRAID skipped (not configured)');
+    }
+
+    if (isMountPoint(POOL_MOUNT)) {
+        try {
+            addMergerfsBranch(mountPoint);
+            results.push(`Added ${mountPoint} to the MergerFS pool`);
+        } catch (e) {
+            console.error('MergerFS branch add failed:', e.message);
+            results.push(`Warning: Could not add ${mountPoint} to the running pool; it is used from the next mount`);
+        }
+    } else {
+        results.push(`Warning: MergerFS pool not mounted at ${POOL_MOUNT}`);
+    }
+
+    const inPool = addDiskToFstab(partDevice, mountPoint);
+    results.push(inPool ? 'Updated /etc/fstab' : 'Updated /etc/fstab (no MergerFS entry found to extend)');
+
+    return { name, mountPoint, results };
+}
+
+module.exports = {
+    partitionOf,
+    isMountPoint,
+    listUnusedDisks,
+    partitionDataDisk,
+    formatDataDisk,
+    mountDataDisk,
+    findNextDiskNumber,
+    addPoolDisk
+};
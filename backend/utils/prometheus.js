@@ -0,0 +1,357 @@
+/**
+ * HomePiNAS - Prometheus Exporter
+ * v3.2.0 - Metrics History
+ *
+ * Optional /metrics endpoint in the Prometheus text exposition format:
+ * system stats, disks, pool usage, SnapRAID sync age, NonRAID array state and
+ * Docker containers. Disabled until an admin enables it; scrapes must send
+ * the bearer token, which is stored in data.json as a SHA-256 hash and only
+ * shown once when generated.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const si = require('systeminformation');
+const Docker = require('dockerode');
+
+const { getData, saveData } = require('./data');
+const { POOL_MOUNT, NONRAID_DAT, getStorageBackend } = require('./storage-paths');
+const { isMountPoint } = require('./pool-disks');
+const { getLastJobRun } = require('./job-history');
+const { getCachedDiskHealth } = require('./smart');
+const { listDisks, getPowerState, getStandbySettings } = require('./disk-power');
+const { readFans } = require('./metrics');
+
+const DOCKER_SOCKET = '/var/run/docker.sock';
+const docker = new Docker({ socketPath: DOCKER_SOCKET });
+
+const HEALTH_VALUES = { ok: 0, warning: 1, failing: 2 };
+const POWER_STATES = ['active', 'standby', 'sleeping', 'unknown'];
+
+// OS details and whether a GPU reports its temperature, probed on the first scrape
+let hostInfo = null;
+
+/**
+ * Exporter settings without the token hash
+ */
+function getExporterSettings() {
+    const stored = getData().metricsExporter || {};
+    return {
+        enabled: stored.enabled === true,
+        hasToken: Boolean(stored.tokenHash),
+        tokenCreatedAt: stored.tokenCreatedAt || null
+    };
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Enable or disable the endpoint. Enabling without a token creates one,
+ * returned here (and only here) in plain text.
+ */
+function setExporterEnabled(enabled) {
+    const data = getData();
+    const stored = data.metricsExporter || {};
+    let token = null;
+
+    if (enabled && !stored.tokenHash) {
+        token = crypto.randomBytes(32).toString('hex');
+        stored.tokenHash = hashToken(token);
+        stored.tokenCreatedAt = Date.now();
+    }
+    stored.enabled = enabled;
+    data.metricsExporter = stored;
+    saveData(data);
+    return token;
+}
+
+/**
+ * Replace the token; the previous one stops working immediately
+ */
+function rotateExporterToken() {
+    const data = getData();
+    const token = crypto.randomBytes(32).toString('hex');
+    data.metricsExporter = {
+        ...(data.metricsExporter || {}),
+        tokenHash: hashToken(token),
+        tokenCreatedAt: Date.now()
+    };
+    saveData(data);
+    return token;
+}
+
+/**
+ * Check a scrape token against the stored hash
+ */
+function verifyExporterToken(token) {
+    const stored = getData().metricsExporter || {};
+    if (!stored.tokenHash || typeof token !== 'string' || !token) return false;
+
+    const expected = Buffer.from(stored.tokenHash, 'hex');
+    const actual = Buffer.from(hashToken(token), 'hex');
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Collects metric families and renders them in exposition format
+ */
+function createRegistry() {
+    const families = new Map();
+
+    const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+    const formatValue = value => {
+        if (Number.isNaN(value)) return 'NaN';
+        if (value === Infinity) return '+Inf';
+        if (value === -Infinity) return '-Inf';
+        return String(value);
+    };
+
+    return {
+        add(name, help, value, labels = {}, type = 'gauge') {
+            if (value === null || value === undefined || typeof value !== 'number') return;
+            if (!families.has(name)) families.set(name, { help, type, samples: [] });
+            families.get(name).samples.push({ labels, value });
+        },
+        render() {
+            const lines = [];
+            for (const [name, family] of families) {
+                lines.push(`# HELP ${name} ${family.help}`);
+                lines.push(`# TYPE ${name} ${family.type}`);
+                for (const { labels, value } of family.samples) {
+                    const labelText = Object.entries(labels)
+                        .map(([key, labelValue]) => `${key}="${escapeLabel(labelValue)}"`)
+                        .join(',');
+                    lines.push(`${name}${labelText ? `{${labelText}}` : ''} ${formatValue(value)}`);
+                }
+            }
+            return lines.join('\n') + '\n';
+        }
+    };
+}
+
+/**
+ * Static host details. si.graphics() shells out to lspci (and nvidia-smi
+ * where present), so it is only repeated on later scrapes when a GPU
+ * reported a temperature the first time.
+ */
+async function getHostInfo() {
+    if (!hostInfo) {
+        const [osInfo, graphics] = await Promise.all([si.osInfo(), si.graphics()]);
+        const gpu = graphics.controllers && graphics.controllers[0];
+        hostInfo = { osInfo, hasGpuTemperature: Boolean(gpu && gpu.temperatureGpu) };
+    }
+    return hostInfo;
+}
+
+async function readGpuTemperature() {
+    const graphics = await si.graphics();
+    const gpu = graphics.controllers && graphics.controllers[0];
+    return gpu ? gpu.temperatureGpu : null;
+}
+
+async function collectSystem(registry) {
+    const { osInfo, hasGpuTemperature } = await getHostInfo();
+    const [cpu, mem, temp, gpuTemperature] = await Promise.all([
+        si.currentLoad(),
+        si.mem(),
+        si.cpuTemperature(),
+        hasGpuTemperature ? readGpuTemperature() : null
+    ]);
+
+    registry.add('homepinas_node_info', 'Host information', 1, {
+        hostname: osInfo.hostname,
+        platform: osInfo.platform,
+        distro: osInfo.distro,
+        kernel: osInfo.kernel
+    });
+    registry.add('homepinas_uptime_seconds', 'System uptime', Number(si.time().uptime));
+
+    registry.add('homepinas_cpu_load_percent', 'CPU load across all cores', cpu.currentLoad);
+    (cpu.cpus || []).forEach((core, i) => {
+        registry.add('homepinas_cpu_core_load_percent', 'CPU load per core', core.load, { core: i });
+    });
+    if (temp.main) registry.add('homepinas_cpu_temperature_celsius', 'CPU temperature', temp.main);
+    (temp.cores || []).forEach((coreTemp, i) => {
+        registry.add('homepinas_cpu_core_temperature_celsius', 'CPU temperature per core', coreTemp, { core: i });
+    });
+    if (gpuTemperature) {
+        registry.add('homepinas_gpu_temperature_celsius', 'GPU temperature', gpuTemperature);
+    }
+
+    registry.add('homepinas_memory_total_bytes', 'Total RAM', mem.total);
+    registry.add('homepinas_memory_used_bytes', 'RAM in active use', mem.active);
+    registry.add('homepinas_memory_free_bytes', 'Unused RAM', mem.free);
+    registry.add('homepinas_swap_total_bytes', 'Total swap', mem.swaptotal);
+    registry.add('homepinas_swap_used_bytes', 'Used swap', mem.swapused);
+
+    for (const fan of readFans()) {
+        registry.add('homepinas_fan_speed_rpm', 'Fan speed', fan.rpm, { fan: fan.name });
+    }
+}
+
+function collectDisks(registry) {
+    const standby = getStandbySettings();
+
+    // Same disks as /api/system/disks (card readers without media are skipped)
+    for (const disk of listDisks().filter(dev => dev.size >= 1024 ** 3)) {
+        const labels = { disk: disk.id };
+        // Cached reading only: smartctl on every scrape would keep idle disks from spinning down
+        const reading = getCachedDiskHealth(disk.id) || {};
+        const { smart, health } = reading;
+        const powerState = getPowerState(disk.id);
+        const asleep = powerState === 'standby' || powerState === 'sleeping' || reading.standby;
+        const serial = disk.serial || (smart && smart.serial) || '';
+
+        registry.add('homepinas_disk_info', 'Disk model and serial number', 1, {
+            ...labels,
+            model: (smart && smart.model) || disk.model || '',
+            serial,
+            rotational: disk.rotational ? 'true' : 'false'
+        });
+        registry.add('homepinas_disk_size_bytes', 'Disk size', disk.size, labels);
+        POWER_STATES.forEach(state => {
+            registry.add('homepinas_disk_power_state', 'Disk power state (1 for the current state)',
+                powerState === state ? 1 : 0, { ...labels, state });
+        });
+        if (serial && standby[serial] !== undefined) {
+            registry.add('homepinas_disk_standby_timeout_seconds', 'Configured spin-down timeout (0 = never)',
+                standby[serial] * 60, labels);
+        }
+
+        if (!smart) continue;
+        registry.add('homepinas_disk_smart_checked_timestamp_seconds', 'Time of the SMART reading the disk metrics come from',
+            Math.floor(reading.checkedAt / 1000), labels);
+        // A sleeping disk's last reading is stale
+        if (!asleep && smart.temperature !== null) {
+            registry.add('homepinas_disk_temperature_celsius', 'Disk temperature', smart.temperature, labels);
+        }
+        if (health) {
+            registry.add('homepinas_disk_health', 'SMART health rating (0 = ok, 1 = warning, 2 = failing)',
+                HEALTH_VALUES[health.status], labels);
+        }
+        if (typeof smart.passed === 'boolean') {
+            registry.add('homepinas_disk_smart_passed', 'SMART overall self-assessment passed', Number(smart.passed), labels);
+        }
+        registry.add('homepinas_disk_power_on_hours', 'Disk power-on hours', smart.powerOnHours, labels);
+        registry.add('homepinas_disk_selftest_running', 'SMART self-test in progress', Number(smart.selfTest.running), labels);
+    }
+}
+
+function collectPool(registry) {
+    const mounted = isMountPoint(POOL_MOUNT);
+    registry.add('homepinas_pool_mounted', 'Storage pool is mounted', Number(mounted), { mount: POOL_MOUNT });
+    if (!mounted) return;
+
+    const stats = fs.statfsSync(POOL_MOUNT);
+    const size = stats.blocks * stats.bsize;
+    const free = stats.bavail * stats.bsize;
+    registry.add('homepinas_pool_size_bytes', 'Storage pool size', size, { mount: POOL_MOUNT });
+    registry.add('homepinas_pool_used_bytes', 'Storage pool used space', (stats.blocks - stats.bfree) * stats.bsize, { mount: POOL_MOUNT });
+    registry.add('homepinas_pool_free_bytes', 'Storage pool space available to users', free, { mount: POOL_MOUNT });
+}
+
+function collectSnapraid(registry) {
+    const lastSync = getLastJobRun('sync', 'success');
+    if (!lastSync || !lastSync.finishedAt) return;
+
+    // Syncs run outside the dashboard (a manual snapraid sync, an earlier install's timer) are not recorded
+    registry.add('homepinas_snapraid_last_sync_timestamp_seconds',
+        'Finish time of the last successful SnapRAID sync run by HomePiNAS (absent until one is recorded)',
+        lastSync.finishedAt / 1000);
+    registry.add('homepinas_snapraid_last_sync_age_seconds',
+        'Time since the last successful SnapRAID sync run by HomePiNAS (absent until one is recorded)',
+        (Date.now() - lastSync.finishedAt) / 1000);
+}
+
+async function collectNonraid(registry) {
+    if (!fs.existsSync(NONRAID_DAT)) {
+        registry.add('homepinas_nonraid_configured', 'NonRAID array is configured', 0);
+        return;
+    }
+    registry.add('homepinas_nonraid_configured', 'NonRAID array is configured', 1);
+
+    const stdout = await new Promise((resolve, reject) => {
+        execFile('sudo', ['nmdctl', 'status', '-o', 'json'], { encoding: 'utf8', timeout: 15000 }, (error, out) => {
+            if (error) reject(error);
+            else resolve(out);
+        });
+    });
+    const status = JSON.parse(stdout);
+
+    registry.add('homepinas_nonraid_array_state', 'NonRAID array state (1 for the current state)', 1, { state: status.state });
+    if (typeof status.parityValid === 'boolean') {
+        registry.add('homepinas_nonraid_parity_valid', 'NonRAID parity is valid', Number(status.parityValid));
+    }
+    registry.add('homepinas_nonraid_data_disks', 'NonRAID data disks', Number(status.dataDisks));
+}
+
+async function collectContainers(registry) {
+    // Docker is optional
+    if (!fs.existsSync(DOCKER_SOCKET)) return;
+
+    const containers = await docker.listContainers({ all: true });
+
+    await Promise.all(containers.map(async (c) => {
+        const labels = { container: c.Names[0].replace('/', ''), image: c.Image };
+        registry.add('homepinas_container_running', 'Container is running', Number(c.State === 'running'), labels);
+        if (c.State !== 'running') return;
+
+        try {
+            const stats = await docker.getContainer(c.Id).stats({ stream: false });
+            const cpuDelta = stats.cpu_stats.cpu_usage.total_usage - stats.precpu_stats.cpu_usage.total_usage;
+            const systemDelta = stats.cpu_stats.system_cpu_usage - stats.precpu_stats.system_cpu_usage;
+            if (systemDelta > 0) {
+                registry.add('homepinas_container_cpu_percent', 'Container CPU usage (100 = one core)',
+                    (cpuDelta / systemDelta) * stats.cpu_stats.online_cpus * 100, labels);
+            }
+            registry.add('homepinas_container_memory_bytes', 'Container memory usage', stats.memory_stats.usage, labels);
+            registry.add('homepinas_container_memory_limit_bytes', 'Container memory limit', stats.memory_stats.limit, labels);
+        } catch (e) {
+            // Stats not available
+        }
+    }));
+}
+
+/**
+ * Scrape every source; a failing source is reported with
+ * homepinas_collector_success 0 instead of failing the whole scrape
+ */
+async function renderPrometheusMetrics() {
+    const registry = createRegistry();
+    const started = Date.now();
+
+    const collectors = {
+        system: collectSystem,
+        disks: collectDisks,
+        pool: collectPool,
+        docker: collectContainers
+    };
+    const backend = getStorageBackend();
+    if (backend === 'snapraid') collectors.snapraid = collectSnapraid;
+    if (backend === 'nonraid') collectors.nonraid = collectNonraid;
+
+    for (const [name, collect] of Object.entries(collectors)) {
+        let success = 1;
+        try {
+            await collect(registry);
+        } catch (e) {
+            success = 0;
+            console.error(`Prometheus collector ${name} failed:`, e.message);
+        }
+        registry.add('homepinas_collector_success', 'Collector ran without errors', success, { collector: name });
+    }
+
+    registry.add('homepinas_scrape_duration_seconds', 'Time taken to collect the metrics', (Date.now() - started) / 1000);
+    return registry.render();
+}
+
+module.exports = {
+    getExporterSettings,
+    setExporterEnabled,
+    rotateExporterToken,
+    verifyExporterToken,
+    renderPrometheusMetrics
+};
@@ -0,0 +1,135 @@
+/**
+ * HomePiNAS - Local Password Recovery
+ * v3.2.0 - Account Recovery
+ *
+ * One-time reset tokens written to a root-only file. Only someone with
+ * root on the NAS (console or SSH + sudo) can read the token, so a
+ * forgotten password no longer means wiping data.json.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+
+const { getData, saveData } = require('./data');
+
+const RECOVERY_TOKEN_FILE = '/var/lib/homepinas/recovery-token';
+const RECOVERY_TOKEN_TTL = 15 * 60 * 1000; // 15 minutes
+const RECOVERY_MAX_ATTEMPTS = 5;
+
+/**
+ * Hash a token for storage in data.json
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Tokens are shown as xxxx-xxxx-xxxx-xxxx-xxxx-xxxx; accept any spacing/case
+ */
+function normalizeToken(token) {
+    return String(token).replace(/[\s-]/g, '').toLowerCase();
+}
+
+/**
+ * Write the token to the root-only file.
+ * The token goes through a private tmp file, never the command line.
+ */
+function writeTokenFile(token, username, expiresAt) {
+    const tmpPath = `/tmp/homepinas-recovery-${crypto.randomBytes(8).toString('hex')}`;
+    const content = `# HomePiNAS password recovery token for "${username}"
+# Expires: ${new Date(expiresAt).toISOString()} (single use)
+${token}
+`;
+    fs.writeFileSync(tmpPath, content, { mode: 0o600 });
+    try {
+        execFileSync('sudo', ['install', '-D', '-m', '600', '-o', 'root', '-g', 'root', tmpPath, RECOVERY_TOKEN_FILE], { encoding: 'utf8' });
+    } finally {
+        fs.rmSync(tmpPath, { force: true });
+    }
+}
+
+/**
+ * Remove the token file (best effort)
+ */
+function removeTokenFile() {
+    try {
+        execFileSync('sudo', ['rm', '-f', RECOVERY_TOKEN_FILE], { encoding: 'utf8' });
+    } catch (e) {
+        console.error('Failed to remove recovery token file:', e.message);
+    }
+}
+
+/**
+ * Issue a new token for a user, replacing any pending one.
+ * Throws if the token file cannot be written.
+ */
+function issueRecoveryToken(username) {
+    const token = crypto.randomBytes(12).toString('hex').match(/.{4}/g).join('-');
+    const expiresAt = Date.now() + RECOVERY_TOKEN_TTL;
+
+    writeTokenFile(token, username, expiresAt);
+
+    const data = getData();
+    data.passwordRecovery = {
+        username,
+        tokenHash: hashToken(normalizeToken(token)),
+        expiresAt,
+        attempts: 0
+    };
+    saveData(data);
+
+    return { expiresAt };
+}
+
+/**
+ * Check a token for a user. Each wrong guess counts; the pending token
+ * is discarded once it expires or runs out of attempts.
+ * Returns true if the token is valid (it is consumed).
+ */
+function consumeRecoveryToken(username, token) {
+    const data = getData();
+    const pending = data.passwordRecovery;
+    if (!pending || typeof token !== 'string') return false;
+
+    if (pending.expiresAt < Date.now()) {
+        clearRecoveryToken();
+        return false;
+    }
+
+    const expected = Buffer.from(pending.tokenHash, 'hex');
+    const actual = Buffer.from(hashToken(normalizeToken(token)), 'hex');
+    const valid = pending.username === username && crypto.timingSafeEqual(expected, actual);
+
+    if (!valid) {
+        pending.attempts++;
+        if (pending.attempts >= RECOVERY_MAX_ATTEMPTS) {
+            clearRecoveryToken();
+        } else {
+            saveData(data);
+        }
+        return false;
+    }
+
+    clearRecoveryToken();
+    return true;
+}
+
+/**
+ * Forget the pending token and delete its file
+ */
+function clearRecoveryToken() {
+    const data = getData();
+    if (data.passwordRecovery) {
+        delete data.passwordRecovery;
+        saveData(data);
+    }
+    removeTokenFile();
+}
+
+module.exports = {
+    RECOVERY_TOKEN_FILE,
+    RECOVERY_TOKEN_TTL,
+    issueRecoveryToken,
+    consumeRecoveryToken
+};
@@ -0,0 +1,223 @@
+/**
+ * HomePiNAS - Samba Share Configuration
+ * v3.2.0 - File Sharing
+ *
+ * Renders the managed smb.conf include file from share definitions,
+ * validates it with testparm and reloads smbd
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+
+const { POOL_MOUNT } = require('./storage-paths');
+const { sanitizePathWithinBase, sanitizeUsername } = require('./sanitize');
+
+const SMB_CONF = '/etc/samba/smb.conf';
+const SHARES_CONF = '/etc/samba/homepinas-shares.conf';
+const SHARE_GROUP = 'sambashare';
+// Root-owned helper installed by install.sh: creates a share folder and sets its group permissions
+const SHARE_DIR_HELPER = '/usr/local/bin/homepinas-share-dir';
+
+// Section names Samba treats specially, plus the built-in pool share in smb.conf
+const RESERVED_SHARE_NAMES = ['global', 'homes', 'printers', 'print$', 'ipc$', 'storage'];
+
+/**
+ * Validate a share name (shown as \\NAS\Name)
+ */
+function validateShareName(name) {
+    if (!name || typeof name !== 'string') return false;
+    if (!/^[A-Za-z0-9][A-Za-z0-9 _.-]{0,31}$/.test(name)) return false;
+    if (name !== name.trim()) return false;
+    return !RESERVED_SHARE_NAMES.includes(name.toLowerCase());
+}
+
+/**
+ * Resolve a share path (absolute or relative to the pool) inside POOL_MOUNT
+ */
+function resolveSharePath(inputPath) {
+    if (!inputPath || typeof inputPath !== 'string') return null;
+    if (!/^[A-Za-z0-9 /_.-]+$/.test(inputPath)) return null;
+
+    const relative = inputPath.startsWith(POOL_MOUNT)
+        ? path.relative(POOL_MOUNT, inputPath) || '.'
+        : inputPath.replace(/^\/+/, '') || '.';
+    return sanitizePathWithinBase(relative, POOL_MOUNT);
+}
+
+/**
+ * Validate "valid users": usernames or @group entries
+ */
+function sanitizeValidUsers(list) {
+    if (list === undefined || list === null || list === '') return [];
+    const entries = Array.isArray(list) ? list : String(list).split(/[\s,]+/);
+    const result = [];
+
+    for (const entry of entries) {
+        const value = String(entry).trim();
+        if (!value) continue;
+        if (value.startsWith('@')) {
+            if (!/^@[a-z_][a-z0-9_-]{0,31}$/.test(value)) return null;
+            result.push(value);
+        } else {
+            const username = sanitizeUsername(value);
+            if (!username || username !== value) return null;
+            result.push(username);
+        }
+    }
+    return [...new Set(result)];
+}
+
+/**
+ * Comments end up in smb.conf: strip anything that could break the line
+ */
+function sanitizeShareComment(comment) {
+    if (!comment || typeof comment !== 'string') return '';
+    return comment.replace(/[^\w .,()'-]/g, '').trim().slice(0, 64);
+}
+
+/**
+ * Render the managed include file
+ */
+function renderSharesConfig(shares) {
+    let config = `# HomePiNAS managed shares - generated ${new Date().toISOString()}
+# Do not edit by hand: changes are overwritten from the dashboard (Shares view)
+`;
+
+    for (const share of shares) {
+        config += `
+[${share.name}]
+   path = ${share.path}
+   browseable = yes
+   read only = ${share.readOnly ? 'yes' : 'no'}
+   create mask = 0664
+   directory mask = 2775
+   force group = ${SHARE_GROUP}
+   inherit permissions = yes
+`;
+        if (share.comment) {
+            config += `   comment = ${share.comment}\n`;
+        }
+
+        if (share.guestOk) {
+            // "valid users" would keep guests out, so guest shares rely on filesystem permissions
+            config += '   guest ok = yes\n';
+        } else {
+            const users = share.validUsers && share.validUsers.length > 0
+                ? share.validUsers
+                : [`@${SHARE_GROUP}`];
+            config += '   guest ok = no\n';
+            config += `   valid users = ${users.join(' ')}\n`;
+        }
+
+        if (share.recycleBin) {
+            config += `   vfs objects = recycle
+   recycle:repository = .recycle/%U
+   recycle:keeptree = yes
+   recycle:versions = yes
+   recycle:touch = yes
+   recycle:directory_mode = 0770
+   recycle:exclude = *.tmp,*.temp,~$*
+   recycle:exclude_dir = .recycle
+`;
+        }
+    }
+
+    return config;
+}
+
+/**
+ * Run testparm against smb.conf with the include swapped for a candidate file.
+ * Throws (with err.invalidConfig set) if the configuration does not load.
+ */
+function testSharesConfig(candidatePath) {
+    let base = '';
+    try {
+        base = fs.readFileSync(SMB_CONF, 'utf8');
+    } catch (e) {
+        base = '[global]\n   security = user\n';
+    }
+
+    const withoutInclude = base
+        .split('\n')
+        .filter(line => !line.trim().startsWith(`include = ${SHARES_CONF}`))
+        .join('\n');
+    const testConf = `/tmp/homepinas-smbtest-${crypto.randomBytes(8).toString('hex')}.conf`;
+    fs.writeFileSync(testConf, `${withoutInclude}\ninclude = ${candidatePath}\n`, { mode: 0o600 });
+
+    try {
+        execFileSync('testparm', ['-s', '--suppress-prompt', testConf], {
+            encoding: 'utf8',
+            stdio: ['ignore', 'pipe', 'pipe'],
+            timeout: 15000
+        });
+    } catch (e) {
+        if (e.code === 'ENOENT') {
+            throw new Error('testparm not found (is Samba installed?)');
+        }
+        const output = `${e.stderr || ''}${e.stdout || ''}`.trim();
+        const error = new Error(`testparm rejected the share configuration: ${output.split('\n').slice(-5).join(' ')}`);
+        error.invalidConfig = true;
+        throw error;
+    } finally {
+        fs.rmSync(testConf, { force: true });
+    }
+}
+
+/**
+ * Make sure smb.conf includes the managed file (older installs predate it)
+ */
+function ensureSharesInclude() {
+    const current = fs.readFileSync(SMB_CONF, 'utf8');
+    if (current.split('\n').some(line => line.trim() === `include = ${SHARES_CONF}`)) return;
+
+    const tmpPath = `/tmp/smb-${crypto.randomBytes(8).toString('hex')}.conf`;
+    fs.writeFileSync(tmpPath, `${current.replace(/\n*$/, '\n')}\n# Shares managed from the dashboard\ninclude = ${SHARES_CONF}\n`, { mode: 0o600 });
+    execFileSync('sudo', ['mv', tmpPath, SMB_CONF], { encoding: 'utf8' });
+    execFileSync('sudo', ['chmod', '644', SMB_CONF], { encoding: 'utf8' });
+}
+
+/**
+ * Create missing share directories with group permissions for Samba users
+ */
+function ensureShareDirectories(shares) {
+    for (const share of shares) {
+        if (share.path === POOL_MOUNT || fs.existsSync(share.path)) continue;
+        execFileSync('sudo', [SHARE_DIR_HELPER, path.relative(POOL_MOUNT, share.path)], { encoding: 'utf8' });
+    }
+}
+
+/**
+ * Validate, install and activate the share configuration.
+ * Nothing on disk changes if testparm rejects the candidate.
+ */
+function applySharesConfig(shares) {
+    const tmpPath = `/tmp/homepinas-shares-${crypto.randomBytes(8).toString('hex')}.conf`;
+    fs.writeFileSync(tmpPath, renderSharesConfig(shares), { mode: 0o600 });
+
+    try {
+        testSharesConfig(tmpPath);
+    } catch (e) {
+        fs.rmSync(tmpPath, { force: true });
+        throw e;
+    }
+
+    ensureShareDirectories(shares);
+    execFileSync('sudo', ['mv', tmpPath, SHARES_CONF], { encoding: 'utf8' });
+    execFileSync('sudo', ['chmod', '644', SHARES_CONF], { encoding: 'utf8' });
+    ensureSharesInclude();
+
+    // reload keeps existing client connections open
+    execFileSync('sudo', ['systemctl', 'reload', 'smbd'], { encoding: 'utf8', timeout: 30000 });
+}
+
+module.exports = {
+    SHARES_CONF,
+    validateShareName,
+    resolveSharePath,
+    sanitizeValidUsers,
+    sanitizeShareComment,
+    renderSharesConfig,
+    applySharesConfig
+};
@@ -0,0 +1,143 @@
+/**
+ * HomePiNAS - Samba Users
+ * v3.2.0 - NAS User Management
+ *
+ * Keeps smbpasswd accounts in step with dashboard accounts.
+ * Passwords are only ever passed to smbpasswd on stdin.
+ */
+
+const { spawn, execFileSync } = require('child_process');
+
+const { sanitizeUsername } = require('./sanitize');
+
+const SHARE_GROUP = 'sambashare';
+
+/**
+ * Validate a username before it reaches any command line
+ */
+function requireSafeUsername(username) {
+    const safeUsername = sanitizeUsername(username);
+    if (!safeUsername || safeUsername !== username) {
+        throw new Error('Invalid username format for Samba user');
+    }
+    return safeUsername;
+}
+
+/**
+ * Create the login-less system account Samba maps to, if missing,
+ * and make sure it is in the share group
+ */
+function ensureSystemUser(username) {
+    try {
+        execFileSync('id', [username], { encoding: 'utf8', stdio: 'ignore' });
+    } catch (e) {
+        execFileSync('sudo', ['useradd', '-M', '-s', '/sbin/nologin', username], { encoding: 'utf8' });
+    }
+    execFileSync('sudo', ['usermod', '-aG', SHARE_GROUP, username], { encoding: 'utf8' });
+}
+
+/**
+ * Run smbpasswd with the password written twice on stdin
+ * (the password never appears in the process list)
+ */
+function runSmbpasswd(args, password) {
+    return new Promise((resolve, reject) => {
+        const smbpasswd = spawn('sudo', ['smbpasswd', ...args], {
+            stdio: ['pipe', 'pipe', 'pipe']
+        });
+
+        let stderr = '';
+        smbpasswd.stderr.on('data', (data) => { stderr += data.toString(); });
+
+        smbpasswd.on('close', (code) => {
+            if (code === 0) resolve();
+            else reject(new Error(`smbpasswd failed: ${stderr.trim()}`));
+        });
+
+        smbpasswd.on('error', reject);
+        smbpasswd.stdin.on('error', reject);
+
+        if (password !== undefined) {
+            smbpasswd.stdin.write(password + '\n');
+            smbpasswd.stdin.write(password + '\n');
+        }
+        smbpasswd.stdin.end();
+    });
+}
+
+/**
+ * Create or update a Samba account with the given password and enable it.
+ * smbpasswd -a adds the account or, if it exists, replaces the password.
+ */
+async function setSambaPassword(username, password) {
+    const safeUsername = requireSafeUsername(username);
+    ensureSystemUser(safeUsername);
+    await runSmbpasswd(['-a', '-s', safeUsername], password);
+    await runSmbpasswd(['-e', safeUsername]);
+}
+
+/**
+ * Enable or disable a Samba account without touching its password
+ */
+async function setSambaEnabled(username, enabled) {
+    const safeUsername = requireSafeUsername(username);
+    await runSmbpasswd([enabled ? '-e' : '-d', safeUsername]);
+}
+
+/**
+ * Remove a Samba account. The system account is kept: it still owns
+ * files in the pool and may predate HomePiNAS (e.g. "pi").
+ */
+async function deleteSambaUser(username) {
+    const safeUsername = requireSafeUsername(username);
+    await runSmbpasswd(['-x', safeUsername]);
+}
+
+/**
+ * Parse `pdbedit -L -v` into { username: { enabled } }
+ */
+function parsePdbeditOutput(output) {
+    const accounts = {};
+    let current = null;
+
+    for (const line of output.split('\n')) {
+        const userMatch = line.match(/^Unix username:\s*(\S+)/);
+        if (userMatch) {
+            current = userMatch[1];
+            accounts[current] = { enabled: true };
+            continue;
+        }
+        // Account Flags: [DU         ] - D marks a disabled account
+        const flagsMatch = line.match(/^Account Flags:\s*\[([^\]]*)\]/);
+        if (current && flagsMatch) {
+            accounts[current].enabled = !flagsMatch[1].includes('D');
+        }
+    }
+    return accounts;
+}
+
+/**
+ * List Samba accounts. Returns null if the passdb cannot be read
+ * (Samba not installed or sudo not configured).
+ */
+function listSambaUsers() {
+    try {
+        const output = execFileSync('sudo', ['pdbedit', '-L', '-v'], {
+            encoding: 'utf8',
+            stdio: ['ignore', 'pipe', 'pipe'],
+            timeout: 15000
+        });
+        return parsePdbeditOutput(output);
+    } catch (e) {
+        console.error('Failed to list Samba users:', e.message);
+        return null;
+    }
+}
+
+module.exports = {
+    SHARE_GROUP,
+    setSambaPassword,
+    setSambaEnabled,
+    deleteSambaUser,
+    listSambaUsers
+};
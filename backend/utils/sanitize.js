@@ -191,6 +191,15 @@ function validateSubnetMask(mask) {
     return true;
 }
 
+function validateCIDR(cidr) {
+    if (!cidr || typeof cidr !== 'string') return false;
+    const [ip, prefix, ...rest] = cidr.split('/');
+    if (rest.length > 0 || !validateIPv4(ip)) return false;
+    if (prefix === undefined) return true;
+    const bits = parseInt(prefix);
+    return !isNaN(bits) && bits >= 0 && bits <= 32 && prefix === bits.toString();
+}
+
 // ============================================================================
 // STORAGE VALIDATION
 // ============================================================================
@@ -259,6 +268,7 @@ module.exports = {
     validateInterfaceName,
     validateIPv4,
     validateSubnetMask,
+    validateCIDR,
     validateDiskRole,
     validateDiskConfig,
     validatePositiveInt,
@@ -8,13 +8,53 @@
 const { execFile } = require('child_process');
 const util = require('util');
 const execFileAsync = util.promisify(execFile);
+const { recordAuditEvent } = require('./audit');
+
+// Events anyone can trigger without credentials are persisted once per event and IP per window
+const ANONYMOUS_EVENT_WINDOW = 10 * 60 * 1000;
+const ANONYMOUS_EVENT_MAX_KEYS = 10000;
+
+// `${event}|${ip}` -> { windowStart, repeated }
+const anonymousEvents = new Map();
 
 /**
- * Security event logging
+ * Security event logging (console + persistent audit log)
  */
 function logSecurityEvent(event, details, ip) {
     const timestamp = new Date().toISOString();
     console.log(`[SECURITY] ${timestamp} | ${event} | IP: ${ip} | ${JSON.stringify(details)}`);
+    recordAuditEvent(event, details, ip);
+}
+
+/**
+ * Security event from an unauthenticated request (no session, bad scrape
+ * token). Logged to the console every time, but persisted at most once per
+ * event and IP per window so a client looping on 401s cannot flood the audit
+ * log out of its retention limit. The next persisted event carries the number
+ * of repeats in between.
+ */
+function logAnonymousSecurityEvent(event, details, ip) {
+    const timestamp = new Date().toISOString();
+    console.log(`[SECURITY] ${timestamp} | ${event} | IP: ${ip} | ${JSON.stringify(details)}`);
+
+    const now = Date.now();
+    const key = `${event}|${ip}`;
+    const previous = anonymousEvents.get(key);
+    if (previous && now - previous.windowStart < ANONYMOUS_EVENT_WINDOW) {
+        previous.repeated++;
+        return;
+    }
+
+    if (!previous && anonymousEvents.size >= ANONYMOUS_EVENT_MAX_KEYS) {
+        for (const [oldKey, entry] of anonymousEvents) {
+            if (now - entry.windowStart >= ANONYMOUS_EVENT_WINDOW) anonymousEvents.delete(oldKey);
+        }
+        // Still full: too many distinct sources in one window, keep console-only
+        if (anonymousEvents.size >= ANONYMOUS_EVENT_MAX_KEYS) return;
+    }
+
+    anonymousEvents.set(key, { windowStart: now, repeated: 0 });
+    recordAuditEvent(event, previous && previous.repeated > 0 ? { ...details, repeated: previous.repeated } : details, ip);
 }
 
 /**
@@ -42,5 +82,6 @@ async function safeExec(command, args = [], options = {}) {
 
 module.exports = {
     logSecurityEvent,
+    logAnonymousSecurityEvent,
     safeExec
 };
@@ -3,18 +3,69 @@
  * v1.5.6 - Modular Architecture
  *
  * SQLite-backed persistent session storage
+ * v3.2.0 - Per-session client info (IP, user agent, last seen)
+ * v3.2.0 - Sliding idle expiry, absolute expiry and "remember this device"
  */
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const Database = require('better-sqlite3');
+const { getData, saveData } = require('./data');
 
 const SESSION_DB_PATH = path.join(__dirname, '..', 'config', 'sessions.db');
-const SESSION_DURATION = 24 * 60 * 60 * 1000; // 24 hours
+const LAST_SEEN_UPDATE_INTERVAL = 60 * 1000; // avoid a DB write on every request
+const MAX_USER_AGENT_LENGTH = 256;
+
+// Defaults, overridable from the System view (stored in data.json)
+const DEFAULT_SESSION_POLICY = {
+    idleTimeoutMinutes: 60,     // logged out after this long without activity
+    absoluteTimeoutHours: 24,   // hard limit regardless of activity
+    rememberDays: 30            // lifetime of "remember this device" sessions
+};
+
+const SESSION_POLICY_LIMITS = {
+    idleTimeoutMinutes: [5, 7 * 24 * 60],
+    absoluteTimeoutHours: [1, 30 * 24],
+    rememberDays: [1, 365]
+};
 
 let sessionDb = null;
 
+/**
+ * Current session policy (defaults merged with saved settings)
+ */
+function getSessionPolicy() {
+    const saved = getData().sessionPolicy || {};
+    return { ...DEFAULT_SESSION_POLICY, ...saved };
+}
+
+/**
+ * Validate and save a new session policy. Returns an error message or null.
+ */
+function updateSessionPolicy(changes) {
+    const policy = getSessionPolicy();
+
+    for (const [key, [min, max]] of Object.entries(SESSION_POLICY_LIMITS)) {
+        if (changes[key] === undefined) continue;
+        const value = Number(changes[key]);
+        if (!Number.isInteger(value) || value < min || value > max) {
+            return `${key} must be an integer between ${min} and ${max}`;
+        }
+        policy[key] = value;
+    }
+
+    if (policy.idleTimeoutMinutes > policy.absoluteTimeoutHours * 60) {
+        return 'Idle timeout cannot be longer than the absolute timeout';
+    }
+
+    const data = getData();
+    data.sessionPolicy = policy;
+    saveData(data);
+    return null;
+}
+
 /**
  * Initialize SQLite session database
  */
@@ -48,6 +99,14 @@ function initSessionDb() {
             ON sessions(expires_at)
         `);
 
+        // Migrate databases created before client info was tracked
+        const columns = sessionDb.prepare('PRAGMA table_info(sessions)').all().map(c => c.name);
+        if (!columns.includes('ip')) sessionDb.exec('ALTER TABLE sessions ADD COLUMN ip TEXT');
+        if (!columns.includes('user_agent')) sessionDb.exec('ALTER TABLE sessions ADD COLUMN user_agent TEXT');
+        if (!columns.includes('last_seen')) sessionDb.exec('ALTER TABLE sessions ADD COLUMN last_seen INTEGER');
+        if (!columns.includes('absolute_expires_at')) sessionDb.exec('ALTER TABLE sessions ADD COLUMN absolute_expires_at INTEGER');
+        if (!columns.includes('remember')) sessionDb.exec('ALTER TABLE sessions ADD COLUMN remember INTEGER DEFAULT 0');
+
         console.log('Session database initialized at', SESSION_DB_PATH);
         cleanExpiredSessions();
 
@@ -59,11 +118,33 @@ function initSessionDb() {
 }
 
 /**
- * Create a new session
+ * Public identifier for a session.
+ * The session id itself is the bearer token, so it is never sent to clients.
+ */
+function getSessionPublicId(sessionId) {
+    return crypto.createHash('sha256').update(sessionId).digest('hex').slice(0, 16);
+}
+
+/**
+ * Create a new session.
+ * Regular sessions expire after the idle timeout (extended on activity) or the
+ * absolute timeout, whichever comes first. Remembered sessions live for
+ * rememberDays without an idle timeout.
  */
-function createSession(username) {
+function createSession(username, { ip = null, userAgent = null, remember = false } = {}) {
     const sessionId = uuidv4();
-    const expiresAt = Date.now() + SESSION_DURATION;
+    const now = Date.now();
+    const policy = getSessionPolicy();
+
+    let absoluteExpiresAt;
+    let expiresAt;
+    if (remember) {
+        absoluteExpiresAt = now + policy.rememberDays * 24 * 60 * 60 * 1000;
+        expiresAt = absoluteExpiresAt;
+    } else {
+        absoluteExpiresAt = now + policy.absoluteTimeoutHours * 60 * 60 * 1000;
+        expiresAt = Math.min(now + policy.idleTimeoutMinutes * 60 * 1000, absoluteExpiresAt);
+    }
 
     if (!sessionDb) {
         console.error('Session database not initialized');
@@ -72,10 +153,23 @@ function createSession(username) {
 
     try {
         const stmt = sessionDb.prepare(`
-            INSERT INTO sessions (session_id, username, expires_at)
-            VALUES (?, ?, ?)
+            INSERT INTO sessions (
+                session_id, username, expires_at, created_at, ip, user_agent,
+                last_seen, absolute_expires_at, remember
+            )
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
         `);
-        stmt.run(sessionId, username, expiresAt);
+        stmt.run(
+            sessionId,
+            username,
+            expiresAt,
+            now,
+            ip,
+            userAgent ? String(userAgent).slice(0, MAX_USER_AGENT_LENGTH) : null,
+            now,
+            absoluteExpiresAt,
+            remember ? 1 : 0
+        );
         return sessionId;
     } catch (e) {
         console.error('Failed to create session:', e.message);
@@ -91,7 +185,7 @@ function validateSession(sessionId) {
 
     try {
         const stmt = sessionDb.prepare(`
-            SELECT session_id, username, expires_at
+            SELECT session_id, username, expires_at, last_seen, absolute_expires_at, remember
             FROM sessions
             WHERE session_id = ?
         `);
@@ -99,14 +193,30 @@ function validateSession(sessionId) {
 
         if (!session) return null;
 
-        if (Date.now() > session.expires_at) {
+        const now = Date.now();
+        // Sessions created before sliding expiry have no absolute limit recorded
+        const absoluteExpiresAt = session.absolute_expires_at || session.expires_at;
+        if (now > session.expires_at || now > absoluteExpiresAt) {
             destroySession(sessionId);
             return null;
         }
 
+        // Activity: slide the idle expiry forward (throttled with last_seen)
+        let expiresAt = session.expires_at;
+        if (!session.last_seen || now - session.last_seen > LAST_SEEN_UPDATE_INTERVAL) {
+            if (!session.remember && session.absolute_expires_at) {
+                const idleMs = getSessionPolicy().idleTimeoutMinutes * 60 * 1000;
+                expiresAt = Math.min(now + idleMs, absoluteExpiresAt);
+            }
+            sessionDb.prepare('UPDATE sessions SET last_seen = ?, expires_at = ? WHERE session_id = ?')
+                .run(now, expiresAt, sessionId);
+        }
+
         return {
             username: session.username,
-            expiresAt: session.expires_at
+            expiresAt,
+            absoluteExpiresAt,
+            remember: !!session.remember
         };
     } catch (e) {
         console.error('Failed to validate session:', e.message);
@@ -114,6 +224,38 @@ function validateSession(sessionId) {
     }
 }
 
+/**
+ * List active sessions, optionally for a single user
+ */
+function listSessions(username = null) {
+    if (!sessionDb) return [];
+
+    try {
+        const query = `
+            SELECT session_id, username, expires_at, created_at, ip, user_agent, last_seen, remember
+            FROM sessions
+            WHERE expires_at > ?${username ? ' AND username = ?' : ''}
+            ORDER BY COALESCE(last_seen, created_at) DESC
+        `;
+        const params = username ? [Date.now(), username] : [Date.now()];
+
+        return sessionDb.prepare(query).all(...params).map(row => ({
+            sessionId: row.session_id,
+            id: getSessionPublicId(row.session_id),
+            username: row.username,
+            ip: row.ip,
+            userAgent: row.user_agent,
+            createdAt: row.created_at,
+            lastSeen: row.last_seen || row.created_at,
+            expiresAt: row.expires_at,
+            remember: !!row.remember
+        }));
+    } catch (e) {
+        console.error('Failed to list sessions:', e.message);
+        return [];
+    }
+}
+
 /**
  * Destroy a session
  */
@@ -128,6 +270,35 @@ function destroySession(sessionId) {
     }
 }
 
+/**
+ * Destroy all sessions belonging to a user
+ */
+function destroyUserSessions(username) {
+    if (!sessionDb) return;
+
+    try {
+        const stmt = sessionDb.prepare('DELETE FROM sessions WHERE username = ?');
+        stmt.run(username);
+    } catch (e) {
+        console.error('Failed to destroy user sessions:', e.message);
+    }
+}
+
+/**
+ * Destroy all sessions of a user except one (e.g. the current one)
+ */
+function destroyOtherUserSessions(username, keepSessionId) {
+    if (!sessionDb) return 0;
+
+    try {
+        const stmt = sessionDb.prepare('DELETE FROM sessions WHERE username = ? AND session_id != ?');
+        return stmt.run(username, keepSessionId).changes;
+    } catch (e) {
+        console.error('Failed to destroy user sessions:', e.message);
+        return 0;
+    }
+}
+
 /**
  * Clear all sessions
  */
@@ -169,9 +340,15 @@ module.exports = {
     initSessionDb,
     createSession,
     validateSession,
+    listSessions,
+    getSessionPublicId,
     destroySession,
+    destroyUserSessions,
+    destroyOtherUserSessions,
     clearAllSessions,
     cleanExpiredSessions,
     startSessionCleanup,
-    SESSION_DURATION
+    getSessionPolicy,
+    updateSessionPolicy,
+    DEFAULT_SESSION_POLICY
 };
@@ -0,0 +1,274 @@
+/**
+ * HomePiNAS - SMART Self-Tests
+ * v3.2.0 - SMART Monitoring
+ *
+ * Short and long (extended) self-tests, started from the dashboard or on a
+ * cron schedule stored in data.json. Scheduled tests are queued and run on
+ * one disk at a time, so the disks of the array are never all busy testing
+ * together. Each test is followed until the disk reports it finished and is
+ * recorded in the job history (jobs smart-short / smart-long).
+ */
+
+const { execFileSync } = require('child_process');
+
+const { getData, saveData } = require('./data');
+const { parseCron, cronMatches, nextCronRun } = require('./cron');
+const { startJobRun, finishJobRun } = require('./job-history');
+const { DEVICE_PATTERN, listSmartDevices, getDiskHealth } = require('./smart');
+
+const TEST_TYPES = ['short', 'long'];
+const SELFTEST_JOBS = TEST_TYPES.map(type => `smart-${type}`);
+
+// Weekly short tests (Sunday 02:00), monthly long tests (1st of the month 02:00)
+const DEFAULT_SELFTEST_SCHEDULE = {
+    short: { enabled: true, cron: '0 2 * * 0' },
+    long: { enabled: true, cron: '0 2 1 * *' }
+};
+
+const SELFTEST_TICK_INTERVAL = 30 * 1000;
+const SELFTEST_POLL_INTERVAL = 60 * 1000;
+// Give up on a test the disk never reports as finished
+const SELFTEST_TIMEOUT = {
+    short: 2 * 60 * 60 * 1000,
+    long: 48 * 60 * 60 * 1000
+};
+
+// device -> { device, type, trigger, runId, startedAt }
+const activeTests = new Map();
+// Scheduled tests waiting for their turn: [{ device, type }]
+let queue = [];
+
+let lastTickMinute = null;
+let lastPoll = 0;
+
+function sudo(args) {
+    return execFileSync('sudo', args, { encoding: 'utf8', timeout: 30000 });
+}
+
+/**
+ * Current schedule (stored values over defaults)
+ */
+function getSelfTestSchedule() {
+    const stored = getData().smartSelfTestSchedule || {};
+    return {
+        short: { ...DEFAULT_SELFTEST_SCHEDULE.short, ...stored.short },
+        long: { ...DEFAULT_SELFTEST_SCHEDULE.long, ...stored.long }
+    };
+}
+
+/**
+ * Validate a schedule update merged over the current schedule.
+ * Returns { schedule } or { error }.
+ */
+function buildSelfTestSchedule(body, current) {
+    const schedule = {};
+    for (const type of TEST_TYPES) {
+        const entry = { ...current[type], ...(body[type] || {}) };
+        if (typeof entry.enabled !== 'boolean') {
+            return { error: `${type}.enabled must be true or false` };
+        }
+        if (!parseCron(entry.cron)) {
+            return { error: `Invalid ${type} test schedule. Use a 5-field cron expression (e.g. "0 2 * * 0")` };
+        }
+        schedule[type] = { enabled: entry.enabled, cron: entry.cron.trim().replace(/\s+/g, ' ') };
+    }
+    return { schedule };
+}
+
+function saveSelfTestSchedule(schedule) {
+    const data = getData();
+    data.smartSelfTestSchedule = schedule;
+    saveData(data);
+}
+
+/**
+ * Next run time (ms) of each enabled test type
+ */
+function getNextSelfTests(schedule = getSelfTestSchedule(), from = new Date()) {
+    const next = {};
+    for (const type of TEST_TYPES) {
+        const parsed = schedule[type].enabled ? parseCron(schedule[type].cron) : null;
+        const date = parsed ? nextCronRun(parsed, from) : null;
+        next[type] = date ? date.getTime() : null;
+    }
+    return next;
+}
+
+/**
+ * Test followed by the scheduler on a disk, or null
+ */
+function getActiveSelfTest(device) {
+    return activeTests.get(device) || null;
+}
+
+/**
+ * Start a self-test on a disk. Throws if the disk cannot be read, is already
+ * testing, or smartctl refuses the test.
+ */
+function startSelfTest(device, type, trigger) {
+    if (!DEVICE_PATTERN.test(device)) throw new Error('Invalid device');
+    if (!TEST_TYPES.includes(type)) throw new Error(`Invalid test type. Must be one of: ${TEST_TYPES.join(', ')}`);
+    if (activeTests.has(device)) throw new Error(`A self-test is already running on ${device}`);
+
+    const reading = getDiskHealth(device, 0);
+    if (reading.smart && reading.smart.selfTest.running) {
+        throw new Error(`A self-test is already running on ${device}`);
+    }
+    if (!reading.smart && !reading.standby) {
+        throw new Error(reading.error || `SMART is not available on ${device}`);
+    }
+
+    sudo(['smartctl', '-t', type, `/dev/${device}`]);
+
+    const test = { device, type, trigger, runId: startJobRun(`smart-${type}`, trigger), startedAt: Date.now() };
+    activeTests.set(device, test);
+    return test;
+}
+
+function finishTest(test, status, message) {
+    activeTests.delete(test.device);
+    finishJobRun(test.runId, { status, counts: { device: test.device }, message: `${test.device}: ${message}` });
+}
+
+/**
+ * Abort the running self-test of a disk (and drop its queued tests)
+ */
+function abortSelfTest(device) {
+    if (!DEVICE_PATTERN.test(device)) throw new Error('Invalid device');
+
+    sudo(['smartctl', '-X', `/dev/${device}`]);
+    queue = queue.filter(entry => entry.device !== device);
+
+    const test = activeTests.get(device);
+    if (test) finishTest(test, 'cancelled', `${test.type} test aborted`);
+}
+
+/**
+ * Check the followed tests; a test is done when the disk no longer reports
+ * one in progress, and its result is the newest self-test log entry
+ */
+function pollSelfTests() {
+    for (const test of [...activeTests.values()]) {
+        const reading = getDiskHealth(test.device, 0);
+        const smart = reading.standby ? null : reading.smart;
+
+        if (!smart || smart.selfTest.running) {
+            if (Date.now() - test.startedAt > SELFTEST_TIMEOUT[test.type]) {
+                finishTest(test, 'failed', `no ${test.type} test result reported`);
+            }
+            continue;
+        }
+
+        const last = smart.selfTest.log[0];
+        if (!last) {
+            finishTest(test, 'failed', `${test.type} test finished without a log entry`);
+        } else if (last.result === 'failed') {
+            finishTest(test, 'failed', last.status);
+        } else if (last.result === 'aborted') {
+            finishTest(test, 'cancelled', last.status);
+        } else {
+            finishTest(test, 'success', last.status);
+        }
+    }
+}
+
+/**
+ * Start the next queued test once no scheduled test is running
+ */
+function startNextQueued() {
+    const busy = [...activeTests.values()].some(test => test.trigger === 'schedule');
+    if (busy) return;
+
+    while (queue.length > 0) {
+        const { device, type } = queue.shift();
+        if (activeTests.has(device)) continue;
+
+        try {
+            startSelfTest(device, type, 'schedule');
+            console.log(`[SMART] Started scheduled ${type} self-test on ${device}`);
+            return;
+        } catch (e) {
+            console.error(`[SMART] Scheduled ${type} self-test on ${device} not started:`, e.message);
+            finishJobRun(startJobRun(`smart-${type}`, 'schedule'), {
+                status: 'failed',
+                counts: { device },
+                message: `${device}: ${e.message}`
+            });
+        }
+    }
+}
+
+/**
+ * Queue every disk for the tests due at `now`. A long test covers the short one.
+ */
+function queueDueTests(now) {
+    const schedule = getSelfTestSchedule();
+    const due = TEST_TYPES.filter(type => {
+        const parsed = schedule[type].enabled ? parseCron(schedule[type].cron) : null;
+        return parsed && cronMatches(parsed, now);
+    });
+    const type = due.includes('long') ? 'long' : due[0];
+    if (!type) return;
+
+    const devices = listSmartDevices().filter(device => !queue.some(entry => entry.device === device));
+    queue.push(...devices.map(device => ({ device, type })));
+    console.log(`[SMART] Queued ${type} self-tests on ${devices.length} disk(s)`);
+}
+
+/**
+ * Followed tests with their progress, and the queue
+ */
+function getSelfTestStatus() {
+    return {
+        active: [...activeTests.values()].map(test => {
+            const reading = getDiskHealth(test.device);
+            const selfTest = reading.smart ? reading.smart.selfTest : null;
+            return {
+                device: test.device,
+                type: test.type,
+                trigger: test.trigger,
+                startedAt: test.startedAt,
+                progress: selfTest && selfTest.running ? selfTest.progress : null
+            };
+        }),
+        queue: queue.map(entry => ({ ...entry }))
+    };
+}
+
+/**
+ * Check the schedule every tick (each minute evaluated once) and poll running tests
+ */
+function startSelfTestScheduler() {
+    setInterval(() => {
+        try {
+            const now = new Date();
+            const minute = Math.floor(now.getTime() / 60000);
+            if (minute !== lastTickMinute) {
+                lastTickMinute = minute;
+                queueDueTests(now);
+            }
+
+            if (activeTests.size > 0 && now.getTime() - lastPoll >= SELFTEST_POLL_INTERVAL) {
+                lastPoll = now.getTime();
+                pollSelfTests();
+            }
+            startNextQueued();
+        } catch (e) {
+            console.error('SMART self-test scheduler error:', e.message);
+        }
+    }, SELFTEST_TICK_INTERVAL);
+}
+
+module.exports = {
+    TEST_TYPES,
+    SELFTEST_JOBS,
+    getSelfTestSchedule,
+    buildSelfTestSchedule,
+    saveSelfTestSchedule,
+    getNextSelfTests,
+    getActiveSelfTest,
+    startSelfTest,
+    abortSelfTest,
+    getSelfTestStatus,
+    startSelfTestScheduler
+};
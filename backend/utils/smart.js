@@ -0,0 +1,552 @@
+/**
+ * HomePiNAS - SMART Health Monitoring
+ * v3.2.0 - SMART Monitoring
+ *
+ * Reads `smartctl -j -a -n standby` (sleeping disks are not woken up), keeps
+ * hourly snapshots of the failure-relevant attributes in SQLite and rates each
+ * disk: failing when SMART or the NVMe controller says so, warning when error
+ * counters (reallocated/pending sectors, CRC and media errors) are non-zero
+ * and growing, or when the last self-test failed. Snapshots are keyed by
+ * serial number, so history follows a disk across device name changes.
+ *
+ * A SMART read restarts the idle timer of an awake disk, so disks with a
+ * standby timeout are only snapshotted when other I/O keeps them awake
+ * anyway; an idle one is left to spin down.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { execFileSync, spawnSync } = require('child_process');
+
+const { logSecurityEvent } = require('./security');
+const { listDisks, getStandbySettings } = require('./disk-power');
+
+const SMART_DB_PATH = path.join(__dirname, '..', 'config', 'smart.db');
+const SMART_RETENTION_DAYS = 365;
+const SNAPSHOT_INTERVAL = 60 * 60 * 1000;
+const FIRST_SNAPSHOT_DELAY = 60 * 1000;
+// How often disks are checked for due snapshots and recent I/O
+const IO_CHECK_INTERVAL = 5 * 60 * 1000;
+// Readings served to /api/system/disks are reused for this long
+const SMART_CACHE_TTL = 60 * 1000;
+// Counters are compared against the oldest snapshot in this window
+const TREND_DAYS = 30;
+const HISTORY_MAX_POINTS = 500;
+
+const DEVICE_PATTERN = /^(sd[a-z]|nvme[0-9]n[0-9])$/;
+
+// ATA attribute ids of the tracked counters
+const ATA_ATTRIBUTES = {
+    reallocated: 5,
+    pending: 197,
+    offlineUncorrectable: 198,
+    crcErrors: 199
+};
+
+// Counters that only grow on a degrading disk
+const COUNTER_LABELS = {
+    reallocated: 'Reallocated sectors',
+    pending: 'Pending sectors',
+    offlineUncorrectable: 'Offline uncorrectable sectors',
+    crcErrors: 'Interface CRC errors',
+    mediaErrors: 'Media errors'
+};
+
+// Non-zero even without growth: unreadable sectors waiting for a rewrite
+const ALWAYS_WARN = ['pending', 'offlineUncorrectable'];
+
+const SNAPSHOT_COLUMNS = {
+    passed: 'passed',
+    temperature: 'temperature',
+    powerOnHours: 'power_on_hours',
+    reallocated: 'reallocated',
+    pending: 'pending',
+    offlineUncorrectable: 'offline_uncorrectable',
+    crcErrors: 'crc_errors',
+    mediaErrors: 'media_errors',
+    percentageUsed: 'percentage_used'
+};
+
+let smartDb = null;
+const latest = new Map();
+const lastStatus = new Map();
+// device -> time of its last snapshot / completed I/O count at the last check
+const lastSnapshotAt = new Map();
+const lastIoCount = new Map();
+
+/**
+ * Initialize SQLite SMART history database
+ */
+function initSmartDb() {
+    try {
+        const configDir = path.dirname(SMART_DB_PATH);
+        if (!fs.existsSync(configDir)) {
+            fs.mkdirSync(configDir, { recursive: true, mode: 0o700 });
+        }
+
+        smartDb = new Database(SMART_DB_PATH);
+        smartDb.pragma('journal_mode = WAL');
+
+        try {
+            fs.chmodSync(SMART_DB_PATH, 0o600);
+        } catch (e) {
+            console.warn('Could not set restrictive permissions on SMART database');
+        }
+
+        smartDb.exec(`
+            CREATE TABLE IF NOT EXISTS smart_snapshots (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                serial TEXT NOT NULL,
+                device TEXT NOT NULL,
+                taken_at INTEGER NOT NULL,
+                passed INTEGER,
+                temperature INTEGER,
+                power_on_hours INTEGER,
+                reallocated INTEGER,
+                pending INTEGER,
+                offline_uncorrectable INTEGER,
+                crc_errors INTEGER,
+                media_errors INTEGER,
+                percentage_used INTEGER
+            )
+        `);
+        smartDb.exec('CREATE INDEX IF NOT EXISTS idx_smart_serial ON smart_snapshots(serial, taken_at)');
+
+        console.log('SMART database initialized at', SMART_DB_PATH);
+        pruneSmartHistory();
+
+        return true;
+    } catch (e) {
+        console.error('Failed to initialize SMART database:', e.message);
+        return false;
+    }
+}
+
+function pruneSmartHistory() {
+    if (!smartDb) return;
+
+    try {
+        const cutoff = Date.now() - SMART_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+        smartDb.prepare('DELETE FROM smart_snapshots WHERE taken_at < ?').run(cutoff);
+    } catch (e) {
+        console.error('Failed to prune SMART history:', e.message);
+    }
+}
+
+/**
+ * Whole disks SMART can be read from
+ */
+function listSmartDevices() {
+    try {
+        const output = execFileSync('lsblk', ['-J', '-d', '-o', 'NAME,TYPE'], { encoding: 'utf8' });
+        return (JSON.parse(output).blockdevices || [])
+            .filter(dev => dev.type === 'disk' && DEVICE_PATTERN.test(dev.name))
+            .map(dev => dev.name);
+    } catch (e) {
+        console.error('Failed to list disks for SMART:', e.message);
+        return [];
+    }
+}
+
+// ATA self-test status (upper nibble): 0 passed, 1-2 aborted, 3-8 failed, 15 in progress
+function ataTestResult(status) {
+    const code = (status.value || 0) >> 4;
+    if (code === 15) return 'running';
+    if (status.passed === false || (code >= 3 && code <= 8)) return 'failed';
+    return code === 0 ? 'passed' : 'aborted';
+}
+
+// NVMe self-test result: 0 passed, 5-7 failed, the others aborted
+function nvmeTestResult(result) {
+    const code = result.value || 0;
+    if (code === 0) return 'passed';
+    return code >= 5 && code <= 7 ? 'failed' : 'aborted';
+}
+
+/**
+ * Running self-test and self-test log (newest first)
+ */
+function parseSelfTest(json) {
+    const selfTest = { running: false, progress: null, log: [] };
+
+    const ataStatus = json.ata_smart_data && json.ata_smart_data.self_test ? json.ata_smart_data.self_test.status : null;
+    if (ataStatus && ataTestResult(ataStatus) === 'running') {
+        selfTest.running = true;
+        if (typeof ataStatus.remaining_percent === 'number') selfTest.progress = 100 - ataStatus.remaining_percent;
+    }
+    const nvmeLog = json.nvme_self_test_log || null;
+    if (nvmeLog && nvmeLog.current_self_test_operation && nvmeLog.current_self_test_operation.value) {
+        selfTest.running = true;
+        if (typeof nvmeLog.current_self_test_completion_percent === 'number') {
+            selfTest.progress = nvmeLog.current_self_test_completion_percent;
+        }
+    }
+
+    const ataLog = json.ata_smart_self_test_log && json.ata_smart_self_test_log.standard
+        ? json.ata_smart_self_test_log.standard.table || []
+        : [];
+    const ataEntries = ataLog.map(entry => ({
+        type: entry.type ? entry.type.string : null,
+        result: entry.status ? ataTestResult(entry.status) : 'passed',
+        status: entry.status ? entry.status.string : null,
+        lifetimeHours: entry.lifetime_hours
+    }));
+    const nvmeEntries = ((nvmeLog && nvmeLog.table) || []).map(entry => ({
+        type: entry.self_test_code ? entry.self_test_code.string : null,
+        result: entry.self_test_result ? nvmeTestResult(entry.self_test_result) : 'passed',
+        status: entry.self_test_result ? entry.self_test_result.string : null,
+        lifetimeHours: entry.power_on_hours
+    }));
+    selfTest.log = [...ataEntries, ...nvmeEntries].filter(entry => entry.result !== 'running').slice(0, 10);
+
+    return selfTest;
+}
+
+function ataRawValue(table, id) {
+    const attribute = table.find(attr => attr.id === id);
+    return attribute && attribute.raw ? attribute.raw.value : null;
+}
+
+/**
+ * Normalize smartctl JSON output
+ */
+function parseSmartJson(device, json) {
+    const ataTable = (json.ata_smart_attributes && json.ata_smart_attributes.table) || [];
+    const nvme = json.nvme_smart_health_information_log || null;
+    const protocol = json.device && json.device.protocol ? json.device.protocol : null;
+
+    const smart = {
+        device,
+        model: json.model_name || json.scsi_model_name || null,
+        serial: json.serial_number || null,
+        firmware: json.firmware_version || null,
+        protocol,
+        capacity: json.user_capacity ? json.user_capacity.bytes : null,
+        rotational: typeof json.rotation_rate === 'number' ? json.rotation_rate > 0 : null,
+        passed: json.smart_status ? json.smart_status.passed : null,
+        temperature: json.temperature ? json.temperature.current : null,
+        powerOnHours: json.power_on_time ? json.power_on_time.hours : null,
+        reallocated: null,
+        pending: null,
+        offlineUncorrectable: null,
+        crcErrors: null,
+        mediaErrors: null,
+        percentageUsed: null,
+        criticalWarning: null,
+        availableSpare: null,
+        attributes: ataTable.map(attr => ({
+            id: attr.id,
+            name: attr.name,
+            value: attr.value,
+            worst: attr.worst,
+            threshold: attr.thresh,
+            raw: attr.raw ? attr.raw.string : null,
+            failed: attr.when_failed || null
+        })),
+        selfTest: parseSelfTest(json)
+    };
+
+    for (const [key, id] of Object.entries(ATA_ATTRIBUTES)) {
+        smart[key] = ataRawValue(ataTable, id);
+    }
+    if (nvme) {
+        smart.mediaErrors = nvme.media_errors;
+        smart.percentageUsed = nvme.percentage_used;
+        smart.criticalWarning = nvme.critical_warning;
+        smart.availableSpare = nvme.available_spare;
+        if (smart.temperature === null) smart.temperature = nvme.temperature;
+        if (smart.powerOnHours === null) smart.powerOnHours = nvme.power_on_hours;
+    }
+    return smart;
+}
+
+/**
+ * Read SMART data of a disk. Returns { device, standby: true } for a
+ * sleeping disk; throws if smartctl cannot read the device.
+ */
+function readSmart(device) {
+    if (!DEVICE_PATTERN.test(device)) throw new Error('Invalid device');
+
+    const result = spawnSync('sudo', ['smartctl', '-j', '-a', '-n', 'standby', `/dev/${device}`], {
+        encoding: 'utf8',
+        timeout: 15000
+    });
+    if (result.error) throw result.error;
+
+    let json;
+    try {
+        json = JSON.parse(result.stdout);
+    } catch (e) {
+        throw new Error(`smartctl returned no data for ${device}: ${(result.stderr || '').trim().split('\n')[0]}`);
+    }
+
+    const messages = (json.smartctl && json.smartctl.messages) || [];
+    if (messages.some(message => /in (STANDBY|SLEEP) mode/i.test(message.string))) {
+        return { device, standby: true };
+    }
+    // Bits 0-1 of the exit status: bad command line or device could not be opened.
+    // Higher bits report disk problems, which is what we are here to read.
+    const exitStatus = json.smartctl ? json.smartctl.exit_status : result.status;
+    if ((exitStatus & 3) !== 0) {
+        const error = messages.find(message => message.severity === 'error');
+        throw new Error(error ? error.string : `smartctl failed on ${device} (exit ${exitStatus})`);
+    }
+
+    return parseSmartJson(device, json);
+}
+
+/**
+ * Oldest snapshot of a disk since `since` (the trend baseline)
+ */
+function getBaseline(serial, since) {
+    if (!smartDb || !serial) return null;
+
+    try {
+        const row = smartDb.prepare(`
+            SELECT * FROM smart_snapshots WHERE serial = ? AND taken_at >= ?
+            ORDER BY taken_at ASC LIMIT 1
+        `).get(serial, since);
+        return row ? rowToSnapshot(row) : null;
+    } catch (e) {
+        console.error('Failed to read SMART baseline:', e.message);
+        return null;
+    }
+}
+
+/**
+ * Rate a disk from its current reading and the trend baseline.
+ * Returns { status: 'ok'|'warning'|'failing', issues, worsening }.
+ */
+function assessHealth(smart, baseline) {
+    const issues = [];
+    const worsening = [];
+
+    if (smart.passed === false) {
+        issues.push({ severity: 'failing', message: 'SMART overall health self-assessment failed' });
+    }
+    if (smart.criticalWarning) {
+        issues.push({ severity: 'failing', message: `NVMe critical warning (0x${smart.criticalWarning.toString(16)})` });
+    }
+    for (const attr of smart.attributes || []) {
+        if (attr.failed === 'now') {
+            issues.push({ severity: 'failing', message: `${attr.name} is below its failure threshold` });
+        }
+    }
+    // An aborted test says nothing about the disk: rate the last one that ran to the end
+    const lastTest = smart.selfTest ? smart.selfTest.log.find(entry => entry.result !== 'aborted') : null;
+    if (lastTest && lastTest.result === 'failed') {
+        issues.push({ severity: 'failing', message: `Last self-test (${lastTest.type}) failed: ${lastTest.status}` });
+    }
+    if (smart.percentageUsed !== null && smart.percentageUsed >= 100) {
+        issues.push({ severity: 'warning', message: `Rated endurance used up (${smart.percentageUsed}%)` });
+    }
+
+    for (const [key, label] of Object.entries(COUNTER_LABELS)) {
+        const value = smart[key];
+        if (value === null || value === undefined || value <= 0) continue;
+
+        const previous = baseline ? baseline[key] : null;
+        const delta = previous !== null && previous !== undefined ? value - previous : 0;
+        if (delta > 0) {
+            worsening.push(key);
+            issues.push({ severity: 'warning', message: `${label} increased by ${delta} to ${value} in the last ${TREND_DAYS} days` });
+        } else if (ALWAYS_WARN.includes(key)) {
+            issues.push({ severity: 'warning', message: `${label}: ${value}` });
+        }
+    }
+
+    let status = 'ok';
+    if (issues.some(issue => issue.severity === 'failing')) status = 'failing';
+    else if (issues.length > 0) status = 'warning';
+
+    return { status, issues, worsening };
+}
+
+function rowToSnapshot(row) {
+    const snapshot = { takenAt: row.taken_at, device: row.device };
+    for (const [key, column] of Object.entries(SNAPSHOT_COLUMNS)) {
+        snapshot[key] = row[column];
+    }
+    if (snapshot.passed !== null) snapshot.passed = snapshot.passed === 1;
+    return snapshot;
+}
+
+function recordSnapshot(smart) {
+    if (!smartDb || !smart.serial) return;
+
+    try {
+        const columns = Object.values(SNAPSHOT_COLUMNS);
+        const values = Object.keys(SNAPSHOT_COLUMNS).map(key => {
+            const value = smart[key];
+            if (typeof value === 'boolean') return value ? 1 : 0;
+            return value === undefined ? null : value;
+        });
+        smartDb.prepare(`
+            INSERT INTO smart_snapshots (serial, device, taken_at, ${columns.join(', ')})
+            VALUES (?, ?, ?, ${columns.map(() => '?').join(', ')})
+        `).run(smart.serial, smart.device, Date.now(), ...values);
+    } catch (e) {
+        console.error('Failed to record SMART snapshot:', e.message);
+    }
+}
+
+/**
+ * Read, rate and cache a disk. A sleeping disk keeps its last reading.
+ */
+function refreshDisk(device) {
+    const smart = readSmart(device);
+    const cached = latest.get(device);
+
+    if (smart.standby) {
+        const entry = cached
+            ? { ...cached, standby: true, checkedAt: Date.now() }
+            : { smart: null, health: null, standby: true, checkedAt: Date.now() };
+        latest.set(device, entry);
+        return entry;
+    }
+
+    const baseline = getBaseline(smart.serial, Date.now() - TREND_DAYS * 24 * 60 * 60 * 1000);
+    const health = assessHealth(smart, baseline);
+    const entry = { smart, health, standby: false, checkedAt: Date.now() };
+    latest.set(device, entry);
+
+    // Log changes of the rating, once per disk
+    const key = smart.serial || device;
+    const previous = lastStatus.get(key);
+    if (previous !== health.status && (previous !== undefined || health.status !== 'ok')) {
+        logSecurityEvent('SMART_HEALTH_CHANGED', {
+            device,
+            serial: smart.serial,
+            status: health.status,
+            issues: health.issues.map(issue => issue.message)
+        }, '');
+    }
+    lastStatus.set(key, health.status);
+
+    return entry;
+}
+
+/**
+ * Latest SMART reading of a disk: { smart, health, standby, checkedAt }.
+ * Reuses a recent reading; returns null if the disk cannot be read.
+ */
+function getDiskHealth(device, maxAge = SMART_CACHE_TTL) {
+    const cached = latest.get(device);
+    if (cached && Date.now() - cached.checkedAt < maxAge) return cached;
+
+    try {
+        return refreshDisk(device);
+    } catch (e) {
+        latest.set(device, { smart: null, health: null, standby: false, error: e.message, checkedAt: Date.now() });
+        return latest.get(device);
+    }
+}
+
+/**
+ * Latest SMART reading of a disk without touching the disk (null before the
+ * first read). For background pollers: smartctl on an idle disk resets its
+ * spin-down timer, so they only see the hourly snapshots and dashboard reads.
+ */
+function getCachedDiskHealth(device) {
+    return latest.get(device) || null;
+}
+
+/**
+ * Snapshots of a disk over the last `days` days (oldest first). Long ranges
+ * are averaged into buckets, keeping the worst counter values.
+ */
+function getSmartHistory(serial, days = TREND_DAYS) {
+    if (!smartDb || !serial) return [];
+
+    const since = Date.now() - days * 24 * 60 * 60 * 1000;
+    const bucket = Math.max(SNAPSHOT_INTERVAL, Math.ceil((days * 24 * 60 * 60 * 1000) / HISTORY_MAX_POINTS));
+
+    try {
+        return smartDb.prepare(`
+            SELECT MIN(s.taken_at) AS taken_at, MAX(s.device) AS device, MIN(s.passed) AS passed,
+                   ROUND(AVG(s.temperature)) AS temperature, MAX(s.power_on_hours) AS power_on_hours,
+                   MAX(s.reallocated) AS reallocated, MAX(s.pending) AS pending,
+                   MAX(s.offline_uncorrectable) AS offline_uncorrectable, MAX(s.crc_errors) AS crc_errors,
+                   MAX(s.media_errors) AS media_errors, MAX(s.percentage_used) AS percentage_used
+            FROM smart_snapshots s WHERE s.serial = ? AND s.taken_at >= ?
+            GROUP BY s.taken_at / CAST(? AS INTEGER) ORDER BY 1 ASC
+        `).all(serial, since, bucket).map(rowToSnapshot);
+    } catch (e) {
+        console.error('Failed to read SMART history:', e.message);
+        return [];
+    }
+}
+
+/**
+ * Reads and writes completed by a disk since boot (block layer counters,
+ * which SMART and hdparm pass-through commands do not touch). Null if unknown.
+ */
+function readIoCount(device) {
+    try {
+        const fields = fs.readFileSync(`/sys/block/${device}/stat`, 'utf8').trim().split(/\s+/).map(Number);
+        return fields[0] + fields[4];
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Devices of the rotational disks that have a standby timeout set
+ */
+function listSpinDownDevices() {
+    const settings = getStandbySettings();
+    return new Set(listDisks()
+        .filter(disk => disk.rotational && disk.serial && settings[disk.serial] > 0)
+        .map(disk => disk.id));
+}
+
+/**
+ * Snapshot every awake disk whose last snapshot is an interval old. Disks
+ * with a standby timeout must also have done I/O since the previous check.
+ */
+function takeSnapshots() {
+    const now = Date.now();
+    const spinDown = listSpinDownDevices();
+
+    for (const device of listSmartDevices()) {
+        const ioCount = readIoCount(device);
+        const hadIo = ioCount !== null && lastIoCount.has(device) && ioCount !== lastIoCount.get(device);
+        lastIoCount.set(device, ioCount);
+
+        if (now - (lastSnapshotAt.get(device) || 0) < SNAPSHOT_INTERVAL) continue;
+        if (spinDown.has(device) && !hadIo) continue;
+
+        try {
+            const entry = refreshDisk(device);
+            if (entry.smart && !entry.standby) {
+                recordSnapshot(entry.smart);
+                lastSnapshotAt.set(device, now);
+            }
+        } catch (e) {
+            console.error(`SMART read failed on ${device}:`, e.message);
+        }
+    }
+    pruneSmartHistory();
+}
+
+/**
+ * Start hourly SMART snapshots
+ */
+function startSmartMonitor() {
+    initSmartDb();
+    setTimeout(takeSnapshots, FIRST_SNAPSHOT_DELAY);
+    setInterval(takeSnapshots, IO_CHECK_INTERVAL);
+}
+
+module.exports = {
+    DEVICE_PATTERN,
+    TREND_DAYS,
+    SMART_RETENTION_DAYS,
+    listSmartDevices,
+    readSmart,
+    getDiskHealth,
+    getCachedDiskHealth,
+    getSmartHistory,
+    startSmartMonitor
+};
@@ -0,0 +1,264 @@
+/**
+ * HomePiNAS - SnapRAID Output Parsers
+ * v3.2.0 - Storage Health Reports
+ *
+ * Turns the text reports of `snapraid status`, `diff`, `smart`, `scrub`,
+ * `check` and `fix` into JSON. Parsers are tolerant: anything they do not recognise is skipped.
+ */
+
+const DIFF_COUNT_KEYS = ['equal', 'added', 'removed', 'updated', 'moved', 'copied', 'restored'];
+const DIFF_CHANGE_TYPES = { add: 'added', remove: 'removed', update: 'updated', move: 'moved', copy: 'copied', restore: 'restored' };
+const DIFF_MAX_CHANGES = 200;
+
+/**
+ * Parse a number column; '-' (not available) becomes null
+ */
+function parseNumber(value) {
+    if (value === undefined || value === '-') return null;
+    const number = parseFloat(value);
+    return Number.isNaN(number) ? null : number;
+}
+
+/**
+ * Parse the summary of `snapraid diff` ("   3 removed", ...)
+ */
+function parseDiffCounts(output) {
+    const counts = {};
+    const pattern = new RegExp(`^\\s*(\\d+)\\s+(${DIFF_COUNT_KEYS.join('|')})\\s*$`, 'gm');
+    let match;
+    while ((match = pattern.exec(output)) !== null) {
+        counts[match[2]] = parseInt(match[1], 10);
+    }
+    return counts;
+}
+
+/**
+ * Parse `snapraid diff`: summary counts plus the first DIFF_MAX_CHANGES changed files
+ * ("add path", "remove path", "move from -> to", ...)
+ */
+function parseDiffOutput(output) {
+    const changes = [];
+
+    for (const line of output.split('\n')) {
+        const match = line.match(/^(add|remove|update|move|copy|restore)\s+(.+)$/);
+        if (!match) continue;
+        if (changes.length >= DIFF_MAX_CHANGES) break;
+
+        const [from, to] = match[2].split(' -> ');
+        changes.push({ type: DIFF_CHANGE_TYPES[match[1]], path: to !== undefined ? to : from, from: to !== undefined ? from : null });
+    }
+
+    const counts = parseDiffCounts(output);
+    for (const key of DIFF_COUNT_KEYS) {
+        if (counts[key] === undefined) counts[key] = 0;
+    }
+
+    const pending = counts.added + counts.removed + counts.updated + counts.moved + counts.copied + counts.restored;
+    return {
+        counts,
+        pending,
+        changes,
+        truncated: pending > changes.length,
+        syncRequired: /There are differences/i.test(output)
+    };
+}
+
+/**
+ * Parse the error summary of a scrub ("   2 file errors", "   0 io errors", ...)
+ */
+function parseScrubCounts(output) {
+    const counts = { fileErrors: 0, ioErrors: 0, dataErrors: 0 };
+    const pattern = /^\s*(\d+)\s+(file|io|data)\s+errors?\s*$/gim;
+    let match;
+    while ((match = pattern.exec(output)) !== null) {
+        counts[`${match[2].toLowerCase()}Errors`] = parseInt(match[1], 10);
+    }
+    return counts;
+}
+
+/**
+ * Parse a progress line of scrub/check/fix. They are redrawn with \r, e.g.
+ * "23%, 12345 MB, 150 MB/s, 250 stripe/s, CPU 5%, 0:12 ETA" (ETA is h:mm).
+ * Returns null for other lines.
+ */
+function parseProgressLine(line) {
+    const match = line.match(/^\s*(\d+)%,\s*(\d+) MB(?:,\s*(\d+) MB\/s)?(?:,\s*(\d+) stripe\/s)?.*?(?:(\d+):(\d{2}) ETA)?\s*$/);
+    if (!match) return null;
+
+    return {
+        progress: parseInt(match[1], 10),
+        processedMB: parseInt(match[2], 10),
+        speedMBs: match[3] !== undefined ? parseInt(match[3], 10) : null,
+        stripesPerSecond: match[4] !== undefined ? parseInt(match[4], 10) : null,
+        etaSeconds: match[5] !== undefined ? (parseInt(match[5], 10) * 60 + parseInt(match[6], 10)) * 60 : null
+    };
+}
+
+/**
+ * Parse the summary of check/fix ("  10 errors", "   8 recovered errors",
+ * "   2 unrecoverable errors")
+ */
+function parseRepairCounts(output) {
+    const counts = { errors: 0, recovered: 0, unrecoverable: 0 };
+    const pattern = /^\s*(\d+)\s+(recovered |unrecoverable )?errors?\s*$/gim;
+    let match;
+    while ((match = pattern.exec(output)) !== null) {
+        const key = match[2] ? match[2].trim().toLowerCase() : 'errors';
+        counts[key] = parseInt(match[1], 10);
+    }
+    return counts;
+}
+
+/**
+ * Parse the scrub age histogram of `snapraid status`:
+ *
+ *   29%|o
+ *      |o        *
+ *    0%|o_______*______
+ *      38   days ago of the last scrub/sync   0
+ *
+ * Each column is a block age (oldest on the left, newest on the right) and its
+ * height is the share of the array with that age. 'o' marks scrubbed blocks,
+ * '*' blocks that were synced but never scrubbed.
+ */
+function parseScrubHistogram(lines) {
+    const rows = [];
+    let maxPercent = null;
+    let axis = null;
+
+    for (const line of lines) {
+        const rowMatch = line.match(/^\s*(?:(\d+)%)?\|(.*)$/);
+        if (rowMatch) {
+            if (rowMatch[1] !== undefined && maxPercent === null) maxPercent = parseInt(rowMatch[1], 10);
+            rows.push(rowMatch[2]);
+            continue;
+        }
+        const axisMatch = line.match(/^\s*(\d+)\s+days ago of the last scrub\/sync\s+(\d+)\s*$/);
+        if (axisMatch) {
+            axis = { oldestDays: parseInt(axisMatch[1], 10), newestDays: parseInt(axisMatch[2], 10) };
+        }
+    }
+
+    if (rows.length === 0 || maxPercent === null || !axis) return null;
+
+    const width = Math.max(...rows.map(row => row.length));
+    const columns = [];
+    for (let x = 0; x < width; x++) {
+        let scrubbed = 0;
+        let unscrubbed = 0;
+        for (const row of rows) {
+            if (row[x] === 'o') scrubbed++;
+            else if (row[x] === '*') unscrubbed++;
+        }
+        const daysAgo = width > 1
+            ? Math.round(axis.oldestDays - (axis.oldestDays - axis.newestDays) * x / (width - 1))
+            : axis.newestDays;
+        columns.push({
+            daysAgo,
+            percent: Math.round(((scrubbed + unscrubbed) / rows.length) * maxPercent * 10) / 10,
+            scrubbed: scrubbed > 0
+        });
+    }
+
+    return { maxPercent, ...axis, columns };
+}
+
+/**
+ * Parse `snapraid status`: per-disk table, totals, scrub age and array state
+ */
+function parseStatusOutput(output) {
+    const lines = output.split('\n');
+    const disks = [];
+    let totals = null;
+
+    // Files  Fragmented-files  Excess-fragments  Wasted-GB  Used-GB  Free-GB  Use%  Name
+    const rowPattern = /^\s*(\d+)\s+(\d+)\s+(\d+)\s+(-?[\d.]+|-)\s+([\d.]+|-)\s+([\d.]+|-)\s+(\d+%|-)(?:\s+(\S+))?\s*$/;
+    for (const line of lines) {
+        const match = line.match(rowPattern);
+        if (!match) continue;
+
+        const row = {
+            files: parseInt(match[1], 10),
+            fragmentedFiles: parseInt(match[2], 10),
+            excessFragments: parseInt(match[3], 10),
+            wastedGB: parseNumber(match[4]),
+            usedGB: parseNumber(match[5]),
+            freeGB: parseNumber(match[6]),
+            usePercent: parseNumber(match[7])
+        };
+        if (match[8]) {
+            disks.push({ name: match[8], ...row });
+        } else {
+            totals = row;
+        }
+    }
+
+    const text = output.replace(/\s+/g, ' ');
+    const ageMatch = text.match(/oldest block was scrubbed (\d+) days ago, the median (\d+), the newest (\d+)/);
+    const notScrubbedMatch = text.match(/The (\d+)% of the array is not scrubbed/);
+    const syncProgressMatch = text.match(/sync in progress at (\d+)%/i);
+    const errorsMatch = text.match(/there are (\d+) errors?/i);
+    const zeroTimestampMatch = text.match(/You have (\d+) files? with (?:a )?zero sub-second timestamp/);
+
+    return {
+        disks,
+        totals,
+        scrubAge: ageMatch ? {
+            oldestDays: parseInt(ageMatch[1], 10),
+            medianDays: parseInt(ageMatch[2], 10),
+            newestDays: parseInt(ageMatch[3], 10)
+        } : null,
+        scrubHistogram: parseScrubHistogram(lines),
+        notScrubbedPercent: notScrubbedMatch ? parseInt(notScrubbedMatch[1], 10) : (/array is fully scrubbed|All the array is scrubbed/i.test(text) ? 0 : null),
+        syncInProgress: syncProgressMatch ? parseInt(syncProgressMatch[1], 10) : null,
+        errors: errorsMatch ? parseInt(errorsMatch[1], 10) : (/No error detected/i.test(text) ? 0 : null),
+        rehashNeeded: /rehash is (?:needed|in progress)/i.test(text) && !/No rehash is in progress or needed/i.test(text),
+        zeroSubsecondFiles: zeroTimestampMatch ? parseInt(zeroTimestampMatch[1], 10) : 0
+    };
+}
+
+/**
+ * Parse `snapraid smart`: per-device temperature, power-on days, error count,
+ * size and SnapRAID's estimated probability of failure within a year
+ *
+ *   Temp  Power   Error   FP Size
+ *      C OnDays   Count        TB  Serial    Device    Disk
+ *     33   1184       0  5%   4.0  WD-ABC123  /dev/sda  d1
+ */
+function parseSmartOutput(output) {
+    const devices = [];
+
+    for (const line of output.split('\n')) {
+        const fields = line.trim().split(/\s+/);
+        if (fields.length !== 8 || !fields[6].startsWith('/dev/')) continue;
+
+        const [temp, powerOnDays, errorCount, fp, sizeTB, serial, device, disk] = fields;
+        devices.push({
+            disk: disk === '-' ? null : disk,
+            device,
+            serial: serial === '-' ? null : serial,
+            temperature: parseNumber(temp),
+            powerOnDays: parseNumber(powerOnDays),
+            errorCount: parseNumber(errorCount),
+            failureProbability: /^\d+%$/.test(fp) ? parseInt(fp, 10) : null,
+            ssd: fp === 'SSD',
+            sizeTB: parseNumber(sizeTB)
+        });
+    }
+
+    const totalMatch = output.match(/at least one disk is going to fail in the next year is (\d+)%/);
+    return {
+        devices,
+        arrayFailureProbability: totalMatch ? parseInt(totalMatch[1], 10) : null
+    };
+}
+
+module.exports = {
+    parseDiffCounts,
+    parseDiffOutput,
+    parseScrubCounts,
+    parseProgressLine,
+    parseRepairCounts,
+    parseStatusOutput,
+    parseSmartOutput
+};
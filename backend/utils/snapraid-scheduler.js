@@ -0,0 +1,186 @@
+/**
+ * HomePiNAS - SnapRAID Scheduler
+ * v3.2.0 - SnapRAID Scheduling
+ *
+ * Cron-like schedules for sync and scrub, stored in data.json.
+ * Replaces the fixed daily systemd timer of earlier installs.
+ */
+
+const fs = require('fs');
+
+const { getData, saveData } = require('./data');
+const { parseCron, cronMatches, nextCronRun } = require('./cron');
+const {
+    SNAPRAID_CONF,
+    runSnapraidSync,
+    runSnapraidScrub,
+    validateScrubOptions,
+    recordSkippedRun,
+    getActiveSnapraidJob
+} = require('./snapraid');
+const { getDiskReplaceStatus } = require('./disk-replace');
+
+// Same behaviour as the old timer: daily sync at 03:00, then scrub 5% older than 30 days
+const DEFAULT_SCHEDULE = {
+    sync: { enabled: true, cron: '0 3 * * *' },
+    scrub: { enabled: true, cron: '0 3 * * *', percent: 5, olderThanDays: 30 },
+    diffThreshold: { enabled: true, maxDeleted: 50 }
+};
+
+const SCHEDULER_TICK_INTERVAL = 30 * 1000;
+
+let lastTickMinute = null;
+
+/**
+ * Current schedule (stored values over defaults)
+ */
+function getSnapraidSchedule() {
+    const stored = getData().snapraidSchedule || {};
+    return {
+        sync: { ...DEFAULT_SCHEDULE.sync, ...stored.sync },
+        scrub: { ...DEFAULT_SCHEDULE.scrub, ...stored.scrub },
+        diffThreshold: { ...DEFAULT_SCHEDULE.diffThreshold, ...stored.diffThreshold }
+    };
+}
+
+/**
+ * Check an integer setting within a range
+ */
+function isIntInRange(value, min, max) {
+    return Number.isInteger(value) && value >= min && value <= max;
+}
+
+/**
+ * Validate a schedule update merged over the current schedule.
+ * Returns { schedule } or { error }.
+ */
+function buildSnapraidSchedule(body, current) {
+    const schedule = {
+        sync: { ...current.sync, ...(body.sync || {}) },
+        scrub: { ...current.scrub, ...(body.scrub || {}) },
+        diffThreshold: { ...current.diffThreshold, ...(body.diffThreshold || {}) }
+    };
+
+    for (const job of ['sync', 'scrub']) {
+        if (typeof schedule[job].enabled !== 'boolean') {
+            return { error: `${job}.enabled must be true or false` };
+        }
+        if (!parseCron(schedule[job].cron)) {
+            return { error: `Invalid ${job} schedule. Use a 5-field cron expression (e.g. "0 3 * * *")` };
+        }
+        schedule[job].cron = schedule[job].cron.trim().replace(/\s+/g, ' ');
+    }
+
+    const scrubError = validateScrubOptions(schedule.scrub);
+    if (scrubError) {
+        return { error: scrubError };
+    }
+
+    if (typeof schedule.diffThreshold.enabled !== 'boolean') {
+        return { error: 'diffThreshold.enabled must be true or false' };
+    }
+    if (!isIntInRange(schedule.diffThreshold.maxDeleted, 0, 1000000)) {
+        return { error: 'Deleted files threshold must be between 0 and 1000000' };
+    }
+
+    return {
+        schedule: {
+            sync: { enabled: schedule.sync.enabled, cron: schedule.sync.cron },
+            scrub: {
+                enabled: schedule.scrub.enabled,
+                cron: schedule.scrub.cron,
+                percent: schedule.scrub.percent,
+                olderThanDays: schedule.scrub.olderThanDays
+            },
+            diffThreshold: {
+                enabled: schedule.diffThreshold.enabled,
+                maxDeleted: schedule.diffThreshold.maxDeleted
+            }
+        }
+    };
+}
+
+function saveSnapraidSchedule(schedule) {
+    const data = getData();
+    data.snapraidSchedule = schedule;
+    saveData(data);
+}
+
+/**
+ * Deleted-files limit for syncs, or null if the guard is off
+ */
+function getSyncDeleteLimit(schedule = getSnapraidSchedule()) {
+    return schedule.diffThreshold.enabled ? schedule.diffThreshold.maxDeleted : null;
+}
+
+/**
+ * Next run time (ms) of each enabled job
+ */
+function getNextScheduledRuns(schedule = getSnapraidSchedule(), from = new Date()) {
+    const next = {};
+    for (const job of ['sync', 'scrub']) {
+        const parsed = schedule[job].enabled ? parseCron(schedule[job].cron) : null;
+        const date = parsed ? nextCronRun(parsed, from) : null;
+        next[job] = date ? date.getTime() : null;
+    }
+    return next;
+}
+
+/**
+ * Run the jobs due at `now`, one after the other (sync before scrub)
+ */
+async function runDueJobs(now) {
+    // Nothing to maintain until the array is configured (or on NonRAID)
+    if (!fs.existsSync(SNAPRAID_CONF)) return;
+
+    const schedule = getSnapraidSchedule();
+    const due = ['sync', 'scrub'].filter(job => {
+        const parsed = schedule[job].enabled ? parseCron(schedule[job].cron) : null;
+        return parsed && cronMatches(parsed, now);
+    });
+
+    for (const job of due) {
+        // A replaced disk is empty until its fix step ends: a sync now would drop its files from parity
+        if (getDiskReplaceStatus().active) {
+            recordSkippedRun(job, 'schedule', 'Skipped: disk replacement in progress');
+            continue;
+        }
+        if (getActiveSnapraidJob()) {
+            recordSkippedRun(job, 'schedule');
+            continue;
+        }
+
+        console.log(`[SCHEDULER] Starting scheduled SnapRAID ${job}`);
+        const result = job === 'sync'
+            ? await runSnapraidSync({ trigger: 'schedule', maxDeleted: getSyncDeleteLimit(schedule) })
+            : await runSnapraidScrub({
+                trigger: 'schedule',
+                percent: schedule.scrub.percent,
+                olderThanDays: schedule.scrub.olderThanDays
+            });
+        console.log(`[SCHEDULER] SnapRAID ${job} finished: ${result.status}${result.message ? ` (${result.message})` : ''}`);
+    }
+}
+
+/**
+ * Check schedules every tick; each minute is evaluated once
+ */
+function startSnapraidScheduler() {
+    setInterval(() => {
+        const now = new Date();
+        const minute = Math.floor(now.getTime() / 60000);
+        if (minute === lastTickMinute) return;
+        lastTickMinute = minute;
+
+        runDueJobs(now).catch(e => console.error('SnapRAID scheduler error:', e.message));
+    }, SCHEDULER_TICK_INTERVAL);
+}
+
+module.exports = {
+    getSnapraidSchedule,
+    buildSnapraidSchedule,
+    saveSnapraidSchedule,
+    getSyncDeleteLimit,
+    getNextScheduledRuns,
+    startSnapraidScheduler
+};
@@ -0,0 +1,543 @@
+/**
+ * HomePiNAS - SnapRAID Runner
+ * v3.2.0 - SnapRAID Scheduling
+ *
+ * Runs SnapRAID sync/scrub (manual and scheduled) and check/fix recoveries.
+ * Only one SnapRAID job runs at a time; every run is recorded in the job history.
+ * Jobs run in the background: callers poll the status objects for progress.
+ */
+
+const fs = require('fs');
+const { spawn } = require('child_process');
+
+const { logSecurityEvent } = require('./security');
+const { startJobRun, finishJobRun } = require('./job-history');
+const {
+    parseDiffCounts,
+    parseScrubCounts,
+    parseProgressLine,
+    parseRepairCounts
+} = require('./snapraid-parsers');
+
+const SNAPRAID_CONF = '/etc/snapraid.conf';
+const OUTPUT_TAIL_LIMIT = 64 * 1024;
+const REPAIR_LOG_LINES = 1000;
+const SNAPRAID_JOBS = ['sync', 'scrub', 'check', 'fix'];
+
+// SnapRAID sync progress tracking
+let snapraidSyncStatus = {
+    running: false,
+    progress: 0,
+    status: '',
+    startTime: null,
+    error: null
+};
+
+// SnapRAID scrub progress tracking
+let snapraidScrubStatus = {
+    running: false,
+    progress: 0,
+    status: '',
+    startTime: null,
+    error: null
+};
+
+// SnapRAID check/fix progress tracking (with a log of the last REPAIR_LOG_LINES lines)
+let snapraidRepairStatus = {
+    running: false,
+    job: null,
+    progress: 0,
+    status: '',
+    startTime: null,
+    error: null
+};
+let repairLog = [];
+let repairLogSeq = 0;
+
+// Job currently holding SnapRAID ('sync' | 'scrub' | 'check' | 'fix'), null when idle
+let activeJob = null;
+
+// Running scrub process (for cancel)
+let scrubProcess = null;
+
+// Root-owned helper installed by install.sh: check/fix with a validated selection
+const REPAIR_HELPER = '/usr/local/bin/homepinas-snapraid-repair';
+
+/**
+ * Run `sudo snapraid <args>` (or another command, e.g. the repair helper),
+ * passing output chunks to onText and the child process to onSpawn.
+ * Resolves with the exit code and the tail of the output.
+ */
+function runSnapraid(args, { onText, onSpawn, command = 'snapraid' } = {}) {
+    return new Promise((resolve, reject) => {
+        const child = spawn('sudo', [command, ...args], {
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+        if (onSpawn) onSpawn(child);
+
+        let output = '';
+        const collect = (data) => {
+            const text = data.toString();
+            output = (output + text).slice(-OUTPUT_TAIL_LIMIT);
+            if (onText) onText(text);
+        };
+
+        child.stdout.on('data', collect);
+        child.stderr.on('data', collect);
+        child.on('close', (code) => resolve({ code, output }));
+        child.on('error', reject);
+    });
+}
+
+/**
+ * Changes since the last sync. Exit code 2 means "differences found".
+ */
+async function runSnapraidDiff() {
+    const { code, output } = await runSnapraid(['diff']);
+    if (code !== 0 && code !== 2) {
+        throw new Error(`snapraid diff exited with code ${code}`);
+    }
+    return parseDiffCounts(output);
+}
+
+/**
+ * Update the sync status from a chunk of `snapraid sync -v` output
+ */
+function parseSyncOutput(text) {
+    for (const line of text.split('\n')) {
+        const progressMatch = line.match(/(\d+)%/);
+        if (progressMatch) {
+            snapraidSyncStatus.progress = parseInt(progressMatch[1]);
+        }
+
+        if (line.includes('completed') || line.includes('Nothing to do')) {
+            snapraidSyncStatus.progress = 100;
+            snapraidSyncStatus.status = 'Sync completed';
+        }
+
+        const fileMatch = line.match(/(\d+)\s+(files?|blocks?)/i);
+        if (fileMatch) {
+            snapraidSyncStatus.status = `Processing ${fileMatch[1]} ${fileMatch[2]}...`;
+        }
+
+        if (line.includes('Syncing')) {
+            snapraidSyncStatus.status = line.trim().substring(0, 50);
+        }
+
+        if (line.includes('Self test') || line.includes('Verifying')) {
+            snapraidSyncStatus.status = line.trim().substring(0, 50);
+        }
+    }
+}
+
+/**
+ * Update the scrub status from a chunk of `snapraid scrub` output
+ */
+function parseScrubOutput(text) {
+    for (const line of text.split(/[\r\n]+/)) {
+        const progress = parseProgressLine(line);
+        if (progress) {
+            Object.assign(snapraidScrubStatus, progress, { status: 'Scrubbing...' });
+            continue;
+        }
+
+        // "Scrubbing 1234 blocks" / "1234 blocks to scrub" (wording varies by version)
+        const blocksMatch = line.match(/(\d+)\s+blocks?\b/i);
+        if (blocksMatch) {
+            snapraidScrubStatus.blocks = parseInt(blocksMatch[1], 10);
+        }
+
+        // Problems are reported one per line as they are found
+        if (/^\s*(Data error|Error|Silent error|Unexpected)/i.test(line)) {
+            snapraidScrubStatus.errorsFound++;
+        }
+
+        if (/^Nothing to do/i.test(line)) {
+            snapraidScrubStatus.status = 'Nothing to scrub';
+        }
+    }
+}
+
+/**
+ * Validate scrub parameters. Returns an error message or null.
+ */
+function validateScrubOptions({ percent, olderThanDays }) {
+    if (!Number.isInteger(percent) || percent < 1 || percent > 100) {
+        return 'Scrub percentage must be between 1 and 100';
+    }
+    if (olderThanDays !== null && (!Number.isInteger(olderThanDays) || olderThanDays < 0 || olderThanDays > 3650)) {
+        return 'Scrub age must be between 0 and 3650 days';
+    }
+    return null;
+}
+
+/**
+ * Error thrown when another SnapRAID job holds the lock
+ */
+function busyError() {
+    const error = new Error(`SnapRAID ${activeJob} already in progress`);
+    error.busy = true;
+    return error;
+}
+
+/**
+ * Run a sync. A diff runs first to count changes; if maxDeleted is set and
+ * more files than that were removed, the sync is refused (status 'skipped').
+ * Resolves with { status, message }. Throws (busy) if a job is running.
+ */
+async function runSnapraidSync({ trigger, maxDeleted = null }) {
+    if (activeJob) throw busyError();
+    activeJob = 'sync';
+
+    snapraidSyncStatus = {
+        running: true,
+        progress: 0,
+        status: 'Checking changes since last sync...',
+        startTime: Date.now(),
+        error: null
+    };
+    const runId = startJobRun('sync', trigger);
+
+    let progressSimulator = null;
+    try {
+        const counts = await runSnapraidDiff();
+
+        if (maxDeleted !== null && (counts.removed || 0) > maxDeleted) {
+            const message = `Sync refused: ${counts.removed} files deleted since last sync (limit ${maxDeleted})`;
+            snapraidSyncStatus.status = 'Sync refused';
+            snapraidSyncStatus.error = message;
+            finishJobRun(runId, { status: 'skipped', counts, message });
+            logSecurityEvent('SNAPRAID_SYNC_REFUSED', { trigger, removed: counts.removed, maxDeleted }, '');
+            return { status: 'skipped', message };
+        }
+
+        snapraidSyncStatus.status = 'Starting sync...';
+        progressSimulator = setInterval(() => {
+            const elapsed = Date.now() - snapraidSyncStatus.startTime;
+
+            if (snapraidSyncStatus.running && snapraidSyncStatus.progress === 0 && elapsed > 2000) {
+                const simulatedProgress = Math.min(90, Math.floor((elapsed - 2000) / 100));
+                if (simulatedProgress > snapraidSyncStatus.progress) {
+                    snapraidSyncStatus.progress = simulatedProgress;
+                    snapraidSyncStatus.status = 'Initializing parity data...';
+                }
+            }
+        }, 500);
+
+        const { code, output } = await runSnapraid(['sync', '-v'], { onText: parseSyncOutput });
+
+        let status = 'success';
+        let message = null;
+        if (code === 0) {
+            snapraidSyncStatus.progress = 100;
+            snapraidSyncStatus.status = 'Sync completed successfully';
+        } else if (output.includes('Nothing to do')) {
+            snapraidSyncStatus.progress = 100;
+            snapraidSyncStatus.status = 'Already in sync (nothing to do)';
+            message = 'Nothing to do';
+        } else {
+            status = 'failed';
+            message = `Sync exited with code ${code}`;
+            snapraidSyncStatus.error = message;
+            snapraidSyncStatus.status = 'Sync failed';
+        }
+
+        finishJobRun(runId, { status, exitCode: code, counts, message });
+        logSecurityEvent('SNAPRAID_SYNC_COMPLETE', { code, trigger, duration: Date.now() - snapraidSyncStatus.startTime }, '');
+        return { status, message };
+    } catch (e) {
+        snapraidSyncStatus.error = e.message;
+        snapraidSyncStatus.status = 'Sync failed to start';
+        finishJobRun(runId, { status: 'failed', message: e.message });
+        return { status: 'failed', message: e.message };
+    } finally {
+        if (progressSimulator) clearInterval(progressSimulator);
+        snapraidSyncStatus.running = false;
+        activeJob = null;
+    }
+}
+
+/**
+ * Scrub percent% of the array, limited to blocks not scrubbed for olderThanDays
+ * (omitted when null). Resolves with { status, message, counts } when done.
+ * Throws (busy) if a job is running.
+ */
+async function runSnapraidScrub({ trigger, percent, olderThanDays = null }) {
+    if (activeJob) throw busyError();
+    activeJob = 'scrub';
+
+    snapraidScrubStatus = {
+        running: true,
+        progress: 0,
+        status: 'Starting scrub...',
+        startTime: Date.now(),
+        error: null,
+        percent,
+        olderThanDays,
+        trigger,
+        blocks: null,
+        processedMB: 0,
+        speedMBs: null,
+        stripesPerSecond: null,
+        etaSeconds: null,
+        errorsFound: 0,
+        counts: null,
+        cancelRequested: false
+    };
+    const runId = startJobRun('scrub', trigger);
+    const args = ['scrub', '-p', String(percent)];
+    if (olderThanDays !== null) args.push('-o', String(olderThanDays));
+
+    try {
+        const { code, output } = await runSnapraid(args, {
+            onText: parseScrubOutput,
+            onSpawn: (child) => { scrubProcess = child; }
+        });
+        const counts = parseScrubCounts(output);
+
+        let status = 'success';
+        let message = null;
+        if (snapraidScrubStatus.cancelRequested) {
+            status = 'cancelled';
+            message = 'Cancelled by user';
+            snapraidScrubStatus.status = 'Scrub cancelled';
+        } else if (code === 0) {
+            snapraidScrubStatus.progress = 100;
+            snapraidScrubStatus.status = 'Scrub completed successfully';
+        } else {
+            status = 'failed';
+            message = `Scrub exited with code ${code}`;
+            snapraidScrubStatus.error = message;
+            snapraidScrubStatus.status = 'Scrub failed';
+        }
+        snapraidScrubStatus.counts = counts;
+        snapraidScrubStatus.etaSeconds = null;
+
+        finishJobRun(runId, { status, exitCode: code, counts, message });
+        logSecurityEvent('SNAPRAID_SCRUB_COMPLETE', {
+            code, trigger, percent, olderThanDays, status, duration: Date.now() - snapraidScrubStatus.startTime
+        }, '');
+        return { status, message, counts };
+    } catch (e) {
+        snapraidScrubStatus.error = e.message;
+        snapraidScrubStatus.status = 'Scrub failed to start';
+        finishJobRun(runId, { status: 'failed', message: e.message });
+        return { status: 'failed', message: e.message, counts: {} };
+    } finally {
+        snapraidScrubStatus.running = false;
+        scrubProcess = null;
+        activeJob = null;
+    }
+}
+
+/**
+ * Ask a running scrub to stop. SnapRAID handles SIGINT by saving its
+ * state, so the blocks already scrubbed are kept. Returns false if no scrub is running.
+ */
+function cancelSnapraidScrub() {
+    if (!scrubProcess || snapraidScrubStatus.cancelRequested) return false;
+
+    snapraidScrubStatus.cancelRequested = true;
+    snapraidScrubStatus.status = 'Cancelling (saving state)...';
+    scrubProcess.kill('SIGINT');
+    return true;
+}
+
+/**
+ * Data disks defined in snapraid.conf ("disk d1 /mnt/disks/disk1"; older
+ * configs use "data")
+ */
+function listSnapraidDataDisks() {
+    let content = '';
+    try {
+        content = fs.readFileSync(SNAPRAID_CONF, 'utf8');
+    } catch (e) {
+        return [];
+    }
+
+    const disks = [];
+    for (const line of content.split('\n')) {
+        const match = line.match(/^\s*(?:disk|data)\s+(\S+)\s+(\S+)/);
+        if (match) disks.push({ name: match[1], path: match[2] });
+    }
+    return disks;
+}
+
+/**
+ * Validate what to check/fix: a data disk (-d), a filter (-f) and/or
+ * missing files only (-m). At least one must be given.
+ * Returns { args } (the selection arguments) or { error }.
+ */
+function buildRepairArgs({ disk, filter, missingOnly }) {
+    const args = [];
+
+    if (missingOnly !== undefined && typeof missingOnly !== 'boolean') {
+        return { error: 'missingOnly must be true or false' };
+    }
+    if (missingOnly) args.push('-m');
+
+    if (disk !== undefined && disk !== null && disk !== '') {
+        if (!listSnapraidDataDisks().some(d => d.name === disk)) {
+            return { error: 'Unknown disk. Must be a data disk from snapraid.conf' };
+        }
+        args.push('-d', disk);
+    }
+
+    if (filter !== undefined && filter !== null && filter !== '') {
+        // A path or pattern relative to the disks (e.g. photos/2023/ or *.jpg)
+        if (typeof filter !== 'string' || filter.length > 1024 || filter.startsWith('-') || /[\0\r\n]/.test(filter)) {
+            return { error: 'Invalid filter. Use a path or pattern such as photos/2023/ or *.jpg' };
+        }
+        args.push('-f', filter);
+    }
+
+    if (args.length === 0) {
+        return { error: 'Choose a disk, a path filter or missing files only' };
+    }
+    return { args };
+}
+
+/**
+ * Append output lines to the repair log. Progress lines only update the status.
+ */
+function parseRepairOutput(text) {
+    for (const line of text.split(/[\r\n]+/)) {
+        if (!line.trim()) continue;
+
+        const progress = parseProgressLine(line);
+        if (progress) {
+            Object.assign(snapraidRepairStatus, progress);
+            snapraidRepairStatus.status = snapraidRepairStatus.job === 'fix' ? 'Recovering...' : 'Checking...';
+            continue;
+        }
+
+        repairLog.push({ seq: ++repairLogSeq, text: line });
+        if (repairLog.length > REPAIR_LOG_LINES) repairLog.shift();
+    }
+}
+
+/**
+ * Run `snapraid check` (preview, read-only) or `snapraid fix` on a selection
+ * built by buildRepairArgs. Resolves with { status, message, counts } when done.
+ * Throws (busy) if a job is running.
+ */
+async function runSnapraidRepair({ job, selection, trigger, user }) {
+    if (activeJob) throw busyError();
+    activeJob = job;
+
+    snapraidRepairStatus = {
+        running: true,
+        job,
+        selection,
+        user,
+        progress: 0,
+        status: job === 'fix' ? 'Starting recovery...' : 'Starting check...',
+        startTime: Date.now(),
+        error: null,
+        processedMB: 0,
+        speedMBs: null,
+        etaSeconds: null,
+        counts: null
+    };
+    repairLog = [];
+
+    const runId = startJobRun(job, trigger);
+    try {
+        const { code, output } = await runSnapraid([job, ...selection], { onText: parseRepairOutput, command: REPAIR_HELPER });
+        const counts = parseRepairCounts(output);
+
+        const status = code === 0 ? 'success' : 'failed';
+        let message = null;
+        if (code !== 0) {
+            message = counts.unrecoverable > 0
+                ? `${counts.unrecoverable} unrecoverable errors`
+                : `${job} exited with code ${code}`;
+            snapraidRepairStatus.error = message;
+        }
+        snapraidRepairStatus.status = code === 0
+            ? (job === 'fix' ? 'Recovery completed' : 'Check completed')
+            : (job === 'fix' ? 'Recovery finished with errors' : 'Check found problems');
+        if (code === 0) snapraidRepairStatus.progress = 100;
+        snapraidRepairStatus.counts = counts;
+        snapraidRepairStatus.etaSeconds = null;
+
+        finishJobRun(runId, { status, exitCode: code, counts, message });
+        logSecurityEvent(job === 'fix' ? 'SNAPRAID_FIX_COMPLETE' : 'SNAPRAID_CHECK_COMPLETE', {
+            code, selection, counts, user, duration: Date.now() - snapraidRepairStatus.startTime
+        }, '');
+        return { status, message, counts };
+    } catch (e) {
+        snapraidRepairStatus.error = e.message;
+        snapraidRepairStatus.status = `${job} failed to start`;
+        finishJobRun(runId, { status: 'failed', message: e.message });
+        return { status: 'failed', message: e.message, counts: {} };
+    } finally {
+        snapraidRepairStatus.running = false;
+        activeJob = null;
+    }
+}
+
+/**
+ * Current check/fix status with the log lines after `afterSeq`
+ */
+function getSnapraidRepairStatus(afterSeq = 0) {
+    return {
+        ...snapraidRepairStatus,
+        log: repairLog.filter(entry => entry.seq > afterSeq),
+        lastSeq: repairLogSeq
+    };
+}
+
+/**
+ * Run a read-only report (status, diff, smart) and return its output.
+ * Refused while a job runs, so a report never reads the array mid-sync.
+ */
+async function readSnapraidReport(command) {
+    if (activeJob) throw busyError();
+
+    const { code, output } = await runSnapraid([command]);
+    // diff exits with 2 when there are changes to sync
+    if (code !== 0 && !(command === 'diff' && code === 2)) {
+        throw new Error(`snapraid ${command} exited with code ${code}: ${output.trim().split('\n').slice(-3).join(' ')}`);
+    }
+    return output;
+}
+
+/**
+ * Record a scheduled run that could not start because another job (or a
+ * disk replacement) was running
+ */
+function recordSkippedRun(job, trigger, message = `Skipped: SnapRAID ${activeJob} was running`) {
+    const runId = startJobRun(job, trigger);
+    finishJobRun(runId, { status: 'skipped', message });
+}
+
+function getSnapraidSyncStatus() {
+    return snapraidSyncStatus;
+}
+
+function getSnapraidScrubStatus() {
+    return snapraidScrubStatus;
+}
+
+function getActiveSnapraidJob() {
+    return activeJob;
+}
+
+module.exports = {
+    SNAPRAID_CONF,
+    SNAPRAID_JOBS,
+    runSnapraidSync,
+    runSnapraidScrub,
+    cancelSnapraidScrub,
+    validateScrubOptions,
+    listSnapraidDataDisks,
+    buildRepairArgs,
+    runSnapraidRepair,
+    getSnapraidRepairStatus,
+    readSnapraidReport,
+    recordSkippedRun,
+    getSnapraidSyncStatus,
+    getSnapraidScrubStatus,
+    getActiveSnapraidJob
+};
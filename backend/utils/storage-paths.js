@@ -0,0 +1,43 @@
+/**
+ * HomePiNAS - Storage Paths
+ * v3.2.0 - File Sharing
+ *
+ * Mount points and the active storage backend, shared by the storage, SMB
+ * share, NFS export and metrics modules
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// SnapRAID + MergerFS
+const STORAGE_MOUNT_BASE = '/mnt/disks';
+const POOL_MOUNT = '/mnt/storage';
+// Data disks only, below the cache tier (destination of the cache mover)
+const POOL_BACKING_MOUNT = '/mnt/storage-backing';
+
+// NonRAID
+const NONRAID_MOUNT_PREFIX = '/mnt/disk';
+const NONRAID_DAT = '/nonraid.dat';
+
+// Detect storage backend from config file
+function getStorageBackend() {
+    try {
+        const configPath = path.join(__dirname, '..', 'storage-backend.conf');
+        if (fs.existsSync(configPath)) {
+            const content = fs.readFileSync(configPath, 'utf8');
+            const match = content.match(/STORAGE_BACKEND=(\w+)/);
+            if (match) return match[1];
+        }
+    } catch (e) {}
+    // Also check environment variable
+    return process.env.STORAGE_BACKEND || 'snapraid';
+}
+
+module.exports = {
+    STORAGE_MOUNT_BASE,
+    POOL_MOUNT,
+    POOL_BACKING_MOUNT,
+    NONRAID_MOUNT_PREFIX,
+    NONRAID_DAT,
+    getStorageBackend
+};
@@ -0,0 +1,437 @@
+/**
+ * HomePiNAS - Storage Plans
+ * v3.2.0 - Storage Dry Run
+ *
+ * Dry-run plans for the destructive storage operations (/pool/configure,
+ * /pool/disks, /array/configure and /replace): disks to wipe with their
+ * current partitions, new partitions, labels, mount points, the generated
+ * snapraid.conf and the fstab change. Executing a plan needs a single-use
+ * confirmation token bound to it and the serial numbers of the wiped disks
+ * typed back.
+ */
+
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+
+const { STORAGE_MOUNT_BASE, POOL_MOUNT, POOL_BACKING_MOUNT, NONRAID_MOUNT_PREFIX } = require('./storage-paths');
+const { readManagedEntries } = require('./fstab');
+const { getPoolSettings, tieredSettings, buildMergerfsOptions } = require('./mergerfs');
+
+const PLAN_TOKEN_TTL = 10 * 60 * 1000;
+const NONRAID_SHARE_MODES = ['individual', 'merged', 'categories'];
+
+// Confirmation tokens: token -> { kind, hash, username, expiresAt }
+const planTokens = new Map();
+
+function partitionOf(diskId) {
+    return diskId.includes('nvme') ? `${diskId}p1` : `${diskId}1`;
+}
+
+/**
+ * Current state of a disk: model, serial and existing partitions/filesystems.
+ * Returns null if the disk does not exist.
+ */
+function describeDisk(diskId) {
+    let device;
+    try {
+        const output = execFileSync('lsblk', [
+            '-J', '-b', '-o', 'NAME,TYPE,SIZE,MODEL,SERIAL,FSTYPE,LABEL,UUID,MOUNTPOINT', `/dev/${diskId}`
+        ], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+        device = (JSON.parse(output).blockdevices || [])[0];
+    } catch (e) {
+        return null;
+    }
+    if (!device) return null;
+
+    const describe = (dev) => ({
+        name: dev.name,
+        size: Number(dev.size) || 0,
+        fstype: dev.fstype || null,
+        label: dev.label || null,
+        uuid: dev.uuid || null,
+        mountpoint: dev.mountpoint || null
+    });
+
+    return {
+        model: device.model ? device.model.trim() : null,
+        serial: device.serial ? device.serial.trim() : null,
+        size: Number(device.size) || 0,
+        // A filesystem directly on the disk (no partition table)
+        filesystem: device.fstype ? describe(device) : null,
+        partitions: (device.children || []).map(describe)
+    };
+}
+
+/**
+ * Describe every disk of a plan; errors for missing disks and for wiping
+ * a disk that holds the running system
+ */
+function describePlanDisks(planDisks) {
+    const warnings = [];
+    for (const disk of planDisks) {
+        disk.current = describeDisk(disk.id);
+        if (!disk.current) {
+            return { error: `Disk not found: ${disk.device}` };
+        }
+        if (!disk.wipe) continue;
+
+        const mounted = [disk.current.filesystem, ...disk.current.partitions].filter(p => p && p.mountpoint);
+        for (const part of mounted) {
+            if (part.mountpoint === '/' || part.mountpoint.startsWith('/boot') || part.mountpoint === '[SWAP]') {
+                return { error: `${disk.device} holds the system (${part.mountpoint}) and cannot be formatted` };
+            }
+            warnings.push(`/dev/${part.name} is mounted at ${part.mountpoint} and will be erased`);
+        }
+        if (disk.current.partitions.some(p => p.fstype) || disk.current.filesystem) {
+            warnings.push(`${disk.device} contains existing filesystems that will be erased`);
+        }
+    }
+    return { warnings };
+}
+
+/**
+ * snapraid.conf for the given data and parity mounts
+ */
+function buildSnapraidConf(dataMounts, parityMounts) {
+    let conf = `# HomePiNAS SnapRAID Configuration
+
+# Parity files
+`;
+    parityMounts.forEach((p, i) => {
+        conf += i === 0
+            ? `parity ${p.mountPoint}/snapraid.parity\n`
+            : `${i + 1}-parity ${p.mountPoint}/snapraid.parity\n`;
+    });
+
+    conf += `\n# Content files (stored on data disks)\n`;
+    dataMounts.forEach(d => {
+        conf += `content ${d.mountPoint}/.snapraid/snapraid.content\n`;
+    });
+
+    conf += `\n# Data disks\n`;
+    dataMounts.forEach(d => {
+        conf += `disk d${d.num} ${d.mountPoint}\n`;
+    });
+
+    conf += `\n# Exclude files
+exclude *.unrecoverable
+exclude /tmp/
+exclude /lost+found/
+exclude .Thumbs.db
+exclude .DS_Store
+exclude *.!sync
+exclude .AppleDouble
+exclude ._AppleDouble
+exclude .Spotlight-V100
+exclude .TemporaryItems
+exclude .Trashes
+exclude .fseventsd
+`;
+    return conf;
+}
+
+/**
+ * fstab lines of the storage block. uuidOf(disk) resolves the
+ * filesystem UUIDs (placeholders in a dry run, blkid when executing).
+ */
+function renderPoolFstab(plan, uuidOf) {
+    const lines = plan.disks
+        .filter(d => d.mountPoint)
+        .map(d => `UUID=${uuidOf(d)} ${d.mountPoint} ext4 defaults,nofail 0 2`);
+    // The backing pool is mounted before the tiered pool on top of it
+    for (const pool of [plan.backing, plan.mergerfs].filter(Boolean)) {
+        lines.push(`${pool.branches} ${pool.mount} fuse.mergerfs ${pool.options},nofail 0 0`);
+    }
+    return lines;
+}
+
+/**
+ * Plan for /pool/configure from [{ id, role, format }] (ids and roles validated by the caller).
+ * Returns { plan } or { error }.
+ */
+function buildPoolPlan(disks) {
+    const counters = { data: 1, parity: 1, cache: 1 };
+    const mountPointFor = {
+        data: n => `${STORAGE_MOUNT_BASE}/disk${n}`,
+        parity: n => `/mnt/parity${n}`,
+        cache: n => `${STORAGE_MOUNT_BASE}/cache${n}`
+    };
+
+    const planDisks = disks.map(disk => {
+        const num = disk.role === 'none' ? null : counters[disk.role]++;
+        return {
+            id: disk.id,
+            device: `/dev/${disk.id}`,
+            role: disk.role,
+            num,
+            wipe: !!disk.format,
+            partition: `/dev/${partitionOf(disk.id)}`,
+            filesystem: disk.format ? 'ext4' : null,
+            label: disk.format ? `${disk.role}_${disk.id}`.substring(0, 16) : null, // ext4 label max 16 chars
+            mountPoint: num ? mountPointFor[disk.role](num) : null
+        };
+    });
+
+    const { error, warnings } = describePlanDisks(planDisks);
+    if (error) return { error };
+
+    const dataMounts = planDisks.filter(d => d.role === 'data');
+    const parityMounts = planDisks.filter(d => d.role === 'parity');
+    const cacheMounts = planDisks.filter(d => d.role === 'cache');
+    const settings = getPoolSettings();
+    const dataBranches = dataMounts.map(d => d.mountPoint).join(':');
+
+    // With cache disks, new files land on the cache and the mover moves them to the backing pool
+    const plan = {
+        kind: 'pool',
+        disks: planDisks,
+        snapraidConf: parityMounts.length > 0 ? buildSnapraidConf(dataMounts, parityMounts) : null,
+        mergerfs: cacheMounts.length > 0 ? {
+            branches: [...cacheMounts, ...dataMounts].map(d => d.mountPoint).join(':'),
+            mount: POOL_MOUNT,
+            options: buildMergerfsOptions(tieredSettings(settings))
+        } : {
+            branches: dataBranches,
+            mount: POOL_MOUNT,
+            options: buildMergerfsOptions(settings)
+        },
+        backing: cacheMounts.length > 0 ? {
+            branches: dataBranches,
+            mount: POOL_BACKING_MOUNT,
+            options: buildMergerfsOptions(settings)
+        } : null,
+        warnings
+    };
+
+    let currentEntries = [];
+    try {
+        currentEntries = readManagedEntries();
+    } catch (e) {}
+    plan.fstab = {
+        remove: currentEntries,
+        add: renderPoolFstab(plan, disk => {
+            if (disk.wipe) return `<new filesystem on ${disk.partition}>`;
+            const part = disk.current.partitions.find(p => `/dev/${p.name}` === disk.partition);
+            return part && part.uuid ? part.uuid : `<UUID of ${disk.partition}>`;
+        })
+    };
+
+    return { plan };
+}
+
+/**
+ * Plan for /array/configure (disk paths validated by the caller).
+ * Returns { plan } or { error }.
+ */
+function buildArrayPlan(dataDisks, parityDisk, shareMode) {
+    if (!NONRAID_SHARE_MODES.includes(shareMode)) {
+        return { error: `Invalid share mode. Use one of: ${NONRAID_SHARE_MODES.join(', ')}` };
+    }
+
+    const toPlanDisk = (device, role, slot) => {
+        const id = device.replace('/dev/', '');
+        return {
+            id,
+            device,
+            role,
+            slot,
+            wipe: true,
+            partition: `/dev/${partitionOf(id)}`,
+            arrayDevice: role === 'data' ? `/dev/nmd${slot}p1` : null,
+            filesystem: role === 'data' ? 'xfs' : null,
+            mountPoint: role === 'data' ? `${NONRAID_MOUNT_PREFIX}${slot}` : null
+        };
+    };
+    const planDisks = [
+        ...dataDisks.map((device, i) => toPlanDisk(device, 'data', i + 1)),
+        toPlanDisk(parityDisk, 'parity', null)
+    ];
+
+    const { error, warnings } = describePlanDisks(planDisks);
+    if (error) return { error };
+
+    const data = planDisks.filter(d => d.role === 'data');
+    const parity = planDisks[planDisks.length - 1];
+    return {
+        plan: {
+            kind: 'array',
+            disks: planDisks,
+            shareMode,
+            commands: [
+                ...planDisks.map(d => `sgdisk -o -a 8 -n 1:32K:0 ${d.device}`),
+                `nmdctl create -p ${parity.partition} ${data.map(d => d.partition).join(' ')}`,
+                'nmdctl start',
+                ...data.map(d => `mkfs.xfs -f ${d.arrayDevice}`),
+                'nmdctl mount',
+                'nmdctl check'
+            ],
+            warnings
+        }
+    };
+}
+
+/**
+ * Plan for /pool/disks: the new disk becomes data disk d<num> at
+ * /mnt/disks/disk<num> (num chosen by the caller). Returns { plan } or { error }.
+ */
+function buildAddDiskPlan(diskId, num) {
+    const planDisk = {
+        id: diskId,
+        device: `/dev/${diskId}`,
+        role: 'data',
+        num,
+        wipe: true,
+        partition: `/dev/${partitionOf(diskId)}`,
+        filesystem: 'ext4',
+        label: `data_${diskId}`.substring(0, 16),
+        mountPoint: `${STORAGE_MOUNT_BASE}/disk${num}`
+    };
+
+    const { error, warnings } = describePlanDisks([planDisk]);
+    if (error) return { error };
+
+    return {
+        plan: {
+            kind: 'pool-disk',
+            name: `d${num}`,
+            disks: [planDisk],
+            commands: [
+                `parted -s ${planDisk.device} mklabel gpt`,
+                `parted -s ${planDisk.device} mkpart primary ext4 0% 100%`,
+                `mkfs.ext4 -F -L ${planDisk.label} ${planDisk.partition}`,
+                `mount ${planDisk.partition} ${planDisk.mountPoint}`
+            ],
+            warnings
+        }
+    };
+}
+
+/**
+ * Plan for /replace: target is a SnapRAID data disk { name, path } or a
+ * NonRAID slot number (both validated by the caller).
+ * Returns { plan } or { error }.
+ */
+function buildReplacePlan(backend, target, newDisk) {
+    const device = `/dev/${newDisk}`;
+    const partition = `/dev/${partitionOf(newDisk)}`;
+    const planDisk = backend === 'nonraid' ? {
+        id: newDisk,
+        device,
+        role: 'data',
+        slot: target,
+        wipe: true,
+        partition,
+        arrayDevice: `/dev/nmd${target}p1`,
+        filesystem: null, // kept from the emulated disk, rebuilt from parity
+        mountPoint: `${NONRAID_MOUNT_PREFIX}${target}`
+    } : {
+        id: newDisk,
+        device,
+        role: 'data',
+        name: target.name,
+        wipe: true,
+        partition,
+        filesystem: 'ext4',
+        label: `data_${newDisk}`.substring(0, 16),
+        mountPoint: target.path
+    };
+
+    const { error, warnings } = describePlanDisks([planDisk]);
+    if (error) return { error };
+
+    const commands = backend === 'nonraid' ? [
+        'nmdctl unmount',
+        'nmdctl stop',
+        `sgdisk -o -a 8 -n 1:32K:0 ${device}`,
+        `nmdctl replace ${target} ${partition}`,
+        'nmdctl start',
+        'nmdctl mount',
+        'nmdctl check'
+    ] : [
+        `umount ${target.path}`,
+        `parted -s ${device} mklabel gpt`,
+        `parted -s ${device} mkpart primary ext4 0% 100%`,
+        `mkfs.ext4 -F -L ${planDisk.label} ${partition}`,
+        `mount ${partition} ${target.path}`,
+        `snapraid fix -d ${target.name}`
+    ];
+
+    return {
+        plan: {
+            kind: 'replace',
+            backend,
+            target: backend === 'nonraid' ? target : target.name,
+            disks: [planDisk],
+            commands,
+            warnings
+        }
+    };
+}
+
+function hashPlan(plan) {
+    return crypto.createHash('sha256').update(JSON.stringify(plan)).digest('hex');
+}
+
+function pruneExpiredTokens(now = Date.now()) {
+    for (const [token, entry] of planTokens) {
+        if (entry.expiresAt <= now) planTokens.delete(token);
+    }
+}
+
+/**
+ * Issue a confirmation token for a dry-run plan
+ */
+function issuePlanToken(plan, username) {
+    pruneExpiredTokens();
+    const token = crypto.randomBytes(24).toString('hex');
+    const expiresAt = Date.now() + PLAN_TOKEN_TTL;
+    planTokens.set(token, { kind: plan.kind, hash: hashPlan(plan), username, expiresAt });
+    return { token, expiresAt };
+}
+
+/**
+ * What must be typed back for a wiped disk: its serial number, or the
+ * device name for disks that report none
+ */
+function expectedConfirmation(disk) {
+    return disk.current.serial || disk.id;
+}
+
+/**
+ * Check a confirmation against the plan rebuilt from the execute request.
+ * The token is consumed only when everything matches (a typo can be retried).
+ * Returns null when confirmed, or an error message.
+ */
+function confirmPlan(plan, username, token, serials) {
+    pruneExpiredTokens();
+    const entry = typeof token === 'string' ? planTokens.get(token) : null;
+    if (!entry || entry.username !== username || entry.kind !== plan.kind) {
+        return 'Confirmation required: request a dry run and confirm its plan';
+    }
+    if (entry.hash !== hashPlan(plan)) {
+        planTokens.delete(token);
+        return 'The plan changed since the dry run. Review the new plan and confirm again';
+    }
+
+    const typed = serials && typeof serials === 'object' ? serials : {};
+    const mismatched = plan.disks
+        .filter(d => d.wipe)
+        .filter(d => String(typed[d.id] || '').trim().toLowerCase() !== expectedConfirmation(d).toLowerCase())
+        .map(d => d.device);
+    if (mismatched.length > 0) {
+        return `Serial number does not match for ${mismatched.join(', ')}`;
+    }
+
+    planTokens.delete(token);
+    return null;
+}
+
+module.exports = {
+    buildPoolPlan,
+    buildArrayPlan,
+    buildAddDiskPlan,
+    buildReplacePlan,
+    renderPoolFstab,
+    issuePlanToken,
+    confirmPlan
+};
@@ -9,6 +9,7 @@ const WebSocket = require('ws');
 const pty = require('node-pty');
 const { validateSession } = require('./session');
 const { logSecurityEvent } = require('./security');
+const { findUser, hasRole } = require('./users');
 
 // Active terminal sessions
 const terminalSessions = new Map();
@@ -48,6 +49,15 @@ function setupTerminalWebSocket(server) {
             return;
         }
 
+        // The web terminal is a root-capable shell: admins only
+        const user = findUser(session.username);
+        if (!user || !hasRole(user.role, 'admin')) {
+            logSecurityEvent('TERMINAL_FORBIDDEN', { user: session.username }, req.socket.remoteAddress);
+            ws.send(JSON.stringify({ type: 'error', message: 'Insufficient permissions' }));
+            ws.close(1008, 'Insufficient permissions');
+            return;
+        }
+
         // Validate command
         if (!validateCommand(command)) {
             ws.send(JSON.stringify({ type: 'error', message: 'Command not allowed' }));
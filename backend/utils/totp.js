@@ -0,0 +1,161 @@
+/**
+ * HomePiNAS - TOTP Two-Factor Authentication
+ * v3.2.0 - Multi-user Support
+ *
+ * RFC 6238 time-based one-time passwords (HMAC-SHA1, 6 digits, 30s step)
+ * and single-use recovery codes
+ */
+
+const crypto = require('crypto');
+
+const TOTP_ISSUER = 'HomePiNAS';
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD = 30; // seconds
+const TOTP_WINDOW = 1; // accept one step of clock drift either way
+const SECRET_BYTES = 20; // 160-bit secret, as recommended by RFC 4226
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ */
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+/**
+ * Decode an RFC 4648 base32 string (case-insensitive, padding/spaces ignored)
+ */
+function base32Decode(input) {
+    const clean = String(input).toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 character');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random base32 secret
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+/**
+ * Current time step counter
+ */
+function currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / TOTP_PERIOD);
+}
+
+/**
+ * Compute the TOTP code for a given time step (RFC 4226 dynamic truncation)
+ */
+function generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+        (hmac[offset + 1] << 16) |
+        (hmac[offset + 2] << 8) |
+        hmac[offset + 3];
+
+    return String(binary % (10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Verify a TOTP code.
+ * Returns the matched time step, or null. Steps at or before lastUsedStep
+ * are rejected so a code cannot be replayed.
+ */
+function verifyCode(secret, code, lastUsedStep = -1) {
+    if (typeof code !== 'string' || !/^\d{6}$/.test(code)) return null;
+
+    const step = currentStep();
+    for (let i = -TOTP_WINDOW; i <= TOTP_WINDOW; i++) {
+        const candidate = step + i;
+        if (candidate <= lastUsedStep) continue;
+        const expected = generateCode(secret, candidate);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+            return candidate;
+        }
+    }
+    return null;
+}
+
+/**
+ * Build the otpauth:// URI understood by authenticator apps
+ */
+function buildOtpauthUri(secret, username) {
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${username}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer: TOTP_ISSUER,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Generate plaintext recovery codes (xxxxx-xxxxx, hex)
+ */
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+    const codes = [];
+    for (let i = 0; i < count; i++) {
+        const hex = crypto.randomBytes(5).toString('hex');
+        codes.push(`${hex.slice(0, 5)}-${hex.slice(5)}`);
+    }
+    return codes;
+}
+
+/**
+ * Normalize user-typed recovery codes before hashing/comparing
+ */
+function normalizeRecoveryCode(code) {
+    if (typeof code !== 'string') return null;
+    const clean = code.trim().toLowerCase().replace(/[\s-]/g, '');
+    if (!/^[0-9a-f]{10}$/.test(clean)) return null;
+    return `${clean.slice(0, 5)}-${clean.slice(5)}`;
+}
+
+module.exports = {
+    TOTP_ISSUER,
+    generateSecret,
+    generateCode,
+    currentStep,
+    verifyCode,
+    buildOtpauthUri,
+    generateRecoveryCodes,
+    normalizeRecoveryCode
+};
@@ -0,0 +1,162 @@
+/**
+ * HomePiNAS - User Accounts
+ * v3.2.0 - Multi-user Support
+ *
+ * Dashboard accounts with per-user roles, stored in data.json
+ */
+
+const bcrypt = require('bcrypt');
+const { getData, saveData } = require('./data');
+const { verifyCode, normalizeRecoveryCode } = require('./totp');
+
+// Roles ordered from least to most privileged
+const ROLES = ['viewer', 'user', 'admin'];
+
+const SALT_ROUNDS = 12;
+// Recovery codes are random, so a lower cost keeps the per-code compare loop fast
+const RECOVERY_CODE_SALT_ROUNDS = 10;
+
+/**
+ * Validate a role name
+ */
+function validateUserRole(role) {
+    return ROLES.includes(role) ? role : null;
+}
+
+/**
+ * Check whether a role grants at least the permissions of minRole
+ */
+function hasRole(role, minRole) {
+    const level = ROLES.indexOf(role);
+    return level !== -1 && level >= ROLES.indexOf(minRole);
+}
+
+/**
+ * Get all stored users
+ */
+function getUsers() {
+    return getData().users;
+}
+
+/**
+ * Find a user by username
+ */
+function findUser(username) {
+    if (!username || typeof username !== 'string') return null;
+    return getUsers().find(u => u.username === username) || null;
+}
+
+/**
+ * Strip secrets before sending a user to the client
+ */
+function toPublicUser(user) {
+    return {
+        username: user.username,
+        role: user.role,
+        twoFactorEnabled: isTwoFactorEnabled(user),
+        disabled: !!user.disabled,
+        createdAt: user.createdAt || null
+    };
+}
+
+/**
+ * Count enabled admins, optionally ignoring one username
+ */
+function countAdmins(users, exceptUsername = null) {
+    return users.filter(u => u.role === 'admin' && !u.disabled && u.username !== exceptUsername).length;
+}
+
+/**
+ * Add a new user
+ */
+function addUser(user) {
+    const data = getData();
+    data.users.push({ ...user, createdAt: new Date().toISOString() });
+    saveData(data);
+}
+
+/**
+ * Update fields of an existing user
+ */
+function updateUser(username, changes) {
+    const data = getData();
+    const user = data.users.find(u => u.username === username);
+    if (!user) return null;
+    Object.assign(user, changes, { updatedAt: new Date().toISOString() });
+    saveData(data);
+    return user;
+}
+
+/**
+ * Remove a user
+ */
+function removeUser(username) {
+    const data = getData();
+    const index = data.users.findIndex(u => u.username === username);
+    if (index === -1) return false;
+    data.users.splice(index, 1);
+    saveData(data);
+    return true;
+}
+
+/**
+ * Whether TOTP is active for a user
+ */
+function isTwoFactorEnabled(user) {
+    return !!(user && user.twoFactor && user.twoFactor.enabled);
+}
+
+/**
+ * Hash recovery codes for storage
+ */
+async function hashRecoveryCodes(codes) {
+    return Promise.all(codes.map(code => bcrypt.hash(code, RECOVERY_CODE_SALT_ROUNDS)));
+}
+
+/**
+ * Verify a second factor (TOTP code or recovery code) for a user.
+ * Consumes recovery codes and records the last accepted TOTP step.
+ * Returns 'totp', 'recovery' or null.
+ */
+async function verifyTwoFactor(username, code) {
+    const user = findUser(username);
+    if (!isTwoFactorEnabled(user) || typeof code !== 'string') return null;
+
+    const totpCode = code.replace(/\s/g, '');
+    const lastUsedStep = typeof user.twoFactor.lastUsedStep === 'number' ? user.twoFactor.lastUsedStep : -1;
+    const step = verifyCode(user.twoFactor.secret, totpCode, lastUsedStep);
+    if (step !== null) {
+        updateUser(username, { twoFactor: { ...user.twoFactor, lastUsedStep: step } });
+        return 'totp';
+    }
+
+    const recoveryCode = normalizeRecoveryCode(code);
+    if (!recoveryCode) return null;
+
+    const hashes = user.twoFactor.recoveryCodes || [];
+    for (let i = 0; i < hashes.length; i++) {
+        if (await bcrypt.compare(recoveryCode, hashes[i])) {
+            const remaining = hashes.filter((_, index) => index !== i);
+            updateUser(username, { twoFactor: { ...user.twoFactor, recoveryCodes: remaining } });
+            return 'recovery';
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    ROLES,
+    SALT_ROUNDS,
+    validateUserRole,
+    hasRole,
+    getUsers,
+    findUser,
+    toPublicUser,
+    countAdmins,
+    addUser,
+    updateUser,
+    removeUser,
+    isTwoFactorEnabled,
+    hashRecoveryCodes,
+    verifyTwoFactor
+};
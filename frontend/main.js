@@ -56,7 +56,7 @@ async function authFetch(url, options = {}) {
         state.isAuthenticated = false;
         state.sessionId = null;
         state.user = null;
-        localStorage.removeItem('sessionId');
+        clearStoredSession();
         switchView('login');
         throw new Error('Session expired');
     }
@@ -64,14 +64,39 @@ async function authFetch(url, options = {}) {
     return response;
 }
 
+// Role helpers (mirror backend/utils/users.js)
+const ROLES = ['viewer', 'user', 'admin'];
+
+function hasRole(minRole) {
+    if (!state.user || !state.user.role) return false;
+    return ROLES.indexOf(state.user.role) >= ROLES.indexOf(minRole);
+}
+
+/**
+ * Hide navigation entries the current role is not allowed to use
+ */
+function applyRoleVisibility() {
+    navLinks.forEach(link => {
+        const minRole = link.dataset.minRole;
+        link.style.display = (!minRole || hasRole(minRole)) ? '' : 'none';
+    });
+}
+
 // Session persistence
-function saveSession(sessionId) {
+// Remembered sessions survive a browser restart; others live in sessionStorage
+function saveSession(sessionId, remember = true) {
     state.sessionId = sessionId;
-    localStorage.setItem('sessionId', sessionId);
+    clearStoredSession();
+    (remember ? localStorage : sessionStorage).setItem('sessionId', sessionId);
+}
+
+function clearStoredSession() {
+    localStorage.removeItem('sessionId');
+    sessionStorage.removeItem('sessionId');
 }
 
 function loadSession() {
-    const sessionId = localStorage.getItem('sessionId');
+    const sessionId = localStorage.getItem('sessionId') || sessionStorage.getItem('sessionId');
     if (sessionId) {
         state.sessionId = sessionId;
     }
@@ -82,7 +107,7 @@ function clearSession() {
     state.sessionId = null;
     state.user = null;
     state.isAuthenticated = false;
-    localStorage.removeItem('sessionId');
+    clearStoredSession();
 }
 
 // DOM Elements
@@ -97,9 +122,11 @@ const viewsMap = {
     'dashboard': 'Resumen del Sistema',
     'docker': 'Gestor de Docker',
     'storage': 'Almacenamiento',
+    'shares': 'Recursos Compartidos',
     'terminal': 'Terminal y Herramientas',
     'network': 'Gestión de Red',
-    'system': 'System Administration'
+    'system': 'System Administration',
+    'audit': 'Audit Log'
 };
 
 // =============================================================================
@@ -132,7 +159,12 @@ function getViewFromPath(path) {
  */
 function handleRouteChange() {
     const path = window.location.pathname;
-    const view = getViewFromPath(path);
+    let view = getViewFromPath(path);
+    const viewLink = Array.from(navLinks).find(link => link.dataset.view === view);
+    if (viewLink && viewLink.dataset.minRole && !hasRole(viewLink.dataset.minRole)) {
+        view = 'dashboard';
+        navigateTo('/', true);
+    }
 
     // Update sidebar active state
     navLinks.forEach(link => {
@@ -187,8 +219,22 @@ async function initAuth() {
         state.storageConfig = status.storageConfig;
         state.network = status.network;
 
-        // If we have a session, try to validate it
+        // If we have a session, validate it and load the logged-in user
+        let currentUser = null;
         if (state.sessionId && state.user && state.storageConfig.length > 0) {
+            const meRes = await fetch(`${API_BASE}/users/me`, {
+                headers: { 'X-Session-Id': state.sessionId }
+            });
+            if (meRes.ok) {
+                currentUser = await meRes.json();
+            } else {
+                state.sessionId = null;
+                clearStoredSession();
+            }
+        }
+
+        if (currentUser) {
+            state.user = currentUser;
             state.isAuthenticated = true;
             switchView('dashboard');
 
@@ -257,6 +303,7 @@ function switchView(viewName) {
         // Update username display
         const usernameEl = document.getElementById("username-display");
         if (usernameEl && state.user) usernameEl.textContent = state.user.username || "Admin";
+        if (viewName === 'dashboard') applyRoleVisibility();
     }
     updateHeaderIPVisibility();
 }
@@ -553,10 +600,22 @@ if (saveStorageBtn) {
             }
         }
 
-        const diskList = selections.map(s => `${s.id} (${s.role})`).join('\n');
-        const confirmed = confirm(t('storage.formatConfirm').replace('{diskList}', diskList));
+        // Dry run first: review the plan and type back the serials of the disks to format
+        let confirmation;
+        try {
+            const planRes = await authFetch(`${API_BASE}/storage/pool/configure`, {
+                method: 'POST',
+                body: JSON.stringify({ disks: selections, dryRun: true })
+            });
+            const planData = await planRes.json();
+            if (!planRes.ok) throw new Error(planData.error || 'Failed to plan configuration');
+            confirmation = await openStoragePlanModal(planData.plan, planData.confirmToken);
+        } catch (e) {
+            alert(t('common.error', 'Error') + ': ' + e.message);
+            return;
+        }
 
-        if (!confirmed) return;
+        if (!confirmation) return;
 
         saveStorageBtn.disabled = true;
         showProgressModal();
@@ -569,7 +628,7 @@ if (saveStorageBtn) {
             // Call configure endpoint
             const res = await authFetch(`${API_BASE}/storage/pool/configure`, {
                 method: 'POST',
-                body: JSON.stringify({ disks: selections })
+                body: JSON.stringify({ disks: selections, ...confirmation })
             });
 
             const data = await res.json();
@@ -678,6 +737,7 @@ if (loginForm) {
         e.preventDefault();
         const username = document.getElementById('username').value.trim();
         const password = document.getElementById('password').value;
+        const remember = document.getElementById('remember-device').checked;
         const btn = e.target.querySelector('button[type="submit"]');
 
         btn.textContent = t('auth.hardwareAuth');
@@ -687,25 +747,27 @@ if (loginForm) {
             const res = await fetch(`${API_BASE}/login`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ username, password })
+                body: JSON.stringify({ username, password, remember })
             });
             const data = await res.json();
 
             if (!res.ok || !data.success) {
-                alert(data.message || t('common.error'));
+                alert(loginErrorMessage(res, data));
                 btn.textContent = t('auth.accessGateway');
                 btn.disabled = false;
                 return;
             }
 
-            // Save session
-            if (data.sessionId) {
-                saveSession(data.sessionId);
+            btn.textContent = t('auth.accessGateway');
+            btn.disabled = false;
+
+            // Password accepted, a TOTP code is still required
+            if (data.twoFactorRequired) {
+                showTwoFactorStep(data.challengeId);
+                return;
             }
 
-            state.isAuthenticated = true;
-            state.user = data.user;
-            switchView('dashboard');
+            completeLogin(data);
         } catch (e) {
             console.error('Login error:', e);
             alert(t('common.error'));
@@ -715,6 +777,179 @@ if (loginForm) {
     });
 }
 
+function loginErrorMessage(res, data) {
+    if (res.status === 429 && data.retryAfter) {
+        const minutes = Math.ceil(data.retryAfter / 60);
+        return t('auth.lockedOut', 'Too many failed attempts. Try again in {minutes} min.').replace('{minutes}', minutes);
+    }
+    if (res.status === 403) {
+        return t('auth.accountDisabled', 'This account has been disabled. Contact an administrator.');
+    }
+    return data.message || data.error || t('common.error');
+}
+
+function completeLogin(data) {
+    // Save session
+    if (data.sessionId) {
+        saveSession(data.sessionId, document.getElementById('remember-device').checked);
+    }
+
+    state.isAuthenticated = true;
+    state.user = data.user;
+    switchView('dashboard');
+}
+
+// Two-factor login step
+const login2faForm = document.getElementById('login-2fa-form');
+let pendingChallengeId = null;
+
+function showTwoFactorStep(challengeId) {
+    pendingChallengeId = challengeId;
+    loginForm.style.display = 'none';
+    login2faForm.style.display = '';
+    const codeInput = document.getElementById('login-2fa-code');
+    codeInput.value = '';
+    codeInput.focus();
+}
+
+function hideTwoFactorStep() {
+    pendingChallengeId = null;
+    login2faForm.style.display = 'none';
+    loginForm.style.display = '';
+    document.getElementById('password').value = '';
+}
+
+if (login2faForm) {
+    document.getElementById('login-2fa-back').addEventListener('click', hideTwoFactorStep);
+
+    login2faForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const code = document.getElementById('login-2fa-code').value.trim();
+        const btn = e.target.querySelector('button[type="submit"]');
+        btn.disabled = true;
+
+        try {
+            const res = await fetch(`${API_BASE}/login/2fa`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ challengeId: pendingChallengeId, code })
+            });
+            const data = await res.json();
+
+            if (!res.ok || !data.success) {
+                alert(loginErrorMessage(res, data));
+                // Expired or too many attempts: start over from the password step
+                if (res.status === 401 && /expired/i.test(data.message || '')) hideTwoFactorStep();
+                return;
+            }
+
+            pendingChallengeId = null;
+            login2faForm.style.display = 'none';
+            loginForm.style.display = '';
+            completeLogin(data);
+        } catch (err) {
+            console.error('2FA login error:', err);
+            alert(t('common.error'));
+        } finally {
+            btn.disabled = false;
+        }
+    });
+}
+
+// Local password recovery: the token is written to a root-only file on the NAS
+const forgotPasswordBtn = document.getElementById('forgot-password-btn');
+
+function openRecoveryModal() {
+    const modal = document.createElement('div');
+    modal.className = 'modal active';
+    modal.innerHTML = `
+        <div class="glass-card modal-content" style="max-width: 480px;">
+            <header class="modal-header">
+                <h3>${t('account.recoveryTitle', 'Password recovery')}</h3>
+                <button class="btn-close" onclick="this.closest('.modal').remove()">&times;</button>
+            </header>
+            <form id="recovery-request-form">
+                <p style="color: var(--text-dim); margin-bottom: 20px;">
+                    ${t('account.recoveryIntro', 'A one-time token will be written to a file only root can read on the NAS.')}
+                </p>
+                <div class="input-group">
+                    <input type="text" id="recovery-username" required placeholder=" " autocomplete="username">
+                    <label>${t('auth.username', 'Usuario')}</label>
+                </div>
+                <button type="submit" class="btn-primary">${t('account.requestToken', 'Create recovery token')}</button>
+            </form>
+            <form id="recovery-reset-form" style="display: none;">
+                <p id="recovery-instructions" style="color: var(--text-dim); margin-bottom: 20px;"></p>
+                <div class="input-group">
+                    <input type="text" id="recovery-token" required placeholder=" " autocomplete="off">
+                    <label>${t('account.recoveryToken', 'Recovery token')}</label>
+                </div>
+                <div class="input-group">
+                    <input type="password" id="recovery-new-password" required placeholder=" " autocomplete="new-password">
+                    <label>${t('account.newPassword', 'New password')}</label>
+                </div>
+                <button type="submit" class="btn-primary">${t('account.resetPassword', 'Reset password')}</button>
+            </form>
+        </div>
+    `;
+    document.body.appendChild(modal);
+
+    const requestForm = document.getElementById('recovery-request-form');
+    const resetForm = document.getElementById('recovery-reset-form');
+    const usernameInput = document.getElementById('recovery-username');
+    usernameInput.value = document.getElementById('username').value.trim();
+
+    requestForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        try {
+            const res = await fetch(`${API_BASE}/account/recovery`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username: usernameInput.value.trim() })
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to create recovery token');
+
+            // Same instructions whether or not the account exists
+            const instructions = document.getElementById('recovery-instructions');
+            instructions.textContent = t('account.recoveryInstructions', 'On the NAS, run: sudo cat {file} — the token expires in {minutes} minutes.')
+                .replace('{file}', data.tokenFile)
+                .replace('{minutes}', data.expiresInMinutes);
+            requestForm.style.display = 'none';
+            resetForm.style.display = '';
+            document.getElementById('recovery-token').focus();
+        } catch (err) {
+            alert(t('common.error', 'Error') + ': ' + err.message);
+        }
+    });
+
+    resetForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        try {
+            const res = await fetch(`${API_BASE}/account/recovery/reset`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    username: usernameInput.value.trim(),
+                    token: document.getElementById('recovery-token').value.trim(),
+                    newPassword: document.getElementById('recovery-new-password').value
+                })
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Password reset failed');
+
+            modal.remove();
+            alert(t('account.recoveryDone', 'Password reset. You can now log in.'));
+        } catch (err) {
+            alert(t('common.error', 'Error') + ': ' + err.message);
+        }
+    });
+}
+
+if (forgotPasswordBtn) {
+    forgotPasswordBtn.addEventListener('click', openRecoveryModal);
+}
+
 // Navigation
 navLinks.forEach(link => {
     link.addEventListener('click', () => {
@@ -741,6 +976,8 @@ function renderContent(view) {
     else if (view === 'terminal') renderTerminalView();
     else if (view === 'network') renderNetworkManager();
     else if (view === 'system') renderSystemView();
+    else if (view === 'audit') renderAuditView();
+    else if (view === 'shares') renderSharesView();
 }
 
 // Real-Time Dashboard
@@ -856,7 +1093,7 @@ async function renderDashboard() {
                                             <span class="disk-details">${escapeHtml(disk.id)} • ${escapeHtml(disk.size)} • ${escapeHtml(disk.type)}</span>
                                         </div>
                                         <div class="disk-item-temp ${disk.temp > 45 ? 'hot' : disk.temp > 38 ? 'warm' : 'cool'}">
-                                            ${disk.temp || 0}°C
+                                            ${disk.temp ? `${disk.temp}°C` : (disk.standby ? '💤' : '—')}
                                         </div>
                                     </div>
                                 `).join('')}
@@ -1041,6 +1278,139 @@ async function setFanMode(mode) {
 window.setFanMode = setFanMode;
 
 // Real Storage Telemetry
+// Storage configuration plan review. Resolves with { confirmToken, confirmSerials }
+// once the serial of every disk to format is typed back, or null if cancelled.
+function openStoragePlanModal(plan, confirmToken) {
+    return new Promise(resolve => {
+        const wiped = plan.disks.filter(d => d.wipe);
+        const modal = document.createElement('div');
+        modal.className = 'modal active';
+        modal.innerHTML = `
+            <div class="glass-card modal-content" style="max-width: 750px; max-height: 90vh; overflow-y: auto;">
+                <header class="modal-header">
+                    <h3>${t('storagePlan.title', 'Review storage plan')}</h3>
+                    <button type="button" class="btn-close">&times;</button>
+                </header>
+                <div class="plan-warnings"></div>
+                <h4 style="margin-top: 10px;">${t('storagePlan.disks', 'Disks')}</h4>
+                <table class="disk-table plan-disks" style="width: 100%; font-size: 0.85rem;">
+                    <thead><tr>
+                        <th>${t('storagePlan.disk', 'Disk')}</th>
+                        <th>${t('storagePlan.role', 'Role')}</th>
+                        <th>${t('storagePlan.current', 'Current contents')}</th>
+                        <th>${t('storagePlan.planned', 'Planned')}</th>
+                    </tr></thead>
+                    <tbody></tbody>
+                </table>
+                <div class="plan-details"></div>
+                <form class="plan-confirm-form" style="margin-top: 15px;">
+                    <p style="color: #ef4444; font-size: 0.9rem; margin-bottom: 10px;"></p>
+                    <div class="plan-serials"></div>
+                    <div class="modal-footer" style="display: flex; gap: 10px;">
+                        <button type="button" class="btn-primary plan-cancel" style="background: var(--text-dim);">${t('common.cancel', 'Cancelar')}</button>
+                        <button type="submit" class="btn-primary" style="background: #ef4444;">${t('storagePlan.execute', 'Apply plan')}</button>
+                    </div>
+                </form>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        const close = (result) => {
+            modal.remove();
+            resolve(result);
+        };
+        modal.querySelector('.btn-close').addEventListener('click', () => close(null));
+        modal.querySelector('.plan-cancel').addEventListener('click', () => close(null));
+
+        const warningsEl = modal.querySelector('.plan-warnings');
+        (plan.warnings || []).forEach(warning => {
+            const p = document.createElement('p');
+            p.style.cssText = 'color: #f59e0b; font-size: 0.85rem;';
+            p.textContent = `⚠️ ${warning}`;
+            warningsEl.appendChild(p);
+        });
+
+        const tbody = modal.querySelector('.plan-disks tbody');
+        plan.disks.forEach(disk => {
+            const tr = document.createElement('tr');
+
+            const diskTd = document.createElement('td');
+            diskTd.textContent = `${disk.device} • ${disk.current.model || 'Unknown'} • ${disk.current.serial || t('storagePlan.noSerial', 'no serial')}`;
+
+            const roleTd = document.createElement('td');
+            roleTd.textContent = disk.role;
+
+            const currentTd = document.createElement('td');
+            const existing = [disk.current.filesystem, ...disk.current.partitions].filter(Boolean);
+            currentTd.textContent = existing.length > 0
+                ? existing.map(p => `${p.name}: ${p.fstype || t('storagePlan.noFilesystem', 'no filesystem')}${p.label ? ` "${p.label}"` : ''}${p.mountpoint ? ` @ ${p.mountpoint}` : ''}`).join(', ')
+                : t('storagePlan.empty', 'Empty');
+
+            const plannedTd = document.createElement('td');
+            const planned = [];
+            if (disk.wipe) planned.push(`⚠️ ${t('storagePlan.wipe', 'Erase')} → ${disk.partition}`);
+            if (disk.filesystem) planned.push(`${disk.filesystem}${disk.label ? ` "${disk.label}"` : ''}${disk.arrayDevice ? ` (${disk.arrayDevice})` : ''}`);
+            if (disk.mountPoint) planned.push(`@ ${disk.mountPoint}`);
+            plannedTd.textContent = planned.join(' ') || t('storagePlan.untouched', 'Not modified');
+
+            [diskTd, roleTd, currentTd, plannedTd].forEach(td => tr.appendChild(td));
+            tbody.appendChild(tr);
+        });
+
+        const details = modal.querySelector('.plan-details');
+        const addSection = (title, text) => {
+            const h4 = document.createElement('h4');
+            h4.style.marginTop = '15px';
+            h4.textContent = title;
+            const pre = document.createElement('pre');
+            pre.style.cssText = 'max-height: 200px; overflow-y: auto; font-size: 0.8rem; white-space: pre-wrap;';
+            pre.textContent = text;
+            details.appendChild(h4);
+            details.appendChild(pre);
+        };
+        if (plan.snapraidConf) addSection('/etc/snapraid.conf', plan.snapraidConf);
+        if (plan.fstab) {
+            addSection(t('storagePlan.fstabDiff', '/etc/fstab changes'), [
+                ...plan.fstab.remove.map(line => `- ${line}`),
+                ...plan.fstab.add.map(line => `+ ${line}`)
+            ].join('\n'));
+        }
+        if (plan.commands) addSection(t('storagePlan.commands', 'Commands'), plan.commands.join('\n'));
+
+        const form = modal.querySelector('.plan-confirm-form');
+        form.querySelector('p').textContent = wiped.length > 0
+            ? t('storagePlan.typeSerials', 'ALL DATA on the disks below will be erased. Type each serial number to confirm.')
+            : t('storagePlan.noWipe', 'No disk will be formatted.');
+        const serialsEl = form.querySelector('.plan-serials');
+        wiped.forEach(disk => {
+            const group = document.createElement('div');
+            group.className = 'input-group';
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.required = true;
+            input.placeholder = ' ';
+            input.autocomplete = 'off';
+            input.dataset.disk = disk.id;
+            const label = document.createElement('label');
+            label.textContent = disk.current.serial
+                ? t('storagePlan.serialFor', 'Serial of {device}').replace('{device}', disk.device)
+                : t('storagePlan.deviceFor', 'Type "{id}" ({device} reports no serial)').replace('{id}', disk.id).replace('{device}', disk.device);
+            group.appendChild(input);
+            group.appendChild(label);
+            serialsEl.appendChild(group);
+        });
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const confirmSerials = {};
+            serialsEl.querySelectorAll('input').forEach(input => {
+                confirmSerials[input.dataset.disk] = input.value.trim();
+            });
+            close({ confirmToken, confirmSerials });
+        });
+    });
+}
+
 async function renderStorageDashboard() {
     try {
         // Fetch disks and pool status
@@ -1169,6 +1539,7 @@ async function renderStorageDashboard() {
             const role = config ? config.role : 'none';
             const temp = Number(disk.temp) || 0;
             const tempClass = temp > 45 ? 'hot' : (temp > 38 ? 'warm' : 'cool');
+            const health = smartHealthLabel(disk);
             const usage = Math.min(Math.max(Number(disk.usage) || 0, 0), 100);
 
             const card = document.createElement('div');
@@ -1202,7 +1573,7 @@ async function renderStorageDashboard() {
             const progressContainer = document.createElement('div');
             progressContainer.className = 'disk-progress-container';
             progressContainer.innerHTML = `
-                <div class="telemetry-stats-row"><span>${t('storage.healthStatus', 'Estado de Salud')}</span><span style="color:#10b981">${t('storage.optimal', 'Óptimo')}</span></div>
+                <div class="telemetry-stats-row"><span>${t('storage.healthStatus', 'Estado de Salud')}</span><span style="color:${health.color}">${health.label}</span></div>
                 <div class="disk-usage-bar"><div class="disk-usage-fill" style="width: ${usage}%; background: ${getRoleColor(role)}"></div></div>
             `;
 
@@ -1212,1339 +1583,5006 @@ async function renderStorageDashboard() {
 
             const tempIndicator = document.createElement('div');
             tempIndicator.className = `temp-indicator ${tempClass}`;
-            tempIndicator.innerHTML = `<span>🌡️</span><span>${temp}°C</span>`;
+            tempIndicator.innerHTML = `<span>🌡️</span><span>${temp ? `${temp}°C` : (disk.standby ? t('smart.standby', 'Standby') : '—')}</span>`;
+
+            const smartBtn = document.createElement('button');
+            smartBtn.className = 'btn-primary btn-sm';
+            smartBtn.style.cssText = 'width: auto; padding: 4px 12px;';
+            smartBtn.textContent = 'SMART';
+            smartBtn.addEventListener('click', () => openSmartModal(disk));
 
             telemetryRow.appendChild(tempIndicator);
+            telemetryRow.appendChild(smartBtn);
 
             card.appendChild(header);
             card.appendChild(progressContainer);
             card.appendChild(telemetryRow);
+
+            // Power state and spin-down timeout (hard disks only)
+            if (disk.type === 'HDD') {
+                const powerRow = document.createElement('div');
+                powerRow.className = 'telemetry-stats-row';
+                powerRow.style.cssText = 'align-items: center; font-size: 0.85rem;';
+                const stateLabels = {
+                    active: t('standby.active', 'Active'),
+                    standby: `💤 ${t('smart.standby', 'Standby')}`,
+                    sleeping: `💤 ${t('standby.sleeping', 'Sleeping')}`,
+                    unknown: t('smart.unknown', 'Unknown')
+                };
+                const stateSpan = document.createElement('span');
+                stateSpan.textContent = stateLabels[disk.powerState] || stateLabels.unknown;
+                powerRow.appendChild(stateSpan);
+
+                const timeoutLabel = (minutes) => {
+                    if (minutes === null || minutes === undefined) return t('standby.notManaged', 'Disk default');
+                    if (minutes === 0) return t('standby.never', 'Never spin down');
+                    return t('standby.after', 'Spin down after {minutes} min').replace('{minutes}', minutes);
+                };
+                if (hasRole('admin') && disk.serial !== 'N/A') {
+                    const select = document.createElement('select');
+                    select.className = 'role-select';
+                    select.style.cssText = 'width: auto; padding: 4px 8px;';
+                    const options = [null, 0, 5, 10, 15, 20, 30, 60, 90, 120, 180, 240, 300];
+                    options.forEach(minutes => {
+                        // "Disk default" is only shown until a timeout is set
+                        if (minutes === null && disk.standbyTimeout !== null) return;
+                        const option = document.createElement('option');
+                        option.value = minutes === null ? '' : minutes;
+                        option.textContent = timeoutLabel(minutes);
+                        if (minutes === disk.standbyTimeout) option.selected = true;
+                        select.appendChild(option);
+                    });
+                    select.addEventListener('change', async () => {
+                        if (select.value === '') return;
+                        select.disabled = true;
+                        try {
+                            const res = await authFetch(`${API_BASE}/system/disks/${encodeURIComponent(disk.id)}/standby`, {
+                                method: 'PUT',
+                                body: JSON.stringify({ timeout: parseInt(select.value, 10) })
+                            });
+                            const data = await res.json();
+                            if (!res.ok) throw new Error(data.error || 'Failed to set standby timeout');
+                            disk.standbyTimeout = data.timeout;
+                        } catch (e) {
+                            alert(t('common.error', 'Error') + ': ' + e.message);
+                        }
+                        select.disabled = false;
+                    });
+                    powerRow.appendChild(select);
+                } else {
+                    const timeoutSpan = document.createElement('span');
+                    timeoutSpan.style.color = 'var(--text-dim)';
+                    timeoutSpan.textContent = timeoutLabel(disk.standbyTimeout);
+                    powerRow.appendChild(timeoutSpan);
+                }
+                card.appendChild(powerRow);
+            }
+
+            // SMART alerts (failed self-test, growing error counters) and running self-test
+            const alerts = document.createElement('div');
+            alerts.style.cssText = 'font-size: 0.8rem; margin-top: 8px;';
+            (disk.issues || []).forEach(issue => {
+                const line = document.createElement('div');
+                line.style.color = issue.severity === 'failing' ? '#ef4444' : '#f59e0b';
+                line.textContent = `⚠️ ${issue.message}`;
+                alerts.appendChild(line);
+            });
+            if (disk.selfTest && disk.selfTest.running) {
+                const line = document.createElement('div');
+                line.style.color = 'var(--primary)';
+                line.textContent = `${t('smart.selfTestRunning', 'Self-test running')}${disk.selfTest.progress !== null ? ` (${disk.selfTest.progress}%)` : ''}`;
+                alerts.appendChild(line);
+            }
+            if (alerts.childElementCount > 0) card.appendChild(alerts);
+
             grid.appendChild(card);
         });
 
         dashboardContent.appendChild(grid);
+        await renderSelfTestScheduleCard();
+
+        const backendRes = await authFetch(`${API_BASE}/storage/backend`);
+        const { backend } = backendRes.ok ? await backendRes.json() : {};
+        if (backend === 'snapraid') {
+            await renderSnapraidReportCard();
+            await renderSnapraidRecoveryCard();
+            await renderSnapraidScheduleCard();
+            if (poolStatus.configured || poolStatus.running) {
+                await renderPoolSettingsCard();
+                await renderCacheMoverCard();
+            }
+        }
+        if (hasRole('admin')) {
+            if (backend === 'snapraid' && poolStatus.configured) await renderAddPoolDiskCard();
+            await renderReplaceDiskCard(backend);
+        }
+        await renderNfsExportsCard();
     } catch (e) {
         console.error('Storage dashboard error:', e);
         dashboardContent.innerHTML = `<div class="glass-card"><h3>${t('storage.errorLoading')}</h3></div>`;
     }
 }
 
-// Real Docker Logic
-async function renderDockerManager() {
-    // Show loading immediately
-    dashboardContent.innerHTML = `<div class="glass-card" style="grid-column: 1 / -1; text-align: center; padding: 40px;"><h3>${t('docker.loading')}</h3></div>`;
-    // Fetch containers and update status
-    let updateStatus = { lastCheck: null, updatesAvailable: 0 };
-    try {
-        const [containersRes, updateRes] = await Promise.all([
-            fetch(`${API_BASE}/docker/containers`),
-            fetch(`${API_BASE}/docker/update-status`)
-        ]);
-        if (containersRes.ok) state.dockers = await containersRes.json();
-        if (updateRes.ok) updateStatus = await updateRes.json();
-    } catch (e) {
-        console.error('Docker unreachable:', e);
-        state.dockers = [];
+// SMART rating of a disk as shown on the disk cards
+function smartHealthLabel(disk) {
+    const labels = {
+        ok: { label: t('storage.optimal', 'Óptimo'), color: '#10b981' },
+        warning: { label: t('smart.warning', 'Warning'), color: '#f59e0b' },
+        failing: { label: t('smart.failing', 'Failing'), color: '#ef4444' }
+    };
+    if (labels[disk.health]) return labels[disk.health];
+    if (disk.standby) return { label: t('smart.standby', 'Standby'), color: 'var(--text-dim)' };
+    return { label: t('smart.unknown', 'Unknown'), color: 'var(--text-dim)' };
+}
+
+// Line chart (SVG) of values over time: series [{ label, color, points: [[time, value], ...] }]
+function buildLineChart(title, series, options = {}) {
+    const width = 600;
+    const height = 160;
+    const pad = { top: 10, right: 10, bottom: 20, left: 50 };
+    const formatValue = options.formatValue || (value => String(Math.round(value * 10) / 10));
+    const formatTime = options.formatTime || (time => new Date(time).toLocaleDateString());
+
+    const wrapper = document.createElement('div');
+    wrapper.style.marginTop = '15px';
+    const heading = document.createElement('h4');
+    heading.textContent = title;
+    wrapper.appendChild(heading);
+
+    const drawn = series
+        .map(s => ({ ...s, points: s.points.filter(([, value]) => value !== null && value !== undefined) }))
+        .filter(s => s.points.length > 0);
+    if (drawn.length === 0) {
+        const empty = document.createElement('p');
+        empty.style.cssText = 'color: var(--text-dim); font-size: 0.85rem;';
+        empty.textContent = t('smart.noData', 'No data for this period.');
+        wrapper.appendChild(empty);
+        return wrapper;
     }
 
-    // Fetch compose files
-    let composeFiles = [];
+    const times = drawn.flatMap(s => s.points.map(([time]) => time));
+    const values = drawn.flatMap(s => s.points.map(([, value]) => value));
+    const minTime = options.from !== undefined ? options.from : Math.min(...times);
+    const maxTime = Math.max(options.to !== undefined ? options.to : Math.max(...times), minTime + 1);
+    const minValue = Math.min(0, ...values);
+    const maxValue = Math.max(minValue + 1, ...values);
+
+    const x = (time) => pad.left + ((time - minTime) / (maxTime - minTime)) * (width - pad.left - pad.right);
+    const y = (value) => height - pad.bottom - ((value - minValue) / (maxValue - minValue)) * (height - pad.top - pad.bottom);
+
+    const lines = drawn.map(s => {
+        const coords = s.points.map(([time, value]) => `${x(time).toFixed(1)},${y(value).toFixed(1)}`).join(' ');
+        return `<polyline fill="none" stroke="${s.color}" stroke-width="2" points="${coords}"></polyline>`;
+    }).join('');
+
+    wrapper.insertAdjacentHTML('beforeend', `
+        <svg viewBox="0 0 ${width} ${height}" style="width: 100%; height: auto;">
+            <line x1="${pad.left}" y1="${y(minValue)}" x2="${width - pad.right}" y2="${y(minValue)}" stroke="rgba(148,163,184,0.3)"></line>
+            <line x1="${pad.left}" y1="${y(maxValue)}" x2="${width - pad.right}" y2="${y(maxValue)}" stroke="rgba(148,163,184,0.3)"></line>
+            <text x="${pad.left - 6}" y="${y(maxValue) + 4}" text-anchor="end" font-size="11" fill="currentColor">${escapeHtml(formatValue(maxValue))}</text>
+            <text x="${pad.left - 6}" y="${y(minValue) + 4}" text-anchor="end" font-size="11" fill="currentColor">${escapeHtml(formatValue(minValue))}</text>
+            <text x="${pad.left}" y="${height - 4}" font-size="11" fill="currentColor">${escapeHtml(formatTime(minTime))}</text>
+            <text x="${width - pad.right}" y="${height - 4}" text-anchor="end" font-size="11" fill="currentColor">${escapeHtml(formatTime(maxTime))}</text>
+            ${lines}
+        </svg>
+        <div style="display: flex; flex-wrap: wrap; gap: 15px; font-size: 0.8rem; color: var(--text-dim);">
+            ${drawn.map(s => `<span><span style="color: ${s.color};">●</span> ${escapeHtml(s.label)}</span>`).join('')}
+        </div>
+    `);
+    return wrapper;
+}
+
+// SMART history chart: one line per snapshot field
+function buildSmartChart(title, snapshots, series) {
+    return buildLineChart(title, series.map(s => ({
+        label: s.label,
+        color: s.color,
+        points: snapshots.map(snap => [snap.takenAt, snap[s.key]])
+    })));
+}
+
+// SMART details of a disk: rating, key attributes and history charts
+async function openSmartModal(disk) {
+    const modal = document.createElement('div');
+    modal.className = 'modal active';
+    modal.innerHTML = `
+        <div class="glass-card modal-content" style="max-width: 760px; max-height: 90vh; overflow-y: auto;">
+            <header class="modal-header">
+                <h3>SMART · ${escapeHtml(disk.model || disk.id)} (${escapeHtml(disk.id)})</h3>
+                <button class="btn-close" onclick="this.closest('.modal').remove()">&times;</button>
+            </header>
+            <div class="smart-body" style="color: var(--text-dim);">${t('common.loading', 'Cargando...')}</div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+    const body = modal.querySelector('.smart-body');
+
+    let reading;
     try {
-        const composeRes = await fetch(`${API_BASE}/docker/compose/list`);
-        if (composeRes.ok) composeFiles = await composeRes.json();
+        const res = await authFetch(`${API_BASE}/system/disks/${encodeURIComponent(disk.id)}/smart`);
+        reading = await res.json();
+        if (!res.ok) throw new Error(reading.error || 'Failed to read SMART data');
     } catch (e) {
-        console.error('Compose list error:', e);
+        body.style.color = '#ef4444';
+        body.textContent = e.message;
+        return;
     }
 
-    // Header with actions
-    const headerCard = document.createElement('div');
-    headerCard.className = 'glass-card';
-    headerCard.style.cssText = 'grid-column: 1 / -1; display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 15px;';
-
-    const headerLeft = document.createElement('div');
-    const h3 = document.createElement('h3');
-    h3.style.margin = '0';
-    h3.textContent = t('docker.containers');
-    const updateInfo = document.createElement('span');
-    updateInfo.style.cssText = 'font-size: 0.8rem; color: var(--text-dim); display: block; margin-top: 5px;';
-    updateInfo.textContent = updateStatus.lastCheck
-        ? `${t('docker.lastCheck')}: ${new Date(updateStatus.lastCheck).toLocaleString()}`
-        : t('docker.notCheckedYet');
-    headerLeft.appendChild(h3);
-    headerLeft.appendChild(updateInfo);
-
-    const headerRight = document.createElement('div');
-    headerRight.style.cssText = 'display: flex; gap: 10px; flex-wrap: wrap;';
+    body.innerHTML = '';
+    body.style.color = '';
+    const { smart, health } = reading;
+
+    if (!smart) {
+        const note = document.createElement('p');
+        note.style.color = 'var(--text-dim)';
+        note.textContent = reading.standby
+            ? t('smart.standbyNoData', 'The disk is in standby and has not been read yet; it is not woken up for SMART.')
+            : t('smart.unavailable', 'SMART data is not available for this disk.');
+        body.appendChild(note);
+        return;
+    }
 
-    const checkUpdatesBtn = document.createElement('button');
-    checkUpdatesBtn.className = 'btn-primary';
-    checkUpdatesBtn.style.cssText = 'background: #6366f1; padding: 8px 16px; font-size: 0.85rem;';
-    checkUpdatesBtn.innerHTML = '🔄 ' + t('docker.checkUpdates');
-    checkUpdatesBtn.addEventListener('click', checkDockerUpdates);
+    const status = smartHealthLabel({ health: health.status });
+    const summary = document.createElement('div');
+    summary.style.cssText = 'line-height: 1.8; font-size: 0.9rem;';
+    const row = (label, value) => `<div><strong>${label}:</strong> ${escapeHtml(String(value))}</div>`;
+    const counterRows = [
+        ['reallocated', t('smart.reallocated', 'Reallocated sectors')],
+        ['pending', t('smart.pending', 'Pending sectors')],
+        ['offlineUncorrectable', t('smart.offlineUncorrectable', 'Offline uncorrectable')],
+        ['crcErrors', t('smart.crcErrors', 'CRC errors')],
+        ['mediaErrors', t('smart.mediaErrors', 'Media errors')],
+        ['percentageUsed', t('smart.percentageUsed', 'Endurance used (%)')]
+    ].filter(([key]) => smart[key] !== null && smart[key] !== undefined);
+
+    summary.innerHTML = `
+        <div><strong>${t('storage.healthStatus', 'Estado de Salud')}:</strong> <span style="color: ${status.color};">${status.label}</span>
+            ${reading.standby ? `<span style="color: var(--text-dim);">(${t('smart.standby', 'Standby')})</span>` : ''}</div>
+        ${row('SN', smart.serial || 'N/A')}
+        ${row(t('smart.firmware', 'Firmware'), smart.firmware || 'N/A')}
+        ${row(t('smart.temperature', 'Temperature'), smart.temperature !== null ? `${smart.temperature}°C` : '—')}
+        ${row(t('smart.powerOnHours', 'Power-on hours'), smart.powerOnHours !== null ? smart.powerOnHours : '—')}
+        ${counterRows.map(([key, label]) => row(label, smart[key])).join('')}
+        <div style="font-size: 0.8rem;">${t('smart.checkedAt', 'Read at')} ${escapeHtml(new Date(reading.checkedAt).toLocaleString())}</div>
+    `;
+    body.appendChild(summary);
+
+    if (health.issues.length > 0) {
+        const issues = document.createElement('ul');
+        issues.style.cssText = 'margin-top: 10px; padding-left: 20px;';
+        health.issues.forEach(issue => {
+            const li = document.createElement('li');
+            li.style.color = issue.severity === 'failing' ? '#ef4444' : '#f59e0b';
+            li.textContent = issue.message;
+            issues.appendChild(li);
+        });
+        body.appendChild(issues);
+    }
 
-    const importComposeBtn = document.createElement('button');
-    importComposeBtn.className = 'btn-primary';
-    importComposeBtn.style.cssText = 'background: #10b981; padding: 8px 16px; font-size: 0.85rem;';
-    importComposeBtn.innerHTML = '📦 ' + t('docker.importCompose');
-    importComposeBtn.addEventListener('click', openComposeModal);
+    const rangeSelect = document.createElement('select');
+    rangeSelect.className = 'role-select';
+    rangeSelect.style.marginTop = '15px';
+    [7, 30, 90, 365].forEach(days => {
+        const option = document.createElement('option');
+        option.value = days;
+        option.textContent = t('smart.lastDays', 'Last {days} days').replace('{days}', days);
+        if (days === reading.trendDays) option.selected = true;
+        rangeSelect.appendChild(option);
+    });
+    body.appendChild(rangeSelect);
 
-    headerRight.appendChild(checkUpdatesBtn);
-    headerRight.appendChild(importComposeBtn);
-    headerCard.appendChild(headerLeft);
-    headerCard.appendChild(headerRight);
-    dashboardContent.appendChild(headerCard);
+    const charts = document.createElement('div');
+    body.appendChild(charts);
 
-    // Containers section
-    if (state.dockers.length === 0) {
-        const emptyCard = document.createElement('div');
-        emptyCard.className = 'glass-card';
-        emptyCard.style.cssText = 'grid-column: 1/-1; text-align:center; padding: 40px;';
-        emptyCard.innerHTML = `
-            <h4 style="color: var(--text-dim);">${t('docker.noContainers')}</h4>
-            <p style="color: var(--text-dim); font-size: 0.9rem;">${t('docker.importComposeHint')}</p>
+    const loadHistory = async () => {
+        charts.innerHTML = '';
+        charts.style.color = '';
+        try {
+            const res = await authFetch(`${API_BASE}/system/disks/${encodeURIComponent(disk.id)}/smart/history?days=${rangeSelect.value}`);
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to load SMART history');
+
+            charts.appendChild(buildSmartChart(t('smart.temperature', 'Temperature'), data.snapshots, [
+                { key: 'temperature', label: '°C', color: '#f59e0b' }
+            ]));
+            charts.appendChild(buildSmartChart(t('smart.sectors', 'Sector errors'), data.snapshots, [
+                { key: 'reallocated', label: t('smart.reallocated', 'Reallocated sectors'), color: '#6366f1' },
+                { key: 'pending', label: t('smart.pending', 'Pending sectors'), color: '#ef4444' },
+                { key: 'offlineUncorrectable', label: t('smart.offlineUncorrectable', 'Offline uncorrectable'), color: '#a855f7' }
+            ].filter(s => smart[s.key] !== null)));
+            charts.appendChild(buildSmartChart(t('smart.interfaceErrors', 'Interface and media errors'), data.snapshots, [
+                { key: 'crcErrors', label: t('smart.crcErrors', 'CRC errors'), color: '#10b981' },
+                { key: 'mediaErrors', label: t('smart.mediaErrors', 'Media errors'), color: '#ef4444' }
+            ].filter(s => smart[s.key] !== null)));
+        } catch (e) {
+            charts.style.color = '#ef4444';
+            charts.textContent = e.message;
+        }
+    };
+    rangeSelect.addEventListener('change', loadHistory);
+    await loadHistory();
+
+    body.appendChild(buildSelfTestSection(disk, smart.selfTest));
+
+    if (smart.attributes.length > 0) {
+        const details = document.createElement('details');
+        details.style.marginTop = '15px';
+        details.innerHTML = `
+            <summary style="cursor: pointer;">${t('smart.allAttributes', 'All attributes')}</summary>
+            <table class="disk-table">
+                <thead>
+                    <tr><th>ID</th><th>${t('smart.attribute', 'Attribute')}</th><th>${t('smart.value', 'Value')}</th><th>${t('smart.worst', 'Worst')}</th><th>${t('smart.threshold', 'Threshold')}</th><th>Raw</th></tr>
+                </thead>
+                <tbody>
+                    ${smart.attributes.map(attr => `
+                        <tr${attr.failed ? ' style="color: #ef4444;"' : ''}>
+                            <td>${attr.id}</td>
+                            <td>${escapeHtml(attr.name)}</td>
+                            <td>${attr.value}</td>
+                            <td>${attr.worst}</td>
+                            <td>${attr.threshold}</td>
+                            <td>${escapeHtml(attr.raw || '')}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
         `;
-        dashboardContent.appendChild(emptyCard);
-    } else {
-        const containerGrid = document.createElement('div');
-        containerGrid.style.cssText = 'display: grid; grid-template-columns: repeat(auto-fill, minmax(320px, 1fr)); gap: 20px; grid-column: 1 / -1;';
+        body.appendChild(details);
+    }
+}
 
-        state.dockers.forEach(container => {
-            const card = document.createElement('div');
-            card.className = 'glass-card docker-card';
-            card.style.padding = '20px';
+// Self-tests of a disk in the SMART modal: start/abort, progress and log
+function buildSelfTestSection(disk, initialSelfTest) {
+    const section = document.createElement('div');
+    section.style.marginTop = '20px';
 
-            const isRunning = container.status === 'running';
-            const hasUpdate = container.hasUpdate;
+    const header = document.createElement('div');
+    header.style.cssText = 'display: flex; justify-content: space-between; align-items: center; gap: 10px; flex-wrap: wrap;';
+    const title = document.createElement('h4');
+    title.textContent = t('smart.selfTests', 'Self-tests');
+    const actions = document.createElement('div');
+    actions.style.cssText = 'display: flex; gap: 8px;';
+    header.appendChild(title);
+    header.appendChild(actions);
+    section.appendChild(header);
+
+    const progress = document.createElement('div');
+    progress.style.cssText = 'margin-top: 8px; font-size: 0.85rem; color: var(--primary);';
+    section.appendChild(progress);
+
+    const table = document.createElement('table');
+    table.className = 'disk-table';
+    table.innerHTML = `
+        <thead>
+            <tr>
+                <th>${t('smart.testType', 'Test')}</th>
+                <th>${t('snapraid.result', 'Result')}</th>
+                <th>${t('smart.powerOnHours', 'Power-on hours')}</th>
+            </tr>
+        </thead>
+    `;
+    const tbody = document.createElement('tbody');
+    table.appendChild(tbody);
+    section.appendChild(table);
+
+    const buttons = {};
+    const resultColors = { passed: '#10b981', failed: '#ef4444', aborted: '#f59e0b' };
+
+    const show = (selfTest) => {
+        const running = !!(selfTest && selfTest.running);
+        progress.textContent = running
+            ? `${t('smart.selfTestRunning', 'Self-test running')}${selfTest.progress !== null ? ` (${selfTest.progress}%)` : ''}`
+            : '';
+        if (buttons.short) buttons.short.disabled = running;
+        if (buttons.long) buttons.long.disabled = running;
+        if (buttons.abort) buttons.abort.style.display = running ? '' : 'none';
+
+        tbody.innerHTML = '';
+        const log = selfTest ? selfTest.log : [];
+        if (log.length === 0) {
+            tbody.innerHTML = `<tr><td colspan="3" style="color: var(--text-dim);">${t('smart.noSelfTests', 'No self-tests logged on this disk.')}</td></tr>`;
+        }
+        log.forEach(entry => {
+            const tr = document.createElement('tr');
+            [entry.type, entry.status, entry.lifetimeHours].forEach((value, index) => {
+                const td = document.createElement('td');
+                td.textContent = value !== null && value !== undefined ? value : '—';
+                if (index === 1) td.style.color = resultColors[entry.result] || 'inherit';
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        });
+        return running;
+    };
 
-            // Header row
-            const header = document.createElement('div');
-            header.style.cssText = 'display: flex; justify-content: space-between; align-items: flex-start; margin-bottom: 15px;';
+    const poll = async () => {
+        if (!document.body.contains(section)) return;
+        try {
+            const res = await authFetch(`${API_BASE}/system/disks/${encodeURIComponent(disk.id)}/selftest`);
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to read self-test status');
+            if (show(data.selfTest)) setTimeout(poll, 10000);
+        } catch (e) {
+            progress.style.color = '#ef4444';
+            progress.textContent = e.message;
+        }
+    };
 
-            const info = document.createElement('div');
-            const nameRow = document.createElement('div');
-            nameRow.style.cssText = 'display: flex; align-items: center; gap: 8px;';
-            const h4 = document.createElement('h4');
-            h4.style.margin = '0';
-            h4.textContent = container.name || 'Unknown';
-            nameRow.appendChild(h4);
+    const request = async (method, body) => {
+        const res = await authFetch(`${API_BASE}/system/disks/${encodeURIComponent(disk.id)}/selftest`, {
+            method,
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Self-test request failed');
+    };
 
-            if (hasUpdate) {
-                const updateBadge = document.createElement('span');
-                updateBadge.style.cssText = 'background: #10b981; color: white; font-size: 0.7rem; padding: 2px 6px; border-radius: 4px; font-weight: 600;';
-                updateBadge.textContent = t('docker.update');
-                nameRow.appendChild(updateBadge);
-            }
+    if (hasRole('user')) {
+        const addButton = (key, label, onClick) => {
+            const btn = document.createElement('button');
+            btn.className = 'btn-primary btn-sm';
+            btn.style.cssText = 'width: auto; padding: 6px 12px;';
+            btn.textContent = label;
+            btn.addEventListener('click', async () => {
+                btn.disabled = true;
+                try {
+                    await onClick();
+                    progress.style.color = 'var(--primary)';
+                    setTimeout(poll, 2000);
+                } catch (e) {
+                    alert(t('common.error', 'Error') + ': ' + e.message);
+                }
+                btn.disabled = false;
+            });
+            actions.appendChild(btn);
+            buttons[key] = btn;
+        };
+        addButton('short', t('smart.startShort', 'Short test'), () => request('POST', { type: 'short' }));
+        addButton('long', t('smart.startLong', 'Long test'), () => request('POST', { type: 'long' }));
+        addButton('abort', t('smart.abortTest', 'Abort test'), () => {
+            if (!confirm(t('smart.confirmAbort', 'Abort the running self-test?'))) return Promise.resolve();
+            return request('DELETE');
+        });
+        buttons.abort.style.background = '#ef4444';
+    }
 
-            const imageSpan = document.createElement('span');
-            imageSpan.style.cssText = 'font-size: 0.8rem; color: var(--text-dim); display: block; margin-top: 4px;';
-            imageSpan.textContent = container.image || 'N/A';
-            info.appendChild(nameRow);
-            info.appendChild(imageSpan);
+    if (show(initialSelfTest)) setTimeout(poll, 10000);
+    return section;
+}
 
-            const statusSpan = document.createElement('span');
-            statusSpan.style.cssText = `
-                padding: 4px 10px;
-                border-radius: 12px;
-                font-size: 0.75rem;
-                font-weight: 600;
-                background: ${isRunning ? 'rgba(16, 185, 129, 0.2)' : 'rgba(239, 68, 68, 0.2)'};
-                color: ${isRunning ? '#10b981' : '#ef4444'};
-            `;
-            statusSpan.textContent = isRunning ? t('docker.running') : t('docker.stopped');
+// SMART self-test schedule card (Storage view): schedule, running and queued tests, history
+async function renderSelfTestScheduleCard() {
+    let info;
+    try {
+        const res = await authFetch(`${API_BASE}/system/smart/selftest/schedule`);
+        info = await res.json();
+        if (!res.ok) throw new Error(info.error || 'Failed to load self-test schedule');
+    } catch (e) {
+        console.error('Self-test schedule load error:', e);
+        return;
+    }
 
-            header.appendChild(info);
-            header.appendChild(statusSpan);
+    const card = document.createElement('div');
+    card.className = 'glass-card';
+    card.style.cssText = 'grid-column: 1 / -1; margin-top: 20px;';
 
-            // Stats row (only if running)
-            if (isRunning) {
-                const statsRow = document.createElement('div');
-                statsRow.style.cssText = 'display: flex; gap: 20px; margin-bottom: 15px; padding: 10px; background: rgba(255,255,255,0.03); border-radius: 8px;';
-                statsRow.innerHTML = `
-                    <div style="flex: 1; text-align: center;">
-                        <div style="font-size: 0.7rem; color: var(--text-dim);">CPU</div>
-                        <div style="font-size: 1rem; font-weight: 600; color: ${container.cpu !== '---' && parseFloat(container.cpu) > 50 ? '#f59e0b' : '#10b981'}">${escapeHtml(container.cpu)}</div>
-                    </div>
-                    <div style="flex: 1; text-align: center;">
-                        <div style="font-size: 0.7rem; color: var(--text-dim);">RAM</div>
-                        <div style="font-size: 1rem; font-weight: 600; color: #6366f1;">${escapeHtml(container.ram)}</div>
-                    </div>
-                `;
-                card.appendChild(header);
-                card.appendChild(statsRow);
-            } else {
-                card.appendChild(header);
-            }
+    const header = document.createElement('div');
+    header.style.cssText = 'display: flex; justify-content: space-between; align-items: center;';
+    const title = document.createElement('h3');
+    title.textContent = t('smart.scheduleTitle', 'SMART Self-Tests');
+    header.appendChild(title);
+    if (hasRole('admin')) {
+        const editBtn = document.createElement('button');
+        editBtn.className = 'btn-primary';
+        editBtn.style.cssText = 'width: auto; padding: 8px 16px;';
+        editBtn.textContent = t('snapraid.editSchedule', 'Edit schedule');
+        editBtn.addEventListener('click', () => openSelfTestScheduleModal(info.schedule));
+        header.appendChild(editBtn);
+    }
+    card.appendChild(header);
+
+    const typeLabels = { short: t('smart.startShort', 'Short test'), long: t('smart.startLong', 'Long test') };
+    const summary = document.createElement('div');
+    summary.style.cssText = 'margin-top: 15px; color: var(--text-dim); font-size: 0.9rem; line-height: 1.8;';
+    summary.innerHTML = ['short', 'long'].map(type => {
+        const entry = info.schedule[type];
+        const next = info.nextRun[type];
+        const text = entry.enabled
+            ? `<code>${escapeHtml(entry.cron)}</code> · ${t('snapraid.nextRun', 'next run')}: ${escapeHtml(next ? new Date(next).toLocaleString() : '-')}`
+            : t('snapraid.disabled', 'disabled');
+        return `<div><strong>${typeLabels[type]}:</strong> ${text}</div>`;
+    }).join('') + `
+        <div style="font-size: 0.8rem;">${t('smart.staggerHint', 'Scheduled tests run on one disk at a time.')}</div>
+    `;
+    card.appendChild(summary);
+
+    if (info.active.length > 0 || info.queue.length > 0) {
+        const status = document.createElement('div');
+        status.style.cssText = 'margin-top: 10px; font-size: 0.9rem; color: var(--primary);';
+        const running = info.active.map(test =>
+            `${test.device}: ${typeLabels[test.type]}${test.progress !== null ? ` (${test.progress}%)` : ''}`);
+        status.textContent = [
+            running.length > 0 ? `${t('smart.selfTestRunning', 'Self-test running')}: ${running.join(', ')}` : null,
+            info.queue.length > 0 ? `${t('smart.queued', 'Queued')}: ${info.queue.map(entry => entry.device).join(', ')}` : null
+        ].filter(Boolean).join(' · ');
+        card.appendChild(status);
+    }
 
-            // Ports section
-            if (container.ports && container.ports.length > 0) {
-                const portsDiv = document.createElement('div');
-                portsDiv.className = 'docker-ports';
-                container.ports.forEach(port => {
-                    if (port.public) {
-                        const badge = document.createElement('span');
-                        badge.className = 'docker-port-badge';
-                        badge.innerHTML = `<span class="port-public">${port.public}</span><span class="port-arrow">→</span><span class="port-private">${port.private}</span>`;
-                        portsDiv.appendChild(badge);
-                    }
-                });
-                if (portsDiv.children.length > 0) {
-                    card.appendChild(portsDiv);
-                }
-            }
+    const table = document.createElement('table');
+    table.className = 'disk-table';
+    table.style.marginTop = '15px';
+    table.innerHTML = `
+        <thead>
+            <tr>
+                <th>${t('snapraid.started', 'Started')}</th>
+                <th>${t('smart.testType', 'Test')}</th>
+                <th>${t('snapraid.trigger', 'Trigger')}</th>
+                <th>${t('snapraid.result', 'Result')}</th>
+                <th>${t('smart.details', 'Details')}</th>
+            </tr>
+        </thead>
+    `;
+    const tbody = document.createElement('tbody');
+    table.appendChild(tbody);
+    card.appendChild(table);
+    dashboardContent.appendChild(card);
 
-            // Controls row
-            const controls = document.createElement('div');
-            controls.style.cssText = 'display: flex; gap: 8px; flex-wrap: wrap;';
+    const statusColors = { success: '#10b981', failed: '#ef4444', cancelled: '#f59e0b', running: 'var(--primary)' };
+    const triggerLabels = { schedule: t('snapraid.scheduled', 'Scheduled'), manual: t('snapraid.manual', 'Manual') };
+    try {
+        const res = await authFetch(`${API_BASE}/system/smart/selftest/history?limit=10`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load history');
 
-            const actionBtn = document.createElement('button');
-            actionBtn.className = 'btn-sm';
-            actionBtn.style.cssText = `flex: 1; padding: 8px; background: ${isRunning ? '#ef4444' : '#10b981'}; color: white; border: none; border-radius: 6px; cursor: pointer;`;
-            actionBtn.textContent = isRunning ? t('docker.stop', 'Detener') : t('docker.start', 'Iniciar');
-            actionBtn.addEventListener('click', () => handleDockerAction(container.id, isRunning ? 'stop' : 'start', actionBtn));
+        if (data.runs.length === 0) {
+            tbody.innerHTML = `<tr><td colspan="5" style="color: var(--text-dim);">${t('snapraid.noRuns', 'No runs recorded yet.')}</td></tr>`;
+        }
+        data.runs.forEach(run => {
+            const tr = document.createElement('tr');
+            const cells = [
+                new Date(run.startedAt).toLocaleString(),
+                typeLabels[run.job.replace('smart-', '')] || run.job,
+                triggerLabels[run.trigger] || run.trigger,
+                t(`snapraid.status.${run.status}`, run.status),
+                run.message || run.counts.device || ''
+            ];
+            cells.forEach((value, index) => {
+                const td = document.createElement('td');
+                td.textContent = value;
+                if (index === 3) td.style.color = statusColors[run.status] || 'inherit';
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        });
+    } catch (e) {
+        tbody.innerHTML = '';
+        const tr = document.createElement('tr');
+        const td = document.createElement('td');
+        td.colSpan = 5;
+        td.style.color = '#ef4444';
+        td.textContent = e.message;
+        tr.appendChild(td);
+        tbody.appendChild(tr);
+    }
+}
 
-            const restartBtn = document.createElement('button');
-            restartBtn.className = 'btn-sm';
-            restartBtn.style.cssText = 'flex: 1; padding: 8px; background: #f59e0b; color: white; border: none; border-radius: 6px; cursor: pointer;';
-            restartBtn.textContent = t('docker.restart', 'Reiniciar');
-            restartBtn.addEventListener('click', () => handleDockerAction(container.id, 'restart', restartBtn));
+function openSelfTestScheduleModal(schedule) {
+    const modal = document.createElement('div');
+    modal.className = 'modal active';
+    modal.innerHTML = `
+        <div class="glass-card modal-content" style="max-width: 500px;">
+            <header class="modal-header">
+                <h3>${t('smart.scheduleTitle', 'SMART Self-Tests')}</h3>
+                <button class="btn-close" onclick="this.closest('.modal').remove()">&times;</button>
+            </header>
+            <form id="selftest-schedule-form">
+                <p style="color: var(--text-dim); font-size: 0.85rem; margin-bottom: 15px;">
+                    ${t('smart.scheduleHint', 'When both are due at the same time, the long test replaces the short one. Disks are tested one after the other.')}
+                </p>
+                <label class="checkbox-group" style="margin-bottom: 10px;">
+                    <input type="checkbox" id="selftest-short-enabled">
+                    <span>${t('smart.startShort', 'Short test')}</span>
+                </label>
+                <div class="input-group">
+                    <input type="text" id="selftest-short-cron" required placeholder=" " autocomplete="off">
+                    <label>${t('smart.shortCron', 'Short test schedule (cron)')}</label>
+                </div>
+                <label class="checkbox-group" style="margin-bottom: 10px;">
+                    <input type="checkbox" id="selftest-long-enabled">
+                    <span>${t('smart.startLong', 'Long test')}</span>
+                </label>
+                <div class="input-group">
+                    <input type="text" id="selftest-long-cron" required placeholder=" " autocomplete="off">
+                    <label>${t('smart.longCron', 'Long test schedule (cron)')}</label>
+                </div>
+                <div class="modal-footer" style="display: flex; gap: 10px;">
+                    <button type="button" class="btn-primary" style="background: var(--text-dim);" onclick="this.closest('.modal').remove()">
+                        ${t('common.cancel', 'Cancelar')}
+                    </button>
+                    <button type="submit" class="btn-primary">${t('common.save', 'Guardar')}</button>
+                </div>
+            </form>
+        </div>
+    `;
+    document.body.appendChild(modal);
 
-            controls.appendChild(actionBtn);
-            controls.appendChild(restartBtn);
+    const field = (id) => document.getElementById(id);
+    ['short', 'long'].forEach(type => {
+        field(`selftest-${type}-enabled`).checked = schedule[type].enabled;
+        field(`selftest-${type}-cron`).value = schedule[type].cron;
+    });
 
-            if (hasUpdate) {
-                const updateBtn = document.createElement('button');
-                updateBtn.className = 'btn-sm';
-                updateBtn.style.cssText = 'width: 100%; margin-top: 8px; padding: 10px; background: linear-gradient(135deg, #10b981, #059669); color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600;';
-                updateBtn.innerHTML = '⬆️ ' + t('docker.updateContainer', 'Actualizar');
-                updateBtn.addEventListener('click', () => updateContainer(container.id, container.name, updateBtn));
-                controls.appendChild(updateBtn);
-            }
+    field('selftest-schedule-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const body = {};
+        ['short', 'long'].forEach(type => {
+            body[type] = {
+                enabled: field(`selftest-${type}-enabled`).checked,
+                cron: field(`selftest-${type}-cron`).value.trim()
+            };
+        });
+        try {
+            const res = await authFetch(`${API_BASE}/system/smart/selftest/schedule`, {
+                method: 'PUT',
+                body: JSON.stringify(body)
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to save schedule');
 
-            card.appendChild(controls);
+            modal.remove();
+            renderContent('storage');
+        } catch (err) {
+            alert(t('common.error', 'Error') + ': ' + err.message);
+        }
+    });
+}
 
-            // Action buttons row (logs, web, edit)
-            const actionsRow = document.createElement('div');
-            actionsRow.className = 'docker-actions-row';
+// SnapRAID array health card (Storage view, SnapRAID backend only)
+async function renderSnapraidReportCard() {
+    const card = document.createElement('div');
+    card.className = 'glass-card';
+    card.style.cssText = 'grid-column: 1 / -1; margin-top: 20px;';
+
+    const title = document.createElement('h3');
+    title.textContent = t('snapraid.healthTitle', 'SnapRAID Array Health');
+    card.appendChild(title);
+
+    const stats = document.createElement('div');
+    stats.className = 'storage-total-stats';
+    stats.style.cssText = 'margin-top: 15px; flex-wrap: wrap;';
+    card.appendChild(stats);
+
+    const sections = document.createElement('div');
+    card.appendChild(sections);
+    dashboardContent.appendChild(card);
+
+    const addStat = (label, value, color) => {
+        const stat = document.createElement('div');
+        stat.className = 'storage-total-stat';
+        const labelSpan = document.createElement('span');
+        labelSpan.className = 'label';
+        labelSpan.textContent = label;
+        const valueSpan = document.createElement('span');
+        valueSpan.className = 'value';
+        valueSpan.textContent = value;
+        if (color) valueSpan.style.color = color;
+        stat.appendChild(labelSpan);
+        stat.appendChild(valueSpan);
+        stats.appendChild(stat);
+    };
 
-            if (isRunning) {
-                // Logs button
-                const logsBtn = document.createElement('button');
-                logsBtn.className = 'docker-action-btn logs';
-                logsBtn.innerHTML = '📜 ' + t('docker.viewLogs', 'Logs');
-                logsBtn.addEventListener('click', () => openContainerLogs(container.id, container.name));
-                actionsRow.appendChild(logsBtn);
+    const addSection = (text) => {
+        const heading = document.createElement('h4');
+        heading.style.marginTop = '20px';
+        heading.textContent = text;
+        sections.appendChild(heading);
+        const body = document.createElement('div');
+        sections.appendChild(body);
+        return body;
+    };
 
-                // Open Web button (if has public ports)
-                const webPort = container.ports?.find(p => p.public);
-                if (webPort) {
-                    const webBtn = document.createElement('button');
-                    webBtn.className = 'docker-action-btn web';
-                    webBtn.innerHTML = '🌐 ' + t('docker.openWebUI', 'Web');
-                    webBtn.addEventListener('click', () => {
-                        window.open(`http://${window.location.hostname}:${webPort.public}`, '_blank');
-                    });
-                    actionsRow.appendChild(webBtn);
-                }
-            } else {
-                // Edit compose button (for stopped containers with compose)
-                if (container.compose) {
-                    const editBtn = document.createElement('button');
-                    editBtn.className = 'docker-action-btn edit';
-                    editBtn.innerHTML = '✏️ ' + t('docker.editCompose', 'Editar');
-                    editBtn.addEventListener('click', () => openEditComposeModal(container.compose.name));
-                    actionsRow.appendChild(editBtn);
-                }
-            }
+    const addTable = (parent, headers, rows) => {
+        const table = document.createElement('table');
+        table.className = 'disk-table';
+        const thead = document.createElement('thead');
+        const headRow = document.createElement('tr');
+        headers.forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            headRow.appendChild(th);
+        });
+        thead.appendChild(headRow);
+        const tbody = document.createElement('tbody');
+        rows.forEach(cells => {
+            const tr = document.createElement('tr');
+            cells.forEach(cell => {
+                const td = document.createElement('td');
+                td.textContent = cell === null || cell === undefined ? '-' : cell;
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        });
+        table.appendChild(thead);
+        table.appendChild(tbody);
+        parent.appendChild(table);
+    };
 
-            if (actionsRow.children.length > 0) {
-                card.appendChild(actionsRow);
-            }
+    const addError = (parent, message) => {
+        const div = document.createElement('div');
+        div.style.cssText = 'color: #ef4444; font-size: 0.85rem; margin-top: 8px;';
+        div.textContent = message;
+        parent.appendChild(div);
+    };
 
-            // Notes section
-            const notesDiv = document.createElement('div');
-            notesDiv.className = 'docker-notes';
-            notesDiv.innerHTML = `
-                <div class="docker-notes-header">
-                    <span>📝 ${t('docker.notes', 'Notas')}</span>
-                    <button class="btn-sm" style="padding: 4px 8px; font-size: 0.7rem;" onclick="saveContainerNotes('${container.id}', this.parentElement.nextElementSibling.value).then(ok => ok && alert('${t('common.success', 'Guardado')}'))">${t('docker.saveNote', 'Guardar')}</button>
-                </div>
-                <textarea class="docker-notes-input" placeholder="${t('docker.addNote', 'Añadir notas, contraseñas, etc...')}">${escapeHtml(container.notes || '')}</textarea>
-            `;
-            card.appendChild(notesDiv);
+    const loadReport = async (name) => {
+        const res = await authFetch(`${API_BASE}/storage/snapraid/${name}`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `Failed to load SnapRAID ${name}`);
+        return data.report;
+    };
 
-            containerGrid.appendChild(card);
+    // diff and smart read every disk of the array (spinning sleeping ones
+    // up), so they only run when asked for
+    const addOnDemandSection = (text, buttonLabel, name, render) => {
+        const body = addSection(text);
+        const button = document.createElement('button');
+        button.className = 'btn-primary btn-sm';
+        button.textContent = buttonLabel;
+        body.appendChild(button);
+        const errorBox = document.createElement('div');
+        body.appendChild(errorBox);
+
+        button.addEventListener('click', async () => {
+            button.disabled = true;
+            button.textContent = t('common.loading', 'Loading...');
+            errorBox.innerHTML = '';
+            try {
+                const report = await loadReport(name);
+                body.innerHTML = '';
+                render(body, report);
+            } catch (e) {
+                button.disabled = false;
+                button.textContent = buttonLabel;
+                addError(errorBox, e.message);
+            }
         });
+    };
 
-        dashboardContent.appendChild(containerGrid);
-    }
+    // Disks table and scrub age (status only reads the content file)
+    const disksBody = addSection(t('snapraid.disks', 'Disks'));
+    try {
+        const report = await loadReport('status');
 
-    // Compose Files Section
-    if (composeFiles.length > 0) {
-        const composeSectionTitle = document.createElement('h3');
-        composeSectionTitle.style.cssText = 'grid-column: 1 / -1; margin-top: 30px; margin-bottom: 10px;';
-        composeSectionTitle.textContent = t('docker.composeFiles');
-        dashboardContent.appendChild(composeSectionTitle);
+        addStat(t('snapraid.arrayErrors', 'Errors'), report.errors === null ? '-' : report.errors, report.errors > 0 ? '#ef4444' : '#10b981');
+        addStat(t('snapraid.notScrubbed', 'Not scrubbed'), report.notScrubbedPercent === null ? '-' : `${report.notScrubbedPercent}%`);
+        if (report.scrubAge) {
+            addStat(t('snapraid.oldestScrub', 'Oldest scrub'), t('snapraid.daysAgo', '{n} days ago').replace('{n}', report.scrubAge.oldestDays));
+        }
 
-        const composeGrid = document.createElement('div');
-        composeGrid.style.cssText = 'display: grid; grid-template-columns: repeat(auto-fill, minmax(280px, 1fr)); gap: 15px; grid-column: 1 / -1;';
+        const rows = report.disks.map(d => [d.name, d.files, d.fragmentedFiles, d.excessFragments, d.wastedGB, d.usedGB, d.freeGB, d.usePercent === null ? null : `${d.usePercent}%`]);
+        if (report.totals) {
+            const tt = report.totals;
+            rows.push([t('snapraid.total', 'Total'), tt.files, tt.fragmentedFiles, tt.excessFragments, tt.wastedGB, tt.usedGB, tt.freeGB, tt.usePercent === null ? null : `${tt.usePercent}%`]);
+        }
+        addTable(disksBody, [
+            t('snapraid.disk', 'Disk'), t('snapraid.files', 'Files'), t('snapraid.fragmentedFiles', 'Fragmented files'),
+            t('snapraid.excessFragments', 'Excess fragments'), t('snapraid.wastedGB', 'Wasted (GB)'),
+            t('snapraid.usedGB', 'Used (GB)'), t('snapraid.freeGB', 'Free (GB)'), t('snapraid.use', 'Use')
+        ], rows);
+
+        // Scrub age histogram
+        const histogram = report.scrubHistogram;
+        if (histogram) {
+            const chartBody = addSection(t('snapraid.scrubAgeChart', 'Scrub age'));
+            const chart = document.createElement('div');
+            chart.style.cssText = 'display: flex; align-items: flex-end; gap: 1px; height: 120px; margin-top: 10px; border-bottom: 1px solid var(--text-dim);';
+            histogram.columns.forEach(column => {
+                const bar = document.createElement('div');
+                const height = histogram.maxPercent > 0 ? (column.percent / histogram.maxPercent) * 100 : 0;
+                bar.style.cssText = `flex: 1; height: ${height}%; background: ${column.scrubbed ? '#10b981' : '#f59e0b'}; border-radius: 2px 2px 0 0;`;
+                bar.title = `${t('snapraid.daysAgo', '{n} days ago').replace('{n}', column.daysAgo)}: ${column.percent}%`;
+                chart.appendChild(bar);
+            });
+            chartBody.appendChild(chart);
+
+            const axis = document.createElement('div');
+            axis.style.cssText = 'display: flex; justify-content: space-between; font-size: 0.8rem; color: var(--text-dim); margin-top: 5px;';
+            axis.innerHTML = `
+                <span>${t('snapraid.daysAgo', '{n} days ago').replace('{n}', histogram.oldestDays)}</span>
+                <span><span style="color: #10b981;">■</span> ${t('snapraid.scrubbed', 'scrubbed')} &nbsp; <span style="color: #f59e0b;">■</span> ${t('snapraid.syncedOnly', 'synced, not scrubbed')}</span>
+                <span>${t('snapraid.daysAgo', '{n} days ago').replace('{n}', histogram.newestDays)}</span>
+            `;
+            chartBody.appendChild(axis);
+        }
+    } catch (e) {
+        addError(disksBody, e.message);
+    }
 
-        composeFiles.forEach(compose => {
-            const card = document.createElement('div');
-            card.className = 'glass-card';
-            card.style.padding = '15px';
+    // SMART and failure probability
+    addOnDemandSection(t('snapraid.smart', 'SMART'), t('snapraid.readSmart', 'Read SMART'), 'smart', (body, report) => {
+        if (report.arrayFailureProbability !== null) {
+            const fp = report.arrayFailureProbability;
+            addStat(t('snapraid.failureProbability', 'Failure risk (1 year)'), `${fp}%`, fp >= 50 ? '#ef4444' : fp >= 20 ? '#f59e0b' : '#10b981');
+        }
+        addTable(body, [
+            t('snapraid.disk', 'Disk'), t('snapraid.device', 'Device'), t('snapraid.serial', 'Serial'),
+            t('snapraid.temperature', 'Temp (°C)'), t('snapraid.powerOnDays', 'Power-on days'),
+            t('snapraid.errorCount', 'Errors'), t('snapraid.sizeTB', 'Size (TB)'), t('snapraid.fp', 'Failure risk')
+        ], report.devices.map(d => [
+            d.disk, d.device, d.serial, d.temperature, d.powerOnDays, d.errorCount, d.sizeTB,
+            d.ssd ? 'SSD' : (d.failureProbability === null ? null : `${d.failureProbability}%`)
+        ]));
+    });
 
-            const header = document.createElement('div');
-            header.style.cssText = 'display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px;';
+    // Pending changes
+    addOnDemandSection(t('snapraid.pendingChanges', 'Pending changes'), t('snapraid.checkChanges', 'Check for changes'), 'diff', (body, report) => {
+        const { pending, counts, changes, truncated } = report;
+        addStat(t('snapraid.pendingChanges', 'Pending changes'), pending, pending > 0 ? '#f59e0b' : '#10b981');
+        addTable(body,
+            ['added', 'removed', 'updated', 'moved', 'copied', 'restored'].map(key => t(`snapraid.change.${key}`, key)),
+            [['added', 'removed', 'updated', 'moved', 'copied', 'restored'].map(key => counts[key])]
+        );
+
+        if (changes.length > 0) {
+            const details = document.createElement('details');
+            details.style.marginTop = '10px';
+            const summary = document.createElement('summary');
+            summary.style.cursor = 'pointer';
+            summary.textContent = truncated
+                ? t('snapraid.showFirstChanges', 'Show first {n} changes').replace('{n}', changes.length)
+                : t('snapraid.showChanges', 'Show changes');
+            details.appendChild(summary);
+
+            const list = document.createElement('div');
+            list.style.cssText = 'font-family: monospace; font-size: 0.8rem; color: var(--text-dim); max-height: 250px; overflow-y: auto; margin-top: 8px;';
+            changes.forEach(change => {
+                const line = document.createElement('div');
+                line.textContent = `${t(`snapraid.change.${change.type}`, change.type)}: ${change.from ? `${change.from} → ` : ''}${change.path}`;
+                list.appendChild(line);
+            });
+            details.appendChild(list);
+            body.appendChild(details);
+        }
+    });
+}
 
-            const name = document.createElement('h4');
-            name.style.margin = '0';
-            name.textContent = compose.name;
+// SnapRAID file recovery card: preview with check, then fix (Storage view, SnapRAID backend only)
+async function renderSnapraidRecoveryCard() {
+    const card = document.createElement('div');
+    card.className = 'glass-card';
+    card.style.cssText = 'grid-column: 1 / -1; margin-top: 20px;';
+    card.innerHTML = `
+        <h3>${t('snapraid.recoveryTitle', 'Recover Files')}</h3>
+        <p style="color: var(--text-dim); font-size: 0.85rem; margin-top: 8px;">
+            ${t('snapraid.recoveryHint', 'Restore files from parity after a disk failure or an accidental deletion. Run a preview (check) first, then recover (fix).')}
+        </p>
+        <div style="display: flex; gap: 15px; flex-wrap: wrap; align-items: flex-end; margin-top: 15px;">
+            <div>
+                <label style="display: block; margin-bottom: 8px; color: var(--text-dim);">${t('snapraid.disk', 'Disk')}</label>
+                <select class="role-select" style="width: auto;"></select>
+            </div>
+            <div style="flex: 1; min-width: 200px;">
+                <label style="display: block; margin-bottom: 8px; color: var(--text-dim);">${t('snapraid.filter', 'Path or pattern (optional)')}</label>
+                <input type="text" class="recovery-filter" placeholder="photos/2023/ or *.jpg" autocomplete="off" style="width: 100%;">
+            </div>
+            <label class="checkbox-group">
+                <input type="checkbox" class="recovery-missing">
+                <span>${t('snapraid.missingOnly', 'Missing files only')}</span>
+            </label>
+        </div>
+        <div class="recovery-actions" style="display: flex; gap: 10px; margin-top: 15px;"></div>
+        <div class="recovery-progress" style="display: none; margin-top: 15px;">
+            <div class="mount-bar"><div class="mount-bar-fill low" style="width: 0%"></div></div>
+            <div class="recovery-status" style="margin-top: 8px; font-size: 0.85rem; color: var(--text-dim);"></div>
+            <pre class="recovery-log" style="max-height: 250px; overflow-y: auto; font-size: 0.8rem; margin-top: 10px; white-space: pre-wrap;"></pre>
+        </div>
+    `;
+    dashboardContent.appendChild(card);
+
+    const diskSelect = card.querySelector('select');
+    const filterInput = card.querySelector('.recovery-filter');
+    const missingInput = card.querySelector('.recovery-missing');
+    const actions = card.querySelector('.recovery-actions');
+    const progressPanel = card.querySelector('.recovery-progress');
+    const progressFill = card.querySelector('.mount-bar-fill');
+    const statusLine = card.querySelector('.recovery-status');
+    const logPre = card.querySelector('.recovery-log');
+
+    const allOption = document.createElement('option');
+    allOption.value = '';
+    allOption.textContent = t('snapraid.allDisks', 'All disks');
+    diskSelect.appendChild(allOption);
+    try {
+        const res = await authFetch(`${API_BASE}/storage/snapraid/disks`);
+        const data = await res.json();
+        (data.disks || []).forEach(disk => {
+            const option = document.createElement('option');
+            option.value = disk.name;
+            option.textContent = `${disk.name} (${disk.path})`;
+            diskSelect.appendChild(option);
+        });
+    } catch (e) {
+        console.error('SnapRAID disks load error:', e);
+    }
 
-            const modified = document.createElement('span');
-            modified.style.cssText = 'font-size: 0.75rem; color: var(--text-dim);';
-            modified.textContent = new Date(compose.modified).toLocaleDateString();
+    const getSelection = () => {
+        const selection = { missingOnly: missingInput.checked };
+        if (diskSelect.value) selection.disk = diskSelect.value;
+        if (filterInput.value.trim()) selection.filter = filterInput.value.trim();
+        return selection;
+    };
 
-            header.appendChild(name);
-            header.appendChild(modified);
+    // Fix is only offered for the selection that was last previewed
+    let checkedSelection = null;
+    let pendingCheckSelection = null;
 
-            const controls = document.createElement('div');
-            controls.style.cssText = 'display: flex; gap: 8px;';
+    const checkBtn = document.createElement('button');
+    checkBtn.className = 'btn-primary';
+    checkBtn.style.cssText = 'width: auto; padding: 8px 16px;';
+    checkBtn.textContent = t('snapraid.previewCheck', 'Preview (check)');
 
-            const runBtn = document.createElement('button');
-            runBtn.style.cssText = 'flex: 1; padding: 8px; background: #10b981; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 0.85rem;';
-            runBtn.textContent = t('docker.run');
-            runBtn.addEventListener('click', () => runCompose(compose.name, runBtn));
+    const fixBtn = document.createElement('button');
+    fixBtn.className = 'btn-primary';
+    fixBtn.style.cssText = 'width: auto; padding: 8px 16px; background: #ef4444;';
+    fixBtn.textContent = t('snapraid.recoverFix', 'Recover (fix)');
 
-            const stopBtn = document.createElement('button');
-            stopBtn.style.cssText = 'flex: 1; padding: 8px; background: #f59e0b; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 0.85rem;';
-            stopBtn.textContent = t('docker.stop');
-            stopBtn.addEventListener('click', () => stopCompose(compose.name, stopBtn));
+    const updateFixButton = () => {
+        fixBtn.disabled = checkedSelection !== JSON.stringify(getSelection());
+        fixBtn.title = fixBtn.disabled ? t('snapraid.previewFirst', 'Run a preview of this selection first') : '';
+    };
+    [diskSelect, filterInput, missingInput].forEach(el => el.addEventListener('input', updateFixButton));
+    [diskSelect, missingInput].forEach(el => el.addEventListener('change', updateFixButton));
+
+    if (hasRole('user')) actions.appendChild(checkBtn);
+    if (hasRole('admin')) actions.appendChild(fixBtn);
+    updateFixButton();
+
+    let lastSeq = 0;
+    let polling = false;
+    const pollRepair = async () => {
+        if (!document.body.contains(card)) {
+            polling = false;
+            return;
+        }
+        polling = true;
+        try {
+            const res = await authFetch(`${API_BASE}/storage/snapraid/repair/progress?after=${lastSeq}`);
+            const repair = await res.json();
+            if (!res.ok) throw new Error(repair.error || 'Failed to load progress');
+
+            if (repair.job) {
+                progressPanel.style.display = 'block';
+                const progress = Math.min(100, Math.max(0, repair.progress || 0));
+                progressFill.style.width = `${progress}%`;
+
+                const details = [`${repair.job === 'fix' ? t('snapraid.recoverFix', 'Recover (fix)') : t('snapraid.previewCheck', 'Preview (check)')}`, `${progress}%`, repair.status];
+                if (repair.etaSeconds) details.push(`${t('snapraid.eta', 'ETA')} ${Math.round(repair.etaSeconds / 60)} min`);
+                if (repair.counts) {
+                    details.push(`${t('snapraid.errorsFound', 'errors')}: ${repair.counts.errors}`);
+                    details.push(`${t('snapraid.recovered', 'recovered')}: ${repair.counts.recovered}`);
+                    details.push(`${t('snapraid.unrecoverable', 'unrecoverable')}: ${repair.counts.unrecoverable}`);
+                }
+                statusLine.textContent = details.join(' · ');
+                statusLine.style.color = repair.error ? '#ef4444' : 'var(--text-dim)';
 
-            const deleteBtn = document.createElement('button');
-            deleteBtn.style.cssText = 'padding: 8px 12px; background: #ef4444; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 0.85rem;';
-            deleteBtn.textContent = '🗑️';
-            deleteBtn.addEventListener('click', () => deleteCompose(compose.name));
+                repair.log.forEach(entry => {
+                    logPre.textContent += `${entry.text}\n`;
+                });
+                if (repair.log.length > 0) logPre.scrollTop = logPre.scrollHeight;
+                lastSeq = repair.lastSeq;
+            }
 
-            controls.appendChild(runBtn);
-            controls.appendChild(stopBtn);
-            controls.appendChild(deleteBtn);
+            checkBtn.disabled = repair.running;
+            if (repair.running) {
+                fixBtn.disabled = true;
+                setTimeout(pollRepair, 2000);
+                return;
+            }
 
-            card.appendChild(header);
-            card.appendChild(controls);
-            composeGrid.appendChild(card);
-        });
+            if (pendingCheckSelection && repair.job === 'check' && !repair.status.includes('failed to start')) {
+                checkedSelection = pendingCheckSelection;
+            }
+            pendingCheckSelection = null;
+            updateFixButton();
+        } catch (e) {
+            console.error('SnapRAID repair progress error:', e);
+        }
+        polling = false;
+    };
 
-        dashboardContent.appendChild(composeGrid);
-    }
-}
+    const startRepair = async (job) => {
+        const selection = getSelection();
+        if (job === 'fix' && !confirm(t('snapraid.confirmFix', 'Recover the selected files from parity? Damaged or missing files will be rewritten.'))) return;
 
-// Docker Update Functions
-async function checkDockerUpdates() {
-    const btn = event.target;
-    btn.disabled = true;
-    btn.innerHTML = '🔄 ' + t('docker.checkingUpdates');
+        try {
+            const res = await authFetch(`${API_BASE}/storage/snapraid/${job}`, {
+                method: 'POST',
+                body: JSON.stringify(selection)
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || `Failed to start ${job}`);
 
-    try {
-        const res = await authFetch(`${API_BASE}/docker/check-updates`, { method: 'POST' });
-        const data = await res.json();
+            if (job === 'check') pendingCheckSelection = JSON.stringify(selection);
+            logPre.textContent = '';
+            if (!polling) pollRepair();
+        } catch (e) {
+            alert(t('common.error', 'Error') + ': ' + e.message);
+        }
+    };
 
-        if (!res.ok) throw new Error(data.error || t('common.error'));
+    checkBtn.addEventListener('click', () => startRepair('check'));
+    fixBtn.addEventListener('click', () => startRepair('fix'));
 
-        alert(`${t('docker.updateCheckComplete')}\n\n${t('docker.imagesChecked')}: ${data.totalImages}\n${t('docker.updatesAvailable')}: ${data.updatesAvailable}`);
-        renderContent('docker');
-    } catch (e) {
-        console.error('Docker update check error:', e);
-        alert(t('common.error') + ': ' + e.message);
-        btn.disabled = false;
-        btn.innerHTML = '🔄 ' + t('docker.checkUpdates');
-    }
+    await pollRepair();
 }
 
-async function updateContainer(containerId, containerName, btn) {
-    if (!confirm(t('docker.updateConfirm').replace('{name}', containerName))) {
-        return;
-    }
+// Add data disk card (Storage view, admins, SnapRAID backend with a configured pool)
+async function renderAddPoolDiskCard() {
+    const card = document.createElement('div');
+    card.className = 'glass-card';
+    card.style.cssText = 'grid-column: 1 / -1; margin-top: 20px;';
+    card.innerHTML = `
+        <h3>${t('addDisk.title', 'Add Data Disk')}</h3>
+        <p style="color: var(--text-dim); font-size: 0.85rem; margin-top: 8px;">
+            ${t('addDisk.hint', 'Format an unused disk and add it to the pool as the next data disk. Existing disks are not touched.')}
+        </p>
+        <div style="display: flex; gap: 15px; flex-wrap: wrap; align-items: flex-end; margin-top: 15px;">
+            <div>
+                <label style="display: block; margin-bottom: 8px; color: var(--text-dim);">${t('addDisk.disk', 'Disk')}</label>
+                <select class="role-select" style="width: auto;"></select>
+            </div>
+            <button class="btn-primary" style="width: auto; padding: 8px 16px;">${t('addDisk.add', 'Add to pool')}</button>
+        </div>
+    `;
+    dashboardContent.appendChild(card);
 
-    btn.disabled = true;
-    btn.innerHTML = '⏳ ' + t('docker.updating');
+    const diskSelect = card.querySelector('select');
+    const addBtn = card.querySelector('button');
 
     try {
-        const res = await authFetch(`${API_BASE}/docker/update`, {
-            method: 'POST',
-            body: JSON.stringify({ containerId })
-        });
+        const res = await authFetch(`${API_BASE}/storage/disks/unused`);
         const data = await res.json();
-
-        if (!res.ok) throw new Error(data.error || t('common.error'));
-
-        alert(t('docker.updateSuccess').replace('{name}', containerName));
-        renderContent('docker');
+        (data.disks || []).forEach(disk => {
+            const option = document.createElement('option');
+            option.value = disk.id;
+            const sizeGB = Math.round(disk.size / 1024 / 1024 / 1024);
+            option.textContent = `/dev/${disk.id} • ${disk.model || 'Unknown'} • ${sizeGB}GB${disk.serial ? ` • ${disk.serial}` : ''}`;
+            diskSelect.appendChild(option);
+        });
     } catch (e) {
-        console.error('Container update error:', e);
-        alert(t('common.error') + ': ' + e.message);
-        btn.disabled = false;
-        btn.innerHTML = '⬆️ ' + t('docker.updateContainer');
+        console.error('Unused disks load error:', e);
+    }
+    if (diskSelect.options.length === 0) {
+        const option = document.createElement('option');
+        option.value = '';
+        option.textContent = t('replaceDisk.noCandidates', 'No unused disk found');
+        diskSelect.appendChild(option);
+        addBtn.disabled = true;
     }
-}
-
-// Compose Functions
-function openComposeModal() {
-    const modal = document.createElement('div');
-    modal.id = 'compose-modal';
-    modal.style.cssText = `
-        position: fixed; top: 0; left: 0; right: 0; bottom: 0;
-        background: rgba(0,0,0,0.8); display: flex; align-items: center;
-        justify-content: center; z-index: 1000;
-    `;
 
-    modal.innerHTML = `
-        <div style="background: var(--card-bg); padding: 30px; border-radius: 16px; width: 90%; max-width: 600px; max-height: 80vh; overflow-y: auto;">
-            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
-                <h3 style="margin: 0;">${t('docker.importCompose')}</h3>
-                <button id="close-compose-modal" style="background: none; border: none; color: white; font-size: 1.5rem; cursor: pointer;">&times;</button>
-            </div>
-            <div class="input-group" style="margin-bottom: 15px;">
-                <input type="text" id="compose-name" placeholder=" " required>
-                <label>${t('docker.stackName')}</label>
-            </div>
-            <div style="margin-bottom: 15px;">
-                <label style="display: block; margin-bottom: 8px; color: var(--text-dim);">${t('docker.composeContent')}:</label>
-                <div style="display: flex; gap: 10px; margin-bottom: 10px;">
-                    <label style="
-                        flex: 1; padding: 12px; background: rgba(99, 102, 241, 0.2);
-                        border: 2px dashed rgba(99, 102, 241, 0.5); border-radius: 8px;
-                        color: #6366f1; text-align: center; cursor: pointer;
-                        transition: all 0.2s ease;
-                    ">
-                        📁 ${t('docker.uploadYml')}
-                        <input type="file" id="compose-file-input" accept=".yml,.yaml" style="display: none;">
-                    </label>
-                </div>
-                <textarea id="compose-content" style="
-                    width: 100%; height: 300px; background: rgba(0,0,0,0.3);
-                    border: 1px solid rgba(255,255,255,0.1); border-radius: 8px;
-                    color: white; font-family: monospace; padding: 15px; resize: vertical;
-                " placeholder="version: '3'
-services:
-  myapp:
-    image: nginx:latest
-    ports:
-      - '8080:80'"></textarea>
-            </div>
-            <div style="display: flex; gap: 10px;">
-                <button id="save-compose-btn" class="btn-primary" style="flex: 1; padding: 12px;">${t('docker.saveCompose')}</button>
-                <button id="save-run-compose-btn" class="btn-primary" style="flex: 1; padding: 12px; background: #10b981;">${t('docker.saveAndRun')}</button>
-            </div>
-        </div>
-    `;
+    addBtn.addEventListener('click', async () => {
+        const disk = diskSelect.value;
 
-    document.body.appendChild(modal);
+        // Dry run first: review the plan and type back the serial of the disk to format
+        let confirmation;
+        try {
+            const planRes = await authFetch(`${API_BASE}/storage/pool/disks`, {
+                method: 'POST',
+                body: JSON.stringify({ disk, dryRun: true })
+            });
+            const planData = await planRes.json();
+            if (!planRes.ok) throw new Error(planData.error || 'Failed to plan disk addition');
+            confirmation = await openStoragePlanModal(planData.plan, planData.confirmToken);
+        } catch (e) {
+            alert(t('common.error', 'Error') + ': ' + e.message);
+            return;
+        }
+        if (!confirmation) return;
 
-    document.getElementById('close-compose-modal').addEventListener('click', () => modal.remove());
-    modal.addEventListener('click', (e) => { if (e.target === modal) modal.remove(); });
+        addBtn.disabled = true;
+        addBtn.textContent = t('addDisk.adding', 'Adding...');
+        try {
+            const res = await authFetch(`${API_BASE}/storage/pool/disks`, {
+                method: 'POST',
+                body: JSON.stringify({ disk, ...confirmation })
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to add disk');
 
-    // File upload handler
-    document.getElementById("compose-file-input").addEventListener("change", (e) => {
-        const file = e.target.files[0];
-        if (file) {
-            const reader = new FileReader();
-            reader.onload = (event) => {
-                document.getElementById("compose-content").value = event.target.result;
-                // Auto-fill stack name from filename if empty
-                const nameInput = document.getElementById("compose-name");
-                if (!nameInput.value.trim()) {
-                    nameInput.value = file.name.replace(/.(yml|yaml)$/i, "").replace(/docker-compose[-_]?/i, "") || "stack";
-                }
-            };
-            reader.readAsText(file);
+            const summary = t('addDisk.added', 'Disk added as {name} at {mountPoint}').replace('{name}', data.name).replace('{mountPoint}', data.mountPoint);
+            alert([summary, '', ...(data.results || [])].join('\n'));
+            renderContent('storage');
+        } catch (e) {
+            alert(t('common.error', 'Error') + ': ' + e.message);
+            addBtn.disabled = false;
+            addBtn.textContent = t('addDisk.add', 'Add to pool');
         }
     });
-
-
-    document.getElementById('save-compose-btn').addEventListener('click', () => saveCompose(false));
-    document.getElementById('save-run-compose-btn').addEventListener('click', () => saveCompose(true));
 }
 
-async function saveCompose(andRun) {
-    const name = document.getElementById("compose-name").value.trim();
-    const content = document.getElementById("compose-content").value;
-
-    if (!name) {
-        alert(t('docker.enterStackName'));
-        return;
-    }
-    if (!content) {
-        alert(t('docker.enterComposeContent'));
-        return;
-    }
-
-    // Replace modal content with progress view
-    const modal = document.getElementById("compose-modal");
-    const modalContent = modal.querySelector("div");
-    modalContent.innerHTML = `
-        <h3 style="margin: 0 0 20px 0;">${t('docker.deployingStack')}: ${escapeHtml(name)}</h3>
-        <div id="deploy-steps">
-            <div class="deploy-step" id="step-save">
-                <span class="step-icon">⏳</span>
-                <span class="step-text">${t('docker.savingCompose')}</span>
-            </div>
-            ${andRun ? `<div class="deploy-step" id="step-pull">
-                <span class="step-icon">⏳</span>
-                <span class="step-text">${t('docker.pullingImages')}</span>
+// Replace failed disk wizard (Storage view, admins, both backends)
+async function renderReplaceDiskCard(backend) {
+    const card = document.createElement('div');
+    card.className = 'glass-card';
+    card.style.cssText = 'grid-column: 1 / -1; margin-top: 20px;';
+    card.innerHTML = `
+        <h3>${t('replaceDisk.title', 'Replace Failed Disk')}</h3>
+        <p style="color: var(--text-dim); font-size: 0.85rem; margin-top: 8px;">
+            ${backend === 'nonraid'
+                ? t('replaceDisk.hintNonraid', 'Assign a new disk to the failed slot. The array is stopped briefly, then the disk is rebuilt from parity while the array stays online.')
+                : t('replaceDisk.hintSnapraid', 'The new disk is formatted and mounted in place of the failed one, then its files are restored from parity (snapraid fix).')}
+        </p>
+        <div class="replace-form" style="display: flex; gap: 15px; flex-wrap: wrap; align-items: flex-end; margin-top: 15px;">
+            <div>
+                <label style="display: block; margin-bottom: 8px; color: var(--text-dim);">${t('replaceDisk.failedDisk', 'Failed disk')}</label>
+                <select class="role-select replace-target" style="width: auto;"></select>
             </div>
-            <div class="deploy-step" id="step-start">
-                <span class="step-icon">⏳</span>
-                <span class="step-text">${t('docker.startingContainers')}</span>
-            </div>` : ""}
-        </div>
-        <div style="margin: 20px 0;">
-            <div style="background: rgba(255,255,255,0.1); border-radius: 8px; height: 8px; overflow: hidden;">
-                <div id="deploy-progress" style="height: 100%; background: linear-gradient(90deg, #6366f1, #10b981); width: 0%; transition: width 0.3s ease;"></div>
+            <div>
+                <label style="display: block; margin-bottom: 8px; color: var(--text-dim);">${t('replaceDisk.newDisk', 'New disk')}</label>
+                <select class="role-select replace-new" style="width: auto;"></select>
             </div>
-            <div id="deploy-status" style="margin-top: 10px; font-size: 0.9rem; color: var(--text-dim); text-align: center;">${t('docker.initializing')}</div>
+            <button class="btn-primary replace-start" style="width: auto; padding: 8px 16px; background: #ef4444;">${t('replaceDisk.start', 'Replace disk')}</button>
         </div>
-        <div id="deploy-log" style="display: none; margin: 15px 0; padding: 15px; background: rgba(0,0,0,0.3); border-radius: 8px; font-family: monospace; font-size: 0.8rem; max-height: 200px; overflow-y: auto; white-space: pre-wrap;"></div>
-        <div id="deploy-actions" style="display: none; text-align: center;">
-            <button id="deploy-close-btn" class="btn-primary" style="padding: 12px 30px;">${t('common.accept')}</button>
+        <div class="replace-progress" style="display: none; margin-top: 15px;">
+            <ol class="replace-steps" style="margin: 0 0 10px 20px; line-height: 1.8; font-size: 0.9rem;"></ol>
+            <div class="mount-bar"><div class="mount-bar-fill low" style="width: 0%"></div></div>
+            <div class="replace-status" style="margin-top: 8px; font-size: 0.85rem; color: var(--text-dim);"></div>
         </div>
     `;
-
-    const updateStep = (stepId, status) => {
-        const step = document.getElementById(stepId);
-        if (!step) return;
-        step.className = "deploy-step";
-        if (status) step.classList.add(status);
+    dashboardContent.appendChild(card);
+
+    const targetSelect = card.querySelector('.replace-target');
+    const newSelect = card.querySelector('.replace-new');
+    const startBtn = card.querySelector('.replace-start');
+    const progressPanel = card.querySelector('.replace-progress');
+    const stepsList = card.querySelector('.replace-steps');
+    const progressFill = card.querySelector('.mount-bar-fill');
+    const statusLine = card.querySelector('.replace-status');
+
+    const addOption = (select, value, label) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
     };
 
-    const updateProgress = (percent, text) => {
-        const bar = document.getElementById("deploy-progress");
-        const status = document.getElementById("deploy-status");
-        if (bar) bar.style.width = percent + "%";
-        if (status) status.textContent = text;
-    };
+    try {
+        const [targetsRes, candidatesRes] = await Promise.all([
+            authFetch(backend === 'nonraid' ? `${API_BASE}/storage/array/status` : `${API_BASE}/storage/snapraid/disks`),
+            authFetch(`${API_BASE}/storage/disks/unused`)
+        ]);
+        const targets = await targetsRes.json();
+        const candidates = await candidatesRes.json();
 
-    const showResult = (success, message, log = "") => {
-        const actions = document.getElementById("deploy-actions");
-        const logDiv = document.getElementById("deploy-log");
-        const btn = document.getElementById("deploy-close-btn");
-        
-        if (actions) actions.style.display = "block";
-        if (!success && log && logDiv) {
-            logDiv.style.display = "block";
-            logDiv.textContent = log;
-            logDiv.style.color = "#ef4444";
+        if (backend === 'nonraid') {
+            (targets.disks || []).forEach(disk => addOption(targetSelect, disk.slot, `${t('replaceDisk.slot', 'Slot')} ${disk.slot} (${disk.mountPoint})`));
+        } else {
+            (targets.disks || []).forEach(disk => addOption(targetSelect, disk.name, `${disk.name} (${disk.path})`));
         }
-        if (btn) {
-            btn.textContent = success ? t('common.accept') : t('common.close');
-            btn.style.background = success ? "#10b981" : "#ef4444";
-            btn.onclick = () => {
-                modal.remove();
-                if (success) renderContent("docker");
-            };
+        (candidates.disks || []).forEach(disk => {
+            const sizeGB = Math.round(disk.size / 1024 / 1024 / 1024);
+            addOption(newSelect, disk.id, `/dev/${disk.id} • ${disk.model || 'Unknown'} • ${sizeGB}GB${disk.serial ? ` • ${disk.serial}` : ''}`);
+        });
+    } catch (e) {
+        console.error('Replace disk options load error:', e);
+    }
+
+    if (newSelect.options.length === 0) {
+        addOption(newSelect, '', t('replaceDisk.noCandidates', 'No unused disk found'));
+    }
+    const updateStartButton = () => {
+        startBtn.disabled = !targetSelect.value || !newSelect.value;
+    };
+    updateStartButton();
+
+    const renderSteps = (status) => {
+        stepsList.innerHTML = '';
+        const currentIndex = status.step === 'complete' ? status.steps.length : status.steps.indexOf(status.step);
+        status.steps.forEach((step, index) => {
+            const li = document.createElement('li');
+            let marker = '⏳';
+            if (index < currentIndex) marker = '✅';
+            else if (index === currentIndex) marker = status.error ? '❌' : '🔄';
+            li.textContent = `${marker} ${t(`replaceDisk.steps.${step}`, step)}`;
+            li.style.color = index > currentIndex ? 'var(--text-dim)' : '';
+            stepsList.appendChild(li);
+        });
+    };
+
+    const pollReplace = async () => {
+        if (!document.body.contains(card)) return;
+        try {
+            const res = await authFetch(`${API_BASE}/storage/replace/progress`);
+            const status = await res.json();
+            if (!res.ok) throw new Error(status.error || 'Failed to load progress');
+            if (!status.backend) return;
+
+            progressPanel.style.display = 'block';
+            renderSteps(status);
+            const progress = Math.min(100, Math.max(0, status.progress || 0));
+            progressFill.style.width = `${progress}%`;
+
+            const target = status.backend === 'nonraid' ? `${t('replaceDisk.slot', 'Slot')} ${status.target}` : status.target;
+            if (status.error) {
+                statusLine.textContent = `${t('replaceDisk.failed', 'Replacement failed')}: ${status.error}`;
+                statusLine.style.color = '#ef4444';
+            } else if (status.step === 'complete') {
+                statusLine.textContent = t('replaceDisk.complete', '{target} replaced with /dev/{disk}')
+                    .replace('{target}', target).replace('{disk}', status.newDisk);
+                statusLine.style.color = '#10b981';
+            } else {
+                statusLine.textContent = `${target} → /dev/${status.newDisk} · ${t(`replaceDisk.steps.${status.step}`, status.step)} · ${progress}%`;
+                statusLine.style.color = 'var(--text-dim)';
+            }
+
+            startBtn.disabled = status.active;
+            if (status.active) {
+                setTimeout(pollReplace, 2000);
+            } else {
+                updateStartButton();
+            }
+        } catch (e) {
+            console.error('Replace disk progress error:', e);
         }
-        updateProgress(100, message);
     };
 
+    startBtn.addEventListener('click', async () => {
+        const request = {
+            target: backend === 'nonraid' ? Number(targetSelect.value) : targetSelect.value,
+            newDisk: newSelect.value
+        };
+
+        try {
+            // Dry run first: review the plan and type back the serial of the new disk
+            const planRes = await authFetch(`${API_BASE}/storage/replace`, {
+                method: 'POST',
+                body: JSON.stringify({ ...request, dryRun: true })
+            });
+            const planData = await planRes.json();
+            if (!planRes.ok) throw new Error(planData.error || 'Failed to plan replacement');
+            const confirmation = await openStoragePlanModal(planData.plan, planData.confirmToken);
+            if (!confirmation) return;
+
+            const res = await authFetch(`${API_BASE}/storage/replace`, {
+                method: 'POST',
+                body: JSON.stringify({ ...request, ...confirmation })
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to start replacement');
+            startBtn.disabled = true;
+            pollReplace();
+        } catch (e) {
+            alert(t('common.error', 'Error') + ': ' + e.message);
+        }
+    });
+
+    await pollReplace();
+}
+
+// SnapRAID schedule and run history card (Storage view, SnapRAID backend only)
+async function renderSnapraidScheduleCard() {
+    const card = document.createElement('div');
+    card.className = 'glass-card';
+    card.style.cssText = 'grid-column: 1 / -1; margin-top: 20px;';
+
+    const header = document.createElement('div');
+    header.style.cssText = 'display: flex; justify-content: space-between; align-items: center;';
+
+    const title = document.createElement('h3');
+    title.textContent = t('snapraid.scheduleTitle', 'SnapRAID Schedule');
+    const actions = document.createElement('div');
+    actions.style.cssText = 'display: flex; gap: 10px;';
+    header.appendChild(title);
+    header.appendChild(actions);
+    card.appendChild(header);
+
+    const summary = document.createElement('div');
+    summary.style.cssText = 'margin-top: 10px; color: var(--text-dim); font-size: 0.9rem; line-height: 1.8;';
+    card.appendChild(summary);
+
+    // Latest sync refused by the deleted-files guard
+    const refusedPanel = document.createElement('div');
+    refusedPanel.style.cssText = 'display: none; margin-top: 15px; padding: 10px; border-radius: 8px; background: rgba(245, 158, 11, 0.1); color: #f59e0b; font-size: 0.9rem;';
+    card.appendChild(refusedPanel);
+
+    const scrubPanel = document.createElement('div');
+    scrubPanel.style.cssText = 'display: none; margin-top: 15px;';
+    card.appendChild(scrubPanel);
+
+    const historyHeader = document.createElement('div');
+    historyHeader.style.cssText = 'display: flex; justify-content: space-between; align-items: center; margin-top: 20px;';
+
+    const historyTitle = document.createElement('h4');
+    historyTitle.textContent = t('snapraid.history', 'Run history');
+
+    const limitSelect = document.createElement('select');
+    limitSelect.className = 'role-select';
+    limitSelect.style.width = 'auto';
+    [10, 25, 50, 100].forEach(n => {
+        const option = document.createElement('option');
+        option.value = n;
+        option.textContent = t('snapraid.lastRuns', 'Last {n} runs').replace('{n}', n);
+        limitSelect.appendChild(option);
+    });
+
+    historyHeader.appendChild(historyTitle);
+    historyHeader.appendChild(limitSelect);
+    card.appendChild(historyHeader);
+
+    const table = document.createElement('table');
+    table.className = 'disk-table';
+    table.innerHTML = `
+        <thead>
+            <tr>
+                <th>${t('snapraid.started', 'Started')}</th>
+                <th>${t('snapraid.job', 'Job')}</th>
+                <th>${t('snapraid.trigger', 'Trigger')}</th>
+                <th>${t('snapraid.result', 'Result')}</th>
+                <th>${t('snapraid.duration', 'Duration')}</th>
+                <th>${t('snapraid.exitCode', 'Exit code')}</th>
+                <th>${t('snapraid.counts', 'Counts')}</th>
+            </tr>
+        </thead>
+    `;
+    const tbody = document.createElement('tbody');
+    table.appendChild(tbody);
+    card.appendChild(table);
+
+    dashboardContent.appendChild(card);
+
+    const formatNextRun = (job, next) => {
+        if (!job.enabled) return t('snapraid.disabled', 'disabled');
+        const nextText = next ? new Date(next).toLocaleString() : '-';
+        return `<code>${escapeHtml(job.cron)}</code> · ${t('snapraid.nextRun', 'next run')}: ${escapeHtml(nextText)}`;
+    };
+
+    let schedule = null;
     try {
-        // Step 1: Save compose file
-        updateStep("step-save", "active");
-        updateProgress(10, "Saving compose file...");
+        const res = await authFetch(`${API_BASE}/storage/snapraid/schedule`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load schedule');
+
+        schedule = data.schedule;
+        const nextRuns = data.nextRuns;
+        const guardText = schedule.diffThreshold.enabled
+            ? t('snapraid.guardOn', 'refuse sync when more than {n} files were deleted').replace('{n}', schedule.diffThreshold.maxDeleted)
+            : t('snapraid.disabled', 'disabled');
+        summary.innerHTML = `
+            <div><strong>${t('snapraid.sync', 'Sync')}:</strong> ${formatNextRun(schedule.sync, nextRuns.sync)}</div>
+            <div><strong>${t('snapraid.scrub', 'Scrub')}:</strong> ${formatNextRun(schedule.scrub, nextRuns.scrub)}
+                (${schedule.scrub.percent}%, ${t('snapraid.olderThan', 'older than {n} days').replace('{n}', schedule.scrub.olderThanDays)})</div>
+            <div><strong>${t('snapraid.diffGuard', 'Deleted files guard')}:</strong> ${escapeHtml(guardText)}</div>
+        `;
 
-        const res = await authFetch(`${API_BASE}/docker/compose/import`, {
-            method: "POST",
-            body: JSON.stringify({ name, content })
+        if (hasRole('admin')) {
+            const editBtn = document.createElement('button');
+            editBtn.className = 'btn-primary';
+            editBtn.style.cssText = 'width: auto; padding: 8px 16px;';
+            editBtn.textContent = t('snapraid.editSchedule', 'Edit schedule');
+            editBtn.addEventListener('click', () => openSnapraidScheduleModal(schedule));
+            actions.appendChild(editBtn);
+        }
+    } catch (e) {
+        summary.style.color = '#ef4444';
+        summary.textContent = e.message;
+    }
+
+    const formatDuration = (ms) => {
+        if (ms === null) return '-';
+        const seconds = Math.round(ms / 1000);
+        if (seconds < 60) return `${seconds}s`;
+        const minutes = Math.floor(seconds / 60);
+        if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+        return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+    };
+
+    const statusColors = { success: '#10b981', failed: '#ef4444', skipped: '#f59e0b', cancelled: '#f59e0b', running: 'var(--primary)' };
+
+    const loadHistory = async () => {
+        tbody.innerHTML = '';
+        try {
+            const res = await authFetch(`${API_BASE}/storage/snapraid/history?limit=${limitSelect.value}`);
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to load history');
+
+            renderRefusedPanel(data.runs.find(run => run.job === 'sync'));
+
+            if (data.runs.length === 0) {
+                const tr = document.createElement('tr');
+                const td = document.createElement('td');
+                td.colSpan = 7;
+                td.style.color = 'var(--text-dim)';
+                td.textContent = t('snapraid.noRuns', 'No runs recorded yet.');
+                tr.appendChild(td);
+                tbody.appendChild(tr);
+            }
+
+            data.runs.forEach(run => {
+                const tr = document.createElement('tr');
+                if (run.message) tr.title = run.message;
+
+                const startedTd = document.createElement('td');
+                startedTd.textContent = new Date(run.startedAt).toLocaleString();
+
+                const jobTd = document.createElement('td');
+                jobTd.textContent = t(`snapraid.jobs.${run.job}`, run.job);
+
+                const triggerTd = document.createElement('td');
+                triggerTd.style.color = 'var(--text-dim)';
+                triggerTd.textContent = run.trigger === 'schedule' ? t('snapraid.scheduled', 'Scheduled')
+                    : run.trigger === 'replace' ? t('snapraid.replaceTrigger', 'Disk replacement')
+                    : t('snapraid.manual', 'Manual');
+
+                const statusTd = document.createElement('td');
+                statusTd.style.color = statusColors[run.status] || 'inherit';
+                statusTd.textContent = t(`snapraid.status.${run.status}`, run.status);
+
+                const durationTd = document.createElement('td');
+                durationTd.textContent = formatDuration(run.duration);
+
+                const exitTd = document.createElement('td');
+                exitTd.textContent = run.exitCode === null ? '-' : run.exitCode;
+
+                const countsTd = document.createElement('td');
+                countsTd.style.cssText = 'font-size: 0.8rem; color: var(--text-dim);';
+                countsTd.textContent = Object.entries(run.counts)
+                    .filter(([key, value]) => key !== 'equal' && value > 0)
+                    .map(([key, value]) => `${key}: ${value}`)
+                    .join(', ') || '-';
+
+                [startedTd, jobTd, triggerTd, statusTd, durationTd, exitTd, countsTd].forEach(td => tr.appendChild(td));
+                tbody.appendChild(tr);
+            });
+        } catch (e) {
+            const tr = document.createElement('tr');
+            const td = document.createElement('td');
+            td.colSpan = 7;
+            td.style.color = '#ef4444';
+            td.textContent = e.message;
+            tr.appendChild(td);
+            tbody.appendChild(tr);
+        }
+    };
+
+    const renderRefusedPanel = (lastSync) => {
+        refusedPanel.innerHTML = '';
+        if (!lastSync || lastSync.status !== 'skipped' || !lastSync.message || !lastSync.message.startsWith('Sync refused')) {
+            refusedPanel.style.display = 'none';
+            return;
+        }
+        refusedPanel.style.display = 'flex';
+        refusedPanel.style.justifyContent = 'space-between';
+        refusedPanel.style.alignItems = 'center';
+        refusedPanel.style.gap = '10px';
+
+        const text = document.createElement('span');
+        text.textContent = `${new Date(lastSync.startedAt).toLocaleString()} · ${lastSync.message}`;
+        refusedPanel.appendChild(text);
+
+        // Admins may sync anyway once the deletions are confirmed as intended
+        if (hasRole('admin')) {
+            const forceBtn = document.createElement('button');
+            forceBtn.className = 'btn-sm';
+            forceBtn.style.cssText = 'color: #ef4444; white-space: nowrap;';
+            forceBtn.textContent = t('snapraid.forceSync', 'Force sync');
+            forceBtn.addEventListener('click', async () => {
+                if (!confirm(t('snapraid.confirmForceSync', 'Sync anyway? Parity will no longer cover the deleted files, so they cannot be recovered afterwards.'))) return;
+                forceBtn.disabled = true;
+                try {
+                    const res = await authFetch(`${API_BASE}/storage/snapraid/sync`, {
+                        method: 'POST',
+                        body: JSON.stringify({ force: true })
+                    });
+                    const data = await res.json();
+                    if (!res.ok) throw new Error(data.error || 'Failed to start sync');
+                    refusedPanel.style.display = 'none';
+                    alert(t('snapraid.forceSyncStarted', 'Sync started. Its result appears in the run history.'));
+                } catch (e) {
+                    forceBtn.disabled = false;
+                    alert(t('common.error', 'Error') + ': ' + e.message);
+                }
+            });
+            refusedPanel.appendChild(forceBtn);
+        }
+    };
+
+    const renderScrubPanel = (scrub) => {
+        scrubPanel.innerHTML = '';
+        scrubPanel.style.display = 'block';
+
+        const progress = Math.min(100, Math.max(0, scrub.progress || 0));
+        const bar = document.createElement('div');
+        bar.className = 'mount-bar';
+        bar.innerHTML = `<div class="mount-bar-fill low" style="width: ${progress}%"></div>`;
+
+        const details = [`${progress}%`, scrub.status];
+        if (scrub.processedMB) details.push(`${scrub.processedMB} MB`);
+        if (scrub.speedMBs !== null && scrub.speedMBs !== undefined) details.push(`${scrub.speedMBs} MB/s`);
+        if (scrub.blocks) details.push(`${scrub.blocks} ${t('snapraid.blocks', 'blocks')}`);
+        if (scrub.etaSeconds) details.push(`${t('snapraid.eta', 'ETA')} ${formatDuration(scrub.etaSeconds * 1000)}`);
+        details.push(`${t('snapraid.errorsFound', 'errors')}: ${scrub.errorsFound || 0}`);
+
+        const text = document.createElement('div');
+        text.style.cssText = 'display: flex; justify-content: space-between; align-items: center; margin-top: 8px; font-size: 0.85rem; color: var(--text-dim);';
+        const detailsSpan = document.createElement('span');
+        detailsSpan.textContent = `${t('snapraid.scrub', 'Scrub')}: ${details.join(' · ')}`;
+        text.appendChild(detailsSpan);
+
+        if (scrub.running && hasRole('user') && !scrub.cancelRequested) {
+            const cancelBtn = document.createElement('button');
+            cancelBtn.className = 'btn-sm';
+            cancelBtn.style.color = '#ef4444';
+            cancelBtn.textContent = t('common.cancel', 'Cancelar');
+            cancelBtn.addEventListener('click', async () => {
+                if (!confirm(t('snapraid.confirmCancelScrub', 'Stop the scrub? Blocks already checked are kept.'))) return;
+                try {
+                    const res = await authFetch(`${API_BASE}/storage/snapraid/scrub/cancel`, { method: 'POST' });
+                    const data = await res.json();
+                    if (!res.ok) throw new Error(data.error || 'Failed to cancel scrub');
+                    pollScrub();
+                } catch (e) {
+                    alert(t('common.error', 'Error') + ': ' + e.message);
+                }
+            });
+            text.appendChild(cancelBtn);
+        }
+
+        scrubPanel.appendChild(bar);
+        scrubPanel.appendChild(text);
+        if (scrub.error) {
+            const errorDiv = document.createElement('div');
+            errorDiv.style.cssText = 'color: #ef4444; font-size: 0.85rem; margin-top: 5px;';
+            errorDiv.textContent = scrub.error;
+            scrubPanel.appendChild(errorDiv);
+        }
+    };
+
+    // Poll while a scrub runs and the card is on screen
+    let scrubWasRunning = false;
+    const pollScrub = async () => {
+        if (!document.body.contains(card)) return;
+        try {
+            const res = await authFetch(`${API_BASE}/storage/snapraid/scrub/progress`);
+            const scrub = await res.json();
+            if (!res.ok) throw new Error(scrub.error || 'Failed to load scrub progress');
+
+            if (scrub.running || scrubWasRunning) renderScrubPanel(scrub);
+            if (scrub.running) {
+                scrubWasRunning = true;
+                setTimeout(pollScrub, 2000);
+            } else if (scrubWasRunning) {
+                scrubWasRunning = false;
+                loadHistory();
+            }
+        } catch (e) {
+            console.error('Scrub progress error:', e);
+        }
+    };
+
+    if (hasRole('user')) {
+        const scrubBtn = document.createElement('button');
+        scrubBtn.className = 'btn-primary';
+        scrubBtn.style.cssText = 'width: auto; padding: 8px 16px;';
+        scrubBtn.textContent = t('snapraid.scrubNow', 'Scrub now');
+        scrubBtn.addEventListener('click', () => openSnapraidScrubModal(schedule, pollScrub));
+        actions.insertBefore(scrubBtn, actions.firstChild);
+    }
+
+    limitSelect.addEventListener('change', loadHistory);
+    await loadHistory();
+    await pollScrub();
+}
+
+function openSnapraidScrubModal(schedule, onStarted) {
+    const modal = document.createElement('div');
+    modal.className = 'modal active';
+    modal.innerHTML = `
+        <div class="glass-card modal-content" style="max-width: 450px;">
+            <header class="modal-header">
+                <h3>${t('snapraid.scrubNow', 'Scrub now')}</h3>
+                <button class="btn-close" onclick="this.closest('.modal').remove()">&times;</button>
+            </header>
+            <form id="snapraid-scrub-form">
+                <div class="input-group">
+                    <input type="number" id="snapraid-scrub-now-percent" min="1" max="100" required placeholder=" ">
+                    <label>${t('snapraid.scrubPercent', 'Scrub percentage of the array')}</label>
+                </div>
+                <div class="input-group">
+                    <input type="number" id="snapraid-scrub-now-age" min="0" max="3650" placeholder=" ">
+                    <label>${t('snapraid.scrubAgeOptional', 'Only blocks not scrubbed for (days, optional)')}</label>
+                </div>
+                <div class="modal-footer" style="display: flex; gap: 10px;">
+                    <button type="button" class="btn-primary" style="background: var(--text-dim);" onclick="this.closest('.modal').remove()">
+                        ${t('common.cancel', 'Cancelar')}
+                    </button>
+                    <button type="submit" class="btn-primary">${t('snapraid.startScrub', 'Start scrub')}</button>
+                </div>
+            </form>
+        </div>
+    `;
+    document.body.appendChild(modal);
+
+    const percentInput = document.getElementById('snapraid-scrub-now-percent');
+    const ageInput = document.getElementById('snapraid-scrub-now-age');
+    percentInput.value = schedule ? schedule.scrub.percent : 10;
+    ageInput.value = schedule ? schedule.scrub.olderThanDays : '';
+
+    document.getElementById('snapraid-scrub-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const body = { percent: parseInt(percentInput.value, 10) };
+        if (ageInput.value.trim() !== '') body.olderThanDays = parseInt(ageInput.value, 10);
+
+        try {
+            const res = await authFetch(`${API_BASE}/storage/snapraid/scrub`, {
+                method: 'POST',
+                body: JSON.stringify(body)
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to start scrub');
+
+            modal.remove();
+            onStarted();
+        } catch (err) {
+            alert(t('common.error', 'Error') + ': ' + err.message);
+        }
+    });
+}
+
+function openSnapraidScheduleModal(schedule) {
+    const modal = document.createElement('div');
+    modal.className = 'modal active';
+    modal.innerHTML = `
+        <div class="glass-card modal-content" style="max-width: 500px;">
+            <header class="modal-header">
+                <h3>${t('snapraid.editSchedule', 'Edit schedule')}</h3>
+                <button class="btn-close" onclick="this.closest('.modal').remove()">&times;</button>
+            </header>
+            <form id="snapraid-schedule-form">
+                <p style="color: var(--text-dim); font-size: 0.85rem; margin-bottom: 15px;">
+                    ${t('snapraid.cronHint', 'Schedules use cron syntax: minute hour day month weekday (e.g. "0 3 * * *" = every day at 03:00).')}
+                </p>
+                <label class="checkbox-group" style="margin-bottom: 10px;">
+                    <input type="checkbox" id="snapraid-sync-enabled">
+                    <span>${t('snapraid.syncEnabled', 'Scheduled sync')}</span>
+                </label>
+                <div class="input-group">
+                    <input type="text" id="snapraid-sync-cron" required placeholder=" " autocomplete="off">
+                    <label>${t('snapraid.syncCron', 'Sync schedule (cron)')}</label>
+                </div>
+                <label class="checkbox-group" style="margin-bottom: 10px;">
+                    <input type="checkbox" id="snapraid-scrub-enabled">
+                    <span>${t('snapraid.scrubEnabled', 'Scheduled scrub')}</span>
+                </label>
+                <div class="input-group">
+                    <input type="text" id="snapraid-scrub-cron" required placeholder=" " autocomplete="off">
+                    <label>${t('snapraid.scrubCron', 'Scrub schedule (cron)')}</label>
+                </div>
+                <div class="input-group">
+                    <input type="number" id="snapraid-scrub-percent" min="1" max="100" required placeholder=" ">
+                    <label>${t('snapraid.scrubPercent', 'Scrub percentage of the array')}</label>
+                </div>
+                <div class="input-group">
+                    <input type="number" id="snapraid-scrub-age" min="0" max="3650" required placeholder=" ">
+                    <label>${t('snapraid.scrubAge', 'Only blocks not scrubbed for (days)')}</label>
+                </div>
+                <label class="checkbox-group" style="margin-bottom: 10px;">
+                    <input type="checkbox" id="snapraid-guard-enabled">
+                    <span>${t('snapraid.guardEnabled', 'Refuse to sync when many files were deleted')}</span>
+                </label>
+                <div class="input-group">
+                    <input type="number" id="snapraid-guard-max" min="0" required placeholder=" ">
+                    <label>${t('snapraid.guardMax', 'Maximum deleted files')}</label>
+                </div>
+                <div class="modal-footer" style="display: flex; gap: 10px;">
+                    <button type="button" class="btn-primary" style="background: var(--text-dim);" onclick="this.closest('.modal').remove()">
+                        ${t('common.cancel', 'Cancelar')}
+                    </button>
+                    <button type="submit" class="btn-primary">${t('common.save', 'Guardar')}</button>
+                </div>
+            </form>
+        </div>
+    `;
+    document.body.appendChild(modal);
+
+    const field = (id) => document.getElementById(id);
+    field('snapraid-sync-enabled').checked = schedule.sync.enabled;
+    field('snapraid-sync-cron').value = schedule.sync.cron;
+    field('snapraid-scrub-enabled').checked = schedule.scrub.enabled;
+    field('snapraid-scrub-cron').value = schedule.scrub.cron;
+    field('snapraid-scrub-percent').value = schedule.scrub.percent;
+    field('snapraid-scrub-age').value = schedule.scrub.olderThanDays;
+    field('snapraid-guard-enabled').checked = schedule.diffThreshold.enabled;
+    field('snapraid-guard-max').value = schedule.diffThreshold.maxDeleted;
+
+    field('snapraid-schedule-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const body = {
+            sync: {
+                enabled: field('snapraid-sync-enabled').checked,
+                cron: field('snapraid-sync-cron').value.trim()
+            },
+            scrub: {
+                enabled: field('snapraid-scrub-enabled').checked,
+                cron: field('snapraid-scrub-cron').value.trim(),
+                percent: parseInt(field('snapraid-scrub-percent').value, 10),
+                olderThanDays: parseInt(field('snapraid-scrub-age').value, 10)
+            },
+            diffThreshold: {
+                enabled: field('snapraid-guard-enabled').checked,
+                maxDeleted: parseInt(field('snapraid-guard-max').value, 10)
+            }
+        };
+
+        try {
+            const res = await authFetch(`${API_BASE}/storage/snapraid/schedule`, {
+                method: 'PUT',
+                body: JSON.stringify(body)
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to save schedule');
+
+            modal.remove();
+            renderContent('storage');
+        } catch (err) {
+            alert(t('common.error', 'Error') + ': ' + err.message);
+        }
+    });
+}
+
+// Cache tier card: cache usage, mover schedule, progress and history (Storage view, tiered pools only)
+async function renderCacheMoverCard() {
+    let info;
+    try {
+        const res = await authFetch(`${API_BASE}/storage/cache/mover`);
+        info = await res.json();
+        if (!res.ok) throw new Error(info.error || 'Failed to load cache mover');
+    } catch (e) {
+        console.error('Cache mover load error:', e);
+        return;
+    }
+    if (!info.tiered) return;
+
+    const formatSize = (bytes) => {
+        if (bytes >= 1024 ** 4) return `${(bytes / 1024 ** 4).toFixed(1)} TB`;
+        if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+        if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+        return `${Math.round(bytes / 1024)} KB`;
+    };
+
+    const card = document.createElement('div');
+    card.className = 'glass-card';
+    card.style.cssText = 'grid-column: 1 / -1; margin-top: 20px;';
+
+    const header = document.createElement('div');
+    header.style.cssText = 'display: flex; justify-content: space-between; align-items: center;';
+    const title = document.createElement('h3');
+    title.textContent = t('cacheMover.title', 'Cache Tier');
+    const actions = document.createElement('div');
+    actions.style.cssText = 'display: flex; gap: 10px;';
+    header.appendChild(title);
+    header.appendChild(actions);
+    card.appendChild(header);
+
+    const usageList = document.createElement('div');
+    usageList.style.marginTop = '15px';
+    if (info.cache.length === 0) {
+        usageList.style.color = '#ef4444';
+        usageList.textContent = t('cacheMover.noCache', 'No cache disk is mounted.');
+    }
+    info.cache.forEach(cache => {
+        const row = document.createElement('div');
+        row.style.marginBottom = '10px';
+        const fillClass = cache.percent >= info.settings.usageThreshold ? 'high' : 'low';
+        row.innerHTML = `
+            <div style="display: flex; justify-content: space-between; font-size: 0.85rem; color: var(--text-dim);">
+                <span>${escapeHtml(cache.mountPoint)}</span>
+                <span>${formatSize(cache.used)} / ${formatSize(cache.used + cache.available)} (${cache.percent}%)</span>
+            </div>
+            <div class="mount-bar"><div class="mount-bar-fill ${fillClass}" style="width: ${cache.percent}%"></div></div>
+        `;
+        usageList.appendChild(row);
+    });
+    card.appendChild(usageList);
+
+    const { settings } = info;
+    const summary = document.createElement('div');
+    summary.style.cssText = 'margin-top: 10px; color: var(--text-dim); font-size: 0.9rem; line-height: 1.8;';
+    const scheduleText = settings.enabled
+        ? `<code>${escapeHtml(settings.cron)}</code> · ${t('snapraid.nextRun', 'next run')}: ${escapeHtml(info.nextRun ? new Date(info.nextRun).toLocaleString() : '-')}`
+        : t('snapraid.disabled', 'disabled');
+    summary.innerHTML = `
+        <div><strong>${t('cacheMover.schedule', 'Mover schedule')}:</strong> ${scheduleText}</div>
+        <div><strong>${t('cacheMover.rules', 'Rules')}:</strong>
+            ${escapeHtml(t('cacheMover.rulesText', 'move files older than {hours} h; move everything above {percent}% usage')
+                .replace('{hours}', settings.minAgeHours).replace('{percent}', settings.usageThreshold))}</div>
+    `;
+    card.appendChild(summary);
+
+    const progressPanel = document.createElement('div');
+    progressPanel.style.cssText = 'display: none; margin-top: 15px;';
+    progressPanel.innerHTML = `
+        <div class="mount-bar"><div class="mount-bar-fill low" style="width: 0%"></div></div>
+        <div style="margin-top: 8px; font-size: 0.85rem; color: var(--text-dim);"></div>
+    `;
+    const progressFill = progressPanel.querySelector('.mount-bar-fill');
+    const progressText = progressPanel.querySelector('div:last-child');
+    card.appendChild(progressPanel);
+
+    const historyTitle = document.createElement('h4');
+    historyTitle.style.marginTop = '20px';
+    historyTitle.textContent = t('cacheMover.history', 'Mover runs');
+    card.appendChild(historyTitle);
+
+    const table = document.createElement('table');
+    table.className = 'disk-table';
+    table.innerHTML = `
+        <thead>
+            <tr>
+                <th>${t('snapraid.started', 'Started')}</th>
+                <th>${t('snapraid.trigger', 'Trigger')}</th>
+                <th>${t('snapraid.result', 'Result')}</th>
+                <th>${t('cacheMover.moved', 'Moved')}</th>
+                <th>${t('cacheMover.skippedOpen', 'Skipped (open)')}</th>
+            </tr>
+        </thead>
+    `;
+    const tbody = document.createElement('tbody');
+    table.appendChild(tbody);
+    card.appendChild(table);
+
+    dashboardContent.appendChild(card);
+
+    const triggerLabels = {
+        schedule: t('snapraid.scheduled', 'Scheduled'),
+        threshold: t('cacheMover.thresholdTrigger', 'Cache full'),
+        manual: t('snapraid.manual', 'Manual')
+    };
+    const statusColors = { success: '#10b981', failed: '#ef4444', skipped: '#f59e0b', running: 'var(--primary)' };
+
+    const loadHistory = async () => {
+        tbody.innerHTML = '';
+        try {
+            const res = await authFetch(`${API_BASE}/storage/cache/mover/history?limit=10`);
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to load history');
+
+            if (data.runs.length === 0) {
+                tbody.innerHTML = `<tr><td colspan="5" style="color: var(--text-dim);">${t('snapraid.noRuns', 'No runs recorded yet.')}</td></tr>`;
+            }
+            data.runs.forEach(run => {
+                const tr = document.createElement('tr');
+                if (run.message) tr.title = run.message;
+                const cells = [
+                    new Date(run.startedAt).toLocaleString(),
+                    triggerLabels[run.trigger] || run.trigger,
+                    t(`snapraid.status.${run.status}`, run.status),
+                    `${run.counts.moved || 0} (${formatSize(run.counts.movedBytes || 0)})`,
+                    run.counts.skippedOpen || 0
+                ];
+                cells.forEach((value, index) => {
+                    const td = document.createElement('td');
+                    td.textContent = value;
+                    if (index === 2) td.style.color = statusColors[run.status] || 'inherit';
+                    tr.appendChild(td);
+                });
+                tbody.appendChild(tr);
+            });
+        } catch (e) {
+            tbody.innerHTML = '';
+            const tr = document.createElement('tr');
+            const td = document.createElement('td');
+            td.colSpan = 5;
+            td.style.color = '#ef4444';
+            td.textContent = e.message;
+            tr.appendChild(td);
+            tbody.appendChild(tr);
+        }
+    };
+
+    let runBtn = null;
+    const showProgress = (status) => {
+        if (!status.running && !status.startTime) return;
+        progressPanel.style.display = 'block';
+        progressFill.style.width = `${Math.min(100, Math.max(0, status.progress || 0))}%`;
+
+        const details = [status.status];
+        if (status.files > 0) {
+            details.push(t('cacheMover.progress', '{moved} of {files} files ({size})')
+                .replace('{moved}', status.movedFiles).replace('{files}', status.files).replace('{size}', formatSize(status.movedBytes)));
+        }
+        if (status.skippedOpen > 0) details.push(`${t('cacheMover.skippedOpen', 'Skipped (open)')}: ${status.skippedOpen}`);
+        if (status.error) details.push(status.error);
+        progressText.textContent = details.join(' · ');
+        progressText.style.color = status.error ? '#ef4444' : 'var(--text-dim)';
+        if (runBtn) runBtn.disabled = status.running;
+    };
+
+    const pollProgress = async () => {
+        if (!document.body.contains(card)) return;
+        try {
+            const res = await authFetch(`${API_BASE}/storage/cache/mover/progress`);
+            const status = await res.json();
+            if (!res.ok) throw new Error(status.error || 'Failed to load progress');
+            showProgress(status);
+            if (status.running) {
+                setTimeout(pollProgress, 2000);
+            } else {
+                loadHistory();
+            }
+        } catch (e) {
+            console.error('Cache mover progress error:', e);
+        }
+    };
+
+    if (hasRole('user')) {
+        runBtn = document.createElement('button');
+        runBtn.className = 'btn-primary';
+        runBtn.style.cssText = 'width: auto; padding: 8px 16px;';
+        runBtn.textContent = t('cacheMover.runNow', 'Run mover now');
+        runBtn.addEventListener('click', async () => {
+            runBtn.disabled = true;
+            try {
+                const res = await authFetch(`${API_BASE}/storage/cache/mover/run`, { method: 'POST' });
+                const data = await res.json();
+                if (!res.ok) throw new Error(data.error || 'Failed to start the mover');
+                pollProgress();
+            } catch (e) {
+                alert(t('common.error', 'Error') + ': ' + e.message);
+                runBtn.disabled = false;
+            }
         });
-        const data = await res.json();
+        actions.appendChild(runBtn);
+    }
+    if (hasRole('admin')) {
+        const editBtn = document.createElement('button');
+        editBtn.className = 'btn-primary';
+        editBtn.style.cssText = 'width: auto; padding: 8px 16px;';
+        editBtn.textContent = t('cacheMover.edit', 'Edit mover');
+        editBtn.addEventListener('click', () => openCacheMoverModal(settings));
+        actions.appendChild(editBtn);
+    }
+
+    showProgress(info.status);
+    if (info.status.running) {
+        pollProgress();
+    } else {
+        await loadHistory();
+    }
+}
+
+function openCacheMoverModal(settings) {
+    const modal = document.createElement('div');
+    modal.className = 'modal active';
+    modal.innerHTML = `
+        <div class="glass-card modal-content" style="max-width: 500px;">
+            <header class="modal-header">
+                <h3>${t('cacheMover.edit', 'Edit mover')}</h3>
+                <button class="btn-close" onclick="this.closest('.modal').remove()">&times;</button>
+            </header>
+            <form id="cache-mover-form">
+                <p style="color: var(--text-dim); font-size: 0.85rem; margin-bottom: 15px;">
+                    ${t('cacheMover.hint', 'New files are written to the cache disks. The mover moves them to the data disks on schedule, or as soon as a cache disk fills past the threshold. Open files are skipped.')}
+                </p>
+                <label class="checkbox-group" style="margin-bottom: 10px;">
+                    <input type="checkbox" id="mover-enabled">
+                    <span>${t('cacheMover.enabled', 'Scheduled mover')}</span>
+                </label>
+                <div class="input-group">
+                    <input type="text" id="mover-cron" required placeholder=" " autocomplete="off">
+                    <label>${t('cacheMover.cron', 'Mover schedule (cron)')}</label>
+                </div>
+                <div class="input-group">
+                    <input type="number" id="mover-age" min="0" max="8760" required placeholder=" ">
+                    <label>${t('cacheMover.minAgeHours', 'Move files older than (hours)')}</label>
+                </div>
+                <div class="input-group">
+                    <input type="number" id="mover-threshold" min="1" max="100" required placeholder=" ">
+                    <label>${t('cacheMover.usageThreshold', 'Move everything when cache usage exceeds (%)')}</label>
+                </div>
+                <div class="modal-footer" style="display: flex; gap: 10px;">
+                    <button type="button" class="btn-primary" style="background: var(--text-dim);" onclick="this.closest('.modal').remove()">
+                        ${t('common.cancel', 'Cancelar')}
+                    </button>
+                    <button type="submit" class="btn-primary">${t('common.save', 'Guardar')}</button>
+                </div>
+            </form>
+        </div>
+    `;
+    document.body.appendChild(modal);
+
+    const field = (id) => document.getElementById(id);
+    field('mover-enabled').checked = settings.enabled;
+    field('mover-cron').value = settings.cron;
+    field('mover-age').value = settings.minAgeHours;
+    field('mover-threshold').value = settings.usageThreshold;
+
+    field('cache-mover-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        try {
+            const res = await authFetch(`${API_BASE}/storage/cache/mover`, {
+                method: 'PUT',
+                body: JSON.stringify({
+                    enabled: field('mover-enabled').checked,
+                    cron: field('mover-cron').value.trim(),
+                    minAgeHours: parseInt(field('mover-age').value, 10),
+                    usageThreshold: parseInt(field('mover-threshold').value, 10)
+                })
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to save mover settings');
+
+            modal.remove();
+            renderContent('storage');
+        } catch (err) {
+            alert(t('common.error', 'Error') + ': ' + err.message);
+        }
+    });
+}
+
+// MergerFS pool policies card (Storage view, SnapRAID backend only)
+async function renderPoolSettingsCard() {
+    const card = document.createElement('div');
+    card.className = 'glass-card';
+    card.style.cssText = 'grid-column: 1 / -1; margin-top: 20px;';
+
+    const header = document.createElement('div');
+    header.style.cssText = 'display: flex; justify-content: space-between; align-items: center;';
+
+    const title = document.createElement('h3');
+    title.textContent = t('poolSettings.title', 'Pool Policies');
+    const actions = document.createElement('div');
+    header.appendChild(title);
+    header.appendChild(actions);
+    card.appendChild(header);
+
+    const summary = document.createElement('div');
+    summary.style.cssText = 'margin-top: 10px; color: var(--text-dim); font-size: 0.9rem; line-height: 1.8;';
+    card.appendChild(summary);
+
+    dashboardContent.appendChild(card);
+
+    try {
+        const res = await authFetch(`${API_BASE}/storage/pool/settings`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load pool settings');
+
+        const { settings } = data;
+        const moveText = settings.moveOnENOSPC === false ? t('poolSettings.off', 'off') : settings.moveOnENOSPC;
+        summary.innerHTML = `
+            <div><strong>${t('poolSettings.policies', 'Policies')}:</strong>
+                ${t('poolSettings.create', 'create')} <code>${escapeHtml(settings.createPolicy)}</code> ·
+                ${t('poolSettings.search', 'search')} <code>${escapeHtml(settings.searchPolicy)}</code> ·
+                ${t('poolSettings.action', 'action')} <code>${escapeHtml(settings.actionPolicy)}</code></div>
+            <div><strong>${t('poolSettings.minFreeSpace', 'Minimum free space')}:</strong> ${escapeHtml(settings.minFreeSpace)} ·
+                <strong>${t('poolSettings.moveOnENOSPC', 'Move on full disk')}:</strong> ${escapeHtml(moveText)}</div>
+            <div style="font-size: 0.8rem; word-break: break-all;"><strong>${t('poolSettings.options', 'Mount options')}:</strong> <code>${escapeHtml(data.options)}</code></div>
+        `;
+
+        if (hasRole('admin')) {
+            const editBtn = document.createElement('button');
+            editBtn.className = 'btn-primary';
+            editBtn.style.cssText = 'width: auto; padding: 8px 16px;';
+            editBtn.textContent = t('poolSettings.edit', 'Edit policies');
+            editBtn.addEventListener('click', () => openPoolSettingsModal(data));
+            actions.appendChild(editBtn);
+        }
+    } catch (e) {
+        summary.style.color = '#ef4444';
+        summary.textContent = e.message;
+    }
+}
+
+function openPoolSettingsModal({ settings, policies, cacheFilesModes }) {
+    const modal = document.createElement('div');
+    modal.className = 'modal active';
+
+    const policySelect = (id, label) => `
+        <div style="margin-bottom: 15px;">
+            <label style="display: block; margin-bottom: 8px; color: var(--text-dim);">${label}</label>
+            <select id="${id}" class="role-select"></select>
+        </div>
+    `;
+
+    modal.innerHTML = `
+        <div class="glass-card modal-content" style="max-width: 500px;">
+            <header class="modal-header">
+                <h3>${t('poolSettings.edit', 'Edit policies')}</h3>
+                <button class="btn-close" onclick="this.closest('.modal').remove()">&times;</button>
+            </header>
+            <form id="pool-settings-form">
+                <p style="color: var(--text-dim); font-size: 0.85rem; margin-bottom: 15px;">
+                    ${t('poolSettings.hint', 'Policies decide which disk a file is created on (create), read from (search) and changed on (action). mfs = most free space, lfs = least free space, epmfs = existing path with most free space.')}
+                </p>
+                ${policySelect('pool-create-policy', t('poolSettings.createPolicy', 'Create policy'))}
+                ${policySelect('pool-search-policy', t('poolSettings.searchPolicy', 'Search policy'))}
+                ${policySelect('pool-action-policy', t('poolSettings.actionPolicy', 'Action policy'))}
+                <div class="input-group">
+                    <input type="text" id="pool-min-free" required placeholder=" " autocomplete="off">
+                    <label>${t('poolSettings.minFreeSpaceLabel', 'Minimum free space per disk (e.g. 4G)')}</label>
+                </div>
+                ${policySelect('pool-move-enospc', t('poolSettings.moveOnENOSPCLabel', 'When a disk fills up during a write, move the file using'))}
+                ${policySelect('pool-cache-files', t('poolSettings.cacheFiles', 'File page caching (cache.files)'))}
+                <label class="checkbox-group" style="margin-bottom: 10px;">
+                    <input type="checkbox" id="pool-drop-cache">
+                    <span>${t('poolSettings.dropCacheOnClose', 'Drop file cache on close')}</span>
+                </label>
+                <div class="input-group">
+                    <input type="number" id="pool-cache-attr" min="0" max="3600" required placeholder=" ">
+                    <label>${t('poolSettings.cacheAttr', 'Attribute cache timeout (seconds)')}</label>
+                </div>
+                <div class="input-group">
+                    <input type="number" id="pool-cache-entry" min="0" max="3600" required placeholder=" ">
+                    <label>${t('poolSettings.cacheEntry', 'Entry cache timeout (seconds)')}</label>
+                </div>
+                <div class="modal-footer" style="display: flex; gap: 10px;">
+                    <button type="button" class="btn-primary" style="background: var(--text-dim);" onclick="this.closest('.modal').remove()">
+                        ${t('common.cancel', 'Cancelar')}
+                    </button>
+                    <button type="submit" class="btn-primary">${t('common.save', 'Guardar')}</button>
+                </div>
+            </form>
+        </div>
+    `;
+    document.body.appendChild(modal);
+
+    const field = (id) => document.getElementById(id);
+    const fillSelect = (select, values, selected) => {
+        values.forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            option.selected = value === selected;
+            select.appendChild(option);
+        });
+    };
+    const policyOptions = policies.map(p => ({ value: p, label: p }));
+
+    fillSelect(field('pool-create-policy'), policyOptions, settings.createPolicy);
+    fillSelect(field('pool-search-policy'), policyOptions, settings.searchPolicy);
+    fillSelect(field('pool-action-policy'), policyOptions, settings.actionPolicy);
+    fillSelect(field('pool-move-enospc'), [{ value: '', label: t('poolSettings.off', 'off') }, ...policyOptions],
+        settings.moveOnENOSPC === false ? '' : settings.moveOnENOSPC);
+    fillSelect(field('pool-cache-files'), cacheFilesModes.map(m => ({ value: m, label: m })), settings.cacheFiles);
+    field('pool-min-free').value = settings.minFreeSpace;
+    field('pool-drop-cache').checked = settings.dropCacheOnClose;
+    field('pool-cache-attr').value = settings.cacheAttr;
+    field('pool-cache-entry').value = settings.cacheEntry;
+
+    field('pool-settings-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const body = {
+            createPolicy: field('pool-create-policy').value,
+            searchPolicy: field('pool-search-policy').value,
+            actionPolicy: field('pool-action-policy').value,
+            minFreeSpace: field('pool-min-free').value.trim().toUpperCase(),
+            moveOnENOSPC: field('pool-move-enospc').value || false,
+            cacheFiles: field('pool-cache-files').value,
+            dropCacheOnClose: field('pool-drop-cache').checked,
+            cacheAttr: parseInt(field('pool-cache-attr').value, 10),
+            cacheEntry: parseInt(field('pool-cache-entry').value, 10)
+        };
+
+        try {
+            const res = await authFetch(`${API_BASE}/storage/pool/settings`, {
+                method: 'PUT',
+                body: JSON.stringify(body)
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to save pool settings');
+
+            const notes = [];
+            if (data.mounted && data.pendingRemount.length > 0) {
+                notes.push(t('poolSettings.pendingRemount', 'Applied to the running pool except: {options}. These take effect on the next mount.')
+                    .replace('{options}', data.pendingRemount.join(', ')));
+            }
+            if (!data.mounted) notes.push(t('poolSettings.notMounted', 'The pool is not mounted; the settings take effect on the next mount.'));
+            if (data.fstabError) notes.push(`${t('poolSettings.fstabError', '/etc/fstab was not updated')}: ${data.fstabError}`);
+            if (notes.length > 0) alert(notes.join('\n\n'));
+
+            modal.remove();
+            renderContent('storage');
+        } catch (err) {
+            alert(t('common.error', 'Error') + ': ' + err.message);
+        }
+    });
+}
+
+// NFS exports card (Storage view)
+async function renderNfsExportsCard() {
+    const isAdmin = hasRole('admin');
+
+    const card = document.createElement('div');
+    card.className = 'glass-card';
+    card.style.cssText = 'grid-column: 1 / -1; margin-top: 20px;';
+
+    const header = document.createElement('div');
+    header.style.cssText = 'display: flex; justify-content: space-between; align-items: center;';
+
+    const title = document.createElement('h3');
+    title.textContent = t('nfs.title', 'NFS Exports');
+    header.appendChild(title);
+    card.appendChild(header);
+
+    const table = document.createElement('table');
+    table.className = 'disk-table';
+    table.innerHTML = `
+        <thead>
+            <tr>
+                <th>${t('nfs.path', 'Path')}</th>
+                <th>${t('nfs.clients', 'Clients')}</th>
+                <th>${t('nfs.access', 'Access')}</th>
+                <th>${t('nfs.squash', 'Squash')}</th>
+                <th></th>
+            </tr>
+        </thead>
+    `;
+    const tbody = document.createElement('tbody');
+    table.appendChild(tbody);
+    card.appendChild(table);
+
+    const activeTitle = document.createElement('h4');
+    activeTitle.style.marginTop = '20px';
+    activeTitle.textContent = t('nfs.active', 'Active exports');
+    card.appendChild(activeTitle);
+
+    const activeList = document.createElement('div');
+    activeList.style.cssText = 'font-family: monospace; font-size: 0.85rem; color: var(--text-dim); margin-top: 10px;';
+    card.appendChild(activeList);
+
+    dashboardContent.appendChild(card);
+
+    const showRowMessage = (text, color) => {
+        const tr = document.createElement('tr');
+        const td = document.createElement('td');
+        td.colSpan = 5;
+        td.style.color = color;
+        td.textContent = text;
+        tr.appendChild(td);
+        tbody.appendChild(tr);
+    };
+
+    try {
+        const res = await authFetch(`${API_BASE}/nfs/exports`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load exports');
+
+        if (isAdmin) {
+            const addBtn = document.createElement('button');
+            addBtn.className = 'btn-primary';
+            addBtn.style.cssText = 'width: auto; padding: 8px 16px;';
+            addBtn.textContent = '+ ' + t('nfs.addExport', 'Add Export');
+            addBtn.addEventListener('click', () => openNfsExportModal(data));
+            header.appendChild(addBtn);
+        }
+
+        if (data.exports.length === 0) {
+            showRowMessage(t('nfs.noExports', 'No NFS exports yet.'), 'var(--text-dim)');
+        }
+
+        data.exports.forEach(exp => {
+            const tr = document.createElement('tr');
+
+            const pathTd = document.createElement('td');
+            pathTd.style.fontFamily = 'monospace';
+            pathTd.textContent = exp.path;
+
+            const clientsTd = document.createElement('td');
+            clientsTd.textContent = exp.clients.join(', ');
+
+            const accessTd = document.createElement('td');
+            accessTd.textContent = exp.access === 'rw' ? t('nfs.readWrite', 'Read/write') : t('nfs.readOnly', 'Read only');
+
+            const squashTd = document.createElement('td');
+            squashTd.style.color = 'var(--text-dim)';
+            squashTd.textContent = exp.squash;
+
+            const actionsTd = document.createElement('td');
+            actionsTd.style.cssText = 'text-align: right; white-space: nowrap;';
+
+            if (isAdmin) {
+                const editBtn = document.createElement('button');
+                editBtn.className = 'btn-sm';
+                editBtn.textContent = t('common.edit', 'Edit');
+                editBtn.addEventListener('click', () => openNfsExportModal(data, exp));
+
+                const delBtn = document.createElement('button');
+                delBtn.className = 'btn-sm';
+                delBtn.style.cssText = 'margin-left: 8px; color: #ef4444;';
+                delBtn.textContent = t('common.delete', 'Delete');
+                delBtn.addEventListener('click', () => deleteNfsExport(exp));
+
+                actionsTd.appendChild(editBtn);
+                actionsTd.appendChild(delBtn);
+            }
+
+            [pathTd, clientsTd, accessTd, squashTd, actionsTd].forEach(td => tr.appendChild(td));
+            tbody.appendChild(tr);
+        });
+    } catch (e) {
+        console.error('NFS exports load error:', e);
+        showRowMessage(e.message, '#ef4444');
+    }
+
+    try {
+        const res = await authFetch(`${API_BASE}/nfs/active`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to read active exports');
+
+        if (data.active.length === 0) {
+            activeList.textContent = t('nfs.noActive', 'The NFS server is not exporting anything.');
+        }
+        data.active.forEach(entry => {
+            const line = document.createElement('div');
+            line.textContent = `${entry.path}  ${entry.client}(${entry.options.join(',')})`;
+            activeList.appendChild(line);
+        });
+    } catch (e) {
+        activeList.style.color = '#ef4444';
+        activeList.textContent = e.message;
+    }
+}
+
+function openNfsExportModal(config, exp = null) {
+    const editing = exp !== null;
+    const modal = document.createElement('div');
+    modal.className = 'modal active';
+    modal.innerHTML = `
+        <div class="glass-card modal-content" style="max-width: 500px;">
+            <header class="modal-header">
+                <h3>${editing ? t('nfs.editExport', 'Edit Export') : t('nfs.addExport', 'Add Export')}</h3>
+                <button class="btn-close" onclick="this.closest('.modal').remove()">&times;</button>
+            </header>
+            <form id="nfs-export-form">
+                <div class="input-group">
+                    <input type="text" id="nfs-export-path" required placeholder=" " autocomplete="off">
+                    <label>${t('nfs.pathHint', 'Path (/mnt/storage/... or /mnt/disks/diskN)')}</label>
+                </div>
+                <div class="input-group">
+                    <input type="text" id="nfs-export-clients" required placeholder=" " autocomplete="off">
+                    <label>${t('nfs.clientsHint', 'Clients (e.g. 192.168.1.0/24)')}</label>
+                </div>
+                <div style="margin-bottom: 20px;">
+                    <label style="display: block; margin-bottom: 10px; color: var(--text-dim);">${t('nfs.access', 'Access')}</label>
+                    <select id="nfs-export-access" class="role-select">
+                        <option value="ro">${t('nfs.readOnly', 'Read only')}</option>
+                        <option value="rw">${t('nfs.readWrite', 'Read/write')}</option>
+                    </select>
+                </div>
+                <div style="margin-bottom: 20px;">
+                    <label style="display: block; margin-bottom: 10px; color: var(--text-dim);">${t('nfs.squash', 'Squash')}</label>
+                    <select id="nfs-export-squash" class="role-select">
+                        ${config.squashModes.map(mode => `<option value="${mode}">${mode}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="modal-footer" style="display: flex; gap: 10px;">
+                    <button type="button" class="btn-primary" style="background: var(--text-dim);" onclick="this.closest('.modal').remove()">
+                        ${t('common.cancel', 'Cancelar')}
+                    </button>
+                    <button type="submit" class="btn-primary">${t('common.save', 'Guardar')}</button>
+                </div>
+            </form>
+        </div>
+    `;
+    document.body.appendChild(modal);
+
+    const pathInput = document.getElementById('nfs-export-path');
+    const clientsInput = document.getElementById('nfs-export-clients');
+    const accessSelect = document.getElementById('nfs-export-access');
+    const squashSelect = document.getElementById('nfs-export-squash');
+
+    pathInput.value = editing ? exp.path : '/mnt/storage';
+    clientsInput.value = editing ? exp.clients.join(' ') : '';
+    accessSelect.value = editing ? exp.access : 'ro';
+    squashSelect.value = editing ? exp.squash : 'root_squash';
+
+    document.getElementById('nfs-export-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const body = {
+            path: pathInput.value.trim(),
+            clients: clientsInput.value.trim(),
+            access: accessSelect.value,
+            squash: squashSelect.value
+        };
+
+        try {
+            const url = editing ? `${API_BASE}/nfs/exports/${exp.id}` : `${API_BASE}/nfs/exports`;
+            const res = await authFetch(url, {
+                method: editing ? 'PUT' : 'POST',
+                body: JSON.stringify(body)
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to save export');
+
+            modal.remove();
+            renderContent('storage');
+        } catch (err) {
+            alert(t('common.error', 'Error') + ': ' + err.message);
+        }
+    });
+}
+
+async function deleteNfsExport(exp) {
+    if (!confirm(t('nfs.confirmDelete', 'Stop exporting {path}?').replace('{path}', exp.path))) return;
+
+    try {
+        const res = await authFetch(`${API_BASE}/nfs/exports/${exp.id}`, { method: 'DELETE' });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to delete export');
+        renderContent('storage');
+    } catch (e) {
+        alert(t('common.error', 'Error') + ': ' + e.message);
+    }
+}
+
+// Real Docker Logic
+async function renderDockerManager() {
+    // Show loading immediately
+    dashboardContent.innerHTML = `<div class="glass-card" style="grid-column: 1 / -1; text-align: center; padding: 40px;"><h3>${t('docker.loading')}</h3></div>`;
+    // Fetch containers and update status
+    let updateStatus = { lastCheck: null, updatesAvailable: 0 };
+    try {
+        const [containersRes, updateRes] = await Promise.all([
+            fetch(`${API_BASE}/docker/containers`),
+            fetch(`${API_BASE}/docker/update-status`)
+        ]);
+        if (containersRes.ok) state.dockers = await containersRes.json();
+        if (updateRes.ok) updateStatus = await updateRes.json();
+    } catch (e) {
+        console.error('Docker unreachable:', e);
+        state.dockers = [];
+    }
+
+    // Fetch compose files
+    let composeFiles = [];
+    try {
+        const composeRes = await fetch(`${API_BASE}/docker/compose/list`);
+        if (composeRes.ok) composeFiles = await composeRes.json();
+    } catch (e) {
+        console.error('Compose list error:', e);
+    }
+
+    // Header with actions
+    const headerCard = document.createElement('div');
+    headerCard.className = 'glass-card';
+    headerCard.style.cssText = 'grid-column: 1 / -1; display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 15px;';
+
+    const headerLeft = document.createElement('div');
+    const h3 = document.createElement('h3');
+    h3.style.margin = '0';
+    h3.textContent = t('docker.containers');
+    const updateInfo = document.createElement('span');
+    updateInfo.style.cssText = 'font-size: 0.8rem; color: var(--text-dim); display: block; margin-top: 5px;';
+    updateInfo.textContent = updateStatus.lastCheck
+        ? `${t('docker.lastCheck')}: ${new Date(updateStatus.lastCheck).toLocaleString()}`
+        : t('docker.notCheckedYet');
+    headerLeft.appendChild(h3);
+    headerLeft.appendChild(updateInfo);
+
+    const headerRight = document.createElement('div');
+    headerRight.style.cssText = 'display: flex; gap: 10px; flex-wrap: wrap;';
+
+    const checkUpdatesBtn = document.createElement('button');
+    checkUpdatesBtn.className = 'btn-primary';
+    checkUpdatesBtn.style.cssText = 'background: #6366f1; padding: 8px 16px; font-size: 0.85rem;';
+    checkUpdatesBtn.innerHTML = '🔄 ' + t('docker.checkUpdates');
+    checkUpdatesBtn.addEventListener('click', checkDockerUpdates);
+
+    const importComposeBtn = document.createElement('button');
+    importComposeBtn.className = 'btn-primary';
+    importComposeBtn.style.cssText = 'background: #10b981; padding: 8px 16px; font-size: 0.85rem;';
+    importComposeBtn.innerHTML = '📦 ' + t('docker.importCompose');
+    importComposeBtn.addEventListener('click', openComposeModal);
+
+    headerRight.appendChild(checkUpdatesBtn);
+    headerRight.appendChild(importComposeBtn);
+    headerCard.appendChild(headerLeft);
+    headerCard.appendChild(headerRight);
+    dashboardContent.appendChild(headerCard);
+
+    // Containers section
+    if (state.dockers.length === 0) {
+        const emptyCard = document.createElement('div');
+        emptyCard.className = 'glass-card';
+        emptyCard.style.cssText = 'grid-column: 1/-1; text-align:center; padding: 40px;';
+        emptyCard.innerHTML = `
+            <h4 style="color: var(--text-dim);">${t('docker.noContainers')}</h4>
+            <p style="color: var(--text-dim); font-size: 0.9rem;">${t('docker.importComposeHint')}</p>
+        `;
+        dashboardContent.appendChild(emptyCard);
+    } else {
+        const containerGrid = document.createElement('div');
+        containerGrid.style.cssText = 'display: grid; grid-template-columns: repeat(auto-fill, minmax(320px, 1fr)); gap: 20px; grid-column: 1 / -1;';
+
+        state.dockers.forEach(container => {
+            const card = document.createElement('div');
+            card.className = 'glass-card docker-card';
+            card.style.padding = '20px';
+
+            const isRunning = container.status === 'running';
+            const hasUpdate = container.hasUpdate;
+
+            // Header row
+            const header = document.createElement('div');
+            header.style.cssText = 'display: flex; justify-content: space-between; align-items: flex-start; margin-bottom: 15px;';
+
+            const info = document.createElement('div');
+            const nameRow = document.createElement('div');
+            nameRow.style.cssText = 'display: flex; align-items: center; gap: 8px;';
+            const h4 = document.createElement('h4');
+            h4.style.margin = '0';
+            h4.textContent = container.name || 'Unknown';
+            nameRow.appendChild(h4);
+
+            if (hasUpdate) {
+                const updateBadge = document.createElement('span');
+                updateBadge.style.cssText = 'background: #10b981; color: white; font-size: 0.7rem; padding: 2px 6px; border-radius: 4px; font-weight: 600;';
+                updateBadge.textContent = t('docker.update');
+                nameRow.appendChild(updateBadge);
+            }
+
+            const imageSpan = document.createElement('span');
+            imageSpan.style.cssText = 'font-size: 0.8rem; color: var(--text-dim); display: block; margin-top: 4px;';
+            imageSpan.textContent = container.image || 'N/A';
+            info.appendChild(nameRow);
+            info.appendChild(imageSpan);
+
+            const statusSpan = document.createElement('span');
+            statusSpan.style.cssText = `
+                padding: 4px 10px;
+                border-radius: 12px;
+                font-size: 0.75rem;
+                font-weight: 600;
+                background: ${isRunning ? 'rgba(16, 185, 129, 0.2)' : 'rgba(239, 68, 68, 0.2)'};
+                color: ${isRunning ? '#10b981' : '#ef4444'};
+            `;
+            statusSpan.textContent = isRunning ? t('docker.running') : t('docker.stopped');
+
+            header.appendChild(info);
+            header.appendChild(statusSpan);
+
+            // Stats row (only if running)
+            if (isRunning) {
+                const statsRow = document.createElement('div');
+                statsRow.style.cssText = 'display: flex; gap: 20px; margin-bottom: 15px; padding: 10px; background: rgba(255,255,255,0.03); border-radius: 8px;';
+                statsRow.innerHTML = `
+                    <div style="flex: 1; text-align: center;">
+                        <div style="font-size: 0.7rem; color: var(--text-dim);">CPU</div>
+                        <div style="font-size: 1rem; font-weight: 600; color: ${container.cpu !== '---' && parseFloat(container.cpu) > 50 ? '#f59e0b' : '#10b981'}">${escapeHtml(container.cpu)}</div>
+                    </div>
+                    <div style="flex: 1; text-align: center;">
+                        <div style="font-size: 0.7rem; color: var(--text-dim);">RAM</div>
+                        <div style="font-size: 1rem; font-weight: 600; color: #6366f1;">${escapeHtml(container.ram)}</div>
+                    </div>
+                `;
+                card.appendChild(header);
+                card.appendChild(statsRow);
+            } else {
+                card.appendChild(header);
+            }
+
+            // Ports section
+            if (container.ports && container.ports.length > 0) {
+                const portsDiv = document.createElement('div');
+                portsDiv.className = 'docker-ports';
+                container.ports.forEach(port => {
+                    if (port.public) {
+                        const badge = document.createElement('span');
+                        badge.className = 'docker-port-badge';
+                        badge.innerHTML = `<span class="port-public">${port.public}</span><span class="port-arrow">→</span><span class="port-private">${port.private}</span>`;
+                        portsDiv.appendChild(badge);
+                    }
+                });
+                if (portsDiv.children.length > 0) {
+                    card.appendChild(portsDiv);
+                }
+            }
+
+            // Controls row
+            const controls = document.createElement('div');
+            controls.style.cssText = 'display: flex; gap: 8px; flex-wrap: wrap;';
+
+            const actionBtn = document.createElement('button');
+            actionBtn.className = 'btn-sm';
+            actionBtn.style.cssText = `flex: 1; padding: 8px; background: ${isRunning ? '#ef4444' : '#10b981'}; color: white; border: none; border-radius: 6px; cursor: pointer;`;
+            actionBtn.textContent = isRunning ? t('docker.stop', 'Detener') : t('docker.start', 'Iniciar');
+            actionBtn.addEventListener('click', () => handleDockerAction(container.id, isRunning ? 'stop' : 'start', actionBtn));
+
+            const restartBtn = document.createElement('button');
+            restartBtn.className = 'btn-sm';
+            restartBtn.style.cssText = 'flex: 1; padding: 8px; background: #f59e0b; color: white; border: none; border-radius: 6px; cursor: pointer;';
+            restartBtn.textContent = t('docker.restart', 'Reiniciar');
+            restartBtn.addEventListener('click', () => handleDockerAction(container.id, 'restart', restartBtn));
+
+            controls.appendChild(actionBtn);
+            controls.appendChild(restartBtn);
+
+            if (hasUpdate) {
+                const updateBtn = document.createElement('button');
+                updateBtn.className = 'btn-sm';
+                updateBtn.style.cssText = 'width: 100%; margin-top: 8px; padding: 10px; background: linear-gradient(135deg, #10b981, #059669); color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600;';
+                updateBtn.innerHTML = '⬆️ ' + t('docker.updateContainer', 'Actualizar');
+                updateBtn.addEventListener('click', () => updateContainer(container.id, container.name, updateBtn));
+                controls.appendChild(updateBtn);
+            }
+
+            card.appendChild(controls);
+
+            // Action buttons row (logs, web, edit)
+            const actionsRow = document.createElement('div');
+            actionsRow.className = 'docker-actions-row';
+
+            if (isRunning) {
+                // Logs button
+                const logsBtn = document.createElement('button');
+                logsBtn.className = 'docker-action-btn logs';
+                logsBtn.innerHTML = '📜 ' + t('docker.viewLogs', 'Logs');
+                logsBtn.addEventListener('click', () => openContainerLogs(container.id, container.name));
+                actionsRow.appendChild(logsBtn);
+
+                // Open Web button (if has public ports)
+                const webPort = container.ports?.find(p => p.public);
+                if (webPort) {
+                    const webBtn = document.createElement('button');
+                    webBtn.className = 'docker-action-btn web';
+                    webBtn.innerHTML = '🌐 ' + t('docker.openWebUI', 'Web');
+                    webBtn.addEventListener('click', () => {
+                        window.open(`http://${window.location.hostname}:${webPort.public}`, '_blank');
+                    });
+                    actionsRow.appendChild(webBtn);
+                }
+            } else {
+                // Edit compose button (for stopped containers with compose)
+                if (container.compose) {
+                    const editBtn = document.createElement('button');
+                    editBtn.className = 'docker-action-btn edit';
+                    editBtn.innerHTML = '✏️ ' + t('docker.editCompose', 'Editar');
+                    editBtn.addEventListener('click', () => openEditComposeModal(container.compose.name));
+                    actionsRow.appendChild(editBtn);
+                }
+            }
+
+            if (actionsRow.children.length > 0) {
+                card.appendChild(actionsRow);
+            }
+
+            // Notes section
+            const notesDiv = document.createElement('div');
+            notesDiv.className = 'docker-notes';
+            notesDiv.innerHTML = `
+                <div class="docker-notes-header">
+                    <span>📝 ${t('docker.notes', 'Notas')}</span>
+                    <button class="btn-sm" style="padding: 4px 8px; font-size: 0.7rem;" onclick="saveContainerNotes('${container.id}', this.parentElement.nextElementSibling.value).then(ok => ok && alert('${t('common.success', 'Guardado')}'))">${t('docker.saveNote', 'Guardar')}</button>
+                </div>
+                <textarea class="docker-notes-input" placeholder="${t('docker.addNote', 'Añadir notas, contraseñas, etc...')}">${escapeHtml(container.notes || '')}</textarea>
+            `;
+            card.appendChild(notesDiv);
+
+            containerGrid.appendChild(card);
+        });
+
+        dashboardContent.appendChild(containerGrid);
+    }
+
+    // Compose Files Section
+    if (composeFiles.length > 0) {
+        const composeSectionTitle = document.createElement('h3');
+        composeSectionTitle.style.cssText = 'grid-column: 1 / -1; margin-top: 30px; margin-bottom: 10px;';
+        composeSectionTitle.textContent = t('docker.composeFiles');
+        dashboardContent.appendChild(composeSectionTitle);
+
+        const composeGrid = document.createElement('div');
+        composeGrid.style.cssText = 'display: grid; grid-template-columns: repeat(auto-fill, minmax(280px, 1fr)); gap: 15px; grid-column: 1 / -1;';
+
+        composeFiles.forEach(compose => {
+            const card = document.createElement('div');
+            card.className = 'glass-card';
+            card.style.padding = '15px';
+
+            const header = document.createElement('div');
+            header.style.cssText = 'display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px;';
+
+            const name = document.createElement('h4');
+            name.style.margin = '0';
+            name.textContent = compose.name;
+
+            const modified = document.createElement('span');
+            modified.style.cssText = 'font-size: 0.75rem; color: var(--text-dim);';
+            modified.textContent = new Date(compose.modified).toLocaleDateString();
+
+            header.appendChild(name);
+            header.appendChild(modified);
+
+            const controls = document.createElement('div');
+            controls.style.cssText = 'display: flex; gap: 8px;';
+
+            const runBtn = document.createElement('button');
+            runBtn.style.cssText = 'flex: 1; padding: 8px; background: #10b981; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 0.85rem;';
+            runBtn.textContent = t('docker.run');
+            runBtn.addEventListener('click', () => runCompose(compose.name, runBtn));
+
+            const stopBtn = document.createElement('button');
+            stopBtn.style.cssText = 'flex: 1; padding: 8px; background: #f59e0b; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 0.85rem;';
+            stopBtn.textContent = t('docker.stop');
+            stopBtn.addEventListener('click', () => stopCompose(compose.name, stopBtn));
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.style.cssText = 'padding: 8px 12px; background: #ef4444; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 0.85rem;';
+            deleteBtn.textContent = '🗑️';
+            deleteBtn.addEventListener('click', () => deleteCompose(compose.name));
+
+            controls.appendChild(runBtn);
+            controls.appendChild(stopBtn);
+            controls.appendChild(deleteBtn);
+
+            card.appendChild(header);
+            card.appendChild(controls);
+            composeGrid.appendChild(card);
+        });
+
+        dashboardContent.appendChild(composeGrid);
+    }
+}
+
+// Docker Update Functions
+async function checkDockerUpdates() {
+    const btn = event.target;
+    btn.disabled = true;
+    btn.innerHTML = '🔄 ' + t('docker.checkingUpdates');
+
+    try {
+        const res = await authFetch(`${API_BASE}/docker/check-updates`, { method: 'POST' });
+        const data = await res.json();
+
+        if (!res.ok) throw new Error(data.error || t('common.error'));
+
+        alert(`${t('docker.updateCheckComplete')}\n\n${t('docker.imagesChecked')}: ${data.totalImages}\n${t('docker.updatesAvailable')}: ${data.updatesAvailable}`);
+        renderContent('docker');
+    } catch (e) {
+        console.error('Docker update check error:', e);
+        alert(t('common.error') + ': ' + e.message);
+        btn.disabled = false;
+        btn.innerHTML = '🔄 ' + t('docker.checkUpdates');
+    }
+}
+
+async function updateContainer(containerId, containerName, btn) {
+    if (!confirm(t('docker.updateConfirm').replace('{name}', containerName))) {
+        return;
+    }
+
+    btn.disabled = true;
+    btn.innerHTML = '⏳ ' + t('docker.updating');
+
+    try {
+        const res = await authFetch(`${API_BASE}/docker/update`, {
+            method: 'POST',
+            body: JSON.stringify({ containerId })
+        });
+        const data = await res.json();
+
+        if (!res.ok) throw new Error(data.error || t('common.error'));
+
+        alert(t('docker.updateSuccess').replace('{name}', containerName));
+        renderContent('docker');
+    } catch (e) {
+        console.error('Container update error:', e);
+        alert(t('common.error') + ': ' + e.message);
+        btn.disabled = false;
+        btn.innerHTML = '⬆️ ' + t('docker.updateContainer');
+    }
+}
+
+// Compose Functions
+function openComposeModal() {
+    const modal = document.createElement('div');
+    modal.id = 'compose-modal';
+    modal.style.cssText = `
+        position: fixed; top: 0; left: 0; right: 0; bottom: 0;
+        background: rgba(0,0,0,0.8); display: flex; align-items: center;
+        justify-content: center; z-index: 1000;
+    `;
+
+    modal.innerHTML = `
+        <div style="background: var(--card-bg); padding: 30px; border-radius: 16px; width: 90%; max-width: 600px; max-height: 80vh; overflow-y: auto;">
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+                <h3 style="margin: 0;">${t('docker.importCompose')}</h3>
+                <button id="close-compose-modal" style="background: none; border: none; color: white; font-size: 1.5rem; cursor: pointer;">&times;</button>
+            </div>
+            <div class="input-group" style="margin-bottom: 15px;">
+                <input type="text" id="compose-name" placeholder=" " required>
+                <label>${t('docker.stackName')}</label>
+            </div>
+            <div style="margin-bottom: 15px;">
+                <label style="display: block; margin-bottom: 8px; color: var(--text-dim);">${t('docker.composeContent')}:</label>
+                <div style="display: flex; gap: 10px; margin-bottom: 10px;">
+                    <label style="
+                        flex: 1; padding: 12px; background: rgba(99, 102, 241, 0.2);
+                        border: 2px dashed rgba(99, 102, 241, 0.5); border-radius: 8px;
+                        color: #6366f1; text-align: center; cursor: pointer;
+                        transition: all 0.2s ease;
+                    ">
+                        📁 ${t('docker.uploadYml')}
+                        <input type="file" id="compose-file-input" accept=".yml,.yaml" style="display: none;">
+                    </label>
+                </div>
+                <textarea id="compose-content" style="
+                    width: 100%; height: 300px; background: rgba(0,0,0,0.3);
+                    border: 1px solid rgba(255,255,255,0.1); border-radius: 8px;
+                    color: white; font-family: monospace; padding: 15px; resize: vertical;
+                " placeholder="version: '3'
+services:
+  myapp:
+    image: nginx:latest
+    ports:
+      - '8080:80'"></textarea>
+            </div>
+            <div style="display: flex; gap: 10px;">
+                <button id="save-compose-btn" class="btn-primary" style="flex: 1; padding: 12px;">${t('docker.saveCompose')}</button>
+                <button id="save-run-compose-btn" class="btn-primary" style="flex: 1; padding: 12px; background: #10b981;">${t('docker.saveAndRun')}</button>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    document.getElementById('close-compose-modal').addEventListener('click', () => modal.remove());
+    modal.addEventListener('click', (e) => { if (e.target === modal) modal.remove(); });
+
+    // File upload handler
+    document.getElementById("compose-file-input").addEventListener("change", (e) => {
+        const file = e.target.files[0];
+        if (file) {
+            const reader = new FileReader();
+            reader.onload = (event) => {
+                document.getElementById("compose-content").value = event.target.result;
+                // Auto-fill stack name from filename if empty
+                const nameInput = document.getElementById("compose-name");
+                if (!nameInput.value.trim()) {
+                    nameInput.value = file.name.replace(/.(yml|yaml)$/i, "").replace(/docker-compose[-_]?/i, "") || "stack";
+                }
+            };
+            reader.readAsText(file);
+        }
+    });
+
+
+    document.getElementById('save-compose-btn').addEventListener('click', () => saveCompose(false));
+    document.getElementById('save-run-compose-btn').addEventListener('click', () => saveCompose(true));
+}
+
+async function saveCompose(andRun) {
+    const name = document.getElementById("compose-name").value.trim();
+    const content = document.getElementById("compose-content").value;
+
+    if (!name) {
+        alert(t('docker.enterStackName'));
+        return;
+    }
+    if (!content) {
+        alert(t('docker.enterComposeContent'));
+        return;
+    }
+
+    // Replace modal content with progress view
+    const modal = document.getElementById("compose-modal");
+    const modalContent = modal.querySelector("div");
+    modalContent.innerHTML = `
+        <h3 style="margin: 0 0 20px 0;">${t('docker.deployingStack')}: ${escapeHtml(name)}</h3>
+        <div id="deploy-steps">
+            <div class="deploy-step" id="step-save">
+                <span class="step-icon">⏳</span>
+                <span class="step-text">${t('docker.savingCompose')}</span>
+            </div>
+            ${andRun ? `<div class="deploy-step" id="step-pull">
+                <span class="step-icon">⏳</span>
+                <span class="step-text">${t('docker.pullingImages')}</span>
+            </div>
+            <div class="deploy-step" id="step-start">
+                <span class="step-icon">⏳</span>
+                <span class="step-text">${t('docker.startingContainers')}</span>
+            </div>` : ""}
+        </div>
+        <div style="margin: 20px 0;">
+            <div style="background: rgba(255,255,255,0.1); border-radius: 8px; height: 8px; overflow: hidden;">
+                <div id="deploy-progress" style="height: 100%; background: linear-gradient(90deg, #6366f1, #10b981); width: 0%; transition: width 0.3s ease;"></div>
+            </div>
+            <div id="deploy-status" style="margin-top: 10px; font-size: 0.9rem; color: var(--text-dim); text-align: center;">${t('docker.initializing')}</div>
+        </div>
+        <div id="deploy-log" style="display: none; margin: 15px 0; padding: 15px; background: rgba(0,0,0,0.3); border-radius: 8px; font-family: monospace; font-size: 0.8rem; max-height: 200px; overflow-y: auto; white-space: pre-wrap;"></div>
+        <div id="deploy-actions" style="display: none; text-align: center;">
+            <button id="deploy-close-btn" class="btn-primary" style="padding: 12px 30px;">${t('common.accept')}</button>
+        </div>
+    `;
+
+    const updateStep = (stepId, status) => {
+        const step = document.getElementById(stepId);
+        if (!step) return;
+        step.className = "deploy-step";
+        if (status) step.classList.add(status);
+    };
+
+    const updateProgress = (percent, text) => {
+        const bar = document.getElementById("deploy-progress");
+        const status = document.getElementById("deploy-status");
+        if (bar) bar.style.width = percent + "%";
+        if (status) status.textContent = text;
+    };
+
+    const showResult = (success, message, log = "") => {
+        const actions = document.getElementById("deploy-actions");
+        const logDiv = document.getElementById("deploy-log");
+        const btn = document.getElementById("deploy-close-btn");
+        
+        if (actions) actions.style.display = "block";
+        if (!success && log && logDiv) {
+            logDiv.style.display = "block";
+            logDiv.textContent = log;
+            logDiv.style.color = "#ef4444";
+        }
+        if (btn) {
+            btn.textContent = success ? t('common.accept') : t('common.close');
+            btn.style.background = success ? "#10b981" : "#ef4444";
+            btn.onclick = () => {
+                modal.remove();
+                if (success) renderContent("docker");
+            };
+        }
+        updateProgress(100, message);
+    };
+
+    try {
+        // Step 1: Save compose file
+        updateStep("step-save", "active");
+        updateProgress(10, "Saving compose file...");
+
+        const res = await authFetch(`${API_BASE}/docker/compose/import`, {
+            method: "POST",
+            body: JSON.stringify({ name, content })
+        });
+        const data = await res.json();
+
+        if (!res.ok) throw new Error(data.error || "Import failed");
+        
+        updateStep("step-save", "done");
+        updateProgress(andRun ? 33 : 100, andRun ? t('docker.savingCompose') : t('docker.composeSaved') + ' ✅');
+
+        if (andRun) {
+            // Step 2: Pull & Start
+            updateStep("step-pull", "active");
+            updateProgress(50, t('docker.pullingImages'));
+
+            const runRes = await authFetch(`${API_BASE}/docker/compose/up`, {
+                method: "POST",
+                body: JSON.stringify({ name })
+            });
+            const runData = await runRes.json();
+
+            if (!runRes.ok) {
+                updateStep("step-pull", "error");
+                updateStep("step-start", "error");
+                throw new Error(runData.error || runData.output || t('common.error'));
+            }
+
+            updateStep("step-pull", "done");
+            updateStep("step-start", "done");
+            showResult(true, t('docker.deploySuccess') + ' ✅');
+        } else {
+            showResult(true, t('docker.composeSaved') + ' ✅');
+        }
+
+    } catch (e) {
+        console.error("Compose deploy error:", e);
+        const currentStep = document.querySelector(".deploy-step.active");
+        if (currentStep) currentStep.classList.replace("active", "error");
+        showResult(false, t('docker.deployFailed') + ' ❌', e.message);
+    }
+}
+
+async function runCompose(name, btn) {
+    btn.disabled = true;
+    btn.textContent = t('docker.starting');
+
+    try {
+        const res = await authFetch(`${API_BASE}/docker/compose/up`, {
+            method: 'POST',
+            body: JSON.stringify({ name })
+        });
+        const data = await res.json();
+
+        if (!res.ok) throw new Error(data.error || t('common.error'));
+
+        alert(t('docker.composeStarted').replace('{name}', name));
+        renderContent('docker');
+    } catch (e) {
+        console.error('Compose run error:', e);
+        alert(t('common.error') + ': ' + e.message);
+        btn.disabled = false;
+        btn.textContent = t('docker.run');
+    }
+}
+
+async function stopCompose(name, btn) {
+    btn.disabled = true;
+    btn.textContent = t('docker.stopping');
+
+    try {
+        const res = await authFetch(`${API_BASE}/docker/compose/down`, {
+            method: 'POST',
+            body: JSON.stringify({ name })
+        });
+        const data = await res.json();
+
+        if (!res.ok) throw new Error(data.error || t('common.error'));
+
+        alert(t('docker.composeStopped').replace('{name}', name));
+        renderContent('docker');
+    } catch (e) {
+        console.error('Compose stop error:', e);
+        alert(t('common.error') + ': ' + e.message);
+        btn.disabled = false;
+        btn.textContent = t('docker.stop');
+    }
+}
+
+async function deleteCompose(name) {
+    if (!confirm(t('docker.deleteConfirm').replace('{name}', name))) {
+        return;
+    }
+
+    try {
+        const res = await authFetch(`${API_BASE}/docker/compose/${encodeURIComponent(name)}`, {
+            method: 'DELETE'
+        });
+        const data = await res.json();
+
+        if (!res.ok) throw new Error(data.error || t('common.error'));
+
+        alert(t('docker.composeDeleted').replace('{name}', name));
+        renderContent('docker');
+    } catch (e) {
+        console.error('Compose delete error:', e);
+        alert(t('common.error') + ': ' + e.message);
+    }
+}
+
+// Edit compose modal
+async function openEditComposeModal(composeName) {
+    // Fetch current compose content
+    let content = '';
+    try {
+        const res = await authFetch(`${API_BASE}/docker/compose/${encodeURIComponent(composeName)}`);
+        if (res.ok) {
+            const data = await res.json();
+            content = data.content || '';
+        }
+    } catch (e) {
+        console.error('Error fetching compose:', e);
+    }
+
+    const modal = document.createElement('div');
+    modal.className = 'modal active';
+    modal.innerHTML = `
+        <div class="glass-card modal-content" style="max-width: 700px; max-height: 80vh; overflow-y: auto;">
+            <header class="modal-header">
+                <h3>✏️ ${t('docker.editCompose', 'Editar Compose')}: ${escapeHtml(composeName)}</h3>
+                <button class="btn-close" onclick="this.closest('.modal').remove()">&times;</button>
+            </header>
+            <div style="padding: 20px;">
+                <textarea id="edit-compose-content" style="
+                    width: 100%; height: 400px; background: rgba(0,0,0,0.3);
+                    border: 1px solid rgba(255,255,255,0.1); border-radius: 8px;
+                    color: white; font-family: monospace; padding: 15px; resize: vertical;
+                ">${escapeHtml(content)}</textarea>
+            </div>
+            <div class="modal-footer" style="display: flex; gap: 10px; padding: 15px;">
+                <button class="btn-primary" style="background: var(--text-dim);" onclick="this.closest('.modal').remove()">
+                    ${t('common.cancel', 'Cancelar')}
+                </button>
+                <button id="save-edit-compose" class="btn-primary">
+                    ${t('common.save', 'Guardar')}
+                </button>
+                <button id="save-run-edit-compose" class="btn-primary" style="background: #10b981;">
+                    ${t('docker.saveAndRun', 'Guardar y Ejecutar')}
+                </button>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    const saveHandler = async (andRun) => {
+        const newContent = document.getElementById('edit-compose-content').value;
+        try {
+            // Save compose
+            const saveRes = await authFetch(`${API_BASE}/docker/compose/${encodeURIComponent(composeName)}`, {
+                method: 'PUT',
+                body: JSON.stringify({ content: newContent })
+            });
+            if (!saveRes.ok) {
+                const data = await saveRes.json();
+                throw new Error(data.error || 'Failed to save');
+            }
+
+            if (andRun) {
+                // Run compose
+                const runRes = await authFetch(`${API_BASE}/docker/compose/up`, {
+                    method: 'POST',
+                    body: JSON.stringify({ name: composeName })
+                });
+                if (!runRes.ok) {
+                    const data = await runRes.json();
+                    throw new Error(data.error || 'Failed to run');
+                }
+            }
+
+            modal.remove();
+            renderContent('docker');
+        } catch (e) {
+            alert('Error: ' + e.message);
+        }
+    };
+
+    document.getElementById('save-edit-compose').addEventListener('click', () => saveHandler(false));
+    document.getElementById('save-run-edit-compose').addEventListener('click', () => saveHandler(true));
+}
+
+window.checkDockerUpdates = checkDockerUpdates;
+window.updateContainer = updateContainer;
+window.openComposeModal = openComposeModal;
+window.openEditComposeModal = openEditComposeModal;
+
+async function handleDockerAction(id, action, btn) {
+    if (!btn) return;
+
+    btn.disabled = true;
+    btn.textContent = t('docker.processing');
+
+    try {
+        const res = await authFetch(`${API_BASE}/docker/action`, {
+            method: 'POST',
+            body: JSON.stringify({ id, action })
+        });
+
+        if (!res.ok) {
+            const data = await res.json();
+            throw new Error(data.error || t('common.error'));
+        }
+
+        renderContent('docker');
+    } catch (e) {
+        console.error('Docker action error:', e);
+        alert(e.message || t('common.error'));
+        btn.disabled = false;
+        btn.textContent = action === 'stop' ? t('docker.stop') : t('docker.start');
+    }
+}
+
+// Keep window reference for backward compatibility
+window.handleDockerAction = handleDockerAction;
+
+// Network Manager (Refined)
+async function renderNetworkManager() {
+    try {
+        const res = await fetch(`${API_BASE}/network/interfaces`);
+        if (!res.ok) throw new Error('Failed to fetch interfaces');
+        state.network.interfaces = await res.json();
+    } catch (e) {
+        console.error('Network fetch error:', e);
+        dashboardContent.innerHTML = `<div class="glass-card"><h3>${t('common.error')}</h3></div>`;
+        return;
+    }
+
+    const container = document.createElement('div');
+    container.className = 'network-grid';
+
+    // 1. Interfaces Section
+    const ifaceSection = document.createElement('div');
+    const ifaceTitle = document.createElement('h3');
+    ifaceTitle.textContent = t('network.adapters');
+    ifaceTitle.style.marginBottom = '20px';
+    ifaceSection.appendChild(ifaceTitle);
+
+    // Grid container for interface cards
+    const interfacesGrid = document.createElement('div');
+    interfacesGrid.className = 'interfaces-grid';
+
+    state.network.interfaces.forEach(iface => {
+        const card = document.createElement('div');
+        card.className = 'glass-card interface-card';
+        card.dataset.interfaceId = iface.id;
+
+        const isConnected = iface.status === 'connected';
+        // Use local state if available, otherwise use server state
+        const isDhcp = localDhcpState[iface.id] !== undefined ? localDhcpState[iface.id] : iface.dhcp;
+
+        // Create header
+        const header = document.createElement('div');
+        header.className = 'interface-header';
+
+        const headerInfo = document.createElement('div');
+        const h4 = document.createElement('h4');
+        h4.textContent = `${iface.name || 'Unknown'} (${iface.id || 'N/A'})`;
+        const statusSpan = document.createElement('span');
+        statusSpan.style.cssText = `font-size: 0.8rem; color: ${isConnected ? '#10b981' : '#94a3b8'}`;
+        statusSpan.textContent = (iface.status || 'unknown').toUpperCase();
+        headerInfo.appendChild(h4);
+        headerInfo.appendChild(statusSpan);
+
+        const checkboxItem = document.createElement('div');
+        checkboxItem.className = 'checkbox-item';
+
+        const dhcpCheckbox = document.createElement('input');
+        dhcpCheckbox.type = 'checkbox';
+        dhcpCheckbox.id = `dhcp-${iface.id}`;
+        dhcpCheckbox.checked = isDhcp;
+        dhcpCheckbox.addEventListener('change', (e) => toggleDHCP(iface.id, e.target.checked, iface));
+
+        const dhcpLabel = document.createElement('label');
+        dhcpLabel.htmlFor = `dhcp-${iface.id}`;
+        dhcpLabel.textContent = t('network.dhcp');
+
+        checkboxItem.appendChild(dhcpCheckbox);
+        checkboxItem.appendChild(dhcpLabel);
+
+        header.appendChild(headerInfo);
+        header.appendChild(checkboxItem);
+
+        // Create form
+        const netForm = document.createElement('div');
+        netForm.className = 'net-form';
+        netForm.id = `netform-${iface.id}`;
+
+        if (isDhcp) {
+            const inputGroup = document.createElement('div');
+            inputGroup.className = 'input-group';
+            inputGroup.style.gridColumn = '1 / -1';
+
+            const ipInput = document.createElement('input');
+            ipInput.type = 'text';
+            ipInput.value = iface.ip || '';
+            ipInput.disabled = true;
+            ipInput.placeholder = ' ';
+
+            const label = document.createElement('label');
+            label.textContent = t('network.hardwareAssignedIP');
+
+            inputGroup.appendChild(ipInput);
+            inputGroup.appendChild(label);
+            netForm.appendChild(inputGroup);
+        } else {
+            // IP Input
+            const ipGroup = document.createElement('div');
+            ipGroup.className = 'input-group';
+            const ipInput = document.createElement('input');
+            ipInput.type = 'text';
+            ipInput.id = `ip-${iface.id}`;
+            ipInput.value = iface.ip || '';
+            ipInput.placeholder = ' ';
+            const ipLabel = document.createElement('label');
+            ipLabel.textContent = t('network.ipAddress');
+            ipGroup.appendChild(ipInput);
+            ipGroup.appendChild(ipLabel);
+
+            // Subnet Input
+            const subnetGroup = document.createElement('div');
+            subnetGroup.className = 'input-group';
+            const subnetInput = document.createElement('input');
+            subnetInput.type = 'text';
+            subnetInput.id = `subnet-${iface.id}`;
+            subnetInput.value = iface.subnet || '';
+            subnetInput.placeholder = ' ';
+            const subnetLabel = document.createElement('label');
+            subnetLabel.textContent = t('network.subnetMask');
+            subnetGroup.appendChild(subnetInput);
+            subnetGroup.appendChild(subnetLabel);
+
+            netForm.appendChild(ipGroup);
+            netForm.appendChild(subnetGroup);
+        }
+
+        // Save button
+        const btnContainer = document.createElement('div');
+        btnContainer.style.cssText = 'display: flex; align-items: flex-end; padding-bottom: 25px; grid-column: 1 / -1;';
+
+        const saveBtn = document.createElement('button');
+        saveBtn.className = 'btn-primary';
+        saveBtn.style.cssText = 'padding: 10px; max-width: 200px;';
+        saveBtn.textContent = t('network.saveToNode');
+        saveBtn.addEventListener('click', () => applyNetwork(iface.id));
+
+        btnContainer.appendChild(saveBtn);
+        netForm.appendChild(btnContainer);
+
+        card.appendChild(header);
+        card.appendChild(netForm);
+        interfacesGrid.appendChild(card);
+    });
+
+    ifaceSection.appendChild(interfacesGrid);
+
+    // 2. DDNS Section
+    const ddnsSection = document.createElement('div');
+    const ddnsTitle = document.createElement('h3');
+    ddnsTitle.style.cssText = 'margin-top: 40px; margin-bottom: 20px;';
+    ddnsTitle.textContent = t('network.remoteAccess');
+    ddnsSection.appendChild(ddnsTitle);
+
+    const ddnsGrid = document.createElement('div');
+    ddnsGrid.className = 'ddns-grid';
+
+    (state.network.ddns || []).forEach(service => {
+        const card = document.createElement('div');
+        card.className = 'glass-card ddns-card';
+
+        const isOnline = service.status === 'online';
+
+        // Header
+        const ddnsHeader = document.createElement('div');
+        ddnsHeader.className = 'ddns-header';
+
+        const logo = document.createElement('div');
+        logo.className = 'ddns-logo';
+        logo.style.background = isOnline ? '#10b981' : '#ef4444';
+        logo.textContent = (service.name || 'U').charAt(0);
+
+        const headerInfo = document.createElement('div');
+        const serviceH4 = document.createElement('h4');
+        serviceH4.textContent = service.name || 'Unknown';
+        const statusInfo = document.createElement('span');
+        statusInfo.style.fontSize = '0.75rem';
+        // SECURITY: Escape service.status to prevent XSS
+        statusInfo.innerHTML = `<span class="status-dot ${isOnline ? 'status-check-online' : 'status-check-offline'}"></span>${escapeHtml((service.status || 'unknown').toUpperCase())}`;
+        headerInfo.appendChild(serviceH4);
+        headerInfo.appendChild(statusInfo);
+
+        ddnsHeader.appendChild(logo);
+        ddnsHeader.appendChild(headerInfo);
+
+        // Domain row
+        const domainRow = document.createElement('div');
+        domainRow.className = 'status-row-net';
+        const domainLabel = document.createElement('span');
+        domainLabel.textContent = t('network.domain');
+        const domainValue = document.createElement('span');
+        domainValue.style.color = 'white';
+        domainValue.textContent = service.domain || 'N/A';
+        domainRow.appendChild(domainLabel);
+        domainRow.appendChild(domainValue);
+
+        // IP row
+        const ipRow = document.createElement('div');
+        ipRow.className = 'status-row-net';
+        const ipLabel = document.createElement('span');
+        ipLabel.textContent = t('network.gatewayIP');
+        const ipValue = document.createElement('span');
+        ipValue.style.cssText = 'color: #10b981; font-weight: 600;';
+        ipValue.textContent = isOnline ? (state.publicIP || '---') : '---';
+        ipRow.appendChild(ipLabel);
+        ipRow.appendChild(ipValue);
+
+        card.appendChild(ddnsHeader);
+        card.appendChild(domainRow);
+        card.appendChild(ipRow);
+        ddnsGrid.appendChild(card);
+    });
+
+    // Add service button
+    const addCard = document.createElement('div');
+    addCard.className = 'btn-add-ddns';
+    addCard.addEventListener('click', openDDNSModal);
+
+    const plusIcon = document.createElement('span');
+    plusIcon.className = 'plus-icon';
+    plusIcon.textContent = '+';
+    const addText = document.createElement('span');
+    addText.style.cssText = 'font-size: 0.9rem; font-weight: 600;';
+    addText.textContent = t('network.addService');
+
+    addCard.appendChild(plusIcon);
+    addCard.appendChild(addText);
+    ddnsGrid.appendChild(addCard);
+
+    ddnsSection.appendChild(ddnsGrid);
+    container.appendChild(ifaceSection);
+    container.appendChild(ddnsSection);
+    dashboardContent.appendChild(container);
+}
+
+// Network functions
+function toggleDHCP(interfaceId, isChecked, iface) {
+    // Update local state
+    localDhcpState[interfaceId] = isChecked;
+
+    // Re-render only the form for this interface
+    const netForm = document.getElementById(`netform-${interfaceId}`);
+    if (netForm) {
+        renderNetForm(netForm, iface, isChecked);
+    }
+}
+
+// Helper function to render the network form
+function renderNetForm(netForm, iface, isDhcp) {
+    netForm.innerHTML = '';
+
+    if (isDhcp) {
+        const inputGroup = document.createElement('div');
+        inputGroup.className = 'input-group';
+        inputGroup.style.gridColumn = '1 / -1';
+
+        const ipInput = document.createElement('input');
+        ipInput.type = 'text';
+        ipInput.value = iface.ip || '';
+        ipInput.disabled = true;
+        ipInput.placeholder = ' ';
+
+        const label = document.createElement('label');
+        label.textContent = t('network.hardwareAssignedIP');
+
+        inputGroup.appendChild(ipInput);
+        inputGroup.appendChild(label);
+        netForm.appendChild(inputGroup);
+    } else {
+        // IP Input
+        const ipGroup = document.createElement('div');
+        ipGroup.className = 'input-group';
+        const ipInput = document.createElement('input');
+        ipInput.type = 'text';
+        ipInput.id = `ip-${iface.id}`;
+        ipInput.value = iface.ip || '';
+        ipInput.placeholder = ' ';
+        const ipLabel = document.createElement('label');
+        ipLabel.textContent = t('network.ipAddress');
+        ipGroup.appendChild(ipInput);
+        ipGroup.appendChild(ipLabel);
+
+        // Subnet Input
+        const subnetGroup = document.createElement('div');
+        subnetGroup.className = 'input-group';
+        const subnetInput = document.createElement('input');
+        subnetInput.type = 'text';
+        subnetInput.id = `subnet-${iface.id}`;
+        subnetInput.value = iface.subnet || '';
+        subnetInput.placeholder = ' ';
+        const subnetLabel = document.createElement('label');
+        subnetLabel.textContent = t('network.subnetMask');
+        subnetGroup.appendChild(subnetInput);
+        subnetGroup.appendChild(subnetLabel);
 
-        if (!res.ok) throw new Error(data.error || "Import failed");
-        
-        updateStep("step-save", "done");
-        updateProgress(andRun ? 33 : 100, andRun ? t('docker.savingCompose') : t('docker.composeSaved') + ' ✅');
+        // Gateway Input
+        const gatewayGroup = document.createElement('div');
+        gatewayGroup.className = 'input-group';
+        const gatewayInput = document.createElement('input');
+        gatewayInput.type = 'text';
+        gatewayInput.id = `gateway-${iface.id}`;
+        gatewayInput.value = iface.gateway || '';
+        gatewayInput.placeholder = ' ';
+        const gatewayLabel = document.createElement('label');
+        gatewayLabel.textContent = t('network.gateway');
+        gatewayGroup.appendChild(gatewayInput);
+        gatewayGroup.appendChild(gatewayLabel);
 
-        if (andRun) {
-            // Step 2: Pull & Start
-            updateStep("step-pull", "active");
-            updateProgress(50, t('docker.pullingImages'));
+        // DNS Input
+        const dnsGroup = document.createElement('div');
+        dnsGroup.className = 'input-group';
+        const dnsInput = document.createElement('input');
+        dnsInput.type = 'text';
+        dnsInput.id = `dns-${iface.id}`;
+        dnsInput.value = '';
+        dnsInput.placeholder = ' ';
+        const dnsLabel = document.createElement('label');
+        dnsLabel.textContent = t('network.dnsExample');
+        dnsGroup.appendChild(dnsInput);
+        dnsGroup.appendChild(dnsLabel);
 
-            const runRes = await authFetch(`${API_BASE}/docker/compose/up`, {
-                method: "POST",
-                body: JSON.stringify({ name })
-            });
-            const runData = await runRes.json();
+        netForm.appendChild(ipGroup);
+        netForm.appendChild(subnetGroup);
+        netForm.appendChild(gatewayGroup);
+        netForm.appendChild(dnsGroup);
+    }
 
-            if (!runRes.ok) {
-                updateStep("step-pull", "error");
-                updateStep("step-start", "error");
-                throw new Error(runData.error || runData.output || t('common.error'));
-            }
+    // Save button
+    const btnContainer = document.createElement('div');
+    btnContainer.style.cssText = 'display: flex; align-items: flex-end; padding-top: 10px; grid-column: 1 / -1;';
 
-            updateStep("step-pull", "done");
-            updateStep("step-start", "done");
-            showResult(true, t('docker.deploySuccess') + ' ✅');
-        } else {
-            showResult(true, t('docker.composeSaved') + ' ✅');
-        }
+    const saveBtn = document.createElement('button');
+    saveBtn.className = 'btn-primary';
+    saveBtn.style.cssText = 'padding: 10px; width: 100%;';
+    saveBtn.textContent = t('network.saveToNode');
+    saveBtn.addEventListener('click', () => applyNetwork(iface.id));
 
-    } catch (e) {
-        console.error("Compose deploy error:", e);
-        const currentStep = document.querySelector(".deploy-step.active");
-        if (currentStep) currentStep.classList.replace("active", "error");
-        showResult(false, t('docker.deployFailed') + ' ❌', e.message);
-    }
+    btnContainer.appendChild(saveBtn);
+    netForm.appendChild(btnContainer);
 }
 
-async function runCompose(name, btn) {
-    btn.disabled = true;
-    btn.textContent = t('docker.starting');
+async function applyNetwork(interfaceId) {
+    const dhcpCheckbox = document.getElementById(`dhcp-${interfaceId}`);
+    const isDhcp = dhcpCheckbox ? dhcpCheckbox.checked : false;
 
-    try {
-        const res = await authFetch(`${API_BASE}/docker/compose/up`, {
-            method: 'POST',
-            body: JSON.stringify({ name })
-        });
-        const data = await res.json();
+    let config = { dhcp: isDhcp };
 
-        if (!res.ok) throw new Error(data.error || t('common.error'));
+    if (!isDhcp) {
+        const ipInput = document.getElementById(`ip-${interfaceId}`);
+        const subnetInput = document.getElementById(`subnet-${interfaceId}`);
+        const gatewayInput = document.getElementById(`gateway-${interfaceId}`);
+        const dnsInput = document.getElementById(`dns-${interfaceId}`);
 
-        alert(t('docker.composeStarted').replace('{name}', name));
-        renderContent('docker');
-    } catch (e) {
-        console.error('Compose run error:', e);
-        alert(t('common.error') + ': ' + e.message);
-        btn.disabled = false;
-        btn.textContent = t('docker.run');
-    }
-}
+        if (ipInput) config.ip = ipInput.value.trim();
+        if (subnetInput) config.subnet = subnetInput.value.trim();
+        if (gatewayInput) config.gateway = gatewayInput.value.trim();
+        if (dnsInput) config.dns = dnsInput.value.trim();
 
-async function stopCompose(name, btn) {
-    btn.disabled = true;
-    btn.textContent = t('docker.stopping');
+        // Basic validation
+        const ipRegex = /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/;
 
-    try {
-        const res = await authFetch(`${API_BASE}/docker/compose/down`, {
-            method: 'POST',
-            body: JSON.stringify({ name })
-        });
-        const data = await res.json();
+        if (config.ip && !ipRegex.test(config.ip)) {
+            alert(t('network.invalidIP'));
+            return;
+        }
 
-        if (!res.ok) throw new Error(data.error || t('common.error'));
+        if (config.subnet && !ipRegex.test(config.subnet)) {
+            alert(t('network.invalidSubnet'));
+            return;
+        }
 
-        alert(t('docker.composeStopped').replace('{name}', name));
-        renderContent('docker');
-    } catch (e) {
-        console.error('Compose stop error:', e);
-        alert(t('common.error') + ': ' + e.message);
-        btn.disabled = false;
-        btn.textContent = t('docker.stop');
-    }
-}
+        if (config.gateway && !ipRegex.test(config.gateway)) {
+            alert(t('network.invalidGateway'));
+            return;
+        }
 
-async function deleteCompose(name) {
-    if (!confirm(t('docker.deleteConfirm').replace('{name}', name))) {
-        return;
+        if (config.dns && !ipRegex.test(config.dns)) {
+            alert(t('network.invalidDNS'));
+            return;
+        }
     }
 
     try {
-        const res = await authFetch(`${API_BASE}/docker/compose/${encodeURIComponent(name)}`, {
-            method: 'DELETE'
+        const res = await authFetch(`${API_BASE}/network/configure`, {
+            method: 'POST',
+            body: JSON.stringify({ id: interfaceId, config })
         });
+
         const data = await res.json();
 
-        if (!res.ok) throw new Error(data.error || t('common.error'));
+        if (!res.ok) {
+            throw new Error(data.error || t('network.configFailed'));
+        }
 
-        alert(t('docker.composeDeleted').replace('{name}', name));
-        renderContent('docker');
+        alert(data.message || t('network.configSaved'));
     } catch (e) {
-        console.error('Compose delete error:', e);
-        alert(t('common.error') + ': ' + e.message);
+        console.error('Network config error:', e);
+        alert(e.message || t('network.configFailed'));
     }
 }
 
-// Edit compose modal
-async function openEditComposeModal(composeName) {
-    // Fetch current compose content
-    let content = '';
-    try {
-        const res = await authFetch(`${API_BASE}/docker/compose/${encodeURIComponent(composeName)}`);
-        if (res.ok) {
-            const data = await res.json();
-            content = data.content || '';
-        }
-    } catch (e) {
-        console.error('Error fetching compose:', e);
+function openDDNSModal() {
+    if (ddnsModal) {
+        ddnsModal.style.display = 'flex';
     }
+}
 
-    const modal = document.createElement('div');
-    modal.className = 'modal active';
-    modal.innerHTML = `
-        <div class="glass-card modal-content" style="max-width: 700px; max-height: 80vh; overflow-y: auto;">
-            <header class="modal-header">
-                <h3>✏️ ${t('docker.editCompose', 'Editar Compose')}: ${escapeHtml(composeName)}</h3>
-                <button class="btn-close" onclick="this.closest('.modal').remove()">&times;</button>
-            </header>
-            <div style="padding: 20px;">
-                <textarea id="edit-compose-content" style="
-                    width: 100%; height: 400px; background: rgba(0,0,0,0.3);
-                    border: 1px solid rgba(255,255,255,0.1); border-radius: 8px;
-                    color: white; font-family: monospace; padding: 15px; resize: vertical;
-                ">${escapeHtml(content)}</textarea>
-            </div>
-            <div class="modal-footer" style="display: flex; gap: 10px; padding: 15px;">
-                <button class="btn-primary" style="background: var(--text-dim);" onclick="this.closest('.modal').remove()">
-                    ${t('common.cancel', 'Cancelar')}
-                </button>
-                <button id="save-edit-compose" class="btn-primary">
-                    ${t('common.save', 'Guardar')}
-                </button>
-                <button id="save-run-edit-compose" class="btn-primary" style="background: #10b981;">
-                    ${t('docker.saveAndRun', 'Guardar y Ejecutar')}
-                </button>
-            </div>
-        </div>
-    `;
-
-    document.body.appendChild(modal);
-
-    const saveHandler = async (andRun) => {
-        const newContent = document.getElementById('edit-compose-content').value;
-        try {
-            // Save compose
-            const saveRes = await authFetch(`${API_BASE}/docker/compose/${encodeURIComponent(composeName)}`, {
-                method: 'PUT',
-                body: JSON.stringify({ content: newContent })
-            });
-            if (!saveRes.ok) {
-                const data = await saveRes.json();
-                throw new Error(data.error || 'Failed to save');
-            }
-
-            if (andRun) {
-                // Run compose
-                const runRes = await authFetch(`${API_BASE}/docker/compose/up`, {
-                    method: 'POST',
-                    body: JSON.stringify({ name: composeName })
-                });
-                if (!runRes.ok) {
-                    const data = await runRes.json();
-                    throw new Error(data.error || 'Failed to run');
-                }
-            }
+function closeDDNSModal() {
+    if (ddnsModal) {
+        ddnsModal.style.display = 'none';
+    }
+}
 
-            modal.remove();
-            renderContent('docker');
-        } catch (e) {
-            alert('Error: ' + e.message);
-        }
-    };
+// Initialize modal close button
+const closeModalBtn = document.getElementById('close-modal');
+if (closeModalBtn) {
+    closeModalBtn.addEventListener('click', closeDDNSModal);
+}
 
-    document.getElementById('save-edit-compose').addEventListener('click', () => saveHandler(false));
-    document.getElementById('save-run-edit-compose').addEventListener('click', () => saveHandler(true));
+// Close modal on outside click
+if (ddnsModal) {
+    ddnsModal.addEventListener('click', (e) => {
+        if (e.target === ddnsModal) {
+            closeDDNSModal();
+        }
+    });
 }
 
-window.checkDockerUpdates = checkDockerUpdates;
-window.updateContainer = updateContainer;
-window.openComposeModal = openComposeModal;
-window.openEditComposeModal = openEditComposeModal;
+// Terms and Conditions Modal
+const termsModal = document.getElementById('terms-modal');
+const termsLink = document.getElementById('terms-link');
+const closeTermsBtn = document.getElementById('close-terms-modal');
+const acceptTermsBtn = document.getElementById('accept-terms-btn');
 
-async function handleDockerAction(id, action, btn) {
-    if (!btn) return;
+if (termsLink) {
+    termsLink.addEventListener('click', (e) => {
+        e.preventDefault();
+        if (termsModal) termsModal.style.display = 'flex';
+    });
+}
 
-    btn.disabled = true;
-    btn.textContent = t('docker.processing');
+if (closeTermsBtn) {
+    closeTermsBtn.addEventListener('click', () => {
+        if (termsModal) termsModal.style.display = 'none';
+    });
+}
 
-    try {
-        const res = await authFetch(`${API_BASE}/docker/action`, {
-            method: 'POST',
-            body: JSON.stringify({ id, action })
-        });
+if (acceptTermsBtn) {
+    acceptTermsBtn.addEventListener('click', () => {
+        if (termsModal) termsModal.style.display = 'none';
+    });
+}
 
-        if (!res.ok) {
-            const data = await res.json();
-            throw new Error(data.error || t('common.error'));
+if (termsModal) {
+    termsModal.addEventListener('click', (e) => {
+        if (e.target === termsModal) {
+            termsModal.style.display = 'none';
         }
-
-        renderContent('docker');
-    } catch (e) {
-        console.error('Docker action error:', e);
-        alert(e.message || t('common.error'));
-        btn.disabled = false;
-        btn.textContent = action === 'stop' ? t('docker.stop') : t('docker.start');
-    }
+    });
 }
 
-// Keep window reference for backward compatibility
-window.handleDockerAction = handleDockerAction;
-
-// Network Manager (Refined)
-async function renderNetworkManager() {
-    try {
-        const res = await fetch(`${API_BASE}/network/interfaces`);
-        if (!res.ok) throw new Error('Failed to fetch interfaces');
-        state.network.interfaces = await res.json();
-    } catch (e) {
-        console.error('Network fetch error:', e);
-        dashboardContent.innerHTML = `<div class="glass-card"><h3>${t('common.error')}</h3></div>`;
-        return;
+// System View (Real Actions)
+function renderSystemView() {
+    // Format uptime intelligently
+    const uptimeSeconds = Number(state.globalStats.uptime) || 0;
+    const days = Math.floor(uptimeSeconds / 86400);
+    const hours = Math.floor((uptimeSeconds % 86400) / 3600);
+    const minutes = Math.floor((uptimeSeconds % 3600) / 60);
+    let uptimeStr;
+    if (days > 0) {
+        uptimeStr = `${days} día${days > 1 ? 's' : ''} ${hours}h`;
+    } else if (hours > 0) {
+        uptimeStr = `${hours} hora${hours > 1 ? 's' : ''} ${minutes}m`;
+    } else {
+        uptimeStr = `${minutes} minuto${minutes !== 1 ? 's' : ''}`;
     }
+    const hostname = escapeHtml(state.globalStats.hostname || 'raspberrypi');
 
     const container = document.createElement('div');
-    container.className = 'network-grid';
+    container.style.cssText = 'display: contents;';
 
-    // 1. Interfaces Section
-    const ifaceSection = document.createElement('div');
-    const ifaceTitle = document.createElement('h3');
-    ifaceTitle.textContent = t('network.adapters');
-    ifaceTitle.style.marginBottom = '20px';
-    ifaceSection.appendChild(ifaceTitle);
+    // Management card
+    const mgmtCard = document.createElement('div');
+    mgmtCard.className = 'glass-card';
+    mgmtCard.style.gridColumn = '1 / -1';
 
-    // Grid container for interface cards
-    const interfacesGrid = document.createElement('div');
-    interfacesGrid.className = 'interfaces-grid';
+    const mgmtTitle = document.createElement('h3');
+    mgmtTitle.textContent = t('system.nodeManagement');
 
-    state.network.interfaces.forEach(iface => {
-        const card = document.createElement('div');
-        card.className = 'glass-card interface-card';
-        card.dataset.interfaceId = iface.id;
+    const mgmtDesc = document.createElement('p');
+    mgmtDesc.style.cssText = 'color: var(--text-dim); margin-top: 10px;';
+    mgmtDesc.textContent = t('system.executeActions');
 
-        const isConnected = iface.status === 'connected';
-        // Use local state if available, otherwise use server state
-        const isDhcp = localDhcpState[iface.id] !== undefined ? localDhcpState[iface.id] : iface.dhcp;
+    const btnContainer = document.createElement('div');
+    btnContainer.style.cssText = 'display: flex; gap: 20px; margin-top: 30px;';
 
-        // Create header
-        const header = document.createElement('div');
-        header.className = 'interface-header';
+    const rebootBtn = document.createElement('button');
+    rebootBtn.className = 'btn-primary';
+    rebootBtn.style.cssText = 'background: #f59e0b; box-shadow: 0 4px 15px rgba(245, 158, 11, 0.4);';
+    rebootBtn.textContent = t('system.restartNode');
+    rebootBtn.addEventListener('click', () => systemAction('reboot'));
 
-        const headerInfo = document.createElement('div');
-        const h4 = document.createElement('h4');
-        h4.textContent = `${iface.name || 'Unknown'} (${iface.id || 'N/A'})`;
-        const statusSpan = document.createElement('span');
-        statusSpan.style.cssText = `font-size: 0.8rem; color: ${isConnected ? '#10b981' : '#94a3b8'}`;
-        statusSpan.textContent = (iface.status || 'unknown').toUpperCase();
-        headerInfo.appendChild(h4);
-        headerInfo.appendChild(statusSpan);
+    const shutdownBtn = document.createElement('button');
+    shutdownBtn.className = 'btn-primary';
+    shutdownBtn.style.cssText = 'background: #ef4444; box-shadow: 0 4px 15px rgba(239, 68, 68, 0.4);';
+    shutdownBtn.textContent = t('system.powerOff');
+    shutdownBtn.addEventListener('click', () => systemAction('shutdown'));
 
-        const checkboxItem = document.createElement('div');
-        checkboxItem.className = 'checkbox-item';
+    btnContainer.appendChild(rebootBtn);
+    btnContainer.appendChild(shutdownBtn);
 
-        const dhcpCheckbox = document.createElement('input');
-        dhcpCheckbox.type = 'checkbox';
-        dhcpCheckbox.id = `dhcp-${iface.id}`;
-        dhcpCheckbox.checked = isDhcp;
-        dhcpCheckbox.addEventListener('change', (e) => toggleDHCP(iface.id, e.target.checked, iface));
+    mgmtCard.appendChild(mgmtTitle);
+    mgmtCard.appendChild(mgmtDesc);
+    mgmtCard.appendChild(btnContainer);
 
-        const dhcpLabel = document.createElement('label');
-        dhcpLabel.htmlFor = `dhcp-${iface.id}`;
-        dhcpLabel.textContent = t('network.dhcp');
+    // Info card
+    const infoCard = document.createElement('div');
+    infoCard.className = 'glass-card';
 
-        checkboxItem.appendChild(dhcpCheckbox);
-        checkboxItem.appendChild(dhcpLabel);
+    const infoTitle = document.createElement('h3');
+    infoTitle.textContent = t('system.systemInfo');
 
-        header.appendChild(headerInfo);
-        header.appendChild(checkboxItem);
+    const uptimeRow = document.createElement('div');
+    uptimeRow.className = 'stat-row';
+    uptimeRow.innerHTML = `<span>${t('system.logicUptime')}</span> <span>${uptimeStr}</span>`;
 
-        // Create form
-        const netForm = document.createElement('div');
-        netForm.className = 'net-form';
-        netForm.id = `netform-${iface.id}`;
+    const hostnameRow = document.createElement('div');
+    hostnameRow.className = 'stat-row';
+    hostnameRow.innerHTML = `<span>${t('system.nodeName')}</span> <span>${hostname}</span>`;
 
-        if (isDhcp) {
-            const inputGroup = document.createElement('div');
-            inputGroup.className = 'input-group';
-            inputGroup.style.gridColumn = '1 / -1';
+    infoCard.appendChild(infoTitle);
+    infoCard.appendChild(uptimeRow);
+    infoCard.appendChild(hostnameRow);
 
-            const ipInput = document.createElement('input');
-            ipInput.type = 'text';
-            ipInput.value = iface.ip || '';
-            ipInput.disabled = true;
-            ipInput.placeholder = ' ';
+    // Update card
+    const updateCard = document.createElement('div');
+    updateCard.className = 'glass-card';
 
-            const label = document.createElement('label');
-            label.textContent = t('network.hardwareAssignedIP');
+    const updateTitle = document.createElement('h3');
+    updateTitle.textContent = t('system.softwareUpdates');
 
-            inputGroup.appendChild(ipInput);
-            inputGroup.appendChild(label);
-            netForm.appendChild(inputGroup);
-        } else {
-            // IP Input
-            const ipGroup = document.createElement('div');
-            ipGroup.className = 'input-group';
-            const ipInput = document.createElement('input');
-            ipInput.type = 'text';
-            ipInput.id = `ip-${iface.id}`;
-            ipInput.value = iface.ip || '';
-            ipInput.placeholder = ' ';
-            const ipLabel = document.createElement('label');
-            ipLabel.textContent = t('network.ipAddress');
-            ipGroup.appendChild(ipInput);
-            ipGroup.appendChild(ipLabel);
+    const updateDesc = document.createElement('p');
+    updateDesc.style.cssText = 'color: var(--text-dim); margin-top: 10px;';
+    updateDesc.textContent = t('system.checkUpdatesDesc');
 
-            // Subnet Input
-            const subnetGroup = document.createElement('div');
-            subnetGroup.className = 'input-group';
-            const subnetInput = document.createElement('input');
-            subnetInput.type = 'text';
-            subnetInput.id = `subnet-${iface.id}`;
-            subnetInput.value = iface.subnet || '';
-            subnetInput.placeholder = ' ';
-            const subnetLabel = document.createElement('label');
-            subnetLabel.textContent = t('network.subnetMask');
-            subnetGroup.appendChild(subnetInput);
-            subnetGroup.appendChild(subnetLabel);
+    const updateStatus = document.createElement('div');
+    updateStatus.id = 'update-status';
+    updateStatus.style.cssText = 'margin-top: 15px; padding: 10px; background: rgba(255,255,255,0.05); border-radius: 8px;';
+    updateStatus.innerHTML = `<span style="color: var(--text-dim);">${t('system.clickToCheck')}</span>`;
+
+    const updateBtnContainer = document.createElement('div');
+    updateBtnContainer.style.cssText = 'display: flex; gap: 15px; margin-top: 20px;';
+
+    const checkUpdateBtn = document.createElement('button');
+    checkUpdateBtn.className = 'btn-primary';
+    checkUpdateBtn.style.cssText = 'background: #6366f1; box-shadow: 0 4px 15px rgba(99, 102, 241, 0.4);';
+    checkUpdateBtn.textContent = t('system.checkUpdates');
+    checkUpdateBtn.addEventListener('click', checkForUpdates);
+
+    const applyUpdateBtn = document.createElement('button');
+    applyUpdateBtn.className = 'btn-primary';
+    applyUpdateBtn.id = 'apply-update-btn';
+    applyUpdateBtn.style.cssText = 'background: #10b981; box-shadow: 0 4px 15px rgba(16, 185, 129, 0.4); display: none;';
+    applyUpdateBtn.textContent = t('system.installUpdate');
+    applyUpdateBtn.addEventListener('click', applyUpdate);
+
+    updateBtnContainer.appendChild(checkUpdateBtn);
+    updateBtnContainer.appendChild(applyUpdateBtn);
+
+    updateCard.appendChild(updateTitle);
+    updateCard.appendChild(updateDesc);
+    updateCard.appendChild(updateStatus);
+    updateCard.appendChild(updateBtnContainer);
+
+    if (hasRole('admin')) dashboardContent.appendChild(mgmtCard);
+    dashboardContent.appendChild(infoCard);
+    if (hasRole('admin')) dashboardContent.appendChild(updateCard);
+    renderMetricsCard();
+    renderPasswordCard();
+    renderTwoFactorCard();
+    renderSessionsCard();
+    if (hasRole('admin')) {
+        renderSessionPolicyCard();
+        renderUsersCard();
+        renderLockoutsCard();
+        renderExporterCard();
+    }
+}
+
+// =============================================================================
+// METRICS HISTORY
+// =============================================================================
 
-            netForm.appendChild(ipGroup);
-            netForm.appendChild(subnetGroup);
+const METRICS_RANGES = [
+    { key: '1h', ms: 60 * 60 * 1000 },
+    { key: '24h', ms: 24 * 60 * 60 * 1000 },
+    { key: '7d', ms: 7 * 24 * 60 * 60 * 1000 },
+    { key: '30d', ms: 30 * 24 * 60 * 60 * 1000 }
+];
+const METRICS_COLORS = ['#6366f1', '#f59e0b', '#10b981', '#ef4444', '#a855f7', '#06b6d4', '#ec4899', '#84cc16'];
+
+async function renderMetricsCard() {
+    const card = document.createElement('div');
+    card.className = 'glass-card';
+    card.style.cssText = 'grid-column: 1 / -1;';
+
+    const header = document.createElement('div');
+    header.style.cssText = 'display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 10px;';
+
+    const title = document.createElement('h3');
+    title.textContent = t('metrics.title', 'Metrics History');
+
+    const rangeButtons = document.createElement('div');
+    rangeButtons.style.cssText = 'display: flex; gap: 8px;';
+
+    header.appendChild(title);
+    header.appendChild(rangeButtons);
+    card.appendChild(header);
+
+    const charts = document.createElement('div');
+    charts.style.cssText = 'display: grid; grid-template-columns: repeat(auto-fit, minmax(320px, 1fr)); gap: 0 20px;';
+    card.appendChild(charts);
+    dashboardContent.appendChild(card);
+
+    const formatBytes = (bytes) => {
+        if (bytes >= 1024 ** 4) return `${(bytes / 1024 ** 4).toFixed(1)} TB`;
+        if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+        if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+        return `${Math.round(bytes / 1024)} KB`;
+    };
+    const formatPercent = value => `${Math.round(value)}%`;
+    const formatTemp = value => `${Math.round(value)}°C`;
+
+    // Series name -> legend label (cpu.core0.temp -> core0, net.eth0.rx -> eth0 rx)
+    const toSeries = (data, labelOf) => Object.entries(data.series).map(([name, points], i) => ({
+        label: labelOf(name),
+        color: METRICS_COLORS[i % METRICS_COLORS.length],
+        points: points.map(([time, avg]) => [time, avg])
+    }));
+
+    const chartGroups = [
+        {
+            title: t('metrics.cpuLoad', 'CPU load'),
+            series: ['cpu.load'],
+            label: () => t('metrics.load', 'Load'),
+            formatValue: formatPercent
+        },
+        {
+            title: t('metrics.cpuTemp', 'CPU temperature'),
+            series: ['cpu.temp', 'cpu.core*.temp'],
+            label: name => (name === 'cpu.temp' ? 'CPU' : name.split('.')[1]),
+            formatValue: formatTemp
+        },
+        {
+            title: t('metrics.memory', 'Memory'),
+            series: ['mem.percent', 'swap.percent'],
+            label: name => (name === 'mem.percent' ? 'RAM' : 'Swap'),
+            formatValue: formatPercent
+        },
+        {
+            title: t('metrics.network', 'Network throughput'),
+            series: ['net.*.rx', 'net.*.tx'],
+            label: name => name.split('.').slice(1).join(' '),
+            formatValue: value => `${formatBytes(value)}/s`
+        },
+        {
+            title: t('metrics.fans', 'Fans'),
+            series: ['fan.*.rpm'],
+            label: name => name.split('.')[1].replace(/_/g, ' '),
+            formatValue: value => `${Math.round(value)} RPM`
+        },
+        {
+            title: t('metrics.diskTemps', 'Disk temperatures'),
+            series: ['disk.*.temp'],
+            label: name => name.split('.')[1],
+            formatValue: formatTemp
+        },
+        {
+            title: t('metrics.poolUsage', 'Pool usage'),
+            series: ['pool.used'],
+            label: () => t('metrics.used', 'Used'),
+            formatValue: formatBytes
         }
+    ];
 
-        // Save button
-        const btnContainer = document.createElement('div');
-        btnContainer.style.cssText = 'display: flex; align-items: flex-end; padding-bottom: 25px; grid-column: 1 / -1;';
+    let activeRange = METRICS_RANGES[0];
 
-        const saveBtn = document.createElement('button');
-        saveBtn.className = 'btn-primary';
-        saveBtn.style.cssText = 'padding: 10px; max-width: 200px;';
-        saveBtn.textContent = t('network.saveToNode');
-        saveBtn.addEventListener('click', () => applyNetwork(iface.id));
+    const load = async () => {
+        if (!document.body.contains(card)) return;
+        rangeButtons.querySelectorAll('button').forEach(btn => {
+            btn.style.opacity = btn.dataset.range === activeRange.key ? '1' : '0.5';
+        });
 
-        btnContainer.appendChild(saveBtn);
-        netForm.appendChild(btnContainer);
+        const to = Date.now();
+        const from = to - activeRange.ms;
+        const formatTime = activeRange.ms <= 24 * 60 * 60 * 1000
+            ? time => new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+            : time => new Date(time).toLocaleDateString();
 
-        card.appendChild(header);
-        card.appendChild(netForm);
-        interfacesGrid.appendChild(card);
+        try {
+            const results = await Promise.all(chartGroups.map(async group => {
+                const params = new URLSearchParams({ series: group.series.join(','), from, to });
+                const res = await authFetch(`${API_BASE}/metrics?${params}`);
+                const data = await res.json();
+                if (!res.ok) throw new Error(data.error || 'Failed to load metrics');
+                return data;
+            }));
+
+            charts.innerHTML = '';
+            charts.style.color = '';
+            chartGroups.forEach((group, i) => {
+                charts.appendChild(buildLineChart(group.title, toSeries(results[i], group.label), {
+                    from,
+                    to,
+                    formatValue: group.formatValue,
+                    formatTime
+                }));
+            });
+        } catch (e) {
+            charts.style.color = '#ef4444';
+            charts.textContent = e.message;
+        }
+    };
+
+    METRICS_RANGES.forEach(range => {
+        const btn = document.createElement('button');
+        btn.className = 'btn-sm';
+        btn.dataset.range = range.key;
+        btn.textContent = t(`metrics.range_${range.key}`, range.key);
+        btn.addEventListener('click', () => {
+            activeRange = range;
+            load();
+        });
+        rangeButtons.appendChild(btn);
     });
 
-    ifaceSection.appendChild(interfacesGrid);
+    // Refresh every minute while the card is shown
+    const refresh = async () => {
+        if (!document.body.contains(card)) return;
+        await load();
+        setTimeout(refresh, 60000);
+    };
+    charts.innerHTML = `<p style="color: var(--text-dim);">${t('common.loading', 'Cargando...')}</p>`;
+    refresh();
+}
 
-    // 2. DDNS Section
-    const ddnsSection = document.createElement('div');
-    const ddnsTitle = document.createElement('h3');
-    ddnsTitle.style.cssText = 'margin-top: 40px; margin-bottom: 20px;';
-    ddnsTitle.textContent = t('network.remoteAccess');
-    ddnsSection.appendChild(ddnsTitle);
+// Prometheus /metrics exporter (admin only)
+async function renderExporterCard() {
+    const card = document.createElement('div');
+    card.className = 'glass-card';
+
+    const title = document.createElement('h3');
+    title.textContent = t('metrics.exporterTitle', 'Prometheus Exporter');
+
+    const desc = document.createElement('p');
+    desc.style.cssText = 'color: var(--text-dim); margin-top: 10px; margin-bottom: 15px;';
+    desc.textContent = t('metrics.exporterDesc', 'Expose system, disk, pool, array and container metrics at /metrics for Prometheus. Scrapes must send the token as a bearer token.');
+
+    const toggle = document.createElement('label');
+    toggle.className = 'checkbox-group';
+    toggle.innerHTML = `<input type="checkbox"> <span>${t('metrics.exporterEnabled', 'Enable /metrics endpoint')}</span>`;
+    const checkbox = toggle.querySelector('input');
+
+    const status = document.createElement('div');
+    status.style.cssText = 'margin-top: 10px; font-size: 0.85rem; color: var(--text-dim);';
+
+    const rotateBtn = document.createElement('button');
+    rotateBtn.className = 'btn-primary btn-sm';
+    rotateBtn.style.marginTop = '15px';
+    rotateBtn.textContent = t('metrics.rotateToken', 'Generate new token');
+
+    card.appendChild(title);
+    card.appendChild(desc);
+    card.appendChild(toggle);
+    card.appendChild(status);
+    card.appendChild(rotateBtn);
+    dashboardContent.appendChild(card);
+
+    const showSettings = (settings) => {
+        checkbox.checked = settings.enabled;
+        rotateBtn.style.display = settings.enabled ? '' : 'none';
+        status.textContent = settings.tokenCreatedAt
+            ? t('metrics.tokenCreated', 'Token created {date}').replace('{date}', new Date(settings.tokenCreatedAt).toLocaleString())
+            : '';
+    };
 
-    const ddnsGrid = document.createElement('div');
-    ddnsGrid.className = 'ddns-grid';
+    const request = async (url, options) => {
+        const res = await authFetch(url, options);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to update the exporter');
+        showSettings(data);
+        if (data.token) openExporterTokenModal(data.token);
+    };
 
-    (state.network.ddns || []).forEach(service => {
-        const card = document.createElement('div');
-        card.className = 'glass-card ddns-card';
+    try {
+        const res = await authFetch(`${API_BASE}/metrics/exporter`);
+        const settings = await res.json();
+        if (!res.ok) throw new Error(settings.error || 'Failed to load exporter settings');
+        showSettings(settings);
+    } catch (e) {
+        console.error('Exporter settings error:', e);
+    }
 
-        const isOnline = service.status === 'online';
+    checkbox.addEventListener('change', async () => {
+        checkbox.disabled = true;
+        try {
+            await request(`${API_BASE}/metrics/exporter`, {
+                method: 'PUT',
+                body: JSON.stringify({ enabled: checkbox.checked })
+            });
+        } catch (e) {
+            checkbox.checked = !checkbox.checked;
+            alert(t('common.error', 'Error') + ': ' + e.message);
+        } finally {
+            checkbox.disabled = false;
+        }
+    });
 
-        // Header
-        const ddnsHeader = document.createElement('div');
-        ddnsHeader.className = 'ddns-header';
+    rotateBtn.addEventListener('click', async () => {
+        if (!confirm(t('metrics.confirmRotate', 'Generate a new token? Scrapers using the current token will stop working.'))) return;
+        rotateBtn.disabled = true;
+        try {
+            await request(`${API_BASE}/metrics/exporter/token`, { method: 'POST' });
+        } catch (e) {
+            alert(t('common.error', 'Error') + ': ' + e.message);
+        } finally {
+            rotateBtn.disabled = false;
+        }
+    });
+}
 
-        const logo = document.createElement('div');
-        logo.className = 'ddns-logo';
-        logo.style.background = isOnline ? '#10b981' : '#ef4444';
-        logo.textContent = (service.name || 'U').charAt(0);
+// New scrape token, shown once, with a matching Prometheus scrape config
+function openExporterTokenModal(token) {
+    const scrapeConfig = `scrape_configs:
+  - job_name: homepinas
+    scheme: ${window.location.protocol.replace(':', '')}
+    metrics_path: /metrics
+    authorization:
+      credentials: ${token}
+    static_configs:
+      - targets: ['${window.location.host}']`;
 
-        const headerInfo = document.createElement('div');
-        const serviceH4 = document.createElement('h4');
-        serviceH4.textContent = service.name || 'Unknown';
-        const statusInfo = document.createElement('span');
-        statusInfo.style.fontSize = '0.75rem';
-        // SECURITY: Escape service.status to prevent XSS
-        statusInfo.innerHTML = `<span class="status-dot ${isOnline ? 'status-check-online' : 'status-check-offline'}"></span>${escapeHtml((service.status || 'unknown').toUpperCase())}`;
-        headerInfo.appendChild(serviceH4);
-        headerInfo.appendChild(statusInfo);
+    const modal = document.createElement('div');
+    modal.className = 'modal active';
+    modal.innerHTML = `
+        <div class="glass-card modal-content" style="max-width: 600px;">
+            <header class="modal-header">
+                <h3>${t('metrics.tokenTitle', 'Metrics Token')}</h3>
+                <button class="btn-close" onclick="this.closest('.modal').remove()">&times;</button>
+            </header>
+            <p style="color: #f59e0b; margin-bottom: 15px;">${t('metrics.tokenOnce', 'Copy this token now. It is not shown again.')}</p>
+            <pre style="padding: 10px; background: rgba(255,255,255,0.05); border-radius: 8px; white-space: pre-wrap; word-break: break-all;">${escapeHtml(token)}</pre>
+            <p style="color: var(--text-dim); margin: 15px 0 5px;">${t('metrics.scrapeConfig', 'Prometheus scrape configuration:')}</p>
+            <pre style="padding: 10px; background: rgba(255,255,255,0.05); border-radius: 8px; overflow-x: auto; font-size: 0.8rem;">${escapeHtml(scrapeConfig)}</pre>
+        </div>
+    `;
+    document.body.appendChild(modal);
+}
 
-        ddnsHeader.appendChild(logo);
-        ddnsHeader.appendChild(headerInfo);
+// =============================================================================
+// LOGIN LOCKOUTS (admin only)
+// =============================================================================
 
-        // Domain row
-        const domainRow = document.createElement('div');
-        domainRow.className = 'status-row-net';
-        const domainLabel = document.createElement('span');
-        domainLabel.textContent = t('network.domain');
-        const domainValue = document.createElement('span');
-        domainValue.style.color = 'white';
-        domainValue.textContent = service.domain || 'N/A';
-        domainRow.appendChild(domainLabel);
-        domainRow.appendChild(domainValue);
+async function renderLockoutsCard() {
+    const card = document.createElement('div');
+    card.className = 'glass-card';
+    card.style.gridColumn = '1 / -1';
 
-        // IP row
-        const ipRow = document.createElement('div');
-        ipRow.className = 'status-row-net';
-        const ipLabel = document.createElement('span');
-        ipLabel.textContent = t('network.gatewayIP');
-        const ipValue = document.createElement('span');
-        ipValue.style.cssText = 'color: #10b981; font-weight: 600;';
-        ipValue.textContent = isOnline ? (state.publicIP || '---') : '---';
-        ipRow.appendChild(ipLabel);
-        ipRow.appendChild(ipValue);
+    const header = document.createElement('div');
+    header.style.cssText = 'display: flex; justify-content: space-between; align-items: center;';
+
+    const title = document.createElement('h3');
+    title.textContent = t('lockouts.title', 'Failed Logins & Lockouts');
+
+    const clearAllBtn = document.createElement('button');
+    clearAllBtn.className = 'btn-sm';
+    clearAllBtn.textContent = t('lockouts.clearAll', 'Clear All');
+    clearAllBtn.addEventListener('click', () => clearLockout(null));
+
+    header.appendChild(title);
+    header.appendChild(clearAllBtn);
+    card.appendChild(header);
+
+    const table = document.createElement('table');
+    table.className = 'disk-table';
+    table.innerHTML = `
+        <thead>
+            <tr>
+                <th>${t('lockouts.target', 'Account / IP')}</th>
+                <th>${t('lockouts.failures', 'Failures')}</th>
+                <th>${t('lockouts.lastFailure', 'Last Failure')}</th>
+                <th>${t('lockouts.status', 'Status')}</th>
+                <th></th>
+            </tr>
+        </thead>
+    `;
+    const tbody = document.createElement('tbody');
+    table.appendChild(tbody);
+    card.appendChild(table);
+    dashboardContent.appendChild(card);
 
-        card.appendChild(ddnsHeader);
-        card.appendChild(domainRow);
-        card.appendChild(ipRow);
-        ddnsGrid.appendChild(card);
-    });
+    try {
+        const res = await authFetch(`${API_BASE}/lockouts`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load lockouts');
+
+        if (data.lockouts.length === 0) {
+            const tr = document.createElement('tr');
+            const td = document.createElement('td');
+            td.colSpan = 5;
+            td.style.color = 'var(--text-dim)';
+            td.textContent = t('lockouts.none', 'No recent failed logins.');
+            tr.appendChild(td);
+            tbody.appendChild(tr);
+        }
 
-    // Add service button
-    const addCard = document.createElement('div');
-    addCard.className = 'btn-add-ddns';
-    addCard.addEventListener('click', openDDNSModal);
+        data.lockouts.forEach(entry => {
+            const tr = document.createElement('tr');
 
-    const plusIcon = document.createElement('span');
-    plusIcon.className = 'plus-icon';
-    plusIcon.textContent = '+';
-    const addText = document.createElement('span');
-    addText.style.cssText = 'font-size: 0.9rem; font-weight: 600;';
-    addText.textContent = t('network.addService');
+            const targetTd = document.createElement('td');
+            targetTd.textContent = `${entry.scope === 'ip' ? 'IP' : t('users.username', 'Username')}: ${entry.key}`;
 
-    addCard.appendChild(plusIcon);
-    addCard.appendChild(addText);
-    ddnsGrid.appendChild(addCard);
+            const failuresTd = document.createElement('td');
+            failuresTd.textContent = entry.failures;
 
-    ddnsSection.appendChild(ddnsGrid);
-    container.appendChild(ifaceSection);
-    container.appendChild(ddnsSection);
-    dashboardContent.appendChild(container);
+            const lastTd = document.createElement('td');
+            lastTd.textContent = new Date(entry.lastFailure).toLocaleString();
+
+            const statusTd = document.createElement('td');
+            if (entry.locked) {
+                statusTd.style.color = '#ef4444';
+                statusTd.textContent = t('lockouts.lockedUntil', 'Locked until {time}')
+                    .replace('{time}', new Date(entry.lockedUntil).toLocaleTimeString());
+            } else {
+                statusTd.style.color = 'var(--text-dim)';
+                statusTd.textContent = t('lockouts.tracking', 'Tracking');
+            }
+
+            const actionsTd = document.createElement('td');
+            actionsTd.style.textAlign = 'right';
+            const clearBtn = document.createElement('button');
+            clearBtn.className = 'btn-sm';
+            clearBtn.textContent = entry.locked ? t('lockouts.unlock', 'Unlock') : t('lockouts.clear', 'Clear');
+            clearBtn.addEventListener('click', () => clearLockout(entry));
+            actionsTd.appendChild(clearBtn);
+
+            tr.appendChild(targetTd);
+            tr.appendChild(failuresTd);
+            tr.appendChild(lastTd);
+            tr.appendChild(statusTd);
+            tr.appendChild(actionsTd);
+            tbody.appendChild(tr);
+        });
+    } catch (e) {
+        console.error('Lockouts load error:', e);
+        const tr = document.createElement('tr');
+        const td = document.createElement('td');
+        td.colSpan = 5;
+        td.style.color = '#ef4444';
+        td.textContent = e.message;
+        tr.appendChild(td);
+        tbody.appendChild(tr);
+    }
 }
 
-// Network functions
-function toggleDHCP(interfaceId, isChecked, iface) {
-    // Update local state
-    localDhcpState[interfaceId] = isChecked;
+async function clearLockout(entry) {
+    const url = entry
+        ? `${API_BASE}/lockouts/${encodeURIComponent(entry.scope)}/${encodeURIComponent(entry.key)}`
+        : `${API_BASE}/lockouts`;
+    if (!entry && !confirm(t('lockouts.confirmClearAll', 'Clear all failed-login records and locks?'))) return;
 
-    // Re-render only the form for this interface
-    const netForm = document.getElementById(`netform-${interfaceId}`);
-    if (netForm) {
-        renderNetForm(netForm, iface, isChecked);
+    try {
+        const res = await authFetch(url, { method: 'DELETE' });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to clear lockout');
+        renderContent('system');
+    } catch (e) {
+        alert(t('common.error', 'Error') + ': ' + e.message);
     }
 }
 
-// Helper function to render the network form
-function renderNetForm(netForm, iface, isDhcp) {
-    netForm.innerHTML = '';
+// =============================================================================
+// ACTIVE SESSIONS
+// =============================================================================
 
-    if (isDhcp) {
-        const inputGroup = document.createElement('div');
-        inputGroup.className = 'input-group';
-        inputGroup.style.gridColumn = '1 / -1';
+/**
+ * Short "Browser on OS" label from a user agent string
+ */
+function describeUserAgent(ua) {
+    if (!ua) return t('sessions.unknownDevice', 'Unknown device');
+    const browser = /Edg\//.test(ua) ? 'Edge'
+        : /OPR\//.test(ua) ? 'Opera'
+        : /Firefox\//.test(ua) ? 'Firefox'
+        : /Chrome\//.test(ua) ? 'Chrome'
+        : /Safari\//.test(ua) ? 'Safari'
+        : /curl\//.test(ua) ? 'curl'
+        : null;
+    const os = /Android/.test(ua) ? 'Android'
+        : /iPhone|iPad/.test(ua) ? 'iOS'
+        : /Windows/.test(ua) ? 'Windows'
+        : /Mac OS X/.test(ua) ? 'macOS'
+        : /Linux/.test(ua) ? 'Linux'
+        : null;
+    if (browser && os) return `${browser} (${os})`;
+    return browser || os || ua.slice(0, 40);
+}
 
-        const ipInput = document.createElement('input');
-        ipInput.type = 'text';
-        ipInput.value = iface.ip || '';
-        ipInput.disabled = true;
-        ipInput.placeholder = ' ';
+async function renderSessionsCard() {
+    const isAdmin = hasRole('admin');
+
+    const card = document.createElement('div');
+    card.className = 'glass-card';
+    card.style.gridColumn = '1 / -1';
+
+    const header = document.createElement('div');
+    header.style.cssText = 'display: flex; justify-content: space-between; align-items: center;';
+
+    const title = document.createElement('h3');
+    title.textContent = t('sessions.title', 'Active Sessions');
+
+    const logoutAllBtn = document.createElement('button');
+    logoutAllBtn.className = 'btn-primary';
+    logoutAllBtn.style.cssText = 'width: auto; padding: 8px 16px; background: #ef4444; box-shadow: 0 4px 15px rgba(239, 68, 68, 0.4);';
+    logoutAllBtn.textContent = t('sessions.logoutEverywhere', 'Log Out Everywhere Else');
+    logoutAllBtn.addEventListener('click', revokeOtherSessions);
+
+    header.appendChild(title);
+    header.appendChild(logoutAllBtn);
+    card.appendChild(header);
+
+    const table = document.createElement('table');
+    table.className = 'disk-table';
+    table.innerHTML = `
+        <thead>
+            <tr>
+                ${isAdmin ? `<th>${t('users.username', 'Username')}</th>` : ''}
+                <th>${t('sessions.device', 'Device')}</th>
+                <th>IP</th>
+                <th>${t('sessions.lastSeen', 'Last Seen')}</th>
+                <th>${t('sessions.signedIn', 'Signed In')}</th>
+                <th></th>
+            </tr>
+        </thead>
+    `;
+    const tbody = document.createElement('tbody');
+    table.appendChild(tbody);
+    card.appendChild(table);
+    dashboardContent.appendChild(card);
+
+    try {
+        const res = await authFetch(`${API_BASE}/sessions${isAdmin ? '?all=true' : ''}`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load sessions');
+
+        data.sessions.forEach(session => {
+            const tr = document.createElement('tr');
+
+            const cells = [];
+            if (isAdmin) cells.push(session.username);
+            cells.push(describeUserAgent(session.userAgent) + (session.remember ? ` · ${t('sessions.remembered', 'remembered')}` : ''));
+            cells.push(session.ip || '-');
+            cells.push(new Date(session.lastSeen).toLocaleString());
+            cells.push(new Date(session.createdAt).toLocaleString());
+
+            cells.forEach((text, index) => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                if (index === (isAdmin ? 1 : 0) && session.userAgent) td.title = session.userAgent;
+                tr.appendChild(td);
+            });
+
+            const actionsTd = document.createElement('td');
+            actionsTd.style.textAlign = 'right';
+            if (session.current) {
+                actionsTd.style.color = '#10b981';
+                actionsTd.textContent = t('sessions.thisDevice', 'This device');
+            } else {
+                const revokeBtn = document.createElement('button');
+                revokeBtn.className = 'btn-sm';
+                revokeBtn.style.color = '#ef4444';
+                revokeBtn.textContent = t('sessions.revoke', 'Log out');
+                revokeBtn.addEventListener('click', () => revokeSession(session.id));
+                actionsTd.appendChild(revokeBtn);
+            }
+            tr.appendChild(actionsTd);
+
+            tbody.appendChild(tr);
+        });
+    } catch (e) {
+        console.error('Sessions load error:', e);
+        const tr = document.createElement('tr');
+        const td = document.createElement('td');
+        td.colSpan = isAdmin ? 6 : 5;
+        td.style.color = '#ef4444';
+        td.textContent = e.message;
+        tr.appendChild(td);
+        tbody.appendChild(tr);
+    }
+}
 
+async function renderSessionPolicyCard() {
+    const card = document.createElement('div');
+    card.className = 'glass-card';
+
+    const title = document.createElement('h3');
+    title.textContent = t('sessions.policyTitle', 'Session Timeouts');
+
+    const desc = document.createElement('p');
+    desc.style.cssText = 'color: var(--text-dim); margin-top: 10px; margin-bottom: 25px;';
+    desc.textContent = t('sessions.policyDesc', 'Sessions end after the idle timeout without activity, and always after the absolute timeout. "Remember this device" sessions last the configured number of days.');
+
+    const form = document.createElement('form');
+    const fields = [
+        { key: 'idleTimeoutMinutes', label: t('sessions.idleTimeout', 'Idle timeout (minutes)'), min: 5, max: 10080 },
+        { key: 'absoluteTimeoutHours', label: t('sessions.absoluteTimeout', 'Absolute timeout (hours)'), min: 1, max: 720 },
+        { key: 'rememberDays', label: t('sessions.rememberDays', 'Remember device (days)'), min: 1, max: 365 }
+    ];
+    fields.forEach(field => {
+        const group = document.createElement('div');
+        group.className = 'input-group';
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.id = `policy-${field.key}`;
+        input.min = field.min;
+        input.max = field.max;
+        input.required = true;
+        input.placeholder = ' ';
         const label = document.createElement('label');
-        label.textContent = t('network.hardwareAssignedIP');
+        label.textContent = field.label;
+        group.appendChild(input);
+        group.appendChild(label);
+        form.appendChild(group);
+    });
 
-        inputGroup.appendChild(ipInput);
-        inputGroup.appendChild(label);
-        netForm.appendChild(inputGroup);
-    } else {
-        // IP Input
-        const ipGroup = document.createElement('div');
-        ipGroup.className = 'input-group';
-        const ipInput = document.createElement('input');
-        ipInput.type = 'text';
-        ipInput.id = `ip-${iface.id}`;
-        ipInput.value = iface.ip || '';
-        ipInput.placeholder = ' ';
-        const ipLabel = document.createElement('label');
-        ipLabel.textContent = t('network.ipAddress');
-        ipGroup.appendChild(ipInput);
-        ipGroup.appendChild(ipLabel);
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'submit';
+    saveBtn.className = 'btn-primary';
+    saveBtn.textContent = t('common.save', 'Save');
+    form.appendChild(saveBtn);
 
-        // Subnet Input
-        const subnetGroup = document.createElement('div');
-        subnetGroup.className = 'input-group';
-        const subnetInput = document.createElement('input');
-        subnetInput.type = 'text';
-        subnetInput.id = `subnet-${iface.id}`;
-        subnetInput.value = iface.subnet || '';
-        subnetInput.placeholder = ' ';
-        const subnetLabel = document.createElement('label');
-        subnetLabel.textContent = t('network.subnetMask');
-        subnetGroup.appendChild(subnetInput);
-        subnetGroup.appendChild(subnetLabel);
+    card.appendChild(title);
+    card.appendChild(desc);
+    card.appendChild(form);
+    dashboardContent.appendChild(card);
 
-        // Gateway Input
-        const gatewayGroup = document.createElement('div');
-        gatewayGroup.className = 'input-group';
-        const gatewayInput = document.createElement('input');
-        gatewayInput.type = 'text';
-        gatewayInput.id = `gateway-${iface.id}`;
-        gatewayInput.value = iface.gateway || '';
-        gatewayInput.placeholder = ' ';
-        const gatewayLabel = document.createElement('label');
-        gatewayLabel.textContent = t('network.gateway');
-        gatewayGroup.appendChild(gatewayInput);
-        gatewayGroup.appendChild(gatewayLabel);
+    try {
+        const res = await authFetch(`${API_BASE}/sessions/policy`);
+        const policy = await res.json();
+        if (!res.ok) throw new Error(policy.error || 'Failed to load session policy');
+        fields.forEach(field => {
+            document.getElementById(`policy-${field.key}`).value = policy[field.key];
+        });
+    } catch (e) {
+        console.error('Session policy load error:', e);
+    }
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const body = {};
+        fields.forEach(field => {
+            body[field.key] = Number(document.getElementById(`policy-${field.key}`).value);
+        });
+
+        saveBtn.disabled = true;
+        try {
+            const res = await authFetch(`${API_BASE}/sessions/policy`, {
+                method: 'PUT',
+                body: JSON.stringify(body)
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to save session policy');
+            alert(t('sessions.policySaved', 'Session timeouts saved.'));
+        } catch (err) {
+            alert(t('common.error', 'Error') + ': ' + err.message);
+        } finally {
+            saveBtn.disabled = false;
+        }
+    });
+}
 
-        // DNS Input
-        const dnsGroup = document.createElement('div');
-        dnsGroup.className = 'input-group';
-        const dnsInput = document.createElement('input');
-        dnsInput.type = 'text';
-        dnsInput.id = `dns-${iface.id}`;
-        dnsInput.value = '';
-        dnsInput.placeholder = ' ';
-        const dnsLabel = document.createElement('label');
-        dnsLabel.textContent = t('network.dnsExample');
-        dnsGroup.appendChild(dnsInput);
-        dnsGroup.appendChild(dnsLabel);
+async function revokeSession(id) {
+    if (!confirm(t('sessions.confirmRevoke', 'Log out this session?'))) return;
 
-        netForm.appendChild(ipGroup);
-        netForm.appendChild(subnetGroup);
-        netForm.appendChild(gatewayGroup);
-        netForm.appendChild(dnsGroup);
+    try {
+        const res = await authFetch(`${API_BASE}/sessions/${encodeURIComponent(id)}`, { method: 'DELETE' });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to revoke session');
+        renderContent('system');
+    } catch (e) {
+        alert(t('common.error', 'Error') + ': ' + e.message);
     }
+}
 
-    // Save button
-    const btnContainer = document.createElement('div');
-    btnContainer.style.cssText = 'display: flex; align-items: flex-end; padding-top: 10px; grid-column: 1 / -1;';
-
-    const saveBtn = document.createElement('button');
-    saveBtn.className = 'btn-primary';
-    saveBtn.style.cssText = 'padding: 10px; width: 100%;';
-    saveBtn.textContent = t('network.saveToNode');
-    saveBtn.addEventListener('click', () => applyNetwork(iface.id));
+async function revokeOtherSessions() {
+    if (!confirm(t('sessions.confirmLogoutEverywhere', 'Log out all your other sessions?'))) return;
 
-    btnContainer.appendChild(saveBtn);
-    netForm.appendChild(btnContainer);
+    try {
+        const res = await authFetch(`${API_BASE}/sessions`, { method: 'DELETE' });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to revoke sessions');
+        alert(t('sessions.revokedCount', '{count} sessions logged out.').replace('{count}', data.revoked));
+        renderContent('system');
+    } catch (e) {
+        alert(t('common.error', 'Error') + ': ' + e.message);
+    }
 }
 
-async function applyNetwork(interfaceId) {
-    const dhcpCheckbox = document.getElementById(`dhcp-${interfaceId}`);
-    const isDhcp = dhcpCheckbox ? dhcpCheckbox.checked : false;
+// =============================================================================
+// PASSWORD (current user)
+// =============================================================================
 
-    let config = { dhcp: isDhcp };
+function renderPasswordCard() {
+    const card = document.createElement('div');
+    card.className = 'glass-card';
 
-    if (!isDhcp) {
-        const ipInput = document.getElementById(`ip-${interfaceId}`);
-        const subnetInput = document.getElementById(`subnet-${interfaceId}`);
-        const gatewayInput = document.getElementById(`gateway-${interfaceId}`);
-        const dnsInput = document.getElementById(`dns-${interfaceId}`);
+    const title = document.createElement('h3');
+    title.textContent = t('account.passwordTitle', 'Password');
 
-        if (ipInput) config.ip = ipInput.value.trim();
-        if (subnetInput) config.subnet = subnetInput.value.trim();
-        if (gatewayInput) config.gateway = gatewayInput.value.trim();
-        if (dnsInput) config.dns = dnsInput.value.trim();
+    const desc = document.createElement('p');
+    desc.style.cssText = 'color: var(--text-dim); margin-top: 10px;';
+    desc.textContent = t('account.passwordDescription', 'Changing your password also updates SMB and logs out your other sessions.');
 
-        // Basic validation
-        const ipRegex = /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/;
+    const btnContainer = document.createElement('div');
+    btnContainer.style.cssText = 'display: flex; gap: 15px; margin-top: 20px;';
+
+    const changeBtn = document.createElement('button');
+    changeBtn.className = 'btn-primary';
+    changeBtn.style.cssText = 'width: auto; padding: 8px 16px;';
+    changeBtn.textContent = t('account.changePassword', 'Change password');
+    changeBtn.addEventListener('click', openChangePasswordModal);
+    btnContainer.appendChild(changeBtn);
+
+    card.appendChild(title);
+    card.appendChild(desc);
+    card.appendChild(btnContainer);
+    dashboardContent.appendChild(card);
+}
 
-        if (config.ip && !ipRegex.test(config.ip)) {
-            alert(t('network.invalidIP'));
-            return;
-        }
+function openChangePasswordModal() {
+    const modal = document.createElement('div');
+    modal.className = 'modal active';
+    modal.innerHTML = `
+        <div class="glass-card modal-content" style="max-width: 450px;">
+            <header class="modal-header">
+                <h3>${t('account.changePassword', 'Change password')}</h3>
+                <button class="btn-close" onclick="this.closest('.modal').remove()">&times;</button>
+            </header>
+            <form id="change-password-form">
+                <div class="input-group">
+                    <input type="password" id="current-password" required placeholder=" " autocomplete="current-password">
+                    <label>${t('account.currentPassword', 'Current password')}</label>
+                </div>
+                <div class="input-group">
+                    <input type="password" id="new-password" required placeholder=" " autocomplete="new-password">
+                    <label>${t('account.newPassword', 'New password')}</label>
+                </div>
+                <div class="input-group">
+                    <input type="password" id="confirm-password" required placeholder=" " autocomplete="new-password">
+                    <label>${t('account.confirmPassword', 'Confirm new password')}</label>
+                </div>
+                <div class="modal-footer" style="display: flex; gap: 10px;">
+                    <button type="button" class="btn-primary" style="background: var(--text-dim);" onclick="this.closest('.modal').remove()">
+                        ${t('common.cancel', 'Cancelar')}
+                    </button>
+                    <button type="submit" class="btn-primary">${t('common.save', 'Guardar')}</button>
+                </div>
+            </form>
+        </div>
+    `;
+    document.body.appendChild(modal);
 
-        if (config.subnet && !ipRegex.test(config.subnet)) {
-            alert(t('network.invalidSubnet'));
+    document.getElementById('change-password-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const currentPassword = document.getElementById('current-password').value;
+        const newPassword = document.getElementById('new-password').value;
+        if (newPassword !== document.getElementById('confirm-password').value) {
+            alert(t('account.passwordMismatch', 'The new passwords do not match.'));
             return;
         }
 
-        if (config.gateway && !ipRegex.test(config.gateway)) {
-            alert(t('network.invalidGateway'));
-            return;
+        try {
+            const res = await authFetch(`${API_BASE}/account/password`, {
+                method: 'POST',
+                body: JSON.stringify({ currentPassword, newPassword })
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to change password');
+
+            modal.remove();
+            alert(t('account.passwordChanged', 'Password changed. {count} other sessions were logged out.').replace('{count}', data.sessionsRevoked));
+        } catch (err) {
+            alert(t('common.error', 'Error') + ': ' + err.message);
         }
+    });
+}
 
-        if (config.dns && !ipRegex.test(config.dns)) {
-            alert(t('network.invalidDNS'));
-            return;
+// =============================================================================
+// TWO-FACTOR AUTHENTICATION (current user)
+// =============================================================================
+
+async function renderTwoFactorCard() {
+    const card = document.createElement('div');
+    card.className = 'glass-card';
+
+    const title = document.createElement('h3');
+    title.textContent = t('twoFactor.title', 'Two-Factor Authentication');
+
+    const desc = document.createElement('p');
+    desc.style.cssText = 'color: var(--text-dim); margin-top: 10px;';
+    desc.textContent = t('twoFactor.description', 'Require a code from an authenticator app when signing in.');
+
+    const statusEl = document.createElement('div');
+    statusEl.style.cssText = 'margin-top: 15px; padding: 10px; background: rgba(255,255,255,0.05); border-radius: 8px;';
+    statusEl.textContent = t('common.loading', 'Loading...');
+
+    const btnContainer = document.createElement('div');
+    btnContainer.style.cssText = 'display: flex; gap: 15px; margin-top: 20px;';
+
+    card.appendChild(title);
+    card.appendChild(desc);
+    card.appendChild(statusEl);
+    card.appendChild(btnContainer);
+    dashboardContent.appendChild(card);
+
+    try {
+        const res = await authFetch(`${API_BASE}/2fa/status`);
+        const status = await res.json();
+        if (!res.ok) throw new Error(status.error || 'Failed to load 2FA status');
+
+        if (status.enabled) {
+            statusEl.innerHTML = `<span style="color: #10b981;">● ${t('twoFactor.enabled', 'Enabled')}</span>
+                <span style="color: var(--text-dim); margin-left: 10px;">${t('twoFactor.codesRemaining', '{count} recovery codes left').replace('{count}', status.recoveryCodesRemaining)}</span>`;
+
+            const regenBtn = document.createElement('button');
+            regenBtn.className = 'btn-primary';
+            regenBtn.style.cssText = 'background: #6366f1; box-shadow: 0 4px 15px rgba(99, 102, 241, 0.4);';
+            regenBtn.textContent = t('twoFactor.newRecoveryCodes', 'New Recovery Codes');
+            regenBtn.addEventListener('click', regenerateRecoveryCodes);
+
+            const disableBtn = document.createElement('button');
+            disableBtn.className = 'btn-primary';
+            disableBtn.style.cssText = 'background: #ef4444; box-shadow: 0 4px 15px rgba(239, 68, 68, 0.4);';
+            disableBtn.textContent = t('twoFactor.disable', 'Disable');
+            disableBtn.addEventListener('click', disableTwoFactor);
+
+            btnContainer.appendChild(regenBtn);
+            btnContainer.appendChild(disableBtn);
+        } else {
+            statusEl.innerHTML = `<span style="color: var(--text-dim);">○ ${t('twoFactor.disabled', 'Disabled')}</span>`;
+
+            const enableBtn = document.createElement('button');
+            enableBtn.className = 'btn-primary';
+            enableBtn.style.cssText = 'background: #10b981; box-shadow: 0 4px 15px rgba(16, 185, 129, 0.4);';
+            enableBtn.textContent = t('twoFactor.enable', 'Enable 2FA');
+            enableBtn.addEventListener('click', startTwoFactorSetup);
+
+            btnContainer.appendChild(enableBtn);
         }
+    } catch (e) {
+        console.error('2FA status error:', e);
+        statusEl.innerHTML = `<span style="color: #ef4444;">${escapeHtml(e.message)}</span>`;
     }
+}
+
+async function startTwoFactorSetup() {
+    const password = prompt(t('twoFactor.confirmPassword', 'Confirm your password:'));
+    if (!password) return;
 
     try {
-        const res = await authFetch(`${API_BASE}/network/configure`, {
+        const res = await authFetch(`${API_BASE}/2fa/setup`, {
             method: 'POST',
-            body: JSON.stringify({ id: interfaceId, config })
+            body: JSON.stringify({ password })
         });
-
         const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to start 2FA setup');
 
-        if (!res.ok) {
-            throw new Error(data.error || t('network.configFailed'));
-        }
-
-        alert(data.message || t('network.configSaved'));
+        openTwoFactorSetupModal(data.secret, data.otpauthUri);
     } catch (e) {
-        console.error('Network config error:', e);
-        alert(e.message || t('network.configFailed'));
+        alert(t('common.error', 'Error') + ': ' + e.message);
     }
 }
 
-function openDDNSModal() {
-    if (ddnsModal) {
-        ddnsModal.style.display = 'flex';
-    }
-}
+function openTwoFactorSetupModal(secret, otpauthUri) {
+    const modal = document.createElement('div');
+    modal.className = 'modal active';
+    modal.innerHTML = `
+        <div class="glass-card modal-content" style="max-width: 450px;">
+            <header class="modal-header">
+                <h3>${t('twoFactor.setupTitle', 'Set Up Two-Factor Authentication')}</h3>
+                <button class="btn-close" onclick="this.closest('.modal').remove()">&times;</button>
+            </header>
+            <p style="color: var(--text-dim);">${t('twoFactor.scanQr', 'Scan this QR code with your authenticator app, or enter the key manually.')}</p>
+            <div id="totp-qr" style="display: flex; justify-content: center; margin: 20px 0;"></div>
+            <code style="display: block; text-align: center; word-break: break-all; margin-bottom: 20px; user-select: all;">${escapeHtml(secret)}</code>
+            <form id="totp-enable-form">
+                <div class="input-group">
+                    <input type="text" id="totp-enable-code" required placeholder=" " autocomplete="one-time-code" inputmode="numeric" maxlength="6">
+                    <label>${t('auth.twoFactorCode', 'Verification Code')}</label>
+                </div>
+                <div class="modal-footer" style="display: flex; gap: 10px;">
+                    <button type="button" class="btn-primary" style="background: var(--text-dim);" onclick="this.closest('.modal').remove()">
+                        ${t('common.cancel', 'Cancelar')}
+                    </button>
+                    <button type="submit" class="btn-primary">${t('twoFactor.activate', 'Activate')}</button>
+                </div>
+            </form>
+        </div>
+    `;
+    document.body.appendChild(modal);
 
-function closeDDNSModal() {
-    if (ddnsModal) {
-        ddnsModal.style.display = 'none';
+    // qrcode-generator is loaded from the CDN; fall back to the manual key if unavailable
+    if (typeof window.qrcode === 'function') {
+        const qr = window.qrcode(0, 'M');
+        qr.addData(otpauthUri);
+        qr.make();
+        const img = document.createElement('img');
+        img.src = qr.createDataURL(5, 4);
+        img.alt = 'QR';
+        img.style.cssText = 'background: white; border-radius: 8px;';
+        document.getElementById('totp-qr').appendChild(img);
     }
-}
 
-// Initialize modal close button
-const closeModalBtn = document.getElementById('close-modal');
-if (closeModalBtn) {
-    closeModalBtn.addEventListener('click', closeDDNSModal);
-}
+    document.getElementById('totp-enable-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const code = document.getElementById('totp-enable-code').value.trim();
 
-// Close modal on outside click
-if (ddnsModal) {
-    ddnsModal.addEventListener('click', (e) => {
-        if (e.target === ddnsModal) {
-            closeDDNSModal();
+        try {
+            const res = await authFetch(`${API_BASE}/2fa/enable`, {
+                method: 'POST',
+                body: JSON.stringify({ code })
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to enable 2FA');
+
+            modal.remove();
+            showRecoveryCodes(data.recoveryCodes);
+        } catch (err) {
+            alert(t('common.error', 'Error') + ': ' + err.message);
         }
     });
 }
 
-// Terms and Conditions Modal
-const termsModal = document.getElementById('terms-modal');
-const termsLink = document.getElementById('terms-link');
-const closeTermsBtn = document.getElementById('close-terms-modal');
-const acceptTermsBtn = document.getElementById('accept-terms-btn');
+function showRecoveryCodes(codes) {
+    const modal = document.createElement('div');
+    modal.className = 'modal active';
+    modal.innerHTML = `
+        <div class="glass-card modal-content" style="max-width: 450px;">
+            <header class="modal-header">
+                <h3>${t('twoFactor.recoveryCodes', 'Recovery Codes')}</h3>
+            </header>
+            <p style="color: var(--text-dim);">${t('twoFactor.recoveryCodesDesc', 'Store these codes somewhere safe. Each one can be used once to sign in if you lose your authenticator. They will not be shown again.')}</p>
+            <pre style="margin: 20px 0; padding: 15px; background: rgba(0,0,0,0.2); border-radius: 8px; text-align: center; user-select: all;">${codes.map(escapeHtml).join('\n')}</pre>
+            <div class="modal-footer">
+                <button type="button" class="btn-primary">${t('twoFactor.savedCodes', 'I have saved these codes')}</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
 
-if (termsLink) {
-    termsLink.addEventListener('click', (e) => {
-        e.preventDefault();
-        if (termsModal) termsModal.style.display = 'flex';
+    modal.querySelector('.modal-footer button').addEventListener('click', () => {
+        modal.remove();
+        renderContent('system');
     });
 }
 
-if (closeTermsBtn) {
-    closeTermsBtn.addEventListener('click', () => {
-        if (termsModal) termsModal.style.display = 'none';
-    });
-}
+async function regenerateRecoveryCodes() {
+    const password = prompt(t('twoFactor.confirmPassword', 'Confirm your password:'));
+    if (!password) return;
+    const code = prompt(t('twoFactor.enterCode', 'Enter a code from your authenticator app:'));
+    if (!code) return;
 
-if (acceptTermsBtn) {
-    acceptTermsBtn.addEventListener('click', () => {
-        if (termsModal) termsModal.style.display = 'none';
-    });
-}
+    try {
+        const res = await authFetch(`${API_BASE}/2fa/recovery-codes`, {
+            method: 'POST',
+            body: JSON.stringify({ password, code })
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to regenerate recovery codes');
 
-if (termsModal) {
-    termsModal.addEventListener('click', (e) => {
-        if (e.target === termsModal) {
-            termsModal.style.display = 'none';
-        }
-    });
+        showRecoveryCodes(data.recoveryCodes);
+    } catch (e) {
+        alert(t('common.error', 'Error') + ': ' + e.message);
+    }
 }
 
-// System View (Real Actions)
-function renderSystemView() {
-    // Format uptime intelligently
-    const uptimeSeconds = Number(state.globalStats.uptime) || 0;
-    const days = Math.floor(uptimeSeconds / 86400);
-    const hours = Math.floor((uptimeSeconds % 86400) / 3600);
-    const minutes = Math.floor((uptimeSeconds % 3600) / 60);
-    let uptimeStr;
-    if (days > 0) {
-        uptimeStr = `${days} día${days > 1 ? 's' : ''} ${hours}h`;
-    } else if (hours > 0) {
-        uptimeStr = `${hours} hora${hours > 1 ? 's' : ''} ${minutes}m`;
-    } else {
-        uptimeStr = `${minutes} minuto${minutes !== 1 ? 's' : ''}`;
-    }
-    const hostname = escapeHtml(state.globalStats.hostname || 'raspberrypi');
+async function disableTwoFactor() {
+    if (!confirm(t('twoFactor.confirmDisable', 'Disable two-factor authentication for your account?'))) return;
+    const password = prompt(t('twoFactor.confirmPassword', 'Confirm your password:'));
+    if (!password) return;
+    const code = prompt(t('twoFactor.enterCode', 'Enter a code from your authenticator app:'));
+    if (!code) return;
 
-    const container = document.createElement('div');
-    container.style.cssText = 'display: contents;';
+    try {
+        const res = await authFetch(`${API_BASE}/2fa/disable`, {
+            method: 'POST',
+            body: JSON.stringify({ password, code })
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to disable 2FA');
 
-    // Management card
-    const mgmtCard = document.createElement('div');
-    mgmtCard.className = 'glass-card';
-    mgmtCard.style.gridColumn = '1 / -1';
+        renderContent('system');
+    } catch (e) {
+        alert(t('common.error', 'Error') + ': ' + e.message);
+    }
+}
 
-    const mgmtTitle = document.createElement('h3');
-    mgmtTitle.textContent = t('system.nodeManagement');
+// =============================================================================
+// USER MANAGEMENT (admin only)
+// =============================================================================
 
-    const mgmtDesc = document.createElement('p');
-    mgmtDesc.style.cssText = 'color: var(--text-dim); margin-top: 10px;';
-    mgmtDesc.textContent = t('system.executeActions');
+async function renderUsersCard() {
+    const card = document.createElement('div');
+    card.className = 'glass-card';
+    card.style.gridColumn = '1 / -1';
 
-    const btnContainer = document.createElement('div');
-    btnContainer.style.cssText = 'display: flex; gap: 20px; margin-top: 30px;';
+    const header = document.createElement('div');
+    header.style.cssText = 'display: flex; justify-content: space-between; align-items: center;';
+
+    const title = document.createElement('h3');
+    title.textContent = t('users.title', 'Users');
+
+    const addBtn = document.createElement('button');
+    addBtn.className = 'btn-primary';
+    addBtn.style.cssText = 'width: auto; padding: 8px 16px;';
+    addBtn.textContent = '+ ' + t('users.addUser', 'Add User');
+    addBtn.addEventListener('click', () => openAddUserModal(state.sambaAvailable !== false));
+
+    header.appendChild(title);
+    header.appendChild(addBtn);
+    card.appendChild(header);
+
+    const desc = document.createElement('p');
+    desc.style.cssText = 'color: var(--text-dim); margin-top: 10px;';
+    desc.textContent = t('users.description', 'Admins manage the NAS, users can operate services, viewers have read-only access.');
+    card.appendChild(desc);
+
+    const table = document.createElement('table');
+    table.className = 'disk-table';
+    table.innerHTML = `
+        <thead>
+            <tr>
+                <th>${t('users.username', 'Username')}</th>
+                <th>${t('users.role', 'Role')}</th>
+                <th>2FA</th>
+                <th>SMB</th>
+                <th>${t('users.created', 'Created')}</th>
+                <th></th>
+            </tr>
+        </thead>
+    `;
+    const tbody = document.createElement('tbody');
+    table.appendChild(tbody);
+    card.appendChild(table);
+    dashboardContent.appendChild(card);
 
-    const rebootBtn = document.createElement('button');
-    rebootBtn.className = 'btn-primary';
-    rebootBtn.style.cssText = 'background: #f59e0b; box-shadow: 0 4px 15px rgba(245, 158, 11, 0.4);';
-    rebootBtn.textContent = t('system.restartNode');
-    rebootBtn.addEventListener('click', () => systemAction('reboot'));
+    try {
+        const res = await authFetch(`${API_BASE}/users`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load users');
+        state.sambaAvailable = data.sambaAvailable;
 
-    const shutdownBtn = document.createElement('button');
-    shutdownBtn.className = 'btn-primary';
-    shutdownBtn.style.cssText = 'background: #ef4444; box-shadow: 0 4px 15px rgba(239, 68, 68, 0.4);';
-    shutdownBtn.textContent = t('system.powerOff');
-    shutdownBtn.addEventListener('click', () => systemAction('shutdown'));
+        data.users.forEach(user => {
+            const tr = document.createElement('tr');
 
-    btnContainer.appendChild(rebootBtn);
-    btnContainer.appendChild(shutdownBtn);
+            const nameTd = document.createElement('td');
+            nameTd.textContent = user.username;
+            if (user.username === state.user.username) {
+                nameTd.textContent += ` (${t('users.you', 'you')})`;
+            }
+            if (user.disabled) {
+                nameTd.style.color = 'var(--text-dim)';
+                nameTd.textContent += ` (${t('users.disabled', 'disabled')})`;
+            }
 
-    mgmtCard.appendChild(mgmtTitle);
-    mgmtCard.appendChild(mgmtDesc);
-    mgmtCard.appendChild(btnContainer);
+            const roleTd = document.createElement('td');
+            const roleSelect = document.createElement('select');
+            roleSelect.className = 'role-select';
+            data.roles.forEach(role => {
+                const opt = document.createElement('option');
+                opt.value = role;
+                opt.textContent = t(`users.roles.${role}`, role);
+                opt.selected = role === user.role;
+                roleSelect.appendChild(opt);
+            });
+            roleSelect.addEventListener('change', () => updateUserRole(user.username, roleSelect.value, roleSelect, user.role));
+            roleTd.appendChild(roleSelect);
+
+            const twoFactorTd = document.createElement('td');
+            twoFactorTd.style.color = user.twoFactorEnabled ? '#10b981' : 'var(--text-dim)';
+            twoFactorTd.textContent = user.twoFactorEnabled ? '●' : '○';
+
+            const sambaTd = document.createElement('td');
+            sambaTd.style.color = user.samba === 'enabled' ? '#10b981' : 'var(--text-dim)';
+            sambaTd.textContent = t(`users.samba.${user.samba}`, user.samba);
+
+            const createdTd = document.createElement('td');
+            createdTd.style.color = 'var(--text-dim)';
+            createdTd.textContent = user.createdAt ? new Date(user.createdAt).toLocaleDateString() : '-';
+
+            const actionsTd = document.createElement('td');
+            actionsTd.style.cssText = 'text-align: right; white-space: nowrap;';
+
+            const pwBtn = document.createElement('button');
+            pwBtn.className = 'btn-sm';
+            pwBtn.textContent = t('users.resetPassword', 'Reset password');
+            pwBtn.addEventListener('click', () => resetUserPassword(user.username));
+
+            const delBtn = document.createElement('button');
+            delBtn.className = 'btn-sm';
+            delBtn.style.cssText = 'margin-left: 8px; color: #ef4444;';
+            delBtn.textContent = t('common.delete', 'Delete');
+            delBtn.addEventListener('click', () => deleteUser(user.username));
+
+            actionsTd.appendChild(pwBtn);
+            if (user.username !== state.user.username) {
+                const disableBtn = document.createElement('button');
+                disableBtn.className = 'btn-sm';
+                disableBtn.style.marginLeft = '8px';
+                disableBtn.textContent = user.disabled ? t('users.enable', 'Enable') : t('users.disable', 'Disable');
+                disableBtn.addEventListener('click', () => setUserDisabled(user.username, !user.disabled));
+                actionsTd.appendChild(disableBtn);
+            }
+            if (user.samba === 'none' || user.samba === 'enabled' || user.samba === 'disabled') {
+                const sambaBtn = document.createElement('button');
+                sambaBtn.className = 'btn-sm';
+                sambaBtn.style.marginLeft = '8px';
+                const hasSamba = user.samba !== 'none';
+                sambaBtn.textContent = hasSamba ? t('users.removeSmb', 'Remove SMB') : t('users.enableSmb', 'Enable SMB');
+                sambaBtn.addEventListener('click', () => setUserSamba(user.username, !hasSamba));
+                actionsTd.appendChild(sambaBtn);
+            }
+            if (user.twoFactorEnabled) {
+                const reset2faBtn = document.createElement('button');
+                reset2faBtn.className = 'btn-sm';
+                reset2faBtn.style.marginLeft = '8px';
+                reset2faBtn.textContent = t('users.reset2fa', 'Reset 2FA');
+                reset2faBtn.addEventListener('click', () => resetUserTwoFactor(user.username));
+                actionsTd.appendChild(reset2faBtn);
+            }
+            actionsTd.appendChild(delBtn);
+
+            tr.appendChild(nameTd);
+            tr.appendChild(roleTd);
+            tr.appendChild(twoFactorTd);
+            tr.appendChild(sambaTd);
+            tr.appendChild(createdTd);
+            tr.appendChild(actionsTd);
+            tbody.appendChild(tr);
+        });
+    } catch (e) {
+        console.error('Users load error:', e);
+        const tr = document.createElement('tr');
+        const td = document.createElement('td');
+        td.colSpan = 6;
+        td.style.color = '#ef4444';
+        td.textContent = e.message;
+        tr.appendChild(td);
+        tbody.appendChild(tr);
+    }
+}
 
-    // Info card
-    const infoCard = document.createElement('div');
-    infoCard.className = 'glass-card';
+function openAddUserModal(sambaAvailable) {
+    const modal = document.createElement('div');
+    modal.className = 'modal active';
+    modal.innerHTML = `
+        <div class="glass-card modal-content" style="max-width: 450px;">
+            <header class="modal-header">
+                <h3>${t('users.addUser', 'Add User')}</h3>
+                <button class="btn-close" onclick="this.closest('.modal').remove()">&times;</button>
+            </header>
+            <form id="add-user-form">
+                <div class="input-group">
+                    <input type="text" id="add-user-username" required placeholder=" " autocomplete="off">
+                    <label>${t('users.username', 'Username')}</label>
+                </div>
+                <div class="input-group">
+                    <input type="password" id="add-user-password" required placeholder=" " autocomplete="new-password">
+                    <label>${t('users.password', 'Password')}</label>
+                </div>
+                <div style="margin-bottom: 20px;">
+                    <label style="display: block; margin-bottom: 10px; color: var(--text-dim);">${t('users.role', 'Role')}</label>
+                    <select id="add-user-role" class="role-select">
+                        ${ROLES.map(role => `<option value="${role}"${role === 'user' ? ' selected' : ''}>${t(`users.roles.${role}`, role)}</option>`).join('')}
+                    </select>
+                </div>
+                <label class="checkbox-group">
+                    <input type="checkbox" id="add-user-samba"${sambaAvailable ? ' checked' : ''}>
+                    <span>${t('users.smbAccess', 'SMB access with the same password')}</span>
+                </label>
+                <div class="modal-footer" style="display: flex; gap: 10px;">
+                    <button type="button" class="btn-primary" style="background: var(--text-dim);" onclick="this.closest('.modal').remove()">
+                        ${t('common.cancel', 'Cancelar')}
+                    </button>
+                    <button type="submit" class="btn-primary">${t('common.save', 'Guardar')}</button>
+                </div>
+            </form>
+        </div>
+    `;
+    document.body.appendChild(modal);
 
-    const infoTitle = document.createElement('h3');
-    infoTitle.textContent = t('system.systemInfo');
+    document.getElementById('add-user-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const username = document.getElementById('add-user-username').value.trim();
+        const password = document.getElementById('add-user-password').value;
+        const role = document.getElementById('add-user-role').value;
+        const samba = document.getElementById('add-user-samba').checked;
 
-    const uptimeRow = document.createElement('div');
-    uptimeRow.className = 'stat-row';
-    uptimeRow.innerHTML = `<span>${t('system.logicUptime')}</span> <span>${uptimeStr}</span>`;
+        try {
+            const res = await authFetch(`${API_BASE}/users`, {
+                method: 'POST',
+                body: JSON.stringify({ username, password, role, samba })
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to create user');
 
-    const hostnameRow = document.createElement('div');
-    hostnameRow.className = 'stat-row';
-    hostnameRow.innerHTML = `<span>${t('system.nodeName')}</span> <span>${hostname}</span>`;
+            modal.remove();
+            renderContent('system');
+        } catch (err) {
+            alert(t('common.error', 'Error') + ': ' + err.message);
+        }
+    });
+}
 
-    infoCard.appendChild(infoTitle);
-    infoCard.appendChild(uptimeRow);
-    infoCard.appendChild(hostnameRow);
+async function updateUserRole(username, role, select, previousRole) {
+    try {
+        const res = await authFetch(`${API_BASE}/users/${encodeURIComponent(username)}`, {
+            method: 'PUT',
+            body: JSON.stringify({ role })
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to update user');
 
-    // Update card
-    const updateCard = document.createElement('div');
-    updateCard.className = 'glass-card';
+        // Changing our own role changes what we are allowed to see
+        if (username === state.user.username) {
+            state.user.role = role;
+            applyRoleVisibility();
+            renderContent('system');
+        }
+    } catch (e) {
+        alert(t('common.error', 'Error') + ': ' + e.message);
+        select.value = previousRole;
+    }
+}
 
-    const updateTitle = document.createElement('h3');
-    updateTitle.textContent = t('system.softwareUpdates');
+async function resetUserPassword(username) {
+    const password = prompt(t('users.newPasswordPrompt', 'New password for {username}:').replace('{username}', username));
+    if (!password) return;
 
-    const updateDesc = document.createElement('p');
-    updateDesc.style.cssText = 'color: var(--text-dim); margin-top: 10px;';
-    updateDesc.textContent = t('system.checkUpdatesDesc');
+    try {
+        const res = await authFetch(`${API_BASE}/users/${encodeURIComponent(username)}`, {
+            method: 'PUT',
+            body: JSON.stringify({ password })
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to update user');
+        alert(data.warning
+            ? `${t('users.passwordUpdatedDashboard', 'Password updated for the dashboard. The user has been logged out of all sessions.')}\n\n${data.warning}`
+            : t('users.passwordUpdated', 'Password updated (dashboard and SMB). The user has been logged out of all sessions.'));
+    } catch (e) {
+        alert(t('common.error', 'Error') + ': ' + e.message);
+    }
+}
 
-    const updateStatus = document.createElement('div');
-    updateStatus.id = 'update-status';
-    updateStatus.style.cssText = 'margin-top: 15px; padding: 10px; background: rgba(255,255,255,0.05); border-radius: 8px;';
-    updateStatus.innerHTML = `<span style="color: var(--text-dim);">${t('system.clickToCheck')}</span>`;
+async function setUserDisabled(username, disabled) {
+    if (disabled && !confirm(t('users.confirmDisable', 'Disable {username}? They will be logged out and lose SMB access.').replace('{username}', username))) return;
 
-    const updateBtnContainer = document.createElement('div');
-    updateBtnContainer.style.cssText = 'display: flex; gap: 15px; margin-top: 20px;';
+    try {
+        const res = await authFetch(`${API_BASE}/users/${encodeURIComponent(username)}`, {
+            method: 'PUT',
+            body: JSON.stringify({ disabled })
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to update user');
+        if (data.warning) alert(data.warning);
+        renderContent('system');
+    } catch (e) {
+        alert(t('common.error', 'Error') + ': ' + e.message);
+    }
+}
 
-    const checkUpdateBtn = document.createElement('button');
-    checkUpdateBtn.className = 'btn-primary';
-    checkUpdateBtn.style.cssText = 'background: #6366f1; box-shadow: 0 4px 15px rgba(99, 102, 241, 0.4);';
-    checkUpdateBtn.textContent = t('system.checkUpdates');
-    checkUpdateBtn.addEventListener('click', checkForUpdates);
+async function setUserSamba(username, enable) {
+    const body = { samba: enable };
+    if (enable) {
+        // smbpasswd needs the plain password, so enabling SMB also sets a new one
+        const password = prompt(t('users.smbPasswordPrompt', 'Password for {username} (dashboard and SMB):').replace('{username}', username));
+        if (!password) return;
+        body.password = password;
+    } else if (!confirm(t('users.confirmRemoveSmb', 'Remove SMB access for {username}?').replace('{username}', username))) {
+        return;
+    }
 
-    const applyUpdateBtn = document.createElement('button');
-    applyUpdateBtn.className = 'btn-primary';
-    applyUpdateBtn.id = 'apply-update-btn';
-    applyUpdateBtn.style.cssText = 'background: #10b981; box-shadow: 0 4px 15px rgba(16, 185, 129, 0.4); display: none;';
-    applyUpdateBtn.textContent = t('system.installUpdate');
-    applyUpdateBtn.addEventListener('click', applyUpdate);
+    try {
+        const res = await authFetch(`${API_BASE}/users/${encodeURIComponent(username)}`, {
+            method: 'PUT',
+            body: JSON.stringify(body)
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to update user');
+        if (data.warning) alert(data.warning);
+        renderContent('system');
+    } catch (e) {
+        alert(t('common.error', 'Error') + ': ' + e.message);
+    }
+}
 
-    updateBtnContainer.appendChild(checkUpdateBtn);
-    updateBtnContainer.appendChild(applyUpdateBtn);
+async function resetUserTwoFactor(username) {
+    if (!confirm(t('users.confirmReset2fa', 'Remove two-factor authentication from {username}?').replace('{username}', username))) return;
 
-    updateCard.appendChild(updateTitle);
-    updateCard.appendChild(updateDesc);
-    updateCard.appendChild(updateStatus);
-    updateCard.appendChild(updateBtnContainer);
+    try {
+        const res = await authFetch(`${API_BASE}/users/${encodeURIComponent(username)}/2fa`, { method: 'DELETE' });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to reset 2FA');
+        renderContent('system');
+    } catch (e) {
+        alert(t('common.error', 'Error') + ': ' + e.message);
+    }
+}
 
-    dashboardContent.appendChild(mgmtCard);
-    dashboardContent.appendChild(infoCard);
-    dashboardContent.appendChild(updateCard);
+async function deleteUser(username) {
+    if (!confirm(t('users.confirmDelete', 'Delete user {username}?').replace('{username}', username))) return;
+
+    try {
+        const res = await authFetch(`${API_BASE}/users/${encodeURIComponent(username)}`, { method: 'DELETE' });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to delete user');
+        if (data.warning) alert(data.warning);
+        renderContent('system');
+    } catch (e) {
+        alert(t('common.error', 'Error') + ': ' + e.message);
+    }
 }
 
 async function systemAction(action) {
@@ -2734,6 +6772,510 @@ if (logoutBtn) {
     });
 }
 
+// =============================================================================
+// AUDIT LOG VIEW
+// =============================================================================
+
+const auditState = { event: '', user: '', ip: '', from: '', to: '', page: 1 };
+
+function buildAuditQuery(extra = {}) {
+    const params = new URLSearchParams();
+    ['event', 'user', 'ip'].forEach(key => {
+        if (auditState[key]) params.set(key, auditState[key]);
+    });
+    // datetime-local values are local time; send epoch ms
+    if (auditState.from) params.set('from', new Date(auditState.from).getTime());
+    if (auditState.to) params.set('to', new Date(auditState.to).getTime());
+    Object.entries(extra).forEach(([key, value]) => params.set(key, value));
+    return params.toString();
+}
+
+async function renderAuditView() {
+    // Filter card
+    const filterCard = document.createElement('div');
+    filterCard.className = 'glass-card';
+    filterCard.style.gridColumn = '1 / -1';
+
+    const filterTitle = document.createElement('h3');
+    filterTitle.textContent = t('audit.title', 'Audit Log');
+
+    const retention = document.createElement('p');
+    retention.style.cssText = 'color: var(--text-dim); margin-top: 10px;';
+
+    const filterRow = document.createElement('div');
+    filterRow.className = 'audit-filters';
+
+    const eventSelect = document.createElement('select');
+    eventSelect.className = 'role-select';
+    eventSelect.innerHTML = `<option value="">${t('audit.allEvents', 'All events')}</option>`;
+
+    const userSelect = document.createElement('select');
+    userSelect.className = 'role-select';
+    userSelect.innerHTML = `<option value="">${t('audit.allUsers', 'All users')}</option>`;
+
+    const ipInput = document.createElement('input');
+    ipInput.type = 'text';
+    ipInput.placeholder = 'IP';
+    ipInput.value = auditState.ip;
+
+    const fromInput = document.createElement('input');
+    fromInput.type = 'datetime-local';
+    fromInput.title = t('audit.from', 'From');
+    fromInput.value = auditState.from;
+
+    const toInput = document.createElement('input');
+    toInput.type = 'datetime-local';
+    toInput.title = t('audit.to', 'To');
+    toInput.value = auditState.to;
+
+    const applyBtn = document.createElement('button');
+    applyBtn.className = 'btn-sm';
+    applyBtn.textContent = t('audit.apply', 'Apply');
+    applyBtn.addEventListener('click', () => {
+        auditState.event = eventSelect.value;
+        auditState.user = userSelect.value;
+        auditState.ip = ipInput.value.trim();
+        auditState.from = fromInput.value;
+        auditState.to = toInput.value;
+        auditState.page = 1;
+        renderContent('audit');
+    });
+
+    const resetBtn = document.createElement('button');
+    resetBtn.className = 'btn-sm';
+    resetBtn.textContent = t('audit.reset', 'Reset');
+    resetBtn.addEventListener('click', () => {
+        Object.assign(auditState, { event: '', user: '', ip: '', from: '', to: '', page: 1 });
+        renderContent('audit');
+    });
+
+    const exportBtn = document.createElement('button');
+    exportBtn.className = 'btn-sm';
+    exportBtn.textContent = t('audit.exportCsv', 'Export CSV');
+    exportBtn.addEventListener('click', exportAuditCsv);
+
+    [eventSelect, userSelect, ipInput, fromInput, toInput, applyBtn, resetBtn, exportBtn]
+        .forEach(el => filterRow.appendChild(el));
+
+    filterCard.appendChild(filterTitle);
+    filterCard.appendChild(retention);
+    filterCard.appendChild(filterRow);
+
+    // Results card
+    const resultsCard = document.createElement('div');
+    resultsCard.className = 'glass-card';
+    resultsCard.style.gridColumn = '1 / -1';
+
+    const table = document.createElement('table');
+    table.className = 'disk-table audit-table';
+    table.innerHTML = `
+        <thead>
+            <tr>
+                <th>${t('audit.time', 'Time')}</th>
+                <th>${t('audit.event', 'Event')}</th>
+                <th>${t('users.username', 'Username')}</th>
+                <th>IP</th>
+                <th>${t('audit.details', 'Details')}</th>
+            </tr>
+        </thead>
+    `;
+    const tbody = document.createElement('tbody');
+    table.appendChild(tbody);
+
+    const pager = document.createElement('div');
+    pager.style.cssText = 'display: flex; justify-content: space-between; align-items: center; gap: 10px;';
+
+    resultsCard.appendChild(table);
+    resultsCard.appendChild(pager);
+
+    dashboardContent.appendChild(filterCard);
+    dashboardContent.appendChild(resultsCard);
+
+    try {
+        const [facetsRes, logRes] = await Promise.all([
+            authFetch(`${API_BASE}/audit/facets`),
+            authFetch(`${API_BASE}/audit?${buildAuditQuery({ page: auditState.page, limit: 50 })}`)
+        ]);
+        const facets = await facetsRes.json();
+        const log = await logRes.json();
+        if (!facetsRes.ok) throw new Error(facets.error || 'Failed to load audit log');
+        if (!logRes.ok) throw new Error(log.error || 'Failed to load audit log');
+
+        retention.textContent = t('audit.retention', 'Events are kept for {days} days (max {max} entries).')
+            .replace('{days}', facets.retentionDays)
+            .replace('{max}', facets.maxEntries.toLocaleString());
+
+        facets.events.forEach(event => {
+            const opt = document.createElement('option');
+            opt.value = event;
+            opt.textContent = event;
+            opt.selected = event === auditState.event;
+            eventSelect.appendChild(opt);
+        });
+        facets.users.forEach(user => {
+            const opt = document.createElement('option');
+            opt.value = user;
+            opt.textContent = user;
+            opt.selected = user === auditState.user;
+            userSelect.appendChild(opt);
+        });
+
+        if (log.entries.length === 0) {
+            const tr = document.createElement('tr');
+            const td = document.createElement('td');
+            td.colSpan = 5;
+            td.style.color = 'var(--text-dim)';
+            td.textContent = t('audit.noEntries', 'No events match these filters.');
+            tr.appendChild(td);
+            tbody.appendChild(tr);
+        }
+
+        log.entries.forEach(entry => {
+            const tr = document.createElement('tr');
+            const details = JSON.stringify(entry.details);
+            [
+                new Date(entry.timestamp).toLocaleString(),
+                entry.event,
+                entry.user || '-',
+                entry.ip || '-',
+                details
+            ].forEach((text, index) => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                if (index === 4) {
+                    td.className = 'audit-details';
+                    td.title = details;
+                }
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        });
+
+        const info = document.createElement('span');
+        info.style.color = 'var(--text-dim)';
+        info.textContent = t('audit.pageInfo', 'Page {page} of {pages} · {total} events')
+            .replace('{page}', log.page)
+            .replace('{pages}', log.pages)
+            .replace('{total}', log.total);
+
+        const nav = document.createElement('div');
+        nav.style.cssText = 'display: flex; gap: 8px;';
+
+        const prevBtn = document.createElement('button');
+        prevBtn.className = 'btn-sm';
+        prevBtn.textContent = '‹ ' + t('audit.previous', 'Previous');
+        prevBtn.disabled = log.page <= 1;
+        prevBtn.addEventListener('click', () => {
+            auditState.page--;
+            renderContent('audit');
+        });
+
+        const nextBtn = document.createElement('button');
+        nextBtn.className = 'btn-sm';
+        nextBtn.textContent = t('audit.next', 'Next') + ' ›';
+        nextBtn.disabled = log.page >= log.pages;
+        nextBtn.addEventListener('click', () => {
+            auditState.page++;
+            renderContent('audit');
+        });
+
+        nav.appendChild(prevBtn);
+        nav.appendChild(nextBtn);
+        pager.appendChild(info);
+        pager.appendChild(nav);
+    } catch (e) {
+        console.error('Audit log error:', e);
+        const tr = document.createElement('tr');
+        const td = document.createElement('td');
+        td.colSpan = 5;
+        td.style.color = '#ef4444';
+        td.textContent = e.message;
+        tr.appendChild(td);
+        tbody.appendChild(tr);
+    }
+}
+
+async function exportAuditCsv() {
+    try {
+        const res = await authFetch(`${API_BASE}/audit/export?${buildAuditQuery()}`);
+        if (!res.ok) {
+            const data = await res.json();
+            throw new Error(data.error || 'Export failed');
+        }
+
+        const blob = await res.blob();
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `homepinas-audit-${new Date().toISOString().slice(0, 10)}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    } catch (e) {
+        alert(t('common.error', 'Error') + ': ' + e.message);
+    }
+}
+
+// =============================================================================
+// SHARES VIEW
+// =============================================================================
+
+async function renderSharesView() {
+    const isAdmin = hasRole('admin');
+
+    const card = document.createElement('div');
+    card.className = 'glass-card';
+    card.style.gridColumn = '1 / -1';
+
+    const header = document.createElement('div');
+    header.style.cssText = 'display: flex; justify-content: space-between; align-items: center;';
+
+    const title = document.createElement('h3');
+    title.textContent = t('shares.title', 'SMB Shares');
+    header.appendChild(title);
+
+    if (isAdmin) {
+        const addBtn = document.createElement('button');
+        addBtn.className = 'btn-primary';
+        addBtn.style.cssText = 'width: auto; padding: 8px 16px;';
+        addBtn.textContent = '+ ' + t('shares.addShare', 'Add Share');
+        addBtn.addEventListener('click', () => openShareModal());
+        header.appendChild(addBtn);
+    }
+    card.appendChild(header);
+
+    const desc = document.createElement('p');
+    desc.style.cssText = 'color: var(--text-dim); margin-top: 10px;';
+    card.appendChild(desc);
+
+    const table = document.createElement('table');
+    table.className = 'disk-table';
+    table.innerHTML = `
+        <thead>
+            <tr>
+                <th>${t('shares.name', 'Name')}</th>
+                <th>${t('shares.path', 'Path')}</th>
+                <th>${t('shares.access', 'Access')}</th>
+                <th>${t('shares.validUsers', 'Allowed users')}</th>
+                <th>${t('shares.recycleBin', 'Recycle bin')}</th>
+                <th></th>
+            </tr>
+        </thead>
+    `;
+    const tbody = document.createElement('tbody');
+    table.appendChild(tbody);
+    card.appendChild(table);
+    dashboardContent.appendChild(card);
+
+    try {
+        const res = await authFetch(`${API_BASE}/shares`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load shares');
+
+        desc.textContent = t('shares.description', 'Shares live inside {pool} and are written to {file}.')
+            .replace('{pool}', data.poolMount)
+            .replace('{file}', data.configFile);
+
+        if (data.shares.length === 0) {
+            const tr = document.createElement('tr');
+            const td = document.createElement('td');
+            td.colSpan = 6;
+            td.style.color = 'var(--text-dim)';
+            td.textContent = t('shares.noShares', 'No shares yet.');
+            tr.appendChild(td);
+            tbody.appendChild(tr);
+        }
+
+        data.shares.forEach(share => {
+            const tr = document.createElement('tr');
+
+            const nameTd = document.createElement('td');
+            nameTd.textContent = share.name;
+            nameTd.title = `\\\\${window.location.hostname}\\${share.name}`;
+            if (share.comment) {
+                const comment = document.createElement('div');
+                comment.style.cssText = 'color: var(--text-dim); font-size: 0.8rem;';
+                comment.textContent = share.comment;
+                nameTd.appendChild(comment);
+            }
+
+            const pathTd = document.createElement('td');
+            pathTd.style.fontFamily = 'monospace';
+            pathTd.textContent = share.path;
+
+            const accessTd = document.createElement('td');
+            const access = [share.readOnly ? t('shares.readOnly', 'Read only') : t('shares.readWrite', 'Read/write')];
+            if (share.guestOk) access.push(t('shares.guest', 'Guest'));
+            accessTd.textContent = access.join(' · ');
+
+            const usersTd = document.createElement('td');
+            usersTd.style.color = 'var(--text-dim)';
+            usersTd.textContent = share.guestOk
+                ? t('shares.everyone', 'Everyone')
+                : (share.validUsers.length > 0 ? share.validUsers.join(', ') : '@sambashare');
+
+            const recycleTd = document.createElement('td');
+            recycleTd.style.color = share.recycleBin ? '#10b981' : 'var(--text-dim)';
+            recycleTd.textContent = share.recycleBin ? '●' : '○';
+
+            const actionsTd = document.createElement('td');
+            actionsTd.style.cssText = 'text-align: right; white-space: nowrap;';
+
+            if (isAdmin) {
+                const editBtn = document.createElement('button');
+                editBtn.className = 'btn-sm';
+                editBtn.textContent = t('common.edit', 'Edit');
+                editBtn.addEventListener('click', () => openShareModal(share));
+
+                const delBtn = document.createElement('button');
+                delBtn.className = 'btn-sm';
+                delBtn.style.cssText = 'margin-left: 8px; color: #ef4444;';
+                delBtn.textContent = t('common.delete', 'Delete');
+                delBtn.addEventListener('click', () => deleteShare(share.name));
+
+                actionsTd.appendChild(editBtn);
+                actionsTd.appendChild(delBtn);
+            }
+
+            [nameTd, pathTd, accessTd, usersTd, recycleTd, actionsTd].forEach(td => tr.appendChild(td));
+            tbody.appendChild(tr);
+        });
+    } catch (e) {
+        console.error('Shares load error:', e);
+        const tr = document.createElement('tr');
+        const td = document.createElement('td');
+        td.colSpan = 6;
+        td.style.color = '#ef4444';
+        td.textContent = e.message;
+        tr.appendChild(td);
+        tbody.appendChild(tr);
+    }
+}
+
+function openShareModal(share = null) {
+    const editing = share !== null;
+    const modal = document.createElement('div');
+    modal.className = 'modal active';
+    modal.innerHTML = `
+        <div class="glass-card modal-content" style="max-width: 500px;">
+            <header class="modal-header">
+                <h3>${editing ? t('shares.editShare', 'Edit Share') : t('shares.addShare', 'Add Share')}</h3>
+                <button class="btn-close" onclick="this.closest('.modal').remove()">&times;</button>
+            </header>
+            <form id="share-form">
+                <div class="input-group">
+                    <input type="text" id="share-name" required placeholder=" " autocomplete="off" maxlength="32">
+                    <label>${t('shares.name', 'Name')}</label>
+                </div>
+                <div class="input-group">
+                    <input type="text" id="share-path" required placeholder=" " autocomplete="off">
+                    <label>${t('shares.path', 'Path')}</label>
+                </div>
+                <div class="input-group">
+                    <input type="text" id="share-comment" placeholder=" " autocomplete="off" maxlength="64">
+                    <label>${t('shares.comment', 'Comment')}</label>
+                </div>
+                <div class="input-group">
+                    <input type="text" id="share-valid-users" placeholder=" " autocomplete="off">
+                    <label>${t('shares.validUsersHint', 'Allowed users (e.g. alice @family)')}</label>
+                </div>
+                <label class="checkbox-group">
+                    <input type="checkbox" id="share-read-only">
+                    <span>${t('shares.readOnly', 'Read only')}</span>
+                </label>
+                <label class="checkbox-group">
+                    <input type="checkbox" id="share-guest-ok">
+                    <span>${t('shares.guestOk', 'Allow guest access (no password)')}</span>
+                </label>
+                <label class="checkbox-group">
+                    <input type="checkbox" id="share-recycle-bin">
+                    <span>${t('shares.recycleBinHint', 'Keep deleted files in .recycle')}</span>
+                </label>
+                <div class="modal-footer" style="display: flex; gap: 10px;">
+                    <button type="button" class="btn-primary" style="background: var(--text-dim);" onclick="this.closest('.modal').remove()">
+                        ${t('common.cancel', 'Cancelar')}
+                    </button>
+                    <button type="submit" class="btn-primary">${t('common.save', 'Guardar')}</button>
+                </div>
+            </form>
+        </div>
+    `;
+    document.body.appendChild(modal);
+
+    const nameInput = document.getElementById('share-name');
+    const pathInput = document.getElementById('share-path');
+    const commentInput = document.getElementById('share-comment');
+    const usersInput = document.getElementById('share-valid-users');
+    const readOnlyInput = document.getElementById('share-read-only');
+    const guestInput = document.getElementById('share-guest-ok');
+    const recycleInput = document.getElementById('share-recycle-bin');
+
+    if (editing) {
+        nameInput.value = share.name;
+        pathInput.value = share.path;
+        commentInput.value = share.comment || '';
+        usersInput.value = share.validUsers.join(' ');
+        readOnlyInput.checked = share.readOnly;
+        guestInput.checked = share.guestOk;
+        recycleInput.checked = share.recycleBin;
+    } else {
+        // Suggest a folder named after the share
+        nameInput.addEventListener('input', () => {
+            if (!pathInput.dataset.touched) pathInput.value = nameInput.value.trim();
+        });
+        pathInput.addEventListener('input', () => { pathInput.dataset.touched = '1'; });
+    }
+
+    // Guests bypass the allowed users list
+    const syncGuest = () => { usersInput.disabled = guestInput.checked; };
+    guestInput.addEventListener('change', syncGuest);
+    syncGuest();
+
+    document.getElementById('share-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const body = {
+            name: nameInput.value.trim(),
+            path: pathInput.value.trim(),
+            comment: commentInput.value.trim(),
+            validUsers: usersInput.value.trim(),
+            readOnly: readOnlyInput.checked,
+            guestOk: guestInput.checked,
+            recycleBin: recycleInput.checked
+        };
+
+        try {
+            const url = editing
+                ? `${API_BASE}/shares/${encodeURIComponent(share.name)}`
+                : `${API_BASE}/shares`;
+            const res = await authFetch(url, {
+                method: editing ? 'PUT' : 'POST',
+                body: JSON.stringify(body)
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to save share');
+
+            modal.remove();
+            renderContent('shares');
+        } catch (err) {
+            alert(t('common.error', 'Error') + ': ' + err.message);
+        }
+    });
+}
+
+async function deleteShare(name) {
+    if (!confirm(t('shares.confirmDelete', 'Remove share {name}? Files in the folder are kept.').replace('{name}', name))) return;
+
+    try {
+        const res = await authFetch(`${API_BASE}/shares/${encodeURIComponent(name)}`, { method: 'DELETE' });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to delete share');
+        renderContent('shares');
+    } catch (e) {
+        alert(t('common.error', 'Error') + ': ' + e.message);
+    }
+}
+
 // =============================================================================
 // TERMINAL VIEW
 // =============================================================================
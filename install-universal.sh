@@ -104,7 +104,7 @@ apt-get clean
 
 # Install base packages
 echo -e "${BLUE}Installing base packages...${NC}"
-apt-get install -y $APT_OPTS git curl sudo smartmontools lm-sensors parted samba samba-common-bin build-essential python3
+apt-get install -y $APT_OPTS git curl sudo smartmontools hdparm lm-sensors parted attr rsync lsof samba samba-common-bin nfs-kernel-server build-essential python3
 
 # Install Docker
 if ! command -v docker &> /dev/null; then
@@ -241,8 +241,14 @@ cat > /etc/samba/smb.conf <<'SMBEOF'
    valid users = @sambashare
    force group = sambashare
    inherit permissions = yes
+
+# Shares managed from the dashboard
+include = /etc/samba/homepinas-shares.conf
 SMBEOF
 
+# Managed shares file (rewritten by the dashboard)
+[ -f /etc/samba/homepinas-shares.conf ] || echo "# HomePiNAS managed shares" > /etc/samba/homepinas-shares.conf
+
 # Create sambashare group if it doesn't exist
 getent group sambashare > /dev/null || groupadd sambashare
 
@@ -402,7 +408,7 @@ CPU_TEMP=$((CPU_TEMP / 1000))
 DISK_TEMP=0
 for disk in /dev/sd[a-z] /dev/nvme[0-9]n1; do
     if [ -b "$disk" ]; then
-        t=$(smartctl -A "$disk" 2>/dev/null | grep -E "^194|Temperature_Celsius" | awk '{print $10}')
+        t=$(smartctl -n standby -A "$disk" 2>/dev/null | grep -E "^194|Temperature_Celsius" | awk '{print $10}')
         if [ -n "$t" ] && [ "$t" -gt 0 ] && [ "$t" -lt 100 ] 2>/dev/null; then
             if [ "$t" -gt "$DISK_TEMP" ]; then
                 DISK_TEMP=$t
@@ -508,6 +514,92 @@ fi
 echo -e "${BLUE}[7/7] Configuring Systemd services...${NC}"
 usermod -aG docker $REAL_USER
 
+# Share folder helper: creates share folders in the pool for Samba users. It
+# takes one path relative to /mnt/storage, so sudoers needs no path wildcards.
+cat > /usr/local/bin/homepinas-share-dir <<'SHAREDIR'
+#!/bin/bash
+# HomePiNAS share folder helper
+# Usage: homepinas-share-dir <path relative to /mnt/storage>
+# Creates the folder if missing and gives it to the sambashare group (setgid, 2775)
+
+POOL="/mnt/storage"
+PATH_PATTERN='^[A-Za-z0-9_.-][A-Za-z0-9 /_.-]*$'
+
+if [ $# -ne 1 ] || ! [[ "$1" =~ $PATH_PATTERN ]]; then
+    echo "homepinas-share-dir: usage: homepinas-share-dir <path inside $POOL>" >&2
+    exit 2
+fi
+if ! mountpoint -q "$POOL"; then
+    echo "homepinas-share-dir: $POOL is not mounted" >&2
+    exit 1
+fi
+
+# The resolved path must be the literal one: no '..' and no symlink out of the pool
+TARGET="$POOL/${1%/}"
+RESOLVED=$(realpath -m -- "$TARGET")
+if [ "$RESOLVED" != "$TARGET" ]; then
+    echo "homepinas-share-dir: $TARGET resolves outside the pool or through a symlink" >&2
+    exit 2
+fi
+
+mkdir -p -- "$TARGET" && chown :sambashare -- "$TARGET" && chmod 2775 -- "$TARGET"
+SHAREDIR
+chown root:root /usr/local/bin/homepinas-share-dir
+chmod 755 /usr/local/bin/homepinas-share-dir
+
+# Cache mover helper: the only way the dashboard runs find, lsof and rsync as
+# root. It takes a cache disk number, so sudoers needs no wildcard arguments.
+cat > /usr/local/bin/homepinas-mover <<'MOVER'
+#!/bin/bash
+# HomePiNAS cache mover helper
+# Usage: homepinas-mover list|open|move <cache number>
+#   list  regular files of /mnt/disks/cacheN ("mtime\tsize\tpath\0")
+#   open  files open on /mnt/disks/cacheN (lsof -F n)
+#   move  move the NUL-separated relative paths read from stdin to /mnt/storage-backing
+#         (entries that are not regular files inside the cache disk are skipped)
+
+if [ $# -ne 2 ] || ! [[ "$2" =~ ^[0-9]+$ ]]; then
+    echo "homepinas-mover: usage: homepinas-mover list|open|move <cache number>" >&2
+    exit 2
+fi
+
+CACHE="/mnt/disks/cache$2"
+if ! mountpoint -q "$CACHE"; then
+    echo "homepinas-mover: $CACHE is not mounted" >&2
+    exit 1
+fi
+
+case "$1" in
+    list)
+        exec /usr/bin/find "$CACHE" -xdev -path "$CACHE/lost+found" -prune -o -type f -printf '%T@\t%s\t%P\0'
+        ;;
+    open)
+        exec /usr/bin/lsof -F n +D "$CACHE"
+        ;;
+    move)
+        LIST=$(mktemp /tmp/homepinas-mover.XXXXXXXX) || exit 1
+        trap 'rm -f "$LIST"' EXIT
+        # Only regular files whose resolved path is the literal one: no '..' and
+        # no symlinked directory (e.g. x -> /etc created through a share) that
+        # would make rsync read and then delete files outside the cache disk
+        while IFS= read -r -d '' FILE || [ -n "$FILE" ]; do
+            if [ -f "$CACHE/$FILE" ] && [ "$(realpath -e -- "$CACHE/$FILE" 2>/dev/null)" = "$CACHE/$FILE" ]; then
+                printf '%s\0' "$FILE" >> "$LIST"
+            else
+                echo "homepinas-mover: skipping $FILE (not a regular file on $CACHE)" >&2
+            fi
+        done
+        /usr/bin/rsync -aHAXS --from0 --files-from="$LIST" --remove-source-files --out-format=%n "$CACHE/" /mnt/storage-backing/
+        ;;
+    *)
+        echo "homepinas-mover: usage: homepinas-mover list|open|move <cache number>" >&2
+        exit 2
+        ;;
+esac
+MOVER
+chown root:root /usr/local/bin/homepinas-mover
+chmod 755 /usr/local/bin/homepinas-mover
+
 # Sudoers configuration
 cat > /etc/sudoers.d/homepinas <<EOF
 # HomePiNAS Sudoers - Universal Edition
@@ -518,6 +610,40 @@ $REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/tee /etc/fstab
 $REAL_USER ALL=(ALL) NOPASSWD: /bin/mount /mnt/*
 $REAL_USER ALL=(ALL) NOPASSWD: /bin/mount -a
 $REAL_USER ALL=(ALL) NOPASSWD: /bin/umount /mnt/*
+$REAL_USER ALL=(ALL) NOPASSWD: /bin/umount -l /mnt/disks/*
+$REAL_USER ALL=(ALL) NOPASSWD: /bin/mount /dev/sd[a-z][0-9]* /mnt/disks/*
+$REAL_USER ALL=(ALL) NOPASSWD: /bin/mount /dev/nvme[0-9]n[0-9]p[0-9]* /mnt/disks/*
+$REAL_USER ALL=(ALL) NOPASSWD: /bin/mkdir -p /mnt/disks/*
+$REAL_USER ALL=(ALL) NOPASSWD: /sbin/blkid -s UUID -o value /dev/sd[a-z][0-9]*
+$REAL_USER ALL=(ALL) NOPASSWD: /sbin/blkid -s UUID -o value /dev/nvme[0-9]n[0-9]p[0-9]*
+$REAL_USER ALL=(ALL) NOPASSWD: /bin/cp /etc/fstab /etc/fstab.homepinas.bak
+$REAL_USER ALL=(ALL) NOPASSWD: /bin/cp /tmp/homepinas-fstab-* /etc/fstab.homepinas.tmp
+$REAL_USER ALL=(ALL) NOPASSWD: /bin/cp /etc/fstab.homepinas.bak /etc/fstab.homepinas.tmp
+$REAL_USER ALL=(ALL) NOPASSWD: /bin/chmod 644 /etc/fstab.homepinas.tmp
+$REAL_USER ALL=(ALL) NOPASSWD: /bin/mv /etc/fstab.homepinas.tmp /etc/fstab
+$REAL_USER ALL=(ALL) NOPASSWD: /bin/mv /tmp/homepinas-snapraid-* /etc/snapraid.conf
+$REAL_USER ALL=(ALL) NOPASSWD: /bin/chmod 644 /etc/snapraid.conf
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/setfattr -n user.mergerfs.branches -v +>/mnt/disks/* /mnt/storage/.mergerfs
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/setfattr -n user.mergerfs.category.create -v * /mnt/storage/.mergerfs
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/setfattr -n user.mergerfs.category.search -v * /mnt/storage/.mergerfs
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/setfattr -n user.mergerfs.category.action -v * /mnt/storage/.mergerfs
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/setfattr -n user.mergerfs.minfreespace -v * /mnt/storage/.mergerfs
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/setfattr -n user.mergerfs.moveonenospc -v * /mnt/storage/.mergerfs
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/setfattr -n user.mergerfs.cache.files -v * /mnt/storage/.mergerfs
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/setfattr -n user.mergerfs.dropcacheonclose -v * /mnt/storage/.mergerfs
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/mergerfs -o * /mnt/disks/* /mnt/storage-backing
+$REAL_USER ALL=(ALL) NOPASSWD: /bin/mkdir -p /mnt/storage-backing
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/setfattr -n user.mergerfs.branches -v +>/mnt/disks/* /mnt/storage-backing/.mergerfs
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/setfattr -n user.mergerfs.category.create -v * /mnt/storage-backing/.mergerfs
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/setfattr -n user.mergerfs.category.search -v * /mnt/storage-backing/.mergerfs
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/setfattr -n user.mergerfs.category.action -v * /mnt/storage-backing/.mergerfs
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/setfattr -n user.mergerfs.minfreespace -v * /mnt/storage-backing/.mergerfs
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/setfattr -n user.mergerfs.moveonenospc -v * /mnt/storage-backing/.mergerfs
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/setfattr -n user.mergerfs.cache.files -v * /mnt/storage-backing/.mergerfs
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/setfattr -n user.mergerfs.dropcacheonclose -v * /mnt/storage-backing/.mergerfs
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/local/bin/homepinas-mover list [0-9]*
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/local/bin/homepinas-mover open [0-9]*
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/local/bin/homepinas-mover move [0-9]*
 $REAL_USER ALL=(ALL) NOPASSWD: /sbin/mkfs.ext4 /dev/sd[a-z][0-9]*
 $REAL_USER ALL=(ALL) NOPASSWD: /sbin/mkfs.ext4 /dev/nvme[0-9]n[0-9]p[0-9]*
 $REAL_USER ALL=(ALL) NOPASSWD: /sbin/mkfs.xfs /dev/sd[a-z][0-9]*
@@ -526,6 +652,7 @@ $REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/snapraid *
 $REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/mergerfs *
 $REAL_USER ALL=(ALL) NOPASSWD: /bin/systemctl daemon-reload
 $REAL_USER ALL=(ALL) NOPASSWD: /bin/systemctl restart smbd
+$REAL_USER ALL=(ALL) NOPASSWD: /bin/systemctl reload smbd
 $REAL_USER ALL=(ALL) NOPASSWD: /bin/systemctl restart nmbd
 $REAL_USER ALL=(ALL) NOPASSWD: /bin/systemctl restart homepinas
 $REAL_USER ALL=(ALL) NOPASSWD: /sbin/parted /dev/sd[a-z] *
@@ -536,13 +663,34 @@ $REAL_USER ALL=(ALL) NOPASSWD: /usr/sbin/useradd -M -s /sbin/nologin [a-zA-Z]*
 $REAL_USER ALL=(ALL) NOPASSWD: /usr/sbin/usermod -aG sambashare [a-zA-Z]*
 $REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/smbpasswd -a -s [a-zA-Z]*
 $REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/smbpasswd -e [a-zA-Z]*
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/smbpasswd -d [a-zA-Z]*
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/smbpasswd -x [a-zA-Z]*
 $REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/pdbedit -L
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/pdbedit -L -v
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/install -D -m 600 -o root -g root /tmp/homepinas-recovery-* /var/lib/homepinas/recovery-token
+$REAL_USER ALL=(ALL) NOPASSWD: /bin/rm -f /var/lib/homepinas/recovery-token
 $REAL_USER ALL=(ALL) NOPASSWD: /bin/chown -R *\:sambashare /mnt/storage
 $REAL_USER ALL=(ALL) NOPASSWD: /bin/chmod -R 2775 /mnt/storage
-$REAL_USER ALL=(ALL) NOPASSWD: /usr/sbin/smartctl -i /dev/sd[a-z]
-$REAL_USER ALL=(ALL) NOPASSWD: /usr/sbin/smartctl -i /dev/nvme[0-9]n[0-9]
-$REAL_USER ALL=(ALL) NOPASSWD: /usr/sbin/smartctl -A /dev/sd[a-z]
-$REAL_USER ALL=(ALL) NOPASSWD: /usr/sbin/smartctl -A /dev/nvme[0-9]n[0-9]
+$REAL_USER ALL=(ALL) NOPASSWD: /bin/mv /tmp/homepinas-shares-* /etc/samba/homepinas-shares.conf
+$REAL_USER ALL=(ALL) NOPASSWD: /bin/mv /tmp/smb-* /etc/samba/smb.conf
+$REAL_USER ALL=(ALL) NOPASSWD: /bin/chmod 644 /etc/samba/homepinas-shares.conf
+$REAL_USER ALL=(ALL) NOPASSWD: /bin/chmod 644 /etc/samba/smb.conf
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/local/bin/homepinas-share-dir *
+$REAL_USER ALL=(ALL) NOPASSWD: /bin/mkdir -p /etc/exports.d
+$REAL_USER ALL=(ALL) NOPASSWD: /bin/mv /tmp/homepinas-exports-* /etc/exports.d/homepinas.exports
+$REAL_USER ALL=(ALL) NOPASSWD: /bin/chmod 644 /etc/exports.d/homepinas.exports
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/sbin/exportfs -ra
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/sbin/exportfs -v
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/sbin/smartctl -j -a -n standby /dev/sd[a-z]
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/sbin/smartctl -j -a -n standby /dev/nvme[0-9]n[0-9]
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/sbin/smartctl -t short /dev/sd[a-z]
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/sbin/smartctl -t short /dev/nvme[0-9]n[0-9]
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/sbin/smartctl -t long /dev/sd[a-z]
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/sbin/smartctl -t long /dev/nvme[0-9]n[0-9]
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/sbin/smartctl -X /dev/sd[a-z]
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/sbin/smartctl -X /dev/nvme[0-9]n[0-9]
+$REAL_USER ALL=(ALL) NOPASSWD: /sbin/hdparm -C /dev/sd[a-z]
+$REAL_USER ALL=(ALL) NOPASSWD: /sbin/hdparm -S [0-9]* /dev/sd[a-z]
 EOF
 
 # Add fan control sudoers only for Raspberry Pi
@@ -555,55 +703,13 @@ $REAL_USER ALL=(ALL) NOPASSWD: /bin/systemctl restart homepinas-fanctl
 EOF
 fi
 
-# Create SnapRAID sync script
-cat > /usr/local/bin/homepinas-snapraid-sync.sh <<'SYNCEOF'
-#!/bin/bash
-LOGFILE="/var/log/snapraid-sync.log"
-CONF="/etc/snapraid.conf"
-
-echo "=== SnapRAID Sync Started: $(date) ===" >> "$LOGFILE"
-
-if [ ! -f "$CONF" ]; then
-    echo "ERROR: SnapRAID not configured yet" >> "$LOGFILE"
-    exit 1
-fi
-
-snapraid sync >> "$LOGFILE" 2>&1
-if [ $? -eq 0 ]; then
-    echo "Sync completed successfully" >> "$LOGFILE"
-    snapraid scrub -p 5 -o 30 >> "$LOGFILE" 2>&1
-else
-    echo "ERROR: Sync failed" >> "$LOGFILE"
+# SnapRAID sync/scrub are scheduled from the dashboard (Storage view).
+# Remove the fixed daily timer of earlier installs so runs are not doubled.
+if [ -f /etc/systemd/system/homepinas-snapraid-sync.timer ]; then
+    systemctl disable --now homepinas-snapraid-sync.timer 2>/dev/null || true
+    rm -f /etc/systemd/system/homepinas-snapraid-sync.timer /etc/systemd/system/homepinas-snapraid-sync.service
 fi
-
-echo "=== SnapRAID Sync Finished: $(date) ===" >> "$LOGFILE"
-SYNCEOF
-chmod +x /usr/local/bin/homepinas-snapraid-sync.sh
-
-# Create SnapRAID sync timer
-cat > /etc/systemd/system/homepinas-snapraid-sync.service <<EOF
-[Unit]
-Description=HomePiNAS SnapRAID Sync
-After=multi-user.target
-
-[Service]
-Type=oneshot
-ExecStart=/usr/local/bin/homepinas-snapraid-sync.sh
-User=root
-EOF
-
-cat > /etc/systemd/system/homepinas-snapraid-sync.timer <<EOF
-[Unit]
-Description=Run SnapRAID sync daily
-
-[Timer]
-OnCalendar=*-*-* 03:00:00
-RandomizedDelaySec=1800
-Persistent=true
-
-[Install]
-WantedBy=timers.target
-EOF
+rm -f /usr/local/bin/homepinas-snapraid-sync.sh
 
 # Main HomePiNAS service
 WANTS_LINE=""
@@ -632,7 +738,6 @@ EOF
 systemctl daemon-reload
 systemctl enable homepinas
 systemctl restart homepinas
-systemctl enable homepinas-snapraid-sync.timer || true
 
 # Final output
 echo -e ""
@@ -395,10 +395,15 @@ echo -e "${BLUE}Installing system packages...${NC}"
 install_package_safe "git" ""
 install_package_safe "build-essential" "base-devel"
 install_package_safe "smartmontools" ""
+install_package_safe "hdparm" ""
 install_package_safe "lm-sensors" "sensors"
 install_package_safe "pigz" ""
+install_package_safe "attr" ""
+install_package_safe "rsync" ""
+install_package_safe "lsof" ""
 install_package_safe "samba" ""
 install_package_safe "samba-common-bin" ""
+install_package_safe "nfs-kernel-server" ""
 install_package_safe "mc" ""
 install_package_safe "tmux" ""
 install_package_safe "htop" ""
@@ -708,8 +713,14 @@ if command -v smbd &> /dev/null; then
    valid users = @sambashare
    force group = sambashare
    inherit permissions = yes
+
+# Shares managed from the dashboard
+include = /etc/samba/homepinas-shares.conf
 SMBEOF
 
+    # Managed shares file (rewritten by the dashboard)
+    [ -f /etc/samba/homepinas-shares.conf ] || echo "# HomePiNAS managed shares" > /etc/samba/homepinas-shares.conf
+
     # Create sambashare group if it doesn't exist
     getent group sambashare > /dev/null || groupadd sambashare
 
@@ -914,7 +925,8 @@ DISK_TEMP=0
 for disk in /dev/sd[a-z] /dev/nvme[0-9]n1; do
     if [ -b "$disk" ]; then
         # Parse SMART attribute 194 (Temperature_Celsius) - value is in column 10
-        t=$(smartctl -A "$disk" 2>/dev/null | grep -E "^194|Temperature_Celsius" | awk '{print $10}')
+        # (-n standby: sleeping disks are skipped instead of spun up)
+        t=$(smartctl -n standby -A "$disk" 2>/dev/null | grep -E "^194|Temperature_Celsius" | awk '{print $10}')
         if [ -n "$t" ] && [ "$t" -gt 0 ] && [ "$t" -lt 100 ] 2>/dev/null; then
             if [ "$t" -gt "$DISK_TEMP" ]; then
                 DISK_TEMP=$t
@@ -1099,6 +1111,149 @@ fi  # End IS_RASPBERRY_PI check
 echo -e "${BLUE}Configuring user permissions...${NC}"
 usermod -aG docker $REAL_USER 2>/dev/null || true
 
+# Share folder helper: creates share folders in the pool for Samba users. It
+# takes one path relative to /mnt/storage, so sudoers needs no path wildcards.
+cat > /usr/local/bin/homepinas-share-dir <<'SHAREDIR'
+#!/bin/bash
+# HomePiNAS share folder helper
+# Usage: homepinas-share-dir <path relative to /mnt/storage>
+# Creates the folder if missing and gives it to the sambashare group (setgid, 2775)
+
+POOL="/mnt/storage"
+PATH_PATTERN='^[A-Za-z0-9_.-][A-Za-z0-9 /_.-]*$'
+
+if [ $# -ne 1 ] || ! [[ "$1" =~ $PATH_PATTERN ]]; then
+    echo "homepinas-share-dir: usage: homepinas-share-dir <path inside $POOL>" >&2
+    exit 2
+fi
+if ! mountpoint -q "$POOL"; then
+    echo "homepinas-share-dir: $POOL is not mounted" >&2
+    exit 1
+fi
+
+# The resolved path must be the literal one: no '..' and no symlink out of the pool
+TARGET="$POOL/${1%/}"
+RESOLVED=$(realpath -m -- "$TARGET")
+if [ "$RESOLVED" != "$TARGET" ]; then
+    echo "homepinas-share-dir: $TARGET resolves outside the pool or through a symlink" >&2
+    exit 2
+fi
+
+mkdir -p -- "$TARGET" && chown :sambashare -- "$TARGET" && chmod 2775 -- "$TARGET"
+SHAREDIR
+chown root:root /usr/local/bin/homepinas-share-dir
+chmod 755 /usr/local/bin/homepinas-share-dir
+
+# SnapRAID recovery helper: check/fix only with /etc/snapraid.conf, on data disks
+# listed there, so sudoers needs no wildcard snapraid arguments.
+cat > /usr/local/bin/homepinas-snapraid-repair <<'SNAPREPAIR'
+#!/bin/bash
+# HomePiNAS SnapRAID recovery helper
+# Usage: homepinas-snapraid-repair check|fix [-m] [-d <disk>] [-f <filter>]
+#   -m  missing files only
+#   -d  a data disk name from /etc/snapraid.conf
+#   -f  a path or pattern relative to the disks
+
+CONF="/etc/snapraid.conf"
+
+usage() {
+    echo "homepinas-snapraid-repair: usage: homepinas-snapraid-repair check|fix [-m] [-d <disk>] [-f <filter>]" >&2
+    exit 2
+}
+
+case "$1" in
+    check|fix) JOB="$1"; shift ;;
+    *) usage ;;
+esac
+
+ARGS=()
+while [ $# -gt 0 ]; do
+    case "$1" in
+        -m)
+            ARGS+=(-m)
+            shift
+            ;;
+        -d)
+            [ $# -ge 2 ] || usage
+            if ! awk -v name="$2" '($1 == "disk" || $1 == "data") && $2 == name { found = 1 } END { exit !found }' "$CONF"; then
+                echo "homepinas-snapraid-repair: $2 is not a data disk in $CONF" >&2
+                exit 2
+            fi
+            ARGS+=(-d "$2")
+            shift 2
+            ;;
+        -f)
+            if [ $# -lt 2 ] || [ -z "$2" ] || [[ "$2" == -* ]]; then
+                usage
+            fi
+            ARGS+=(-f "$2")
+            shift 2
+            ;;
+        *)
+            usage
+            ;;
+    esac
+done
+[ ${#ARGS[@]} -gt 0 ] || usage
+
+exec /usr/bin/snapraid -c "$CONF" "$JOB" "${ARGS[@]}"
+SNAPREPAIR
+chown root:root /usr/local/bin/homepinas-snapraid-repair
+chmod 755 /usr/local/bin/homepinas-snapraid-repair
+
+# Cache mover helper: the only way the dashboard runs find, lsof and rsync as
+# root. It takes a cache disk number, so sudoers needs no wildcard arguments.
+cat > /usr/local/bin/homepinas-mover <<'MOVER'
+#!/bin/bash
+# HomePiNAS cache mover helper
+# Usage: homepinas-mover list|open|move <cache number>
+#   list  regular files of /mnt/disks/cacheN ("mtime\tsize\tpath\0")
+#   open  files open on /mnt/disks/cacheN (lsof -F n)
+#   move  move the NUL-separated relative paths read from stdin to /mnt/storage-backing
+#         (entries that are not regular files inside the cache disk are skipped)
+
+if [ $# -ne 2 ] || ! [[ "$2" =~ ^[0-9]+$ ]]; then
+    echo "homepinas-mover: usage: homepinas-mover list|open|move <cache number>" >&2
+    exit 2
+fi
+
+CACHE="/mnt/disks/cache$2"
+if ! mountpoint -q "$CACHE"; then
+    echo "homepinas-mover: $CACHE is not mounted" >&2
+    exit 1
+fi
+
+case "$1" in
+    list)
+        exec /usr/bin/find "$CACHE" -xdev -path "$CACHE/lost+found" -prune -o -type f -printf '%T@\t%s\t%P\0'
+        ;;
+    open)
+        exec /usr/bin/lsof -F n +D "$CACHE"
+        ;;
+    move)
+        LIST=$(mktemp /tmp/homepinas-mover.XXXXXXXX) || exit 1
+        trap 'rm -f "$LIST"' EXIT
+        # Only regular files whose resolved path is the literal one: no '..' and
+        # no symlinked directory (e.g. x -> /etc created through a share) that
+        # would make rsync read and then delete files outside the cache disk
+        while IFS= read -r -d '' FILE || [ -n "$FILE" ]; do
+            if [ -f "$CACHE/$FILE" ] && [ "$(realpath -e -- "$CACHE/$FILE" 2>/dev/null)" = "$CACHE/$FILE" ]; then
+                printf '%s\0' "$FILE" >> "$LIST"
+            else
+                echo "homepinas-mover: skipping $FILE (not a regular file on $CACHE)" >&2
+            fi
+        done
+        /usr/bin/rsync -aHAXS --from0 --files-from="$LIST" --remove-source-files --out-format=%n "$CACHE/" /mnt/storage-backing/
+        ;;
+    *)
+        echo "homepinas-mover: usage: homepinas-mover list|open|move <cache number>" >&2
+        exit 2
+        ;;
+esac
+MOVER
+chown root:root /usr/local/bin/homepinas-mover
+chmod 755 /usr/local/bin/homepinas-mover
+
 # Sudoers for system control, fan PWM, storage and Samba management
 cat > /etc/sudoers.d/homepinas <<EOF
 # HomePiNAS Sudoers - SECURITY HARDENED v3.0.2
@@ -1125,6 +1280,50 @@ $REAL_USER ALL=(ALL) NOPASSWD: /bin/mount /mnt/*
 $REAL_USER ALL=(ALL) NOPASSWD: /bin/mount -a
 $REAL_USER ALL=(ALL) NOPASSWD: /bin/umount /mnt/*
 
+# Disk replacement (new disk mounted at a failed disk's mount point, fstab updated by UUID)
+$REAL_USER ALL=(ALL) NOPASSWD: /bin/umount -l /mnt/disks/*
+$REAL_USER ALL=(ALL) NOPASSWD: /bin/mount /dev/sd[a-z][0-9]* /mnt/disks/*
+$REAL_USER ALL=(ALL) NOPASSWD: /bin/mount /dev/nvme[0-9]n[0-9]p[0-9]* /mnt/disks/*
+$REAL_USER ALL=(ALL) NOPASSWD: /bin/mkdir -p /mnt/disks/*
+$REAL_USER ALL=(ALL) NOPASSWD: /sbin/blkid -s UUID -o value /dev/sd[a-z][0-9]*
+$REAL_USER ALL=(ALL) NOPASSWD: /sbin/blkid -s UUID -o value /dev/nvme[0-9]n[0-9]p[0-9]*
+
+# fstab HomePiNAS block (backup, staged copy renamed into place, restore from backup)
+$REAL_USER ALL=(ALL) NOPASSWD: /bin/cp /etc/fstab /etc/fstab.homepinas.bak
+$REAL_USER ALL=(ALL) NOPASSWD: /bin/cp /tmp/homepinas-fstab-* /etc/fstab.homepinas.tmp
+$REAL_USER ALL=(ALL) NOPASSWD: /bin/cp /etc/fstab.homepinas.bak /etc/fstab.homepinas.tmp
+$REAL_USER ALL=(ALL) NOPASSWD: /bin/chmod 644 /etc/fstab.homepinas.tmp
+$REAL_USER ALL=(ALL) NOPASSWD: /bin/mv /etc/fstab.homepinas.tmp /etc/fstab
+
+# Adding a data disk (snapraid.conf edit, live MergerFS branch add)
+$REAL_USER ALL=(ALL) NOPASSWD: /bin/mv /tmp/homepinas-snapraid-* /etc/snapraid.conf
+$REAL_USER ALL=(ALL) NOPASSWD: /bin/chmod 644 /etc/snapraid.conf
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/setfattr -n user.mergerfs.branches -v +>/mnt/disks/* /mnt/storage/.mergerfs
+
+# MergerFS pool settings (runtime changes through the control file)
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/setfattr -n user.mergerfs.category.create -v * /mnt/storage/.mergerfs
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/setfattr -n user.mergerfs.category.search -v * /mnt/storage/.mergerfs
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/setfattr -n user.mergerfs.category.action -v * /mnt/storage/.mergerfs
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/setfattr -n user.mergerfs.minfreespace -v * /mnt/storage/.mergerfs
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/setfattr -n user.mergerfs.moveonenospc -v * /mnt/storage/.mergerfs
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/setfattr -n user.mergerfs.cache.files -v * /mnt/storage/.mergerfs
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/setfattr -n user.mergerfs.dropcacheonclose -v * /mnt/storage/.mergerfs
+
+# Cache tier (backing pool of the data disks, mover from the cache disks)
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/mergerfs -o * /mnt/disks/* /mnt/storage-backing
+$REAL_USER ALL=(ALL) NOPASSWD: /bin/mkdir -p /mnt/storage-backing
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/setfattr -n user.mergerfs.branches -v +>/mnt/disks/* /mnt/storage-backing/.mergerfs
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/setfattr -n user.mergerfs.category.create -v * /mnt/storage-backing/.mergerfs
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/setfattr -n user.mergerfs.category.search -v * /mnt/storage-backing/.mergerfs
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/setfattr -n user.mergerfs.category.action -v * /mnt/storage-backing/.mergerfs
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/setfattr -n user.mergerfs.minfreespace -v * /mnt/storage-backing/.mergerfs
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/setfattr -n user.mergerfs.moveonenospc -v * /mnt/storage-backing/.mergerfs
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/setfattr -n user.mergerfs.cache.files -v * /mnt/storage-backing/.mergerfs
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/setfattr -n user.mergerfs.dropcacheonclose -v * /mnt/storage-backing/.mergerfs
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/local/bin/homepinas-mover list [0-9]*
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/local/bin/homepinas-mover open [0-9]*
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/local/bin/homepinas-mover move [0-9]*
+
 # Filesystem creation (restricted to /dev/sd* and /dev/nvme* only)
 $REAL_USER ALL=(ALL) NOPASSWD: /sbin/mkfs.ext4 /dev/sd[a-z][0-9]*
 $REAL_USER ALL=(ALL) NOPASSWD: /sbin/mkfs.ext4 /dev/nvme[0-9]n[0-9]p[0-9]*
@@ -1140,6 +1339,9 @@ $REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/snapraid scrub -p [0-9]* -o [0-9]*
 $REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/snapraid status
 $REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/snapraid diff
 $REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/snapraid smart
+# SnapRAID check/fix for file recovery (helper validates -m, -d disk, -f filter)
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/local/bin/homepinas-snapraid-repair check *
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/local/bin/homepinas-snapraid-repair fix *
 
 # MergerFS (restricted to specific mount points)
 $REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/mergerfs /mnt/disks/* /mnt/storage -o *
@@ -1156,6 +1358,8 @@ $REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/nmdctl check
 $REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/nmdctl create -p /dev/sd[a-z][0-9] /dev/sd[a-z][0-9]*
 $REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/nmdctl create -p /dev/nvme[0-9]n[0-9]p[0-9] /dev/sd[a-z][0-9]*
 $REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/nmdctl create -p /dev/nvme[0-9]n[0-9]p[0-9] /dev/nvme[0-9]n[0-9]p[0-9]*
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/nmdctl replace [0-9]* /dev/sd[a-z][0-9]
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/nmdctl replace [0-9]* /dev/nvme[0-9]n[0-9]p[0-9]
 
 # sgdisk (restricted to /dev/sd* and /dev/nvme* only)
 $REAL_USER ALL=(ALL) NOPASSWD: /usr/sbin/sgdisk -o -a 8 -n 1\:32K\:0 /dev/sd[a-z]
@@ -1164,6 +1368,7 @@ $REAL_USER ALL=(ALL) NOPASSWD: /usr/sbin/sgdisk -o -a 8 -n 1\:32K\:0 /dev/nvme[0
 # Systemctl (only specific services)
 $REAL_USER ALL=(ALL) NOPASSWD: /bin/systemctl daemon-reload
 $REAL_USER ALL=(ALL) NOPASSWD: /bin/systemctl restart smbd
+$REAL_USER ALL=(ALL) NOPASSWD: /bin/systemctl reload smbd
 $REAL_USER ALL=(ALL) NOPASSWD: /bin/systemctl restart nmbd
 $REAL_USER ALL=(ALL) NOPASSWD: /bin/systemctl restart homepinas
 
@@ -1178,78 +1383,53 @@ $REAL_USER ALL=(ALL) NOPASSWD: /usr/sbin/useradd -M -s /sbin/nologin [a-zA-Z]*
 $REAL_USER ALL=(ALL) NOPASSWD: /usr/sbin/usermod -aG sambashare [a-zA-Z]*
 $REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/smbpasswd -a -s [a-zA-Z]*
 $REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/smbpasswd -e [a-zA-Z]*
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/smbpasswd -d [a-zA-Z]*
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/smbpasswd -x [a-zA-Z]*
 $REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/pdbedit -L
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/pdbedit -L -v
+
+# Password recovery token (root-only file)
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/bin/install -D -m 600 -o root -g root /tmp/homepinas-recovery-* /var/lib/homepinas/recovery-token
+$REAL_USER ALL=(ALL) NOPASSWD: /bin/rm -f /var/lib/homepinas/recovery-token
 
 # File permissions (RESTRICTED to /mnt/storage only)
 $REAL_USER ALL=(ALL) NOPASSWD: /bin/chown -R *\:sambashare /mnt/storage
 $REAL_USER ALL=(ALL) NOPASSWD: /bin/chmod -R 2775 /mnt/storage
 
-# SMART monitoring
-$REAL_USER ALL=(ALL) NOPASSWD: /usr/sbin/smartctl -i /dev/sd[a-z]
-$REAL_USER ALL=(ALL) NOPASSWD: /usr/sbin/smartctl -i /dev/nvme[0-9]n[0-9]
-$REAL_USER ALL=(ALL) NOPASSWD: /usr/sbin/smartctl -A /dev/sd[a-z]
-$REAL_USER ALL=(ALL) NOPASSWD: /usr/sbin/smartctl -A /dev/nvme[0-9]n[0-9]
+# Share management (managed smb.conf include, share folders in the pool)
+$REAL_USER ALL=(ALL) NOPASSWD: /bin/mv /tmp/homepinas-shares-* /etc/samba/homepinas-shares.conf
+$REAL_USER ALL=(ALL) NOPASSWD: /bin/mv /tmp/smb-* /etc/samba/smb.conf
+$REAL_USER ALL=(ALL) NOPASSWD: /bin/chmod 644 /etc/samba/homepinas-shares.conf
+$REAL_USER ALL=(ALL) NOPASSWD: /bin/chmod 644 /etc/samba/smb.conf
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/local/bin/homepinas-share-dir *
+
+# NFS exports (managed exports.d file)
+$REAL_USER ALL=(ALL) NOPASSWD: /bin/mkdir -p /etc/exports.d
+$REAL_USER ALL=(ALL) NOPASSWD: /bin/mv /tmp/homepinas-exports-* /etc/exports.d/homepinas.exports
+$REAL_USER ALL=(ALL) NOPASSWD: /bin/chmod 644 /etc/exports.d/homepinas.exports
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/sbin/exportfs -ra
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/sbin/exportfs -v
+
+# SMART monitoring and disk standby
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/sbin/smartctl -j -a -n standby /dev/sd[a-z]
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/sbin/smartctl -j -a -n standby /dev/nvme[0-9]n[0-9]
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/sbin/smartctl -t short /dev/sd[a-z]
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/sbin/smartctl -t short /dev/nvme[0-9]n[0-9]
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/sbin/smartctl -t long /dev/sd[a-z]
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/sbin/smartctl -t long /dev/nvme[0-9]n[0-9]
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/sbin/smartctl -X /dev/sd[a-z]
+$REAL_USER ALL=(ALL) NOPASSWD: /usr/sbin/smartctl -X /dev/nvme[0-9]n[0-9]
+$REAL_USER ALL=(ALL) NOPASSWD: /sbin/hdparm -C /dev/sd[a-z]
+$REAL_USER ALL=(ALL) NOPASSWD: /sbin/hdparm -S [0-9]* /dev/sd[a-z]
 EOF
 
-# Create SnapRAID sync script
-cat > /usr/local/bin/homepinas-snapraid-sync.sh <<'SYNCEOF'
-#!/bin/bash
-# HomePiNAS SnapRAID Sync Script
-# Runs daily to sync parity
-
-LOGFILE="/var/log/snapraid-sync.log"
-CONF="/etc/snapraid.conf"
-
-echo "=== SnapRAID Sync Started: $(date) ===" >> "$LOGFILE"
-
-if [ ! -f "$CONF" ]; then
-    echo "ERROR: SnapRAID not configured yet" >> "$LOGFILE"
-    exit 1
+# SnapRAID sync/scrub are scheduled from the dashboard (Storage view).
+# Remove the fixed daily timer of earlier installs so runs are not doubled.
+if [ -f /etc/systemd/system/homepinas-snapraid-sync.timer ]; then
+    systemctl disable --now homepinas-snapraid-sync.timer 2>/dev/null || true
+    rm -f /etc/systemd/system/homepinas-snapraid-sync.timer /etc/systemd/system/homepinas-snapraid-sync.service
 fi
-
-# Run sync
-snapraid sync >> "$LOGFILE" 2>&1
-SYNC_STATUS=$?
-
-if [ $SYNC_STATUS -eq 0 ]; then
-    echo "Sync completed successfully" >> "$LOGFILE"
-    # Run scrub on 5% of data after successful sync
-    snapraid scrub -p 5 -o 30 >> "$LOGFILE" 2>&1
-else
-    echo "ERROR: Sync failed with status $SYNC_STATUS" >> "$LOGFILE"
-fi
-
-echo "=== SnapRAID Sync Finished: $(date) ===" >> "$LOGFILE"
-SYNCEOF
-chmod +x /usr/local/bin/homepinas-snapraid-sync.sh
-
-# Create SnapRAID sync timer (runs daily at 3 AM)
-cat > /etc/systemd/system/homepinas-snapraid-sync.service <<EOF
-[Unit]
-Description=HomePiNAS SnapRAID Sync
-After=multi-user.target
-
-[Service]
-Type=oneshot
-ExecStart=/usr/local/bin/homepinas-snapraid-sync.sh
-User=root
-Group=root
-StandardOutput=journal
-StandardError=journal
-EOF
-
-cat > /etc/systemd/system/homepinas-snapraid-sync.timer <<EOF
-[Unit]
-Description=Run SnapRAID sync daily
-
-[Timer]
-OnCalendar=*-*-* 03:00:00
-RandomizedDelaySec=1800
-Persistent=true
-
-[Install]
-WantedBy=timers.target
-EOF
+rm -f /usr/local/bin/homepinas-snapraid-sync.sh
 
 # Save storage backend configuration for the application
 echo -e "${BLUE}Saving storage backend configuration...${NC}"
@@ -1298,11 +1478,6 @@ if [ -f "$FANCTL_SCRIPT" ]; then
     systemctl start homepinas-fanctl.timer || true
 fi
 
-# Enable snapraid sync timer only for SnapRAID backend
-if [ "$STORAGE_BACKEND" = "snapraid" ]; then
-    systemctl enable homepinas-snapraid-sync.timer || true
-fi
-
 # Enable NonRAID service if selected
 if [ "$STORAGE_BACKEND" = "nonraid" ]; then
     systemctl enable nonraid || true
@@ -1392,7 +1567,7 @@ echo -e ""
 echo -e "${BLUE}Logs:${NC}"
 echo -e "  Fan control: journalctl -u homepinas-fanctl -f"
 if [ "$STORAGE_BACKEND" = "snapraid" ]; then
-    echo -e "  SnapRAID:    tail -f /var/log/snapraid-sync.log"
+    echo -e "  SnapRAID:    Storage view > Run history"
 else
     echo -e "  NonRAID:     sudo nmdctl status"
 fi